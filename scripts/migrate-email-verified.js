@@ -0,0 +1,41 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+/**
+ * Mark accounts created before email verification existed as verified, so turning on
+ * REQUIRE_EMAIL_VERIFICATION doesn't lock them out. Those accounts have no isEmailVerified
+ * field at all; accounts created since store it explicitly and are left alone.
+ *
+ * Usage: node scripts/migrate-email-verified.js [--dry-run]
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateEmailVerified = async () => {
+    let failed = false;
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to DB.');
+        if (dryRun) console.log('Dry run: nothing will be written.');
+
+        const users = mongoose.connection.collection('users');
+        const query = { isEmailVerified: { $exists: false } };
+
+        const count = dryRun
+            ? await users.countDocuments(query)
+            : (await users.updateMany(query, { $set: { isEmailVerified: true } })).modifiedCount;
+
+        console.log(`✅ Existing accounts ${dryRun ? 'to mark' : 'marked'} as verified: ${count}`);
+    } catch (error) {
+        console.error('❌ Script Error:', error.message);
+        failed = true;
+    } finally {
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.connection.close();
+        }
+        console.log('Done.');
+        process.exit(failed ? 1 : 0);
+    }
+};
+
+migrateEmailVerified();
@@ -0,0 +1,84 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, getLocalDate, parseTime, zonedTimeToUtc } = require('../src/utils/timezone');
+const { DEFAULT_MEETING_MINUTES } = require('../src/utils/meetingSchedule');
+
+/**
+ * Backfill startsAt/endsAt on meetings created before they existed.
+ * The stored date + time are read as wall-clock values in the club's timezone.
+ *
+ * Usage: node scripts/migrate-meeting-instants.js [--dry-run]
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateMeetingInstants = async () => {
+    let failed = false;
+    try {
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to DB.');
+        if (dryRun) console.log('Dry run: nothing will be written.');
+
+        const db = mongoose.connection;
+        const clubs = await db.collection('clubs').find({}, { projection: { timezone: 1 } }).toArray();
+        const timezones = new Map(clubs.map(c => [c._id.toString(), c.timezone || DEFAULT_TIMEZONE]));
+
+        const cursor = db.collection('meetings').find(
+            { startsAt: { $exists: false } },
+            { projection: { name: 1, clubId: 1, date: 1, time: 1 } }
+        );
+
+        let updated = 0;
+        let skipped = 0;
+        const ops = [];
+
+        for await (const meeting of cursor) {
+            const timezone = timezones.get(String(meeting.clubId)) || DEFAULT_TIMEZONE;
+            const localDate = getLocalDate(meeting.date, timezone);
+            const clock = parseTime(meeting.time);
+
+            if (!localDate || !clock) {
+                console.log(`Skipping "${meeting.name}" (${meeting._id}): unreadable date/time "${meeting.date}" "${meeting.time}"`);
+                skipped++;
+                continue;
+            }
+
+            const startsAt = zonedTimeToUtc({ ...localDate, ...clock }, timezone);
+            const endsAt = new Date(startsAt.getTime() + DEFAULT_MEETING_MINUTES * 60 * 1000);
+
+            ops.push({
+                updateOne: {
+                    filter: { _id: meeting._id },
+                    update: { $set: { startsAt, endsAt, date: startsAt } }
+                }
+            });
+            updated++;
+
+            if (ops.length === 500) {
+                if (!dryRun) await db.collection('meetings').bulkWrite(ops);
+                ops.length = 0;
+            }
+        }
+        if (ops.length > 0 && !dryRun) await db.collection('meetings').bulkWrite(ops);
+
+        // Series created before timezones existed take their club's
+        const series = await db.collection('meetingseries').find({ timezone: { $exists: false } }).toArray();
+        for (const s of series) {
+            const timezone = timezones.get(String(s.clubId)) || DEFAULT_TIMEZONE;
+            if (!dryRun) await db.collection('meetingseries').updateOne({ _id: s._id }, { $set: { timezone } });
+        }
+
+        console.log(`✅ Meetings ${dryRun ? 'to update' : 'updated'}: ${updated}, skipped: ${skipped}, series: ${series.length}`);
+    } catch (error) {
+        console.error('❌ Script Error:', error.message);
+        failed = true;
+    } finally {
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.connection.close();
+        }
+        console.log('Done.');
+        process.exit(failed ? 1 : 0);
+    }
+};
+
+migrateMeetingInstants();
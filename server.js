@@ -10,7 +10,13 @@ const morgan = require('morgan');
 const connectDB = require('./src/config/database');
 const { sendPushNotification } = require('./src/utils/pushNotifications');
 const { initReminderService } = require('./src/services/reminderService');
-const { connectRedis } = require('./src/config/redis');
+const { connectRedis, attachSocketAdapter } = require('./src/config/redis');
+const { initGameTimers } = require('./src/sockets/gameSocket');
+const { initMediaCleanup } = require('./src/services/mediaCleanupService');
+const { authenticateSocket } = require('./src/middleware/auth');
+const storageConfig = require('./src/config/storage');
+const { getLocalFileHandler } = require('./src/services/storage');
+const { getUserClubRole } = require('./src/utils/permissions');
 
 // Initialize Express app
 const app = express();
@@ -28,13 +34,13 @@ const io = socketIo(server, {
 
 // Connect to MongoDB and Redis
 connectDB();
-connectRedis();
+connectRedis().then(() => attachSocketAdapter(io));
 
 // CORS - Must be before other middleware that might return early
 app.use(cors({
     origin: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'X-Upload-Ticket', 'Content-Range'],
     credentials: true,
     preflightContinue: false,
     optionsSuccessStatus: 204
@@ -57,8 +63,22 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(express.json({ limit: '200mb' }));
-app.use(express.urlencoded({ extended: true, limit: '200mb' }));
+// Media goes through upload sessions (/api/uploads). Only the older base64 endpoints still take
+// large JSON bodies, until clients have moved over.
+const LEGACY_BASE64_UPLOAD_PATHS = [
+    '/api/web-upload/base64',
+    '/api/gallery/upload-base64',
+    '/api/messages/upload-base64',
+    '/api/snaps/upload-base64',
+    '/api/group-chat/:clubId/messages-base64',
+    '/api/clubs/:id/logo-base64',
+    '/api/auth/upload-profile-picture',
+    '/api/resources/upload',
+    /^\/api\/events(?:\/[^/]+)?\/?$/ // Create/update with base64 images, not /:id/rsvp etc.
+];
+app.use(LEGACY_BASE64_UPLOAD_PATHS, express.json({ limit: '200mb' }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -71,6 +91,12 @@ app.use('/api/', limiter);
 // Make io accessible to routes
 app.set('io', io);
 
+// Uploaded files, when media storage is the local disk (STORAGE_DRIVER=local)
+const localFileHandler = getLocalFileHandler();
+if (localFileHandler) {
+    app.use(storageConfig.local.routePath, localFileHandler);
+}
+
 // Routes
 app.get('/', (req, res) => {
     res.json({
@@ -99,59 +125,57 @@ app.use('/api/notes', require('./src/routes/notes'));
 app.use('/api/events', require('./src/routes/eventRoutes'));
 app.use('/api/resources', require('./src/routes/resourceRoutes'));
 app.use('/api/custom-forms', require('./src/routes/customFormRoutes'));
+app.use('/api/calendar', require('./src/routes/calendar'));
+app.use('/api/games', require('./src/routes/games'));
+app.use('/api/uploads', require('./src/routes/uploads'));
+
+// Socket.io connection handling - every connection must carry a valid access token
+io.use(authenticateSocket);
 
-// Socket.io connection handling
 io.on('connection', (socket) => {
-    console.log(`✅ User connected: ${socket.id}`);
+    console.log(`✅ User connected: ${socket.id} (${socket.userId})`);
 
-    // Join user-specific room
-    socket.on('user:online', async (userId) => {
-        socket.join(userId);
-        socket.userId = userId;
+    // Join user-specific room (the user comes from the handshake token)
+    socket.join(socket.userId);
+
+    // Mark online; the id sent by older clients is ignored
+    socket.on('user:online', async () => {
+        const userId = socket.userId;
 
         try {
             const User = require('./src/models/User');
-            const user = await User.findById(userId);
-            if (user) {
-                socket.userDisplayName = user.displayName;
-                socket.userProfilePicture = user.profilePicture;
-            }
-
             const now = new Date();
             await User.findByIdAndUpdate(userId, {
                 isOnline: true,
                 lastSeen: now
             });
             socket.broadcast.emit('user:status', { userId, isOnline: true, lastSeen: now });
-            console.log(`👤 User ${userId} (${user?.displayName || 'Unknown'}) is now online`);
+            console.log(`👤 User ${userId} (${socket.userDisplayName || 'Unknown'}) is now online`);
         } catch (error) {
             console.error('Error updating user online status:', error);
         }
     });
 
-    // Join club rooms
-    socket.on('club:join', (clubId) => {
-        socket.join(`club:${clubId}`);
-        console.log(`🏢 User ${socket.userId} joined club room: ${clubId}`);
-    });
-
-    // Send message (Legacy/Fallback - preferably use REST API for persistence)
-    socket.on('message:send', async (data) => {
-        const { receiverId, message, senderName } = data;
-        io.to(receiverId).emit('message:receive', message);
-    });
+    // Join club rooms (members and global admins only)
+    socket.on('club:join', async (clubId) => {
+        try {
+            const User = require('./src/models/User');
+            // Re-read memberships: the user may have joined or left clubs since connecting
+            const user = await User.findById(socket.userId).select('role clubsJoined');
+            if (!user || (user.role !== 'admin' && !getUserClubRole(user, clubId))) {
+                socket.emit('club:join_denied', { clubId, message: 'You are not a member of this club' });
+                return;
+            }
 
-    // Delete message (Real-time sync)
-    socket.on('message:delete', (data) => {
-        const { receiverId, messageId, type } = data;
-        io.to(receiverId).emit('message:delete', { messageId, type });
+            socket.join(`club:${clubId}`);
+            console.log(`🏢 User ${socket.userId} joined club room: ${clubId}`);
+        } catch (error) {
+            console.error('Socket club:join error:', error);
+        }
     });
 
-    // Reaction (Real-time sync)
-    socket.on('message:reaction', (data) => {
-        const { receiverId, messageId, reactions } = data;
-        io.to(receiverId).emit('message:reaction', { messageId, reactions });
-    });
+    // message:receive, message:delete and message:reaction are emitted by the messages REST API
+    // once the change is saved; clients can no longer relay them to other users' rooms.
 
     /**
      * Aura Games Socket Handlers
@@ -160,7 +184,9 @@ io.on('connection', (socket) => {
     require('./src/sockets/noteSocket')(io, socket);
 
     // Explicit offline
-    socket.on('user:offline', async (userId) => {
+    socket.on('user:offline', async () => {
+        const userId = socket.userId;
+
         try {
             const User = require('./src/models/User');
             const now = new Date();
@@ -176,20 +202,24 @@ io.on('connection', (socket) => {
     });
 
     // Typing indicator
-    socket.on('message:typing', (data) => {
-        const { receiverId, isTyping, senderId, clubId } = data;
+    socket.on('message:typing', (data = {}) => {
+        const { receiverId, isTyping, clubId } = data;
+        const senderId = socket.userId;
         if (clubId) {
-            // Group typing
-            socket.to(`club:${clubId}`).emit('group:typing', { clubId, senderId, isTyping });
-        } else {
+            // Group typing, only into a club room this socket was allowed to join
+            if (!socket.rooms.has(`club:${clubId}`)) return;
+            socket.to(`club:${clubId}`).emit('group:typing', { clubId, senderId, isTyping: !!isTyping });
+        } else if (receiverId) {
             // Individual typing
-            io.to(receiverId).emit('message:typing', { senderId, isTyping });
+            io.to(receiverId.toString()).emit('message:typing', { senderId, isTyping: !!isTyping });
         }
     });
 
-    // Send notification
-    socket.on('notification:send', async (data) => {
+    // Send notification (global admins only: anything else could impersonate the app)
+    socket.on('notification:send', async (data = {}) => {
+        if (socket.user?.role !== 'admin') return;
         const { userId, notification } = data;
+        if (!userId || !notification) return;
         io.to(userId).emit('notification:receive', notification);
 
         // Push notification for general update
@@ -248,6 +278,8 @@ server.listen(PORT, () => {
 
     // Initialize background services
     initReminderService(app);
+    initGameTimers(io);
+    initMediaCleanup();
 });
 
 // Handle unhandled promise rejections
@@ -12,74 +12,7 @@ console.log('☁️ Cloudinary configured:', {
     api_secret: process.env.CLOUDINARY_API_SECRET ? '✅' : '❌',
 });
 
-/**
- * Upload image to Cloudinary
- * @param {string} filePath - Path to the file
- * @param {string} folder - Folder name in Cloudinary
- * @returns {Promise<object>} - Upload result
- */
-const uploadImage = async (filePath, folder = 'mavericks') => {
-    try {
-        const result = await cloudinary.uploader.upload(filePath, {
-            folder,
-            resource_type: 'auto',
-            timeout: 600000,
-        });
-        return {
-            url: result.secure_url,
-            publicId: result.public_id
-        };
-    } catch (error) {
-        throw new Error(`Cloudinary upload failed: ${error.message}`);
-    }
-};
-
-/**
- * Delete image from Cloudinary
- * @param {string} publicId - Public ID of the image
- * @returns {Promise<object>} - Delete result
- */
-const deleteImage = async (publicId) => {
-    try {
-        const result = await cloudinary.uploader.destroy(publicId);
-        return result;
-    } catch (error) {
-        throw new Error(`Cloudinary delete failed: ${error.message}`);
-    }
-};
-
-/**
- * Upload image from buffer to Cloudinary
- * @param {Buffer} buffer - File buffer
- * @param {string} folder - Folder name in Cloudinary
- * @returns {Promise<object>} - Upload result
- */
-const uploadImageBuffer = (buffer, folder = 'mavericks') => {
-    return new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-            {
-                folder,
-                resource_type: 'auto',
-                timeout: 600000
-            },
-            (error, result) => {
-                if (error) {
-                    reject(new Error(`Cloudinary upload failed: ${error.message}`));
-                } else {
-                    resolve({
-                        url: result.secure_url,
-                        publicId: result.public_id
-                    });
-                }
-            }
-        );
-        stream.end(buffer);
-    });
-};
-
+// Used through services/storage (cloudinaryStorage)
 module.exports = {
-    cloudinary,
-    uploadImage,
-    uploadImageBuffer,
-    deleteImage
+    cloudinary
 };
@@ -0,0 +1,134 @@
+/**
+ * Permission registry
+ * Club-scoped permissions are granted through the member's role in that club
+ * (clubsJoined.role) using the club's role -> permission mapping. Global permissions
+ * are granted through User.role. Global admins hold every permission in every club.
+ */
+
+const CLUB_PERMISSIONS = {
+    'club:update': 'Edit club name, description and logo',
+    'club:manage_roles': 'Edit which permissions each club role has',
+    'member:view': 'View club members',
+    'member:manage': 'Add or remove club members',
+    'member:view_warnings': 'View members with attendance warnings',
+    'meeting:view': 'View club meetings',
+    'meeting:create': 'Schedule meetings',
+    'meeting:update': 'Edit meetings and change their status',
+    'meeting:delete': 'Delete meetings',
+    'attendance:start': 'Start attendance for a meeting',
+    'attendance:check_in': 'Mark own attendance with the meeting code',
+    'attendance:mark': 'Mark attendance for other members',
+    'attendance:report': 'View attendance reports',
+    'attendance:audit': 'View the attendance change log of a meeting',
+    'meeting:rsvp': 'RSVP to meetings',
+    'minutes:write': 'Write and publish meeting minutes',
+    'absence:request': 'Request to be excused from a meeting',
+    'absence:review': 'Approve or reject absence requests',
+    'task:view_all': 'View every task in the club',
+    'task:create': 'Create and assign tasks',
+    'task:update': 'Edit tasks',
+    'task:delete': 'Delete tasks',
+    'event:create': 'Create club events',
+    'event:update': 'Edit club events',
+    'event:delete': 'Delete club events',
+    'gallery:approve': 'Approve or reject gallery uploads',
+    'gallery:moderate': 'Edit or delete other members\' gallery uploads',
+    'gallery:create_album': 'Create gallery albums for events and meetings',
+    'chat:access': 'Read and send group chat messages',
+    'chat:moderate': 'Delete other members\' group chat messages for everyone',
+    'resource:create': 'Add event resources',
+    'resource:moderate': 'Edit or delete other members\' resources',
+    'snap:view': 'View club snaps',
+    'game:view': 'View game leaderboards',
+    'game:manage_words': 'Create, import and enable Sketch Heads word packs'
+};
+
+const GLOBAL_PERMISSIONS = {
+    'admin:access': 'Access the admin dashboard',
+    'club:create': 'Create clubs',
+    'club:delete': 'Delete clubs',
+    'user:manage_roles': 'Change global user roles',
+    'notification:broadcast': 'Send custom notifications',
+    'game:configure': 'Enable or disable games',
+    'form:manage': 'Create and manage custom forms',
+    'media:cleanup': 'View and run the orphaned media cleanup'
+};
+
+const MEMBER_PERMISSIONS = [
+    'member:view',
+    'meeting:view',
+    'attendance:check_in',
+    'meeting:rsvp',
+    'absence:request',
+    'chat:access',
+    'resource:create',
+    'snap:view',
+    'game:view'
+];
+
+const ALUMNI_PERMISSIONS = [
+    ...MEMBER_PERMISSIONS,
+    'meeting:create',
+    'meeting:update',
+    'meeting:delete',
+    'attendance:start',
+    'attendance:mark',
+    'minutes:write',
+    'task:view_all',
+    'task:create',
+    'task:update',
+    'task:delete',
+    'gallery:create_album'
+];
+
+const ADMIN_PERMISSIONS = [
+    ...ALUMNI_PERMISSIONS,
+    'club:update',
+    'club:manage_roles',
+    'member:view_warnings',
+    'attendance:report',
+    'attendance:audit',
+    'absence:review',
+    'event:create',
+    'event:update',
+    'event:delete',
+    'gallery:approve',
+    'gallery:moderate',
+    'chat:moderate',
+    'resource:moderate',
+    'game:manage_words'
+];
+
+// Defaults used until a club customises its mapping
+const DEFAULT_CLUB_ROLE_PERMISSIONS = {
+    admin: ADMIN_PERMISSIONS,
+    alumni: ALUMNI_PERMISSIONS,
+    member: MEMBER_PERMISSIONS
+};
+
+const CLUB_ROLES = Object.keys(DEFAULT_CLUB_ROLE_PERMISSIONS);
+
+// Permissions a club admin can never remove from the admin role (prevents lock-out)
+const LOCKED_ADMIN_PERMISSIONS = ['club:manage_roles'];
+
+// Global roles (User.role). 'admin' is handled as a wildcard.
+const GLOBAL_ROLE_PERMISSIONS = {
+    admin: Object.keys(GLOBAL_PERMISSIONS),
+    alumni: [],
+    member: [],
+    user: []
+};
+
+const isClubPermission = (permission) => Object.prototype.hasOwnProperty.call(CLUB_PERMISSIONS, permission);
+const isGlobalPermission = (permission) => Object.prototype.hasOwnProperty.call(GLOBAL_PERMISSIONS, permission);
+
+module.exports = {
+    CLUB_PERMISSIONS,
+    GLOBAL_PERMISSIONS,
+    DEFAULT_CLUB_ROLE_PERMISSIONS,
+    CLUB_ROLES,
+    LOCKED_ADMIN_PERMISSIONS,
+    GLOBAL_ROLE_PERMISSIONS,
+    isClubPermission,
+    isGlobalPermission
+};
@@ -1,4 +1,5 @@
 const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
 
 const redisClient = createClient({
     url: process.env.REDIS_URL || 'redis://localhost:6379',
@@ -27,7 +28,26 @@ const connectRedis = async () => {
     }
 };
 
+// Share socket.io rooms and broadcasts between server instances (call after connectRedis)
+const attachSocketAdapter = async (io) => {
+    if (!redisClient.isOpen) return;
+    try {
+        const pubClient = redisClient.duplicate();
+        const subClient = redisClient.duplicate();
+        [pubClient, subClient].forEach(client => client.on('error', (err) => {
+            console.error('Redis Adapter Error:', err.message);
+        }));
+
+        await Promise.all([pubClient.connect(), subClient.connect()]);
+        io.adapter(createAdapter(pubClient, subClient));
+        console.log('✅ Socket.io Redis adapter enabled');
+    } catch (error) {
+        console.log('⚠️  Socket.io Redis adapter not available - running as a single instance');
+    }
+};
+
 module.exports = {
     redisClient,
-    connectRedis
+    connectRedis,
+    attachSocketAdapter
 };
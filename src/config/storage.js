@@ -0,0 +1,36 @@
+const path = require('path');
+
+/**
+ * Media storage settings (see services/storage)
+ * STORAGE_DRIVER picks the backend: cloudinary, local or s3. When it isn't set, Cloudinary is used
+ * if its credentials are configured and the local disk otherwise, so the server also runs offline.
+ */
+const STORAGE_DRIVERS = ['cloudinary', 'local', 's3'];
+
+const driver = (process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`STORAGE_DRIVER must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+}
+
+const trimSlash = (url) => (url ? url.replace(/\/+$/, '') : url);
+
+module.exports = {
+    STORAGE_DRIVERS,
+    driver,
+    local: {
+        dir: path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads'),
+        // Files are served by server.js under this path
+        routePath: '/uploads',
+        publicUrl: trimSlash(process.env.STORAGE_PUBLIC_URL) || `http://localhost:${process.env.PORT || 5000}/uploads`,
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+    },
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: trimSlash(process.env.S3_ENDPOINT), // MinIO, R2, Spaces... (empty for AWS)
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: trimSlash(process.env.S3_PUBLIC_URL) // CDN or public bucket URL
+    }
+};
@@ -1,6 +1,7 @@
 const Meeting = require('../models/Meeting');
 const User = require('../models/User');
 const Club = require('../models/Club');
+const { compareRsvpsToAttendance } = require('../utils/rsvp');
 
 // Get club attendance report
 exports.getClubAttendanceReport = async (req, res) => {
@@ -8,13 +9,7 @@ exports.getClubAttendanceReport = async (req, res) => {
         const { clubId } = req.params;
         const { months } = req.query;
 
-        // Verify user is admin
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. Admin only.'
-            });
-        }
+        // Access is enforced by requirePermission('attendance:report')
 
         // Build meeting query
         let meetingQuery = { clubId };
@@ -73,3 +68,54 @@ exports.getClubAttendanceReport = async (req, res) => {
         });
     }
 };
+
+/**
+ * @desc    RSVP vs actual attendance per member and per meeting (?months= limits the period)
+ * @route   GET /api/admin/rsvp-report/:clubId
+ * @access  Club Admin (attendance:report)
+ */
+exports.getClubRsvpReport = async (req, res) => {
+    try {
+        const { clubId } = req.params;
+        const { months } = req.query;
+
+        const club = await Club.findById(clubId).select('name').lean();
+        if (!club) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        const meetingQuery = { clubId, status: 'completed' };
+        if (months && !isNaN(months)) {
+            const startDate = new Date();
+            startDate.setMonth(startDate.getMonth() - parseInt(months));
+            meetingQuery.date = { $gte: startDate };
+        }
+
+        const [meetings, members] = await Promise.all([
+            Meeting.find(meetingQuery)
+                .select('name date startsAt rsvps attendees absenceRequests')
+                .sort({ date: -1 })
+                .lean(),
+            User.find({ 'clubsJoined.clubId': clubId })
+                .select('displayName maverickId profilePicture')
+                .lean()
+        ]);
+
+        const report = compareRsvpsToAttendance(meetings, members.map(m => m._id));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                clubName: club.name,
+                meetings: report.meetings,
+                members: members.map(member => ({
+                    ...member,
+                    ...report.members[member._id.toString()]
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching RSVP report:', error);
+        res.status(500).json({ success: false, message: 'Error fetching RSVP report' });
+    }
+};
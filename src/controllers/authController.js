@@ -1,18 +1,96 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const Club = require('../models/Club');
 const Meeting = require('../models/Meeting');
 const Task = require('../models/Task');
-const { uploadImage, uploadImageBuffer } = require('../config/cloudinary');
+const { uploadBuffer } = require('../services/storage');
 const { getCache, setCache, delCache } = require('../utils/cache');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/emailService');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+const PASSWORD_RESET_EXPIRE_MINUTES = 60;
+
+// When enabled, unverified accounts cannot sign in
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Generate short-lived JWT access token bound to a session
+ */
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+    });
+};
+
+/**
+ * Refresh tokens are opaque random strings; only their hash is stored
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
 
 /**
- * Generate JWT Token
+ * Start a new device session and issue its token pair
  */
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
+const createSession = async (userId, req) => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.headers['user-agent'],
+        lastIp: req.ip,
+        lastUsedAt: new Date(),
+        expiresAt: getRefreshExpiry()
     });
+
+    return {
+        token: generateToken(userId, session._id),
+        refreshToken
+    };
+};
+
+/**
+ * Issue a reset token and email it
+ * Runs after the response is sent, so how long it takes can't tell whether the account exists.
+ */
+const sendPasswordReset = async (user) => {
+    const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRE_MINUTES);
+    await user.save();
+
+    try {
+        await sendPasswordResetEmail(user, resetToken, PASSWORD_RESET_EXPIRE_MINUTES);
+    } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+    }
+};
+
+/**
+ * Issue a new email verification token and email it (after the response, see sendPasswordReset)
+ */
+const sendVerification = async (user) => {
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    try {
+        await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+        console.error('Verification email error:', mailError);
+    }
+};
+
+// Tell the signed-out device(s) to drop their tokens
+const emitSessionRevoked = (req, userId, sessionIds) => {
+    const io = req.app.get('io');
+    if (io) {
+        io.to(userId.toString()).emit('auth:session_revoked', { sessionIds });
+    }
 };
 
 /**
@@ -34,7 +112,7 @@ exports.signup = async (req, res) => {
         }
 
         // Create user
-        const user = await User.create({
+        const user = new User({
             email,
             password,
             displayName,
@@ -45,16 +123,37 @@ exports.signup = async (req, res) => {
                 publicId: 'default-ai'
             }
         });
+        const verificationToken = user.createEmailVerificationToken();
+        await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Send verification email (don't fail signup if mail is down)
+        try {
+            await sendVerificationEmail(user, verificationToken);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
+
+        if (isEmailVerificationRequired()) {
+            return res.status(201).json({
+                success: true,
+                message: 'User registered successfully. Please verify your email to sign in.',
+                data: {
+                    user: user.getPublicProfile(),
+                    requiresEmailVerification: true
+                }
+            });
+        }
+
+        // Generate token pair
+        const { token, refreshToken } = await createSession(user._id, req);
 
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             data: {
                 user: user.getPublicProfile(),
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -101,6 +200,14 @@ exports.signin = async (req, res) => {
             });
         }
 
+        if (isEmailVerificationRequired() && !user.isEmailVerified) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email before signing in',
+                errorType: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
         user.isOnline = true;
         user.lastSeen = new Date();
         await user.save();
@@ -108,15 +215,16 @@ exports.signin = async (req, res) => {
         // Invalidate profile cache
         await delCache(`user:profile:${user._id}`);
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Generate token pair
+        const { token, refreshToken } = await createSession(user._id, req);
 
         res.status(200).json({
             success: true,
             message: 'Login successful',
             data: {
                 user: user.getPublicProfile(),
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -128,6 +236,371 @@ exports.signin = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Send password reset email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+exports.forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email'
+            });
+        }
+
+        // Same response whether or not the account exists
+        const genericResponse = {
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        };
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+        res.status(200).json(genericResponse);
+
+        if (user) {
+            sendPasswordReset(user).catch(error => console.error('Password reset error:', error));
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error processing request'
+        });
+    }
+};
+
+/**
+ * @desc    Reset password with emailed token
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide token and new password'
+            });
+        }
+
+        const user = await User.findOne({
+            passwordResetToken: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        }).select('+passwordResetToken +passwordResetExpires');
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        // Single use
+        user.password = password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        // Receiving the email proves ownership of the address
+        user.isEmailVerified = true;
+        user.tokensRevokedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+        await user.save();
+
+        // Sign out every device that used the old password
+        await Session.updateMany(
+            { userId: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+        await delCache(`user:profile:${user._id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please sign in with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(val => val.message).join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password'
+        });
+    }
+};
+
+/**
+ * @desc    Verify email with emailed token
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a verification token'
+            });
+        }
+
+        const user = await User.findOne({
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() }
+        }).select('+emailVerificationToken +emailVerificationExpires');
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+
+        user.isEmailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save();
+
+        await delCache(`user:profile:${user._id}`);
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying email'
+        });
+    }
+};
+
+/**
+ * @desc    Resend verification email
+ * @route   POST /api/auth/resend-verification
+ * @access  Public
+ */
+exports.resendVerification = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email'
+            });
+        }
+
+        const genericResponse = {
+            success: true,
+            message: 'If this email needs verification, a new link has been sent'
+        };
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+        res.status(200).json(genericResponse);
+
+        if (user && !user.isEmailVerified) {
+            sendVerification(user).catch(error => console.error('Resend verification error:', error));
+        }
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error processing request'
+        });
+    }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a refresh token'
+            });
+        }
+
+        const tokenHash = hashToken(refreshToken);
+        const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+        if (!session) {
+            // A rotated-out token being replayed means it leaked - kill that session
+            const compromised = await Session.findOne({ previousTokenHash: tokenHash });
+            if (compromised && !compromised.revokedAt) {
+                compromised.revokedAt = new Date();
+                await compromised.save();
+                emitSessionRevoked(req, compromised.userId, [compromised._id]);
+                console.warn(`[Auth] Refresh token reuse detected for session ${compromised._id}`);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        if (!session.isActive()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been signed out'
+            });
+        }
+
+        const user = await User.findById(session.userId).select('_id');
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Rotate
+        const newRefreshToken = generateRefreshToken();
+        session.previousTokenHash = tokenHash;
+        session.refreshTokenHash = hashToken(newRefreshToken);
+        session.lastUsedAt = new Date();
+        session.lastIp = req.ip;
+        session.userAgent = req.headers['user-agent'] || session.userAgent;
+        session.expiresAt = getRefreshExpiry();
+        await session.save();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                token: generateToken(user._id, session._id),
+                refreshToken: newRefreshToken
+            }
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing token'
+        });
+    }
+};
+
+/**
+ * @desc    List active sessions (devices) of current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(s => s.getPublicSession(req.sessionId))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sessions'
+        });
+    }
+};
+
+/**
+ * @desc    Sign out a single device
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res) => {
+    try {
+        const session = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Session.findOne({ _id: req.params.id, userId: req.user._id })
+            : null;
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (!session.revokedAt) {
+            session.revokedAt = new Date();
+            await session.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session signed out'
+        });
+
+        emitSessionRevoked(req, req.user._id, [session._id]);
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error signing out session'
+        });
+    }
+};
+
+/**
+ * @desc    Sign out everywhere (optionally keeping the current device)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeAllSessions = async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true' && req.sessionId;
+
+        const query = { userId: req.user._id, revokedAt: null };
+        if (keepCurrent) query._id = { $ne: req.sessionId };
+
+        const sessions = await Session.find(query).select('_id');
+        await Session.updateMany(query, { $set: { revokedAt: new Date() } });
+
+        // Also invalidate access tokens that predate sessions
+        if (!keepCurrent) {
+            await User.updateOne(
+                { _id: req.user._id },
+                { $set: { tokensRevokedAt: new Date(Math.floor(Date.now() / 1000) * 1000) } }
+            );
+            await delCache(`user:profile:${req.user._id}`);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: keepCurrent ? 'Signed out of all other devices' : 'Signed out of all devices',
+            count: sessions.length
+        });
+
+        emitSessionRevoked(req, req.user._id, sessions.map(s => s._id));
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error signing out sessions'
+        });
+    }
+};
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
@@ -140,6 +613,14 @@ exports.logout = async (req, res) => {
         user.lastSeen = new Date();
         await user.save();
 
+        // Revoke this device's session so its refresh token stops working
+        if (req.sessionId) {
+            await Session.updateOne(
+                { _id: req.sessionId, userId: req.user._id },
+                { $set: { revokedAt: new Date() } }
+            );
+        }
+
         res.status(200).json({
             success: true,
             message: 'Logout successful'
@@ -312,8 +793,8 @@ exports.uploadProfilePicture = async (req, res) => {
             });
         }
 
-        // Upload to Cloudinary using buffer
-        const result = await uploadImageBuffer(buffer, 'mavericks/profiles');
+        // Upload to media storage
+        const result = await uploadBuffer(buffer, 'mavericks/profiles');
 
         // Update user
         const user = await User.findById(req.user._id);
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const Meeting = require('../models/Meeting');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const CalendarTombstone = require('../models/CalendarTombstone');
+const { getCache, setCache } = require('../utils/cache');
+const { buildCalendar, getSequence, getUid, isCancelled } = require('../utils/ics');
+const { generateDueOccurrences } = require('../services/meetingSeriesService');
+const { DEFAULT_MEETING_MINUTES } = require('../utils/meetingSchedule');
+
+const DEFAULT_EVENT_MINUTES = 120;
+// How far back feeds reach; older entries drop out of subscribed calendars
+const FEED_HISTORY_DAYS = 90;
+const FEED_CACHE_SECONDS = 300;
+
+const getBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+// Meetings not yet migrated to startsAt fall back to date + time on the server clock
+const getMeetingStart = (meeting) => {
+    if (meeting.startsAt) return meeting.startsAt;
+    const start = new Date(meeting.date);
+    const [hrs, mins] = (meeting.time || '').split(':').map(Number);
+    if (!isNaN(hrs) && !isNaN(mins)) start.setHours(hrs, mins, 0, 0);
+    return start;
+};
+
+const getMeetingLocation = (meeting) => {
+    if (meeting.mode === 'Online') {
+        return [meeting.platform, meeting.location].filter(Boolean).join(' - ');
+    }
+    const place = meeting.locationCategory === 'Classroom' && meeting.classroomNumber
+        ? `Classroom ${meeting.classroomNumber}`
+        : meeting.locationCategory === 'Other' ? meeting.otherLocationName : meeting.locationCategory;
+    return [place, meeting.location].filter(Boolean).join(' - ');
+};
+
+const meetingToEntry = (meeting) => {
+    const start = getMeetingStart(meeting);
+    const clubName = meeting.clubId?.name;
+    return {
+        uid: getUid('meeting', meeting._id),
+        sequence: getSequence(meeting),
+        start,
+        end: meeting.endsAt || new Date(start.getTime() + DEFAULT_MEETING_MINUTES * 60 * 1000),
+        summary: clubName ? `${meeting.name} (${clubName})` : meeting.name,
+        description: [meeting.type && `${meeting.type} meeting`, meeting.description].filter(Boolean).join('\n\n'),
+        location: getMeetingLocation(meeting),
+        lastModified: meeting.updatedAt,
+        status: isCancelled(meeting.status) ? 'CANCELLED' : 'CONFIRMED'
+    };
+};
+
+const eventToEntry = (event) => ({
+    uid: getUid('event', event._id),
+    sequence: getSequence(event),
+    start: event.date,
+    end: new Date(new Date(event.date).getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000),
+    summary: event.title,
+    description: event.description,
+    location: event.location,
+    lastModified: event.updatedAt,
+    status: isCancelled(event.status) ? 'CANCELLED' : 'CONFIRMED'
+});
+
+// Deleted meetings/events stay in the feed as cancelled so calendars remove them
+const tombstoneToEntry = (tombstone) => {
+    const minutes = tombstone.kind === 'event' ? DEFAULT_EVENT_MINUTES : DEFAULT_MEETING_MINUTES;
+    const clubName = tombstone.kind === 'meeting' && tombstone.clubId?.name;
+    return {
+        uid: tombstone.uid,
+        sequence: tombstone.sequence,
+        start: tombstone.start,
+        end: tombstone.end || new Date(tombstone.start.getTime() + minutes * 60 * 1000),
+        summary: clubName ? `${tombstone.summary} (${clubName})` : tombstone.summary,
+        lastModified: tombstone.deletedAt,
+        status: 'CANCELLED'
+    };
+};
+
+const getJoinedClubIds = (user) => user.clubsJoined
+    .filter(c => c.clubId)
+    .map(c => (c.clubId._id || c.clubId).toString());
+
+const ensureCalendarToken = async (userId) => {
+    const user = await User.findById(userId).select('+calendarToken');
+    if (!user.calendarToken) {
+        user.calendarToken = crypto.randomBytes(24).toString('hex');
+        await user.save();
+    }
+    return user.calendarToken;
+};
+
+const buildFeedUrls = (req, user, token) => {
+    const base = `${getBaseUrl(req)}/api/calendar/feed/${token}.ics`;
+    return {
+        all: base,
+        webcal: base.replace(/^https?:/, 'webcal:'),
+        clubs: user.clubsJoined
+            .filter(c => c.clubId)
+            .map(c => ({
+                clubId: c.clubId._id || c.clubId,
+                name: c.clubId.name,
+                url: `${base}?club=${c.clubId._id || c.clubId}`
+            }))
+    };
+};
+
+/**
+ * @desc    Get my calendar subscription URLs (all my clubs, or one club)
+ * @route   GET /api/calendar/feed
+ * @access  Private
+ */
+exports.getCalendarFeedUrls = async (req, res) => {
+    try {
+        const token = await ensureCalendarToken(req.user._id);
+        const user = await User.findById(req.user._id).populate('clubsJoined.clubId', 'name');
+
+        res.status(200).json({ success: true, data: buildFeedUrls(req, user, token) });
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({ success: false, message: 'Error creating calendar feed' });
+    }
+};
+
+/**
+ * @desc    Replace my calendar token (old subscription URLs stop working)
+ * @route   POST /api/calendar/feed/rotate
+ * @access  Private
+ */
+exports.rotateCalendarToken = async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+        await User.updateOne({ _id: req.user._id }, { $set: { calendarToken: token } });
+        const user = await User.findById(req.user._id).populate('clubsJoined.clubId', 'name');
+
+        res.status(200).json({
+            success: true,
+            message: 'Calendar link reset. Re-subscribe with the new URL.',
+            data: buildFeedUrls(req, user, token)
+        });
+    } catch (error) {
+        console.error('Rotate calendar token error:', error);
+        res.status(500).json({ success: false, message: 'Error resetting calendar link' });
+    }
+};
+
+/**
+ * @desc    ICS subscription feed of my clubs' meetings and events (?club= for one club)
+ * @route   GET /api/calendar/feed/:token.ics
+ * @access  Public (the token identifies the user)
+ */
+exports.getCalendarFeed = async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarToken: req.params.token }).select('displayName clubsJoined');
+        if (!user) return res.status(404).json({ success: false, message: 'Calendar not found' });
+
+        const clubFilter = req.query.club;
+        const joinedClubIds = getJoinedClubIds(user);
+        if (clubFilter && !joinedClubIds.includes(clubFilter)) {
+            return res.status(404).json({ success: false, message: 'Calendar not found' });
+        }
+        const clubIds = clubFilter ? [clubFilter] : joinedClubIds;
+
+        const cacheKey = `calendar:feed:${user._id}:${clubFilter || 'all'}`;
+        let body = await getCache(cacheKey);
+
+        if (!body) {
+            await generateDueOccurrences({ clubId: { $in: clubIds } });
+
+            const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+            const eventClubs = clubFilter ? { clubId: clubFilter } : { $or: [{ clubId: { $in: clubIds } }, { clubId: null }] };
+
+            const [meetings, events, tombstones] = await Promise.all([
+                Meeting.find({ clubId: { $in: clubIds }, date: { $gte: since } }).populate('clubId', 'name'),
+                Event.find({ ...eventClubs, date: { $gte: since } }),
+                CalendarTombstone.find({
+                    $or: [{ kind: 'meeting', clubId: { $in: clubIds } }, { kind: 'event', ...eventClubs }],
+                    start: { $gte: since }
+                }).populate('clubId', 'name')
+            ]);
+
+            body = buildCalendar({
+                name: clubFilter && meetings[0]?.clubId?.name ? `${meetings[0].clubId.name} - Aura` : 'Aura Meetings',
+                entries: [...meetings.map(meetingToEntry), ...events.map(eventToEntry), ...tombstones.map(tombstoneToEntry)]
+            });
+            await setCache(cacheKey, body, FEED_CACHE_SECONDS);
+        }
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', `private, max-age=${FEED_CACHE_SECONDS}`);
+        res.status(200).send(body);
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({ success: false, message: 'Error building calendar feed' });
+    }
+};
+
+/**
+ * @desc    Download a single meeting as .ics
+ * @route   GET /api/meetings/:id/ics
+ * @access  Club Members (meeting:view)
+ */
+exports.downloadMeetingIcs = async (req, res) => {
+    try {
+        const meeting = await Meeting.findById(req.params.id).populate('clubId', 'name');
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        const body = buildCalendar({ name: meeting.name, entries: [meetingToEntry(meeting)] });
+        const filename = meeting.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '') || 'meeting';
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.ics"`);
+        res.status(200).send(body);
+    } catch (error) {
+        console.error('Download meeting ics error:', error);
+        res.status(500).json({ success: false, message: 'Error exporting meeting' });
+    }
+};
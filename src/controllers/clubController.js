@@ -3,8 +3,24 @@ const User = require('../models/User');
 const Notification = require('../models/Notification');
 const GroupChat = require('../models/GroupChat');
 const { sendPushNotification } = require('../utils/pushNotifications');
-const { uploadImageBuffer } = require('../config/cloudinary');
+const { uploadBuffer } = require('../services/storage');
 const { getCache, setCache, delCache } = require('../utils/cache');
+const {
+    getClubRolePermissions,
+    diffRolePermissions,
+    invalidateClubPermissions
+} = require('../utils/permissions');
+const {
+    CLUB_PERMISSIONS,
+    CLUB_ROLES,
+    DEFAULT_CLUB_ROLE_PERMISSIONS,
+    LOCKED_ADMIN_PERMISSIONS,
+    isClubPermission
+} = require('../config/permissions');
+const { LOCATION_CATEGORIES, GEOFENCE_MODES, validateGeofence } = require('../utils/geofence');
+const { ESCALATION_ACTIONS, getEscalationLadder, validateEscalationLadder } = require('../utils/attendancePolicy');
+const { isValidTimezone } = require('../utils/timezone');
+const { CONFLICT_MODES } = require('../utils/meetingSchedule');
 
 /**
  * @desc    Get all clubs
@@ -67,7 +83,7 @@ exports.createClub = async (req, res) => {
 
         // Handle image upload if provided
         if (req.file) {
-            const result = await uploadImageBuffer(req.file.buffer, 'aura/collectives');
+            const result = await uploadBuffer(req.file.buffer, 'aura/collectives', { mimeType: req.file.mimetype });
             logo = {
                 url: result.url,
                 publicId: result.publicId
@@ -115,7 +131,7 @@ exports.createClub = async (req, res) => {
 /**
  * @desc    Update club details (Name, Description, Logo)
  * @route   PUT /api/clubs/:id
- * @access  Private (Club Admins/Members)
+ * @access  Club Admin (club:update)
  */
 exports.updateClub = async (req, res) => {
     try {
@@ -125,12 +141,6 @@ exports.updateClub = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Club not found' });
         }
 
-        // Check if user is authorized (Admin or Club Member)
-        const isMember = req.user.clubsJoined.some(c => c.clubId.toString() === req.params.id);
-        if (!isMember && req.user.role !== 'admin') {
-            return res.status(403).json({ success: false, message: 'Not authorized to update this club' });
-        }
-
         const { name, description, logoUrl, publicId } = req.body;
         if (name) club.name = name;
         if (description) club.description = description;
@@ -138,13 +148,13 @@ exports.updateClub = async (req, res) => {
         // Handle Image Upload
         if (req.file) {
             try {
-                const result = await uploadImageBuffer(req.file.buffer, 'aura/collectives');
+                const result = await uploadBuffer(req.file.buffer, 'aura/collectives', { mimeType: req.file.mimetype });
                 club.logo = {
                     url: result.url,
                     publicId: result.publicId
                 };
             } catch (err) {
-                console.error('Cloudinary upload error:', err);
+                console.error('Media upload error:', err);
                 return res.status(500).json({ success: false, message: 'Image upload failed' });
             }
         } else if (logoUrl) {
@@ -172,7 +182,7 @@ exports.updateClub = async (req, res) => {
 /**
  * @desc    Update club logo using base64 (for Android compatibility)
  * @route   PUT /api/clubs/:id/logo-base64
- * @access  Admin/Subadmin/Club Admin
+ * @access  Club Admin (club:update)
  */
 exports.updateClubLogoBase64 = async (req, res) => {
     try {
@@ -186,18 +196,12 @@ exports.updateClubLogoBase64 = async (req, res) => {
             return res.status(400).json({ success: false, message: 'Please provide logo data' });
         }
 
-        // Check authorization
-        const isMember = req.user.clubsJoined.some(c => c.clubId.toString() === req.params.id);
-        if (!isMember && req.user.role !== 'admin') {
-            return res.status(403).json({ success: false, message: 'Unauthorized' });
-        }
-
         // Convert base64 to buffer
         const base64Data = logo.split(',')[1];
         const buffer = Buffer.from(base64Data, 'base64');
 
-        // Upload to Cloudinary
-        const result = await uploadImageBuffer(buffer, 'aura/collectives');
+        // Upload to media storage
+        const result = await uploadBuffer(buffer, 'aura/collectives');
 
         club.logo = {
             url: result.url,
@@ -219,25 +223,28 @@ exports.updateClubLogoBase64 = async (req, res) => {
 };
 
 /**
- * @desc    Get members with attendance warnings (3+ missed)
+ * @desc    Get members with attendance warnings (at or past the club's warning threshold)
  * @route   GET /api/clubs/:id/members-warnings
- * @access  Admin/Club Admin
+ * @access  Club Admin (member:view_warnings)
  */
 exports.getClubMembersWithWarnings = async (req, res) => {
     try {
         const clubId = req.params.id;
 
-        // Verify authorization (Admin or Club Admin)
-        const userClubRole = req.user.clubsJoined.find(c => c.clubId.toString() === clubId.toString())?.role;
-        if (req.user.role !== 'admin' && userClubRole !== 'admin') {
-            return res.status(403).json({ success: false, message: 'Not authorized to view warnings' });
+        const club = await Club.findById(clubId).select('settings');
+        if (!club) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
         }
 
+        // Lowest rung that is more than a nudge
+        const ladder = getEscalationLadder(club).filter(step => step.action !== 'nudge');
+        const threshold = ladder.length > 0 ? ladder[0].threshold : club.settings.attendanceWarningThreshold;
+
         const users = await User.find({
             'clubsJoined': {
                 $elemMatch: {
                     clubId: clubId,
-                    consecutiveAbsences: { $gte: 3 }
+                    consecutiveAbsences: { $gte: threshold }
                 }
             }
         }).select('displayName maverickId email phoneNumber clubsJoined');
@@ -253,6 +260,8 @@ exports.getClubMembersWithWarnings = async (req, res) => {
                 phoneNumber: user.phoneNumber,
                 role: clubInfo.role,
                 consecutiveAbsences: clubInfo.consecutiveAbsences,
+                status: clubInfo.status,
+                inactiveSince: clubInfo.inactiveSince,
                 joinedAt: clubInfo.joinedAt
             };
         });
@@ -260,6 +269,7 @@ exports.getClubMembersWithWarnings = async (req, res) => {
         res.status(200).json({
             success: true,
             count: results.length,
+            threshold,
             data: results
         });
     } catch (error) {
@@ -271,7 +281,7 @@ exports.getClubMembersWithWarnings = async (req, res) => {
 /**
  * @desc    Add member to club via Maverick ID
  * @route   POST /api/clubs/add-member
- * @access  Admin/Subadmin
+ * @access  Admin (member:manage)
  */
 exports.addMemberToClub = async (req, res) => {
     try {
@@ -410,7 +420,7 @@ exports.addMemberToClub = async (req, res) => {
 /**
  * @desc    Get members of a club
  * @route   GET /api/clubs/:id/members
- * @access  Private
+ * @access  Club Members (member:view)
  */
 exports.getClubMembers = async (req, res) => {
     try {
@@ -424,15 +434,6 @@ exports.getClubMembers = async (req, res) => {
             });
         }
 
-        // Enforce membership check: User must be in the club or be an admin
-        const isMember = req.user.clubsJoined.some(c => c.clubId.toString() === clubId) || req.user.role === 'admin';
-        if (!isMember) {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied. You must be a member of this club to view its members.'
-            });
-        }
-
         const cacheKey = `club:members:${clubId}`;
         const cachedMembers = await getCache(cacheKey);
 
@@ -468,7 +469,7 @@ exports.getClubMembers = async (req, res) => {
 /**
  * @desc    Remove member from club
  * @route   POST /api/clubs/remove-member
- * @access  Admin/Subadmin
+ * @access  Admin (member:manage)
  */
 exports.removeMemberFromClub = async (req, res) => {
     try {
@@ -587,6 +588,7 @@ exports.deleteClub = async (req, res) => {
         // Invalidate caches
         await delCache('clubs:all');
         await delCache(`club:members:${req.params.id}`);
+        await invalidateClubPermissions(req.params.id);
 
         res.status(200).json({
             success: true,
@@ -600,3 +602,303 @@ exports.deleteClub = async (req, res) => {
         });
     }
 };
+
+/**
+ * @desc    Get role -> permission mapping of a club
+ * @route   GET /api/clubs/:id/permissions
+ * @access  Club Admin (club:manage_roles)
+ */
+exports.getClubPermissions = async (req, res) => {
+    try {
+        const mappings = await getClubRolePermissions(req.params.id);
+        if (!mappings) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                rolePermissions: mappings,
+                defaults: DEFAULT_CLUB_ROLE_PERMISSIONS,
+                available: CLUB_PERMISSIONS
+            }
+        });
+    } catch (error) {
+        console.error('Get club permissions error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching club permissions' });
+    }
+};
+
+/**
+ * @desc    Update role -> permission mapping of a club (null restores a role's defaults)
+ *          Each list is saved as what it grants or revokes compared with the defaults, so
+ *          permissions added to the defaults later still reach the club.
+ * @route   PUT /api/clubs/:id/permissions
+ * @access  Club Admin (club:manage_roles)
+ */
+exports.updateClubPermissions = async (req, res) => {
+    try {
+        const { rolePermissions } = req.body;
+
+        if (!rolePermissions || typeof rolePermissions !== 'object') {
+            return res.status(400).json({ success: false, message: 'rolePermissions is required' });
+        }
+
+        const club = await Club.findById(req.params.id);
+        if (!club) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        // Start from the saved overrides; roles not in the request keep theirs
+        const saved = club.toObject().rolePermissions || {};
+        const overrides = {};
+        CLUB_ROLES.forEach(role => {
+            overrides[role] = saved[role] || undefined;
+        });
+
+        for (const [role, permissions] of Object.entries(rolePermissions)) {
+            if (!CLUB_ROLES.includes(role)) {
+                return res.status(400).json({ success: false, message: `Invalid role: ${role}` });
+            }
+
+            if (permissions === null) {
+                overrides[role] = undefined;
+                continue;
+            }
+
+            if (!Array.isArray(permissions)) {
+                return res.status(400).json({ success: false, message: `Permissions for ${role} must be an array` });
+            }
+
+            const unknown = permissions.filter(p => !isClubPermission(p));
+            if (unknown.length > 0) {
+                return res.status(400).json({ success: false, message: `Unknown permissions: ${unknown.join(', ')}` });
+            }
+
+            if (role === 'admin') {
+                const missing = LOCKED_ADMIN_PERMISSIONS.filter(p => !permissions.includes(p));
+                if (missing.length > 0) {
+                    return res.status(400).json({ success: false, message: `Admins must keep: ${missing.join(', ')}` });
+                }
+            }
+
+            overrides[role] = diffRolePermissions(role, [...new Set(permissions)]) || undefined;
+        }
+
+        club.rolePermissions = overrides;
+        await club.save();
+        await invalidateClubPermissions(club._id);
+
+        const mappings = await getClubRolePermissions(club._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Club permissions updated',
+            data: { rolePermissions: mappings }
+        });
+
+        // Let connected admin screens refresh
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`club:${club._id}`).emit('club_permissions_updated', { clubId: club._id.toString() });
+        }
+    } catch (error) {
+        console.error('Update club permissions error:', error);
+        res.status(500).json({ success: false, message: 'Error updating club permissions' });
+    }
+};
+
+/**
+ * @desc    Get attendance geofences of a club
+ * @route   GET /api/clubs/:id/geofences
+ * @access  Club Members (meeting:view)
+ */
+exports.getClubGeofences = async (req, res) => {
+    try {
+        const club = await Club.findById(req.params.id).select('settings');
+        if (!club) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                mode: club.settings.geofenceMode,
+                geofences: club.settings.attendanceGeofences,
+                locationCategories: LOCATION_CATEGORIES
+            }
+        });
+    } catch (error) {
+        console.error('Get club geofences error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching geofences' });
+    }
+};
+
+/**
+ * @desc    Update attendance geofences of a club (replaces the whole list)
+ * @route   PUT /api/clubs/:id/geofences
+ * @access  Club Admin (club:update)
+ */
+exports.updateClubGeofences = async (req, res) => {
+    try {
+        const { mode, geofences } = req.body;
+
+        if (mode !== undefined && !GEOFENCE_MODES.includes(mode)) {
+            return res.status(400).json({ success: false, message: `Mode must be one of: ${GEOFENCE_MODES.join(', ')}` });
+        }
+
+        if (geofences !== undefined) {
+            if (!Array.isArray(geofences)) {
+                return res.status(400).json({ success: false, message: 'geofences must be an array' });
+            }
+
+            const seen = new Set();
+            for (const fence of geofences) {
+                if (!LOCATION_CATEGORIES.includes(fence?.locationCategory)) {
+                    return res.status(400).json({ success: false, message: `Invalid location category: ${fence?.locationCategory}` });
+                }
+                if (seen.has(fence.locationCategory)) {
+                    return res.status(400).json({ success: false, message: `Duplicate geofence for ${fence.locationCategory}` });
+                }
+                seen.add(fence.locationCategory);
+
+                const geofenceError = validateGeofence(fence);
+                if (geofenceError) {
+                    return res.status(400).json({ success: false, message: `${fence.locationCategory}: ${geofenceError}` });
+                }
+            }
+        }
+
+        const club = await Club.findById(req.params.id);
+        if (!club) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        if (mode !== undefined) club.settings.geofenceMode = mode;
+        if (geofences !== undefined) {
+            club.settings.attendanceGeofences = geofences.map(({ locationCategory, latitude, longitude, radiusMeters }) => ({
+                locationCategory, latitude, longitude, radiusMeters
+            }));
+        }
+
+        await club.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Geofences updated',
+            data: {
+                mode: club.settings.geofenceMode,
+                geofences: club.settings.attendanceGeofences
+            }
+        });
+    } catch (error) {
+        console.error('Update club geofences error:', error);
+        res.status(500).json({ success: false, message: 'Error updating geofences' });
+    }
+};
+
+const formatClubSettings = (club) => ({
+    timezone: club.timezone,
+    meetingConflictMode: club.settings.meetingConflictMode,
+    attendanceWarningThreshold: club.settings.attendanceWarningThreshold,
+    allowMemberInvites: club.settings.allowMemberInvites,
+    requireAbsenceApproval: club.settings.requireAbsenceApproval,
+    attendanceEscalation: getEscalationLadder(club),
+    isDefaultEscalation: !Array.isArray(club.settings.attendanceEscalation)
+});
+
+/**
+ * @desc    Get club settings
+ * @route   GET /api/clubs/:id/settings
+ * @access  Club Admin (club:update)
+ */
+exports.getClubSettings = async (req, res) => {
+    try {
+        const club = await Club.findById(req.params.id).select('settings timezone');
+        if (!club) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...formatClubSettings(club),
+                escalationActions: ESCALATION_ACTIONS,
+                conflictModes: CONFLICT_MODES
+            }
+        });
+    } catch (error) {
+        console.error('Get club settings error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching club settings' });
+    }
+};
+
+/**
+ * @desc    Update club settings (attendanceEscalation: null restores the default ladder)
+ * @route   PUT /api/clubs/:id/settings
+ * @access  Club Admin (club:update)
+ */
+exports.updateClubSettings = async (req, res) => {
+    try {
+        const { timezone, meetingConflictMode, attendanceWarningThreshold, allowMemberInvites, requireAbsenceApproval, attendanceEscalation } = req.body;
+
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+            return res.status(400).json({ success: false, message: 'timezone must be an IANA timezone, e.g. Asia/Kolkata' });
+        }
+
+        if (meetingConflictMode !== undefined && !CONFLICT_MODES.includes(meetingConflictMode)) {
+            return res.status(400).json({ success: false, message: `meetingConflictMode must be one of: ${CONFLICT_MODES.join(', ')}` });
+        }
+
+        if (attendanceWarningThreshold !== undefined &&
+            (!Number.isInteger(attendanceWarningThreshold) || attendanceWarningThreshold < 1)) {
+            return res.status(400).json({ success: false, message: 'attendanceWarningThreshold must be a positive whole number' });
+        }
+
+        for (const [key, value] of Object.entries({ allowMemberInvites, requireAbsenceApproval })) {
+            if (value !== undefined && typeof value !== 'boolean') {
+                return res.status(400).json({ success: false, message: `${key} must be true or false` });
+            }
+        }
+
+        if (attendanceEscalation !== undefined && attendanceEscalation !== null) {
+            const ladderError = validateEscalationLadder(attendanceEscalation);
+            if (ladderError) {
+                return res.status(400).json({ success: false, message: ladderError });
+            }
+        }
+
+        const club = await Club.findById(req.params.id);
+        if (!club) {
+            return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        // Existing meetings keep their instants; only new times are read in the new timezone
+        if (timezone !== undefined) club.timezone = timezone;
+        if (meetingConflictMode !== undefined) club.settings.meetingConflictMode = meetingConflictMode;
+        if (attendanceWarningThreshold !== undefined) club.settings.attendanceWarningThreshold = attendanceWarningThreshold;
+        if (allowMemberInvites !== undefined) club.settings.allowMemberInvites = allowMemberInvites;
+        if (requireAbsenceApproval !== undefined) club.settings.requireAbsenceApproval = requireAbsenceApproval;
+
+        if (attendanceEscalation === null) {
+            club.settings.attendanceEscalation = undefined;
+        } else if (attendanceEscalation !== undefined) {
+            club.settings.attendanceEscalation = attendanceEscalation.map(({ action, threshold }) => ({ action, threshold }));
+
+            // Keep the legacy threshold in line with the ladder's warning step
+            const warning = attendanceEscalation.find(step => step.action === 'warning');
+            if (warning) club.settings.attendanceWarningThreshold = warning.threshold;
+        }
+
+        await club.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Club settings updated',
+            data: formatClubSettings(club)
+        });
+    } catch (error) {
+        console.error('Update club settings error:', error);
+        res.status(500).json({ success: false, message: 'Error updating club settings' });
+    }
+};
@@ -173,8 +173,8 @@ exports.uploadFile = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No file uploaded' });
         }
 
-        const { uploadImageBuffer } = require('../config/cloudinary');
-        const result = await uploadImageBuffer(req.file.buffer, 'aura/form-submissions');
+        const { uploadBuffer } = require('../services/storage');
+        const result = await uploadBuffer(req.file.buffer, 'aura/form-submissions', { mimeType: req.file.mimetype });
 
         res.status(200).json({
             success: true,
@@ -1,7 +1,20 @@
 const Event = require('../models/Event');
-const { uploadImageBuffer, deleteImage } = require('../config/cloudinary');
+const User = require('../models/User');
+const { uploadBuffer, deleteFile } = require('../services/storage');
 const { getCache, setCache, delCache } = require('../utils/cache');
 const { sendEventNotification } = require('../services/notificationHelpers');
+const { hasPermission } = require('../utils/permissions');
+const { validateRsvp, setRsvp, getRsvp, summarizeRsvps } = require('../utils/rsvp');
+const { remindNonResponders } = require('../services/rsvpService');
+const { recordTombstones } = require('../services/calendarTombstoneService');
+const { changesSchedule, EVENT_SCHEDULE_FIELDS } = require('../utils/ics');
+
+// Event organisers: the creator or anyone who may edit the event
+const canManageEvent = async (user, event) => {
+    const creatorId = event.createdBy?._id || event.createdBy;
+    if (creatorId && creatorId.toString() === user._id.toString()) return true;
+    return hasPermission(user, 'event:update', event.clubId?._id || event.clubId);
+};
 
 /**
  * @desc    Create a new event
@@ -19,7 +32,7 @@ exports.createEvent = async (req, res) => {
                 try {
                     const base64Data = imgBase64.includes(',') ? imgBase64.split(',')[1] : imgBase64;
                     const buffer = Buffer.from(base64Data, 'base64');
-                    const result = await uploadImageBuffer(buffer, 'mavericks/events');
+                    const result = await uploadBuffer(buffer, 'mavericks/events');
                     images.push(result);
                 } catch (imgErr) {
                     console.error('Single image upload failed:', imgErr);
@@ -105,21 +118,103 @@ exports.getEventById = async (req, res) => {
     try {
         const event = await Event.findById(req.params.id)
             .populate('clubId', 'name logo')
-            .populate('createdBy', 'displayName');
+            .populate('createdBy', 'displayName')
+            .populate('rsvps.userId', 'displayName maverickId profilePicture');
 
         if (!event) {
             return res.status(404).json({ success: false, message: 'Event not found' });
         }
 
+        const data = event.toObject();
+
+        // Everyone sees the headcount; who answered what is for organisers
+        const memberCount = event.clubId
+            ? await User.countDocuments({ 'clubsJoined.clubId': event.clubId._id })
+            : undefined;
+        data.rsvpSummary = summarizeRsvps(data.rsvps, memberCount);
+        data.myRsvp = getRsvp(data, req.user._id);
+        if (!await canManageEvent(req.user, event)) {
+            delete data.rsvps;
+        }
+
         res.status(200).json({
             success: true,
-            data: event
+            data
         });
     } catch (error) {
         res.status(500).json({ success: false, message: 'Error fetching event' });
     }
 };
 
+/**
+ * @desc    RSVP to an event (going / maybe / not_going, optional comment)
+ * @route   PUT /api/events/:id/rsvp
+ * @access  Club Members (meeting:rsvp); anyone for events without a club
+ */
+exports.rsvpEvent = async (req, res) => {
+    try {
+        const { status, comment } = req.body;
+        const rsvpError = validateRsvp({ status, comment });
+        if (rsvpError) return res.status(400).json({ success: false, message: rsvpError });
+
+        const event = await Event.findById(req.params.id);
+        if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
+
+        if (event.status !== 'upcoming') {
+            return res.status(400).json({ success: false, message: `Cannot RSVP to a ${event.status} event` });
+        }
+
+        const rsvp = setRsvp(event, req.user._id, { status, comment });
+        await event.save();
+        await delCache('events:all');
+
+        const memberCount = event.clubId
+            ? await User.countDocuments({ 'clubsJoined.clubId': event.clubId })
+            : undefined;
+        const summary = summarizeRsvps(event.rsvps, memberCount);
+        res.status(200).json({ success: true, message: 'RSVP saved', data: { rsvp, summary } });
+
+        const io = req.app.get('io');
+        if (io) {
+            const room = event.clubId ? `club:${event.clubId}` : null;
+            (room ? io.to(room) : io).emit('event_rsvp_updated', { eventId: event._id, clubId: event.clubId, summary });
+        }
+    } catch (error) {
+        console.error('RSVP event error:', error);
+        res.status(500).json({ success: false, message: 'Error saving RSVP' });
+    }
+};
+
+/**
+ * @desc    Ask club members who haven't RSVP'd yet whether they are coming
+ * @route   POST /api/events/:id/rsvp-reminder
+ * @access  Event organiser (event:update)
+ */
+exports.remindEventRsvps = async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+        if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
+
+        if (!event.clubId) {
+            return res.status(400).json({ success: false, message: 'RSVP reminders are only sent for club events' });
+        }
+        if (event.status !== 'upcoming') {
+            return res.status(400).json({ success: false, message: `Cannot send RSVP reminders for a ${event.status} event` });
+        }
+
+        const reminded = await remindNonResponders(event, 'event', req);
+
+        res.status(200).json({
+            success: true,
+            message: reminded > 0 ? `Reminder sent to ${reminded} members` : 'Everyone has already responded',
+            data: { reminded }
+        });
+    } catch (error) {
+        console.error('Event RSVP reminder error:', error);
+        res.status(500).json({ success: false, message: 'Error sending RSVP reminders' });
+    }
+};
+
 /**
  * @desc    Delete event
  * @route   DELETE /api/events/:id
@@ -139,14 +234,22 @@ exports.updateEvent = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Event not found' });
         }
 
-        // Handle image deletions
+        // Moving an event needs event:update in the club it moves to as well (global admins for no club)
+        const currentClubId = event.clubId ? event.clubId.toString() : null;
+        if (clubId !== undefined && (clubId || null) !== currentClubId &&
+            !await hasPermission(req.user, 'event:update', clubId || null)) {
+            return res.status(403).json({ success: false, message: 'You do not have permission to move this event to that club' });
+        }
+
+        // Handle image deletions (only this event's own images)
         if (imagesToRemove && Array.isArray(imagesToRemove)) {
-            for (const publicId of imagesToRemove) {
+            const ownImages = new Set(event.images.map(img => img.publicId).filter(Boolean));
+            for (const publicId of imagesToRemove.filter(id => ownImages.has(id))) {
                 try {
-                    await deleteImage(publicId);
+                    await deleteFile(publicId);
                     event.images = event.images.filter(img => img.publicId !== publicId);
                 } catch (delErr) {
-                    console.error('Cloudinary delete failed:', delErr);
+                    console.error('Media delete failed:', delErr);
                 }
             }
         }
@@ -157,7 +260,7 @@ exports.updateEvent = async (req, res) => {
                 try {
                     const base64Data = imgBase64.includes(',') ? imgBase64.split(',')[1] : imgBase64;
                     const buffer = Buffer.from(base64Data, 'base64');
-                    const result = await uploadImageBuffer(buffer, 'mavericks/events');
+                    const result = await uploadBuffer(buffer, 'mavericks/events');
                     event.images.push(result);
                 } catch (imgErr) {
                     console.error('Image upload failed:', imgErr);
@@ -165,10 +268,18 @@ exports.updateEvent = async (req, res) => {
             }
         }
 
+        // Moved or (un)cancelled: subscribed calendars replace their copy
+        if (changesSchedule(event, { date: date || undefined, location: location || undefined, status: status || undefined }, EVENT_SCHEDULE_FIELDS)) {
+            event.icsSequence += 1;
+        }
+
         // Update basic fields
         if (title) event.title = title;
         if (description) event.description = description;
-        if (date) event.date = date;
+        if (date && new Date(date).getTime() !== event.date?.getTime()) {
+            event.date = date;
+            event.rsvpReminderSent = false; // Moved: remind again before the new date
+        }
         if (location) event.location = location;
         if (status) event.status = status;
         if (clubId !== undefined) event.clubId = clubId || null;
@@ -191,17 +302,18 @@ exports.deleteEvent = async (req, res) => {
         const event = await Event.findById(req.params.id);
         if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
 
-        // Delete images from Cloudinary
+        // Delete images from media storage
         for (const img of event.images) {
             if (img.publicId) {
                 try {
-                    await deleteImage(img.publicId);
+                    await deleteFile(img.publicId);
                 } catch (delErr) {
-                    console.error('Cloudinary delete failed for image:', img.publicId);
+                    console.error('Media delete failed for image:', img.publicId);
                 }
             }
         }
 
+        await recordTombstones('event', [event]);
         await event.deleteOne();
         await delCache('events:all');
 
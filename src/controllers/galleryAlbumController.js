@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Gallery = require('../models/Gallery');
+const GalleryAlbum = require('../models/GalleryAlbum');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendPushNotificationToMany } = require('../utils/pushNotifications');
+const { VARIANT_NAMES, variantUrl } = require('../utils/mediaVariants');
+const { delCacheByPattern } = require('../utils/cache');
+const { hasPermission } = require('../utils/permissions');
+const {
+    canManageAlbum,
+    canContribute,
+    parseImageIds,
+    resolveAlbumLink,
+    resolveContributors,
+    addImagesToAlbum,
+    removeImagesFromAlbum,
+    reorderAlbumImages
+} = require('../services/galleryAlbumService');
+
+const findAlbum = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ success: false, message: 'Invalid album id' });
+        return null;
+    }
+    const album = await GalleryAlbum.findById(req.params.id);
+    if (!album) {
+        res.status(404).json({ success: false, message: 'Album not found' });
+        return null;
+    }
+    return album;
+};
+
+/**
+ * @desc    Create an album, optionally linked to one of the club's events or meetings
+ * @route   POST /api/gallery/albums/club/:clubId
+ * @access  Private (gallery:create_album)
+ */
+exports.createAlbum = async (req, res) => {
+    try {
+        const { clubId } = req.params;
+        const { title, description, eventId, meetingId, contributors } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(clubId)) {
+            return res.status(400).json({ success: false, message: 'Invalid club id' });
+        }
+
+        const link = await resolveAlbumLink(clubId, { eventId, meetingId });
+        if (link.error) return res.status(link.status).json({ success: false, message: link.error });
+
+        let contributorIds = [];
+        if (contributors !== undefined) {
+            const result = await resolveContributors(clubId, contributors);
+            if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+            contributorIds = result.ids;
+        }
+
+        // Albums by members who could approve them anyway go live straight away
+        const canApprove = await hasPermission(req.user, 'gallery:approve', clubId);
+
+        const album = await GalleryAlbum.create({
+            title,
+            description,
+            clubId,
+            eventId: link.eventId || undefined,
+            meetingId: link.meetingId || undefined,
+            contributors: contributorIds,
+            createdBy: req.user._id,
+            status: canApprove ? 'approved' : 'pending',
+            approvedBy: canApprove ? req.user._id : undefined
+        });
+
+        await delCacheByPattern('gallery:images:*');
+
+        res.status(201).json({
+            success: true,
+            data: album,
+            message: canApprove ? 'Album created' : 'Album created and sent for approval'
+        });
+
+        if (canApprove) return;
+
+        // Notify Admins
+        try {
+            const admins = await User.find({ role: 'admin' }).select('_id');
+            const adminIds = admins.map(a => a._id);
+
+            if (adminIds.length > 0) {
+                await Notification.insertMany(adminIds.map(adminId => ({
+                    userId: adminId,
+                    type: 'gallery_upload',
+                    title: 'New Gallery Album',
+                    message: `${req.user.displayName} created the album "${album.title}" for approval.`,
+                    relatedId: album._id,
+                    relatedModel: 'GalleryAlbum'
+                })));
+                await sendPushNotificationToMany(adminIds, {
+                    title: 'New Gallery Album 📸',
+                    body: `${req.user.displayName} created the album "${album.title}".`,
+                    data: { screen: 'Admin', params: { tab: 'Gallery' }, albumId: album._id.toString() }
+                }, req);
+            }
+        } catch (notifError) {
+            console.error('Error sending admin notifications:', notifError);
+        }
+    } catch (error) {
+        console.error('Create album error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        res.status(500).json({ success: false, message: 'Error creating album' });
+    }
+};
+
+/**
+ * @desc    An album with its photos in album order (?size=thumb|small|medium for thumbnailUrl)
+ *          Pending and rejected photos are only shown to their uploader, the album's managers and approvers.
+ * @route   GET /api/gallery/albums/:id
+ * @access  Private
+ */
+exports.getAlbum = async (req, res) => {
+    try {
+        const size = req.query.size || 'small';
+        if (!VARIANT_NAMES.includes(size)) {
+            return res.status(400).json({ success: false, message: `size must be one of: ${VARIANT_NAMES.join(', ')}` });
+        }
+
+        const album = await findAlbum(req, res);
+        if (!album) return;
+
+        const canReview = await canManageAlbum(req.user, album)
+            || await hasPermission(req.user, 'gallery:approve', album.clubId);
+        if (album.status !== 'approved' && !canReview && !await canContribute(req.user, album)) {
+            return res.status(404).json({ success: false, message: 'Album not found' });
+        }
+
+        const imageQuery = { albumId: album._id };
+        if (!canReview) imageQuery.$or = [{ status: 'approved' }, { uploadedBy: req.user._id }];
+
+        const [populated, images] = await Promise.all([
+            GalleryAlbum.findById(album._id)
+                .populate('createdBy', 'displayName profilePicture')
+                .populate('contributors', 'displayName profilePicture')
+                .populate('clubId', 'name')
+                .populate('eventId', 'title date')
+                .populate('meetingId', 'name date')
+                .lean(),
+            Gallery.find(imageQuery)
+                .populate('uploadedBy', 'displayName profilePicture')
+                .populate('comments.user', 'displayName profilePicture')
+                .sort({ albumPosition: 1, createdAt: 1 })
+                .lean()
+        ]);
+
+        images.forEach(image => {
+            image.thumbnailUrl = variantUrl(image.variants, size, image.imageUrl);
+        });
+
+        res.status(200).json({ success: true, data: { ...populated, images } });
+    } catch (error) {
+        console.error('Get album error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching album' });
+    }
+};
+
+/**
+ * @desc    Update album details, cover, linked event/meeting and contributors
+ *          Send eventId or meetingId as null to unlink.
+ * @route   PUT /api/gallery/albums/:id
+ * @access  Private (album creator, gallery:moderate)
+ */
+exports.updateAlbum = async (req, res) => {
+    try {
+        const album = await findAlbum(req, res);
+        if (!album) return;
+
+        if (!await canManageAlbum(req.user, album)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to update this album' });
+        }
+
+        const { title, description, coverImageId, eventId, meetingId, contributors } = req.body;
+
+        const link = await resolveAlbumLink(album.clubId, { eventId, meetingId });
+        if (link.error) return res.status(link.status).json({ success: false, message: link.error });
+        if (link.eventId !== undefined) album.eventId = link.eventId || undefined;
+        if (link.meetingId !== undefined) album.meetingId = link.meetingId || undefined;
+
+        if (contributors !== undefined) {
+            const result = await resolveContributors(album.clubId, contributors);
+            if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+            album.contributors = result.ids;
+        }
+
+        if (coverImageId !== undefined) {
+            if (coverImageId && !(mongoose.Types.ObjectId.isValid(coverImageId)
+                && await Gallery.exists({ _id: coverImageId, albumId: album._id }))) {
+                return res.status(400).json({ success: false, message: 'The cover must be one of the album\'s photos' });
+            }
+            album.coverImageId = coverImageId || undefined;
+        }
+
+        if (title !== undefined) album.title = title;
+        if (description !== undefined) album.description = description;
+
+        await album.save();
+        await delCacheByPattern('gallery:images:*');
+
+        res.status(200).json({ success: true, data: album });
+    } catch (error) {
+        console.error('Update album error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        res.status(500).json({ success: false, message: 'Error updating album' });
+    }
+};
+
+/**
+ * @desc    Delete an album; its photos stay in the gallery
+ * @route   DELETE /api/gallery/albums/:id
+ * @access  Private (album creator, gallery:moderate)
+ */
+exports.deleteAlbum = async (req, res) => {
+    try {
+        const album = await findAlbum(req, res);
+        if (!album) return;
+
+        if (!await canManageAlbum(req.user, album)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to delete this album' });
+        }
+
+        await Gallery.updateMany({ albumId: album._id }, { $unset: { albumId: 1, albumPosition: 1 } });
+        await album.deleteOne();
+        await delCacheByPattern('gallery:images:*');
+
+        res.status(200).json({ success: true, message: 'Album removed' });
+    } catch (error) {
+        console.error('Delete album error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting album' });
+    }
+};
+
+/**
+ * @desc    Add existing photos to the end of an album ({ imageIds })
+ * @route   POST /api/gallery/albums/:id/images
+ * @access  Private (album contributors; contributors can only add their own photos)
+ */
+exports.addAlbumImages = async (req, res) => {
+    try {
+        const { ids, error } = parseImageIds(req.body.imageIds);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const album = await findAlbum(req, res);
+        if (!album) return;
+
+        if (!await canContribute(req.user, album)) {
+            return res.status(403).json({ success: false, message: 'You are not a contributor to this album' });
+        }
+
+        const result = await addImagesToAlbum(album, ids, req.user);
+        if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+
+        await delCacheByPattern('gallery:images:*');
+
+        res.status(200).json({ success: true, data: { added: result.added } });
+    } catch (error) {
+        console.error('Add album images error:', error);
+        res.status(500).json({ success: false, message: 'Error adding photos to album' });
+    }
+};
+
+/**
+ * @desc    Take photos out of an album ({ imageIds }); the photos stay in the gallery
+ * @route   DELETE /api/gallery/albums/:id/images
+ * @access  Private (album contributors; contributors can only take out their own photos)
+ */
+exports.removeAlbumImages = async (req, res) => {
+    try {
+        const { ids, error } = parseImageIds(req.body.imageIds);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const album = await findAlbum(req, res);
+        if (!album) return;
+
+        if (!await canContribute(req.user, album)) {
+            return res.status(403).json({ success: false, message: 'You are not a contributor to this album' });
+        }
+
+        const { removed } = await removeImagesFromAlbum(album, ids, req.user);
+        await delCacheByPattern('gallery:images:*');
+
+        res.status(200).json({ success: true, data: { removed } });
+    } catch (error) {
+        console.error('Remove album images error:', error);
+        res.status(500).json({ success: false, message: 'Error removing photos from album' });
+    }
+};
+
+/**
+ * @desc    Reorder an album ({ imageIds }): the photos named come first, in that order
+ * @route   PUT /api/gallery/albums/:id/order
+ * @access  Private (album creator, gallery:moderate)
+ */
+exports.reorderAlbum = async (req, res) => {
+    try {
+        const { ids, error } = parseImageIds(req.body.imageIds);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const album = await findAlbum(req, res);
+        if (!album) return;
+
+        if (!await canManageAlbum(req.user, album)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to reorder this album' });
+        }
+
+        const result = await reorderAlbumImages(album, ids);
+        if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+
+        await delCacheByPattern('gallery:images:*');
+
+        res.status(200).json({ success: true, data: { order: result.order } });
+    } catch (error) {
+        console.error('Reorder album error:', error);
+        res.status(500).json({ success: false, message: 'Error reordering album' });
+    }
+};
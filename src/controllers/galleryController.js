@@ -1,14 +1,29 @@
 const mongoose = require('mongoose');
 const Gallery = require('../models/Gallery');
+const GalleryAlbum = require('../models/GalleryAlbum');
 const Club = require('../models/Club');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
 const { sendPushNotification, sendPushNotificationToMany } = require('../utils/pushNotifications');
-const { uploadImageBuffer: uploadToCloudinary } = require('../config/cloudinary');
+const { storeMedia, deleteMedia } = require('../services/mediaProcessingService');
+const { consumeUpload } = require('../services/uploadSessionService');
+const { parseDataUri, sniffMimeType } = require('../utils/mediaTypes');
+const { VARIANT_NAMES, variantUrl, toMediaFields } = require('../utils/mediaVariants');
 const { getCache, setCache, delCache, delCacheByPattern } = require('../utils/cache');
+const { hasPermission } = require('../utils/permissions');
+const { prepareAlbumUpload, setAlbumStatus, listAlbums } = require('../services/galleryAlbumService');
+
+// Album fields for an upload sent with an albumId (the album decides the club)
+const albumUploadFields = async (albumId, user) => {
+    if (!albumId) return {};
+    const { fields, error, status } = await prepareAlbumUpload(albumId, user);
+    if (error) throw Object.assign(new Error(error), { status });
+    return fields;
+};
 
 /**
- * @desc    Upload image to gallery
+ * @desc    Upload image to gallery (multipart "image", a finished upload session's uploadId, or imageUrl)
+ *          Send albumId to add it to the end of an album you contribute to.
  * @route   POST /api/gallery
  * @access  Private (Club Members)
  */
@@ -24,34 +39,43 @@ exports.uploadImage = async (req, res) => {
             } : 'No file'
         });
 
-        const { title, description, clubId, category, tags, imageUrl, publicId } = req.body;
+        const { title, description, clubId, category, tags, imageUrl, publicId, uploadId, albumId } = req.body;
 
-        if (!req.file && !imageUrl) {
+        if (!req.file && !uploadId && !imageUrl) {
             return res.status(400).json({ success: false, message: 'Please upload an image or provide a URL' });
         }
 
         // Validate clubId if provided (ensure it's not "null" or empty string)
         const validClubId = clubId && mongoose.Types.ObjectId.isValid(clubId) ? clubId : undefined;
+        const albumFields = await albumUploadFields(albumId, req.user);
 
         let finalImageUrl = imageUrl;
         let finalPublicId = publicId;
+        let media = null;
 
         if (req.file) {
-            // Upload to Cloudinary using buffer
-            const result = await uploadToCloudinary(req.file.buffer, 'gallery');
-            finalImageUrl = result.url;
-            finalPublicId = result.publicId;
+            media = await storeMedia(req.file.buffer, 'gallery', { mimeType: req.file.mimetype });
+            finalImageUrl = media.url;
+            finalPublicId = media.publicId;
+        } else if (uploadId) {
+            const { asset, error, status } = await consumeUpload(uploadId, req.user, 'gallery');
+            if (error) return res.status(status).json({ success: false, message: error });
+            media = asset;
+            finalImageUrl = asset.url;
+            finalPublicId = asset.publicId;
         }
 
         const newImage = await Gallery.create({
             imageUrl: finalImageUrl,
             publicId: finalPublicId,
+            ...(media && toMediaFields(media)),
             title,
             description,
             uploadedBy: req.user._id,
             clubId: validClubId,
+            ...albumFields,
             category: category || 'other',
-            tags: tags ? JSON.parse(tags) : [],
+            tags: Array.isArray(tags) ? tags : (tags ? JSON.parse(tags) : []),
             status: 'pending' // Require admin approval
         });
 
@@ -87,7 +111,7 @@ exports.uploadImage = async (req, res) => {
         }
     } catch (error) {
         console.error('Gallery upload error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
             success: false,
             message: error.message || 'Failed to upload image'
         });
@@ -103,7 +127,7 @@ exports.uploadBase64Image = async (req, res) => {
     try {
         console.log('Incoming Base64 Gallery Upload');
 
-        const { image, title, description, clubId, category, tags } = req.body;
+        const { image, title, description, clubId, category, tags, albumId } = req.body;
 
         if (!image) {
             return res.status(400).json({ success: false, message: 'Please provide an image' });
@@ -111,17 +135,25 @@ exports.uploadBase64Image = async (req, res) => {
 
         // Validate clubId if provided
         const validClubId = clubId && mongoose.Types.ObjectId.isValid(clubId) ? clubId : undefined;
+        const albumFields = await albumUploadFields(albumId, req.user);
+
+        const { buffer } = parseDataUri(image);
+        if (!sniffMimeType(buffer)?.startsWith('image/')) {
+            return res.status(400).json({ success: false, message: 'File content is not an image' });
+        }
 
-        // Upload base64 to Cloudinary
-        const result = await uploadToCloudinary(Buffer.from(image.split(',')[1], 'base64'), 'gallery');
+        // Process and store the image
+        const result = await storeMedia(buffer, 'gallery');
 
         const newImage = await Gallery.create({
             imageUrl: result.url,
             publicId: result.publicId,
+            ...toMediaFields(result),
             title,
             description,
             uploadedBy: req.user._id,
             clubId: validClubId,
+            ...albumFields,
             category: category || 'other',
             tags: tags || [],
             status: 'pending' // Require admin approval
@@ -159,7 +191,7 @@ exports.uploadBase64Image = async (req, res) => {
         }
     } catch (error) {
         console.error('Base64 Gallery upload error:', error);
-        res.status(400).json({
+        res.status(error.status || 400).json({
             success: false,
             message: error.message || 'Failed to upload image'
         });
@@ -167,24 +199,79 @@ exports.uploadBase64Image = async (req, res) => {
 };
 
 /**
- * @desc    Get all approved gallery images
+ * @desc    Get approved albums, a page at a time (?view=albums&page=&limit=, filter by clubId, eventId or meetingId)
+ *          Each album has a coverUrl in the requested size and its imageCount.
+ */
+const getGalleryAlbums = async (req, res, size) => {
+    const { clubId, status, eventId, meetingId } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    for (const id of [clubId, eventId, meetingId]) {
+        if (id && !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ success: false, message: 'Invalid id in filter' });
+        }
+    }
+
+    const query = { status: 'approved' };
+    if (status && await hasPermission(req.user, 'gallery:approve', clubId)) {
+        query.status = status;
+    }
+    if (clubId) query.clubId = clubId;
+    if (eventId) query.eventId = eventId;
+    if (meetingId) query.meetingId = meetingId;
+
+    const cacheKey = `gallery:images:albums:${clubId || 'all'}:${eventId || meetingId || 'all'}:${query.status}:${size}:${page}:${limit}`;
+    const cached = await getCache(cacheKey);
+    if (cached) {
+        return res.status(200).json({ success: true, ...cached, source: 'cache' });
+    }
+
+    const { albums, total } = await listAlbums(query, { page, limit, size });
+    const result = {
+        count: albums.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        data: albums
+    };
+
+    await setCache(cacheKey, result, 1800); // 30 mins
+
+    res.status(200).json({ success: true, ...result, source: 'database' });
+};
+
+/**
+ * @desc    Get all approved gallery images, each with a thumbnailUrl for grid views (?size=thumb|small|medium, default small)
+ *          ?albumId= gives one album's photos in album order; ?view=albums lists albums instead (see getGalleryAlbums)
  * @route   GET /api/gallery
  * @access  Public
  */
 exports.getGalleryImages = async (req, res) => {
     try {
-        const { category, clubId, status } = req.query;
+        const { category, clubId, status, albumId } = req.query;
+        const size = req.query.size || 'small';
+        if (!VARIANT_NAMES.includes(size)) {
+            return res.status(400).json({ success: false, message: `size must be one of: ${VARIANT_NAMES.join(', ')}` });
+        }
+        if (req.query.view === 'albums') {
+            return await getGalleryAlbums(req, res, size);
+        }
+        if (albumId && !mongoose.Types.ObjectId.isValid(albumId)) {
+            return res.status(400).json({ success: false, message: 'Invalid album id' });
+        }
         let query = { status: 'approved' };
 
-        // If status is provided and user is admin, allow filtering by status
-        if (status && (req.user?.role === 'admin' || req.user?.role === 'subadmin')) {
+        // If status is provided and user can approve uploads, allow filtering by status
+        if (status && await hasPermission(req.user, 'gallery:approve', clubId)) {
             query.status = status;
         }
 
         if (category && category !== 'all') query.category = category;
         if (clubId) query.clubId = clubId;
+        if (albumId) query.albumId = albumId;
 
-        const cacheKey = `gallery:images:${category || 'all'}:${clubId || 'all'}:${status || 'approved'}`;
+        const cacheKey = `gallery:images:${category || 'all'}:${clubId || 'all'}:${albumId || 'all'}:${status || 'approved'}:${size}`;
         const cachedImages = await getCache(cacheKey);
 
         if (cachedImages) {
@@ -199,7 +286,13 @@ exports.getGalleryImages = async (req, res) => {
             .populate('uploadedBy', 'displayName profilePicture')
             .populate('comments.user', 'displayName profilePicture')
             .populate('clubId', 'name')
-            .sort({ createdAt: -1 });
+            .sort(albumId ? { albumPosition: 1, createdAt: 1 } : { createdAt: -1 })
+            .lean();
+
+        // Grid views load thumbnailUrl; imageUrl stays the full-size image
+        images.forEach(image => {
+            image.thumbnailUrl = variantUrl(image.variants, size, image.imageUrl);
+        });
 
         await setCache(cacheKey, images, 1800); // 30 mins
 
@@ -209,18 +302,85 @@ exports.getGalleryImages = async (req, res) => {
             source: 'database'
         });
     } catch (error) {
+        console.error('Get gallery images error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 };
 
 /**
- * @desc    Approve/Reject gallery image
+ * Approve/reject an album and, with it, every album photo still pending
+ * The album creator and each uploader whose photos went live are notified once.
+ */
+const updateAlbumStatus = async (req, res, status) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.albumId)) {
+        return res.status(400).json({ success: false, message: 'Invalid album id' });
+    }
+    const found = await GalleryAlbum.findById(req.params.albumId);
+    if (!found) {
+        return res.status(404).json({ success: false, message: 'Album not found' });
+    }
+
+    const { album, images } = await setAlbumStatus(found, status, req.user);
+
+    // Invalidate gallery caches
+    await delCacheByPattern('gallery:images:*');
+
+    res.status(200).json({
+        success: true,
+        data: album,
+        imagesUpdated: images.length
+    });
+
+    if (status !== 'approved') return;
+
+    try {
+        const recipients = [...new Set([album.createdBy, ...images.map(image => image.uploadedBy)].map(String))];
+        await Notification.insertMany(recipients.map(userId => ({
+            userId,
+            type: 'gallery_approved',
+            title: 'Album Approved! 🎉',
+            message: `The album "${album.title}" is now live in the gallery.`,
+            relatedId: album._id,
+            relatedModel: 'GalleryAlbum'
+        })));
+        await sendPushNotificationToMany(recipients, {
+            title: 'Album Approved! 🎉',
+            body: `The album "${album.title}" is now live in the gallery.`,
+            data: { screen: 'Gallery', params: { albumId: album._id.toString() }, albumId: album._id.toString() }
+        }, req);
+    } catch (notifError) {
+        console.error('Error sending album approval notifications:', notifError);
+    }
+
+    // Real-time socket broadcast for all users
+    const io = req.app.get('io');
+    if (io) {
+        const populatedAlbum = await GalleryAlbum.findById(album._id)
+            .populate('createdBy', 'displayName profilePicture')
+            .populate('clubId', 'name')
+            .populate('eventId', 'title date')
+            .populate('meetingId', 'name date');
+        io.emit('gallery:album', populatedAlbum);
+    }
+};
+
+/**
+ * @desc    Approve/Reject gallery image, or a whole album with its pending photos
  * @route   PUT /api/gallery/:id/status
+ * @route   PUT /api/gallery/albums/:albumId/status
  * @access  Private (Admin)
  */
 exports.updateImageStatus = async (req, res) => {
     try {
         const { status } = req.body; // 'approved' or 'rejected'
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+        }
+
+        if (req.params.albumId) {
+            return await updateAlbumStatus(req, res, status);
+        }
+
         const image = await Gallery.findById(req.params.id);
 
         if (!image) {
@@ -306,6 +466,7 @@ exports.updateImageStatus = async (req, res) => {
             }
         }
     } catch (error) {
+        console.error('Update image status error:', error);
         res.status(500).json({ success: false, message: 'Server error' });
     }
 };
@@ -423,13 +584,19 @@ exports.updateImage = async (req, res) => {
         let image = await Gallery.findById(req.params.id);
         if (!image) return res.status(404).json({ success: false, message: 'Image not found' });
 
-        // Check ownership or admin
-        if (image.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        // Check ownership or moderation rights
+        const isOwner = image.uploadedBy.toString() === req.user._id.toString();
+        if (!isOwner && !await hasPermission(req.user, 'gallery:moderate', image.clubId)) {
             return res.status(403).json({ success: false, message: 'Not authorized to update this image' });
         }
 
         const { title, description, category, clubId } = req.body;
 
+        // An album photo stays in the album's club
+        if (clubId && image.albumId && clubId.toString() !== image.clubId?.toString()) {
+            return res.status(400).json({ success: false, message: 'Take the photo out of its album before moving it to another club' });
+        }
+
         image.title = title || image.title;
         image.description = description || image.description;
         image.category = category || image.category;
@@ -453,18 +620,21 @@ exports.deleteImage = async (req, res) => {
         const image = await Gallery.findById(req.params.id);
         if (!image) return res.status(404).json({ success: false, message: 'Image not found' });
 
-        // Check ownership or admin
-        if (image.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        // Check ownership or moderation rights
+        const isOwner = image.uploadedBy.toString() === req.user._id.toString();
+        if (!isOwner && !await hasPermission(req.user, 'gallery:moderate', image.clubId)) {
             return res.status(403).json({ success: false, message: 'Not authorized to delete this image' });
         }
 
-        // Delete from Cloudinary if publicId exists
+        // Delete the stored file and its variants if we uploaded them
         if (image.publicId) {
-            const cloudinary = require('cloudinary').v2;
-            await cloudinary.uploader.destroy(image.publicId);
+            await deleteMedia(image);
         }
 
         await image.deleteOne();
+        if (image.albumId) {
+            await GalleryAlbum.updateOne({ _id: image.albumId, coverImageId: image._id }, { $unset: { coverImageId: 1 } });
+        }
 
         // Invalidate gallery caches
         await delCacheByPattern('gallery:images:*');
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const { GAME_TYPES, LEADERBOARD_PERIODS } = require('../utils/gameResults');
+const { getLeaderboard, getClubRankings, getUserGameHistory } = require('../services/gameResultService');
+
+// ?gameType= and ?period= shared by the leaderboard endpoints
+const parseLeaderboardQuery = (query) => {
+    const gameType = query.gameType || null;
+    const period = query.period || 'all';
+    if (gameType && !GAME_TYPES.includes(gameType)) {
+        return { error: `gameType must be one of: ${GAME_TYPES.join(', ')}` };
+    }
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+        return { error: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` };
+    }
+    return { gameType, period };
+};
+
+/**
+ * @desc    Player leaderboard of a club, or of every club with clubId "all" (?gameType=, ?period=all|month|week)
+ * @route   GET /api/games/leaderboard/:clubId
+ * @access  Member (game:view)
+ */
+exports.getLeaderboard = async (req, res) => {
+    try {
+        const { gameType, period, error } = parseLeaderboardQuery(req.query);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const { clubId } = req.params;
+        if (clubId !== 'all' && !mongoose.Types.ObjectId.isValid(clubId)) {
+            return res.status(400).json({ success: false, message: 'Invalid club id' });
+        }
+
+        let club = null;
+        if (clubId !== 'all') {
+            club = await Club.findById(clubId).select('name timezone').lean();
+            if (!club) return res.status(404).json({ success: false, message: 'Club not found' });
+        }
+
+        const leaderboard = await getLeaderboard({
+            clubId: club?._id,
+            gameType,
+            period,
+            timezone: club?.timezone
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                club: club ? { _id: club._id, name: club.name } : null,
+                gameType,
+                period,
+                leaderboard
+            }
+        });
+    } catch (error) {
+        console.error('Get leaderboard error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching leaderboard' });
+    }
+};
+
+/**
+ * @desc    Clubs ranked by points scored in games (?gameType=, ?period=all|month|week)
+ * @route   GET /api/games/rankings
+ * @access  Private
+ */
+exports.getClubRankings = async (req, res) => {
+    try {
+        const { gameType, period, error } = parseLeaderboardQuery(req.query);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const rankings = await getClubRankings({ gameType, period });
+
+        res.status(200).json({
+            success: true,
+            data: { gameType, period, rankings }
+        });
+    } catch (error) {
+        console.error('Get club rankings error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching club rankings' });
+    }
+};
+
+/**
+ * @desc    A user's finished games with per-game totals (:id may be "me"; ?gameType=, ?page=, ?limit=)
+ * @route   GET /api/users/:id/games
+ * @access  Private
+ */
+exports.getUserGameHistory = async (req, res) => {
+    try {
+        const userId = req.params.id === 'me' ? req.user._id.toString() : req.params.id;
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user id' });
+        }
+
+        const gameType = req.query.gameType || null;
+        if (gameType && !GAME_TYPES.includes(gameType)) {
+            return res.status(400).json({ success: false, message: `gameType must be one of: ${GAME_TYPES.join(', ')}` });
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const { games, total, summary } = await getUserGameHistory(userId, { gameType, page, limit });
+
+        res.status(200).json({
+            success: true,
+            count: games.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: { summary, games }
+        });
+    } catch (error) {
+        console.error('Get game history error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching game history' });
+    }
+};
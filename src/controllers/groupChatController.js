@@ -1,9 +1,13 @@
 const GroupChat = require('../models/GroupChat');
 const Club = require('../models/Club');
 const User = require('../models/User');
-const { uploadImageBuffer } = require('../config/cloudinary');
+const { storeMedia } = require('../services/mediaProcessingService');
+const { consumeUpload } = require('../services/uploadSessionService');
+const { parseDataUri, sniffMimeType } = require('../utils/mediaTypes');
+const { toMediaFields } = require('../utils/mediaVariants');
 const { getCache, setCache, delCache } = require('../utils/cache');
 const { sendClubPushNotification } = require('../utils/pushNotifications');
+const { hasPermission } = require('../utils/permissions');
 
 /**
  * @desc    Get group chat for a club
@@ -20,16 +24,7 @@ exports.getGroupChat = async (req, res) => {
             clubId = clubId._id.toString();
         }
 
-        // Check if user is a member of the club
-        const user = await User.findById(userId);
-        const isMember = user.clubsJoined.some(c => c.clubId.toString() === clubId);
-
-        if (!isMember && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'You must be a member of this club to access the group chat'
-            });
-        }
+        // Membership is enforced by requirePermission('chat:access')
 
         const { limit } = req.query;
 
@@ -129,7 +124,7 @@ exports.getGroupChat = async (req, res) => {
 };
 
 /**
- * @desc    Send message to group chat
+ * @desc    Send message to group chat (attachment: multipart file, a finished upload session's uploadId, or fileUrl)
  * @route   POST /api/group-chat/:clubId/messages
  * @access  Private (Club Members)
  */
@@ -154,24 +149,12 @@ exports.sendGroupMessage = async (req, res) => {
 
         const { pollData, spinnerData } = req.body;
 
-        // Check if user is a member
+        // Load sender details (membership is enforced by requirePermission('chat:access'))
         const user = await User.findById(userId);
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
-        const isMember = user.clubsJoined?.some(c => {
-            const cId = c.clubId?._id || c.clubId;
-            return cId?.toString() === clubId;
-        });
-
-        if (!isMember && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'You must be a member of this club to send messages'
-            });
-        }
-
         let groupChat = await GroupChat.findOne({ clubId });
 
         if (!groupChat) {
@@ -186,17 +169,33 @@ exports.sendGroupMessage = async (req, res) => {
         let fileName = req.body.fileName || null;
         let fileSize = req.body.fileSize || null;
         let publicId = req.body.publicId || null;
-
-        if (req.file) {
+        let mimeType = null;
+        let media = null;
+
+        if (req.body.uploadId) {
+            const upload = await consumeUpload(req.body.uploadId, req.user, 'group_chat');
+            if (upload.error) return res.status(upload.status).json({ success: false, message: upload.error });
+            fileUrl = upload.asset.url;
+            fileName = upload.fileName || fileName;
+            fileSize = upload.asset.bytes;
+            publicId = upload.asset.publicId;
+            mimeType = upload.asset.mimeType;
+            media = upload.asset;
+        } else if (req.file) {
             try {
-                const result = await uploadImageBuffer(req.file.buffer, 'mavericks/group-chat');
+                const result = await storeMedia(req.file.buffer, 'mavericks/group-chat', { mimeType: req.file.mimetype });
                 fileUrl = result.url;
                 fileName = req.file.originalname;
-                fileSize = req.file.size;
+                fileSize = result.bytes;
                 publicId = result.publicId;
+                mimeType = result.mimeType;
+                media = result;
             } catch (uploadError) {
-                console.error('[GroupChat] Cloudinary upload error:', uploadError);
-                return res.status(500).json({ success: false, message: 'Failed to upload attachment' });
+                console.error('[GroupChat] Media upload error:', uploadError);
+                return res.status(uploadError.status || 500).json({
+                    success: false,
+                    message: uploadError.status ? uploadError.message : 'Failed to upload attachment'
+                });
             }
         }
 
@@ -209,7 +208,8 @@ exports.sendGroupMessage = async (req, res) => {
                 publicId: publicId || (typeof fileUrl === 'object' ? fileUrl.publicId : null),
                 fileName: fileName || (typeof fileUrl === 'object' ? fileUrl.fileName : 'Attachment'),
                 fileSize: fileSize || (typeof fileUrl === 'object' ? fileUrl.fileSize : 0),
-                mimeType: (typeof fileUrl === 'object' ? fileUrl.mimeType : 'image/jpeg')
+                mimeType: mimeType || (typeof fileUrl === 'object' ? fileUrl.mimeType : 'image/jpeg'),
+                ...(media && toMediaFields(media))
             } : null,
             pollData: type === 'poll' ? (typeof pollData === 'string' ? JSON.parse(pollData) : pollData) : undefined,
             spinnerData: type === 'spinner' ? (typeof spinnerData === 'string' ? JSON.parse(spinnerData) : spinnerData) : undefined,
@@ -326,23 +326,16 @@ exports.sendBase64GroupMessage = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No media provided' });
         }
 
-        // Check if user is a member
         const user = await User.findById(userId);
-        const isMember = user.clubsJoined?.some(c => {
-            const cId = c.clubId?._id || c.clubId;
-            return cId?.toString() === clubId;
-        });
 
-        if (!isMember && req.user.role !== 'admin') {
-            return res.status(403).json({ success: false, message: 'Access denied' });
+        const { buffer } = parseDataUri(image);
+        const family = sniffMimeType(buffer)?.split('/')[0];
+        if (family !== 'image' && family !== 'video') {
+            return res.status(400).json({ success: false, message: 'File content is not an image or video' });
         }
 
-        // Convert base64 to buffer
-        const base64Data = image.split(',')[1];
-        const buffer = Buffer.from(base64Data, 'base64');
-
-        // Upload to Cloudinary
-        const result = await uploadImageBuffer(buffer, 'mavericks/chat');
+        // Process and store the media
+        const result = await storeMedia(buffer, 'mavericks/chat');
 
         let groupChat = await GroupChat.findOne({ clubId });
         if (!groupChat) {
@@ -357,7 +350,9 @@ exports.sendBase64GroupMessage = async (req, res) => {
                 url: result.url,
                 publicId: result.publicId,
                 fileName: 'Attachment',
-                mimeType: image.includes('video') ? 'video/mp4' : 'image/jpeg'
+                fileSize: result.bytes,
+                mimeType: result.mimeType,
+                ...toMediaFields(result)
             },
             replyTo: (replyTo && replyTo !== 'null' && replyTo !== '') ? replyTo : undefined,
             createdAt: new Date()
@@ -416,7 +411,7 @@ exports.sendBase64GroupMessage = async (req, res) => {
         }
     } catch (error) {
         console.error('Error sending base64 group message:', error);
-        res.status(500).json({ success: false, message: 'Error sending message' });
+        res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Error sending message' });
     }
 };
 
@@ -512,8 +507,9 @@ exports.deleteGroupMessage = async (req, res) => {
         message.deleted = false; // Initial check
 
         if (type === 'everyone') {
-            // Check if user is the sender or admin
-            if (message.senderId.toString() !== userId.toString() && req.user.role !== 'admin') {
+            // Check if user is the sender or a chat moderator
+            const isSender = message.senderId.toString() === userId.toString();
+            if (!isSender && !await hasPermission(req.user, 'chat:moderate', clubId)) {
                 return res.status(403).json({
                     success: false,
                     message: 'Unauthorized to delete this message for everyone'
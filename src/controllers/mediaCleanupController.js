@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const MediaCleanupRun = require('../models/MediaCleanupRun');
+const { startMediaCleanup, getMediaStats } = require('../services/mediaCleanupService');
+
+/**
+ * @desc    Tracked media files by status, and the latest cleanup run
+ * @route   GET /api/admin/media
+ * @access  Admin (media:cleanup)
+ */
+exports.getMediaOverview = async (req, res) => {
+    try {
+        const [stats, lastRun] = await Promise.all([
+            getMediaStats(),
+            MediaCleanupRun.findOne().sort({ startedAt: -1 }).select('-orphans')
+        ]);
+
+        res.status(200).json({ success: true, data: { stats, lastRun } });
+    } catch (error) {
+        console.error('Get media overview error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching media overview' });
+    }
+};
+
+/**
+ * @desc    Media cleanup runs, newest first (?page=, ?limit=)
+ * @route   GET /api/admin/media/cleanup-runs
+ * @access  Admin (media:cleanup)
+ */
+exports.getCleanupRuns = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const [runs, total] = await Promise.all([
+            MediaCleanupRun.find()
+                .sort({ startedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-orphans')
+                .populate('startedBy', 'displayName email'),
+            MediaCleanupRun.countDocuments()
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: runs.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: runs
+        });
+    } catch (error) {
+        console.error('Get cleanup runs error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching cleanup runs' });
+    }
+};
+
+/**
+ * @desc    One cleanup run with the orphaned files it found
+ * @route   GET /api/admin/media/cleanup-runs/:id
+ * @access  Admin (media:cleanup)
+ */
+exports.getCleanupRun = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid run id' });
+        }
+
+        const run = await MediaCleanupRun.findById(req.params.id).populate('startedBy', 'displayName email');
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Cleanup run not found' });
+        }
+
+        res.status(200).json({ success: true, data: run });
+    } catch (error) {
+        console.error('Get cleanup run error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching cleanup run' });
+    }
+};
+
+/**
+ * @desc    Start a cleanup run now (body: { dryRun, backfill }, dryRun default true); poll the run for its report
+ *          backfill first records files in storage that were never tracked.
+ * @route   POST /api/admin/media/cleanup-runs
+ * @access  Admin (media:cleanup)
+ */
+exports.startCleanupRun = async (req, res) => {
+    try {
+        const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+        const backfill = req.body.backfill === true || req.body.backfill === 'true';
+
+        const { run, error, status } = await startMediaCleanup({ dryRun, backfill, trigger: 'manual', startedBy: req.user._id });
+        if (error) return res.status(status).json({ success: false, message: error });
+
+        res.status(202).json({
+            success: true,
+            message: dryRun ? 'Dry run started' : 'Cleanup started',
+            data: run
+        });
+    } catch (error) {
+        console.error('Start cleanup run error:', error);
+        res.status(500).json({ success: false, message: 'Error starting cleanup run' });
+    }
+};
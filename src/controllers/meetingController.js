@@ -1,9 +1,49 @@
+const mongoose = require('mongoose');
 const Meeting = require('../models/Meeting');
+const MeetingSeries = require('../models/MeetingSeries');
 const Club = require('../models/Club');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const AttendanceLog = require('../models/AttendanceLog');
 const { sendPushNotification, sendClubPushNotification } = require('../utils/pushNotifications');
 const { getCache, setCache, delCache } = require('../utils/cache');
+const { generateSecret, generateAttendanceToken, verifyAttendanceToken, STEP_SECONDS } = require('../utils/attendanceToken');
+const { startRotation, closeAttendanceWindow } = require('../services/attendanceTokenService');
+const { checkGeofence, validateGeofence } = require('../utils/geofence');
+const { hasPermission, findClubMembersWithPermission } = require('../utils/permissions');
+const { uploadBuffer } = require('../services/storage');
+const { resetAbsenceStreaks, recalculateAbsenceStreaks } = require('../services/attendancePolicyService');
+const { completeMeeting, updateClubStats } = require('../services/meetingCompletionService');
+const {
+    generateOccurrences,
+    generateDueOccurrences,
+    applySeriesUpdate,
+    regenerateOccurrences,
+    getSeriesSlots,
+    splitSeries,
+    endSeries
+} = require('../services/meetingSeriesService');
+const { validateRecurrence } = require('../utils/recurrence');
+const { resolveMeetingSchedule } = require('../utils/meetingSchedule');
+const { findMeetingConflicts } = require('../services/meetingConflictService');
+const { validateRsvp, setRsvp, getRsvp, summarizeRsvps } = require('../utils/rsvp');
+const { remindNonResponders } = require('../services/rsvpService');
+const { validateMinutes } = require('../utils/minutes');
+const { publishMinutes } = require('../services/meetingMinutesService');
+const { recordTombstones } = require('../services/calendarTombstoneService');
+const { changesSchedule, MEETING_SCHEDULE_FIELDS } = require('../utils/ics');
+
+const SERIES_SCOPES = ['this', 'following', 'all'];
+// Changing any of these can create a room or member clash
+const CONFLICT_FIELDS = ['startsAt', 'endsAt', 'time', 'mode', 'locationCategory', 'classroomNumber', 'otherLocationName'];
+// What PUT /api/meetings/:id may change; attendance, absences, RSVPs and minutes have their own endpoints
+const EDITABLE_FIELDS = [
+    'name', 'description', 'date', 'time', 'startsAt', 'endsAt', 'location', 'mode', 'platform',
+    'locationCategory', 'classroomNumber', 'otherLocationName', 'geofence', 'template', 'type'
+];
+
+const ATTENDANCE_WINDOW_MINUTES = parseInt(process.env.ATTENDANCE_WINDOW_MINUTES, 10) || 15;
+const MAX_ATTENDANCE_WINDOW_MINUTES = 180;
 
 // Helper to emit socket events
 const emitToClub = (req, clubId, event, data) => {
@@ -23,9 +63,40 @@ const emitToUser = (req, userId, event, data) => {
 };
 
 /**
- * @desc    Create a new meeting
+ * Look for clashing meetings; in the club's 'block' mode a clash refuses the request (409)
+ * @returns {Promise<Array|null>} conflicts to return as warnings, or null when a response was sent
+ */
+const checkMeetingConflicts = async (res, club, meeting, slots, exclude) => {
+    const conflicts = await findMeetingConflicts(meeting, slots, exclude);
+    if (conflicts.length > 0 && club?.settings?.meetingConflictMode === 'block') {
+        res.status(409).json({
+            success: false,
+            message: `This meeting clashes with ${conflicts.length} other meeting${conflicts.length === 1 ? '' : 's'}`,
+            errorType: 'MEETING_CONFLICT',
+            data: { conflicts }
+        });
+        return null;
+    }
+    return conflicts;
+};
+
+// Append entries to the attendance audit trail. Written before the change is saved, so a failed
+// write fails the request instead of leaving a change out of the trail.
+const logAttendanceChanges = async (req, meeting, entries) => {
+    if (entries.length === 0) return;
+    await AttendanceLog.insertMany(entries.map(entry => ({
+        meetingId: meeting._id,
+        clubId: meeting.clubId,
+        actor: req.user._id,
+        ip: req.ip,
+        ...entry
+    })));
+};
+
+/**
+ * @desc    Create a new meeting (a recurring series when `recurrence` is given)
  * @route   POST /api/meetings
- * @access  Admin/Alumni of Club
+ * @access  Admin/Alumni of Club (meeting:create)
  */
 exports.createMeeting = async (req, res) => {
     try {
@@ -35,17 +106,28 @@ exports.createMeeting = async (req, res) => {
             description,
             date,
             time,
+            startsAt,
+            endsAt,
             location,
             mode,
             platform,
             locationCategory,
             classroomNumber,
             otherLocationName,
+            geofence,
             status,
             template,
-            type
+            type,
+            recurrence
         } = req.body;
 
+        if (geofence) {
+            const geofenceError = validateGeofence(geofence);
+            if (geofenceError) {
+                return res.status(400).json({ success: false, message: geofenceError });
+            }
+        }
+
         // Verify Club Existence
         const club = await Club.findById(clubId);
         if (!club) {
@@ -55,34 +137,69 @@ exports.createMeeting = async (req, res) => {
             });
         }
 
-        // Verify User is Admin/Alumni of THIS club
-        const userClubRole = req.user.clubsJoined.find(c => c.clubId.toString() === clubId)?.role;
-        const isGlobalAdmin = req.user.role === 'admin';
+        // date + time are read on the club's wall clock
+        const schedule = resolveMeetingSchedule({ date, time, startsAt, endsAt }, club.timezone);
+        if (schedule.error || !schedule.fields.startsAt) {
+            return res.status(400).json({ success: false, message: schedule.error || 'Meeting date and time are required' });
+        }
+        const { fields: scheduleFields } = schedule;
 
-        if (!isGlobalAdmin && userClubRole !== 'admin' && userClubRole !== 'alumni') {
-            return res.status(403).json({
-                success: false,
-                message: 'Not authorized to create meetings for this club'
-            });
+        if (recurrence) {
+            const recurrenceError = validateRecurrence({ startDate: scheduleFields.startsAt, ...recurrence });
+            if (recurrenceError) {
+                return res.status(400).json({ success: false, message: recurrenceError });
+            }
         }
 
-        const meeting = await Meeting.create({
+        const fields = {
             clubId,
             name,
             description,
-            date,
-            time,
+            time: scheduleFields.time,
             location,
             mode,
             platform,
             locationCategory,
             classroomNumber,
             otherLocationName,
-            status: status || 'upcoming',
+            geofence,
             template,
             type: type || 'General',
             createdBy: req.user._id
-        });
+        };
+
+        const seriesFields = recurrence && {
+            ...fields,
+            timezone: club.timezone,
+            durationMinutes: Math.round((scheduleFields.endsAt - scheduleFields.startsAt) / 60000),
+            recurrence: { startDate: scheduleFields.startsAt, ...recurrence }
+        };
+
+        const conflicts = await checkMeetingConflicts(
+            res,
+            club,
+            fields,
+            recurrence ? getSeriesSlots(seriesFields, scheduleFields.startsAt) : [scheduleFields]
+        );
+        if (!conflicts) return;
+
+        let meeting;
+        let series;
+        if (recurrence) {
+            series = await MeetingSeries.create(seriesFields);
+            [meeting] = await generateOccurrences(series);
+
+            if (!meeting) {
+                await series.deleteOne();
+                return res.status(400).json({ success: false, message: 'Recurrence does not produce any meetings' });
+            }
+        } else {
+            meeting = await Meeting.create({
+                ...fields,
+                ...scheduleFields,
+                status: status || 'upcoming'
+            });
+        }
 
         // Trigger Notification for all club members (except creator)
         try {
@@ -95,7 +212,7 @@ exports.createMeeting = async (req, res) => {
                     userId: member._id,
                     type: 'meeting_created',
                     title: `New Meeting: ${name}`,
-                    message: `${club.name} has scheduled a new ${type || 'General'} meeting on ${new Date(date).toDateString()}.`,
+                    message: `${club.name} has scheduled a new ${series ? `${series.recurrence.frequency} ` : ''}${type || 'General'} meeting on ${new Date(meeting.date).toDateString()}.`,
                     clubId: clubId,
                     relatedId: meeting._id,
                     relatedModel: 'Meeting'
@@ -116,11 +233,13 @@ exports.createMeeting = async (req, res) => {
 
         res.status(201).json({
             success: true,
-            data: meeting
+            data: meeting,
+            series,
+            conflicts
         });
 
         // Emit socket event
-        emitToClub(req, clubId, 'meeting_created', { meeting });
+        emitToClub(req, clubId, 'meeting_created', { meeting, seriesId: series?._id });
 
         // Push Notification
         await sendClubPushNotification(
@@ -153,27 +272,127 @@ exports.createMeeting = async (req, res) => {
 };
 
 /**
- * @desc    Update meeting
+ * @desc    Update meeting (?scope=this|following|all for recurring meetings)
  * @route   PUT /api/meetings/:id
- * @access  Admin/Alumni
+ * @access  Admin/Alumni (meeting:update)
  */
 exports.updateMeeting = async (req, res) => {
     try {
+        const { scope: bodyScope, recurrence, durationMinutes, ...updates } = req.body;
+        const scope = req.query.scope || bodyScope || 'this';
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({ success: false, message: `Scope must be one of: ${SERIES_SCOPES.join(', ')}` });
+        }
+
+        const notEditable = Object.keys(updates).filter(field => !EDITABLE_FIELDS.includes(field));
+        if (notEditable.length > 0) {
+            return res.status(400).json({ success: false, message: `These fields cannot be updated: ${notEditable.join(', ')}` });
+        }
+        if (updates.geofence) {
+            const geofenceError = validateGeofence(updates.geofence);
+            if (geofenceError) return res.status(400).json({ success: false, message: geofenceError });
+        }
+
         let meeting = await Meeting.findById(req.params.id);
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
 
-        const userClubRole = req.user.clubsJoined.find(c => c.clubId.toString() === meeting.clubId.toString())?.role;
-        if (req.user.role !== 'admin' && userClubRole !== 'admin' && userClubRole !== 'alumni') {
-            return res.status(403).json({ success: false, message: 'Not authorized' });
+        const club = await Club.findById(meeting.clubId).select('timezone settings.meetingConflictMode');
+        const schedule = resolveMeetingSchedule(updates, club?.timezone, meeting);
+        if (schedule.error) return res.status(400).json({ success: false, message: schedule.error });
+        delete updates.date;
+        delete updates.startsAt;
+        delete updates.endsAt;
+
+        if (meeting.seriesId && scope !== 'this') {
+            let series = await MeetingSeries.findById(meeting.seriesId);
+            if (!series) return res.status(404).json({ success: false, message: 'Meeting series not found' });
+
+            if (recurrence) {
+                const recurrenceError = validateRecurrence({ ...series.toObject().recurrence, ...recurrence });
+                if (recurrenceError) {
+                    return res.status(400).json({ success: false, message: recurrenceError });
+                }
+            }
+
+            // Series keep a wall-clock time and duration; the day comes from the recurrence rule
+            if (schedule.fields.startsAt) {
+                updates.time = schedule.fields.time;
+                updates.durationMinutes = Math.round((schedule.fields.endsAt - schedule.fields.startsAt) / 60000);
+            }
+
+            const fromDate = scope === 'all' ? series.recurrence.startDate : meeting.occurrenceDate;
+
+            let conflicts = [];
+            if (recurrence || CONFLICT_FIELDS.some(field => updates[field] !== undefined)) {
+                const updated = {
+                    ...series.toObject(),
+                    ...updates,
+                    recurrence: { ...series.toObject().recurrence, ...recurrence }
+                };
+                conflicts = await checkMeetingConflicts(
+                    res,
+                    club,
+                    updated,
+                    getSeriesSlots(updated, new Date(Math.max(fromDate, Date.now()))),
+                    { seriesId: series._id }
+                );
+                if (!conflicts) return;
+            }
+
+            if (scope === 'following' && meeting.occurrenceDate > series.recurrence.startDate) {
+                series = await splitSeries(series, meeting.occurrenceDate);
+            }
+
+            await applySeriesUpdate(series, updates, fromDate);
+            if (recurrence) {
+                series.recurrence = { ...series.toObject().recurrence, ...recurrence };
+                await regenerateOccurrences(series, fromDate);
+            }
+
+            // A rule change may have replaced this occurrence; fall back to the next one
+            meeting = await Meeting.findById(req.params.id) || await Meeting.findOne({
+                seriesId: series._id,
+                occurrenceDate: { $gte: fromDate }
+            }).sort({ occurrenceDate: 1 });
+
+            res.status(200).json({ success: true, data: meeting, series, conflicts });
+
+            emitToClub(req, series.clubId, 'meeting_series_updated', { seriesId: series._id, scope });
+            return;
         }
 
-        meeting = await Meeting.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+        if (recurrence) {
+            return res.status(400).json({ success: false, message: 'Recurrence can only be changed for following or all meetings of a series' });
+        }
+
+        Object.assign(updates, schedule.fields);
+        // Moved: members are reminded again before the new time
+        if (updates.startsAt && updates.startsAt.getTime() !== meeting.startsAt?.getTime()) {
+            updates.rsvpReminderSent = false;
+            updates.remindersSent = [];
+        }
+
+        let conflicts = [];
+        if (CONFLICT_FIELDS.some(field => updates[field] !== undefined)) {
+            const updated = { ...meeting.toObject(), ...updates };
+            if (updated.startsAt && updated.endsAt) {
+                conflicts = await checkMeetingConflicts(res, club, updated, [updated], { meetingId: meeting._id });
+                if (!conflicts) return;
+            }
+        }
+
+        // Edited on its own, so later series-wide edits leave this occurrence alone
+        if (meeting.seriesId) updates.isSeriesException = true;
+        // Moved: subscribed calendars replace their copy
+        if (changesSchedule(meeting, updates, MEETING_SCHEDULE_FIELDS)) updates.$inc = { icsSequence: 1 };
+
+        meeting = await Meeting.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
 
         // Invalidate meetings cache
         await delCache(`club:meetings:${meeting.clubId}`);
         await delCache('club:meetings:all');
 
-        res.status(200).json({ success: true, data: meeting });
+        res.status(200).json({ success: true, data: meeting, conflicts });
 
         // Emit socket event
         emitToClub(req, meeting.clubId, 'meeting_updated', { meeting });
@@ -185,7 +404,7 @@ exports.updateMeeting = async (req, res) => {
 /**
  * @desc    Update meeting status
  * @route   PUT /api/meetings/:id/status
- * @access  Admin/Alumni
+ * @access  Admin/Alumni (meeting:update)
  */
 exports.updateMeetingStatus = async (req, res) => {
     try {
@@ -193,67 +412,13 @@ exports.updateMeetingStatus = async (req, res) => {
         let meeting = await Meeting.findById(req.params.id);
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
 
-        const userClubRole = req.user.clubsJoined.find(c => c.clubId.toString() === meeting.clubId.toString())?.role;
-        if (req.user.role !== 'admin' && userClubRole !== 'admin' && userClubRole !== 'alumni') {
-            return res.status(403).json({ success: false, message: 'Not authorized' });
-        }
-
-        // Process attendance streaks if meeting is completed
-        if (status === 'completed' && meeting.status !== 'completed') {
-            const attendees = meeting.attendees
-                .filter(a => a.status === 'present' || a.status === 'late')
-                .map(a => a.userId.toString());
-
-            // Reset Streak for present members
-            await User.updateMany(
-                { _id: { $in: attendees }, 'clubsJoined.clubId': meeting.clubId },
-                { $set: { 'clubsJoined.$.consecutiveAbsences': 0 } }
-            );
-
-            // Increment Streak for absent members
-            // We only increment if the user is a member of the club
-            await User.updateMany(
-                {
-                    'clubsJoined.clubId': meeting.clubId,
-                    _id: { $nin: attendees }
-                },
-                { $inc: { 'clubsJoined.$.consecutiveAbsences': 1 } }
-            );
-
-            // Get members who need notifications (2 or 3+ missed)
-            const warnedMembers = await User.find({
-                'clubsJoined': {
-                    $elemMatch: {
-                        clubId: meeting.clubId,
-                        consecutiveAbsences: { $gte: 2 }
-                    }
-                }
-            });
-
-            for (const member of warnedMembers) {
-                const clubData = member.clubsJoined.find(c => c.clubId.toString() === meeting.clubId.toString());
-                if (clubData) {
-                    if (clubData.consecutiveAbsences === 2) {
-                        try {
-                            await sendPushNotification(member._id, {
-                                title: 'We missed you! 😔',
-                                body: `Hey! We noticed you missed our last 2 meetings for ${meeting.name}. 📅 Please try to attend the next one, as missing 3 in a row might lead to restrictions. 🤝`,
-                                data: { type: 'attendance_warning', streak: 2, clubId: meeting.clubId.toString() }
-                            }, req);
-                        } catch (err) { console.error('Warning push error:', err); }
-                    } else if (clubData.consecutiveAbsences >= 3) {
-                        try {
-                            await sendPushNotification(member._id, {
-                                title: '⚠️ Immediate Warning: Attendance',
-                                body: `Urgent! You have missed 3 consecutive meetings. 🚨 Please contact your club admin immediately to avoid being removed from the club. 📞`,
-                                data: { type: 'attendance_warning', streak: 3, clubId: meeting.clubId.toString() }
-                            }, req);
-                        } catch (err) { console.error('Warning call push error:', err); }
-                    }
-                }
-            }
+        // Completion counts absences, escalates, updates club stats and emits the status event
+        if (status === 'completed') {
+            meeting = await completeMeeting(meeting._id, req, { actor: req.user._id, ip: req.ip }) || meeting;
+            return res.status(200).json({ success: true, data: meeting });
         }
 
+        if (changesSchedule(meeting, { status }, MEETING_SCHEDULE_FIELDS)) meeting.icsSequence += 1;
         meeting.status = status;
         await meeting.save();
 
@@ -302,23 +467,41 @@ exports.updateMeetingStatus = async (req, res) => {
 };
 
 /**
- * @desc    Delete meeting
+ * @desc    Delete meeting (?scope=this|following|all for recurring meetings)
  * @route   DELETE /api/meetings/:id
- * @access  Admin/Alumni
+ * @access  Admin/Alumni (meeting:delete)
  */
 exports.deleteMeeting = async (req, res) => {
     try {
+        const scope = req.query.scope || 'this';
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({ success: false, message: `Scope must be one of: ${SERIES_SCOPES.join(', ')}` });
+        }
+
         const meeting = await Meeting.findById(req.params.id);
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
 
-        const userClubRole = req.user.clubsJoined.find(c => c.clubId.toString() === meeting.clubId.toString())?.role;
-        if (req.user.role !== 'admin' && userClubRole !== 'admin' && userClubRole !== 'alumni') {
-            return res.status(403).json({ success: false, message: 'Not authorized' });
-        }
-
         const clubId = meeting.clubId;
         const wasCompleted = meeting.status === 'completed';
 
+        const series = meeting.seriesId && await MeetingSeries.findById(meeting.seriesId);
+        if (series && scope !== 'this') {
+            const fromDate = scope === 'all' ? series.recurrence.startDate : meeting.occurrenceDate;
+            const meetingIds = await endSeries(series, fromDate);
+
+            res.status(200).json({ success: true, message: `${meetingIds.length} meetings deleted`, data: { meetingIds } });
+
+            emitToClub(req, clubId, 'meeting_series_deleted', { seriesId: series._id, scope, meetingIds });
+            return;
+        }
+
+        // Keep the series from generating this occurrence again
+        if (series) {
+            series.exceptions.push(meeting.occurrenceDate);
+            await series.save();
+        }
+
+        await recordTombstones('meeting', [meeting]);
         await meeting.deleteOne();
 
         // Invalidate meetings cache
@@ -330,37 +513,8 @@ exports.deleteMeeting = async (req, res) => {
         // If meeting was completed, we need to revert/recalculate the counts for members
         if (wasCompleted) {
             console.log(`[Meeting] Recalculating streaks for club ${clubId} after deletion...`);
-            const members = await User.find({ 'clubsJoined.clubId': clubId });
-
-            // Get all remaining completed meetings for this club
-            const completedMeetings = await Meeting.find({
-                clubId,
-                status: 'completed'
-            }).sort({ date: -1, createdAt: -1 });
-
-            // Recalculate streak for each member
-            for (let member of members) {
-                let streak = 0;
-                for (let m of completedMeetings) {
-                    const attendance = m.attendees.find(a =>
-                        (a.userId?._id || a.userId)?.toString() === member._id.toString()
-                    );
-
-                    if (attendance && (attendance.status === 'present' || attendance.status === 'late')) {
-                        // User attended, streak breaks
-                        break;
-                    } else {
-                        // User was absent or attendance record missing (assume absent if meeting was completed)
-                        streak++;
-                    }
-                }
-
-                // Update the user's consecutiveAbsences for this specific club
-                await User.updateOne(
-                    { _id: member._id, 'clubsJoined.clubId': clubId },
-                    { $set: { 'clubsJoined.$.consecutiveAbsences': streak } }
-                );
-            }
+            await recalculateAbsenceStreaks(clubId);
+            await updateClubStats(clubId);
         }
 
         // Emit socket event
@@ -373,8 +527,8 @@ exports.deleteMeeting = async (req, res) => {
 
 /**
  * @desc    Get meetings for a specific club
- * @route   GET /api/clubs/:clubId/meetings
- * @access  Club Members
+ * @route   GET /api/meetings/club/:clubId
+ * @access  Club Members (meeting:view)
  */
 exports.getClubMeetings = async (req, res) => {
     try {
@@ -383,15 +537,7 @@ exports.getClubMeetings = async (req, res) => {
         const query = {};
 
         if (clubId !== 'all') {
-            // Check if user is member of this specific club (or global admin)
-            const isMember = req.user.clubsJoined.some(c => c.clubId && c.clubId.toString() === clubId);
-            if (!isGlobalAdmin && !isMember) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'You must join this club to view its meetings',
-                    errorType: 'NOT_JOINED'
-                });
-            }
+            // Membership is enforced by requirePermission('meeting:view')
             query.clubId = clubId;
         } else {
             // If fetching all, and not global admin, only show meetings for clubs they joined
@@ -403,6 +549,9 @@ exports.getClubMeetings = async (req, res) => {
             }
         }
 
+        // Create upcoming occurrences of recurring meetings (clears the cache when it adds any)
+        await generateDueOccurrences(query.clubId ? { clubId: query.clubId } : {});
+
         const cacheKey = `club:meetings:${clubId}`;
         const cachedMeetings = await getCache(cacheKey);
 
@@ -424,19 +573,20 @@ exports.getClubMeetings = async (req, res) => {
         const startOfToday = new Date(now);
         startOfToday.setHours(0, 0, 0, 0);
 
+        // Not over yet: before its end instant (meetings without endsAt count until the day is over)
+        const isPending = (m) => m.endsAt ? m.endsAt >= now : new Date(m.date) >= startOfToday;
+
         // Categorize based on status AND date
-        const upcoming = meetings.filter(m => {
-            const mDate = new Date(m.date);
-            // Must be upcoming/ongoing status AND (date is today or future OR status is ongoing)
-            return (m.status === 'upcoming' || m.status === 'ongoing') &&
-                (mDate >= startOfToday || m.status === 'ongoing');
-        });
+        const upcoming = meetings.filter(m =>
+            // Must be upcoming/ongoing status AND (not over yet OR status is ongoing)
+            (m.status === 'upcoming' || m.status === 'ongoing') &&
+            (isPending(m) || m.status === 'ongoing')
+        );
 
-        const past = meetings.filter(m => {
-            const mDate = new Date(m.date);
-            return m.status === 'completed' ||
-                ((m.status === 'upcoming' || m.status === 'ongoing') && mDate < startOfToday);
-        }).reverse(); // Most recent first
+        const past = meetings.filter(m =>
+            m.status === 'completed' ||
+            (m.status === 'upcoming' && !isPending(m))
+        ).reverse(); // Most recent first
 
         const canceled = meetings.filter(m =>
             m.status === 'canceled' || m.status === 'cancelled'
@@ -468,30 +618,33 @@ exports.getClubMeetings = async (req, res) => {
 };
 
 /**
- * @desc    Generate Attendance Code/QR
+ * @desc    Open attendance window with rotating QR tokens
  * @route   POST /api/meetings/:id/attendance-start
- * @access  Admin/Alumni
+ * @access  Admin/Alumni (attendance:start)
  */
 exports.startAttendance = async (req, res) => {
     try {
         const meeting = await Meeting.findById(req.params.id);
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
 
-        // Authorization Check
         const clubId = meeting.clubId.toString();
-        const userClubRole = req.user.clubsJoined.find(c => c.clubId.toString() === clubId)?.role;
-        if (req.user.role !== 'admin' && userClubRole !== 'admin' && userClubRole !== 'alumni') {
-            return res.status(403).json({ success: false, message: 'Not authorized' });
-        }
 
-        // Generate 4-digit code
-        const code = Math.floor(1000 + Math.random() * 9000).toString();
+        const durationMinutes = Math.min(
+            parseInt(req.body.durationMinutes, 10) || ATTENDANCE_WINDOW_MINUTES,
+            MAX_ATTENDANCE_WINDOW_MINUTES
+        );
+        const now = new Date();
 
-        meeting.attendanceCode = code;
+        // Fresh secret per window: tokens from an earlier window stop working
+        const secret = generateSecret();
+        meeting.attendanceSecret = secret;
+        meeting.attendanceWindow = {
+            opensAt: now,
+            closesAt: new Date(now.getTime() + durationMinutes * 60000),
+            startedBy: req.user._id
+        };
         meeting.isAttendanceActive = true;
         meeting.status = 'ongoing'; // Automatically make meeting Ongoing
-        // Expires in 15 mins
-        // meeting.qrCode.expiresAt = new Date(Date.now() + 15*60000); 
 
         await meeting.save();
 
@@ -499,19 +652,78 @@ exports.startAttendance = async (req, res) => {
         await delCache(`club:meetings:${clubId}`);
         await delCache(`user:dashboard:${req.user._id}`);
 
+        const { token, code, expiresAt } = generateAttendanceToken(secret, meeting._id.toString());
+
         res.status(200).json({
             success: true,
-            code: meeting.attendanceCode,
-            message: 'Attendance logic started. Active for users.'
+            token,
+            code,
+            expiresAt,
+            closesAt: meeting.attendanceWindow.closesAt,
+            rotatesEvery: STEP_SECONDS,
+            message: 'Attendance started. Tokens rotate automatically until the window closes.'
         });
 
-        // Emit socket event
+        // Let members know check-in is open (no token - that only goes to the admin)
         emitToClub(req, clubId, 'attendance_started', {
             meetingId: meeting._id,
-            attendanceCode: meeting.attendanceCode
+            closesAt: meeting.attendanceWindow.closesAt
+        });
+
+        // Push rotating tokens to the admin's device
+        startRotation(req, meeting, secret);
+
+    } catch (error) {
+        console.error('Start attendance error:', error);
+        res.status(500).json({ success: false, message: 'Server Error' });
+    }
+};
+
+/**
+ * @desc    Get the current attendance token (fallback when the socket push is missed)
+ * @route   GET /api/meetings/:id/attendance-token
+ * @access  Admin/Alumni (attendance:start)
+ */
+exports.getAttendanceToken = async (req, res) => {
+    try {
+        const meeting = await Meeting.findById(req.params.id).select('+attendanceSecret');
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        if (!meeting.isAttendanceWindowOpen() || !meeting.attendanceSecret) {
+            return res.status(400).json({ success: false, message: 'Attendance is not currently active for this meeting.' });
+        }
+
+        const { token, code, expiresAt } = generateAttendanceToken(meeting.attendanceSecret, meeting._id.toString());
+
+        res.status(200).json({
+            success: true,
+            token,
+            code,
+            expiresAt,
+            closesAt: meeting.attendanceWindow?.closesAt,
+            rotatesEvery: STEP_SECONDS
         });
+    } catch (error) {
+        console.error('Get attendance token error:', error);
+        res.status(500).json({ success: false, message: 'Server Error' });
+    }
+};
+
+/**
+ * @desc    Close attendance window early
+ * @route   POST /api/meetings/:id/attendance-stop
+ * @access  Admin/Alumni (attendance:start)
+ */
+exports.stopAttendance = async (req, res) => {
+    try {
+        const meeting = await closeAttendanceWindow(req, req.params.id);
+        if (!meeting) {
+            return res.status(400).json({ success: false, message: 'Attendance is not currently active for this meeting.' });
+        }
 
+        res.status(200).json({ success: true, message: 'Attendance closed' });
     } catch (error) {
+        console.error('Stop attendance error:', error);
         res.status(500).json({ success: false, message: 'Server Error' });
     }
 };
@@ -519,30 +731,23 @@ exports.startAttendance = async (req, res) => {
 /**
  * @desc    Mark Attendance (User)
  * @route   POST /api/meetings/:id/attendance
- * @access  Member
+ * @access  Member (attendance:check_in)
  */
 exports.markAttendance = async (req, res) => {
     try {
-        const { code } = req.body;
-        const meeting = await Meeting.findById(req.params.id);
+        // QR scans send the token, manual entry sends the 6-digit code
+        // location: { latitude, longitude, accuracy } from the device, needed for fenced offline meetings
+        const { token, code, location } = req.body;
+        const meeting = await Meeting.findById(req.params.id).select('+attendanceSecret');
 
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
 
-        // Check if user is a member of the club
-        const isMember = req.user.clubsJoined.some(c => c.clubId.toString() === meeting.clubId.toString());
-        if (!isMember && req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'You are not a member of this club. Please join the club to mark attendance.'
-            });
-        }
-
-        if (!meeting.isAttendanceActive) {
+        if (!meeting.isAttendanceWindowOpen()) {
             return res.status(400).json({ success: false, message: 'Attendance is not currently active for this meeting.' });
         }
 
-        if (meeting.attendanceCode !== code) {
-            return res.status(400).json({ success: false, message: 'Invalid Attendance Code' });
+        if (!verifyAttendanceToken(meeting.attendanceSecret, meeting._id.toString(), token || code)) {
+            return res.status(400).json({ success: false, message: 'Invalid or expired attendance code. Scan the latest QR code.' });
         }
 
         // Check if already marked
@@ -554,20 +759,40 @@ exports.markAttendance = async (req, res) => {
             });
         }
 
+        const club = await Club.findById(meeting.clubId).select('settings');
+        const geofence = checkGeofence(meeting, club, location);
+        if (!geofence.inside && geofence.mode === 'reject') {
+            return res.status(403).json({
+                success: false,
+                errorType: geofence.reason === 'location_missing' ? 'LOCATION_REQUIRED' : 'OUTSIDE_GEOFENCE',
+                message: geofence.reason === 'location_missing'
+                    ? 'Location access is required to mark attendance for this meeting.'
+                    : 'You need to be at the meeting location to mark attendance.',
+                distanceMeters: geofence.distanceMeters
+            });
+        }
+        const flagged = !geofence.inside;
+
         // Add to attendees
         meeting.attendees.push({
             userId: req.user._id,
             status: 'present',
-            markedAt: new Date()
+            markedAt: new Date(),
+            distanceMeters: geofence.distanceMeters,
+            flagged,
+            flagReason: geofence.reason
         });
 
+        await logAttendanceChanges(req, meeting, [{
+            userId: req.user._id,
+            action: 'code_entry',
+            previousStatus: null,
+            newStatus: 'present'
+        }]);
         await meeting.save();
 
         // Reset consecutive absences for this club
-        await User.updateOne(
-            { _id: req.user._id, 'clubsJoined.clubId': meeting.clubId },
-            { $set: { 'clubsJoined.$.consecutiveAbsences': 0 } }
-        );
+        await resetAbsenceStreaks(meeting.clubId, [req.user._id]);
 
         // Invalidate caches
         await delCache(`club:meetings:${meeting.clubId}`);
@@ -575,7 +800,10 @@ exports.markAttendance = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            message: 'Attendance marked successfully!'
+            message: flagged
+                ? 'Attendance marked, but your location could not be verified. An admin will review it.'
+                : 'Attendance marked successfully!',
+            flagged
         });
 
         // Push notification to user
@@ -599,7 +827,9 @@ exports.markAttendance = async (req, res) => {
             maverickId: req.user.maverickId,
             profilePicture: req.user.profilePicture,
             status: 'present',
-            markedAt: new Date()
+            markedAt: new Date(),
+            flagged,
+            flagReason: geofence.reason
         });
 
     } catch (error) {
@@ -611,22 +841,47 @@ exports.markAttendance = async (req, res) => {
 /**
  * @desc    Mark Attendance Manually (Admin)
  * @route   POST /api/meetings/:id/manual-attendance
- * @access  Admin
+ * @access  Admin/Alumni (attendance:mark)
  */
 exports.manualAttendance = async (req, res) => {
     try {
         const { userIds, status } = req.body; // array of userIds
+
+        if (!Array.isArray(userIds) || userIds.length === 0) {
+            return res.status(400).json({ success: false, message: 'Please provide at least one user' });
+        }
+        if (!['present', 'absent', 'late'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid attendance status' });
+        }
+        if (!userIds.every(uid => mongoose.Types.ObjectId.isValid(uid))) {
+            return res.status(400).json({ success: false, message: 'userIds contains an invalid id' });
+        }
+
         const meeting = await Meeting.findById(req.params.id);
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
 
-        // Authorization checks... (Same as above)
+        // Only members of this meeting's club can be marked
+        const memberCount = await User.countDocuments({
+            _id: { $in: userIds },
+            'clubsJoined.clubId': meeting.clubId
+        });
+        if (memberCount !== new Set(userIds.map(String)).size) {
+            return res.status(400).json({ success: false, message: 'All users must be members of this club' });
+        }
 
         // Loop through userIds
+        const auditEntries = [];
         userIds.forEach(uid => {
             const index = meeting.attendees.findIndex(a => a.userId.toString() === uid);
             if (index > -1) {
+                const previousStatus = meeting.attendees[index].status;
                 meeting.attendees[index].status = status;
                 meeting.attendees[index].markedBy = req.user._id;
+                // An admin marking the member resolves any geofence flag
+                meeting.attendees[index].flagged = false;
+                if (previousStatus !== status) {
+                    auditEntries.push({ userId: uid, action: 'status_change', previousStatus, newStatus: status });
+                }
             } else {
                 meeting.attendees.push({
                     userId: uid,
@@ -634,18 +889,18 @@ exports.manualAttendance = async (req, res) => {
                     markedAt: new Date(),
                     markedBy: req.user._id
                 });
+                auditEntries.push({ userId: uid, action: 'manual_mark', previousStatus: null, newStatus: status });
             }
         });
 
         meeting.status = 'ongoing'; // Automatically make meeting ongoing
+
+        await logAttendanceChanges(req, meeting, auditEntries);
         await meeting.save();
 
         // Reset consecutive absences for these users in this club
         if (status === 'present') {
-            await User.updateMany(
-                { _id: { $in: userIds }, 'clubsJoined.clubId': meeting.clubId },
-                { $set: { 'clubsJoined.$.consecutiveAbsences': 0 } }
-            );
+            await resetAbsenceStreaks(meeting.clubId, userIds);
         }
 
         // Invalidate caches
@@ -706,17 +961,491 @@ exports.manualAttendance = async (req, res) => {
 };
 
 /**
- * @desc Get meeting details (Admin view with attendees)
+ * @desc    Get meeting details (Admin view with attendees)
+ * @route   GET /api/meetings/:id
+ * @access  Club Members (meeting:view)
  */
 exports.getMeetingDetails = async (req, res) => {
     try {
         const meeting = await Meeting.findById(req.params.id)
-            .populate('attendees.userId', 'displayName maverickId profilePicture');
+            .populate('attendees.userId', 'displayName maverickId profilePicture')
+            .populate('rsvps.userId', 'displayName maverickId profilePicture');
 
         if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
 
-        res.status(200).json({ success: true, data: meeting });
+        const data = meeting.toObject();
+
+        // Check-ins that failed the geofence, for admins to confirm or overrule
+        if (await hasPermission(req.user, 'attendance:mark', meeting.clubId)) {
+            data.flaggedAttendees = data.attendees.filter(a => a.flagged);
+        }
+
+        // Everyone sees the headcount; who answered what is for organisers
+        const memberCount = await User.countDocuments({ 'clubsJoined.clubId': meeting.clubId });
+        data.rsvpSummary = summarizeRsvps(data.rsvps, memberCount);
+        data.myRsvp = getRsvp(data, req.user._id);
+        if (!await hasPermission(req.user, 'meeting:update', meeting.clubId)) {
+            delete data.rsvps;
+        }
+
+        // Draft minutes stay with their authors
+        if (data.minutes?.status !== 'published' && !await hasPermission(req.user, 'minutes:write', meeting.clubId)) {
+            delete data.minutes;
+        }
+
+        res.status(200).json({ success: true, data });
     } catch (e) {
         res.status(500).json({ success: false, message: 'Error' });
     }
 }
+
+/**
+ * @desc    RSVP to a meeting (going / maybe / not_going, optional comment)
+ * @route   PUT /api/meetings/:id/rsvp
+ * @access  Member (meeting:rsvp)
+ */
+exports.rsvpMeeting = async (req, res) => {
+    try {
+        const { status, comment } = req.body;
+        const rsvpError = validateRsvp({ status, comment });
+        if (rsvpError) return res.status(400).json({ success: false, message: rsvpError });
+
+        const meeting = await Meeting.findById(req.params.id);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        if (meeting.status !== 'upcoming') {
+            return res.status(400).json({ success: false, message: `Cannot RSVP to a ${meeting.status} meeting` });
+        }
+
+        const rsvp = setRsvp(meeting, req.user._id, { status, comment });
+        await meeting.save();
+
+        await delCache(`club:meetings:${meeting.clubId}`);
+        await delCache('club:meetings:all');
+
+        const memberCount = await User.countDocuments({ 'clubsJoined.clubId': meeting.clubId });
+        const summary = summarizeRsvps(meeting.rsvps, memberCount);
+        res.status(200).json({ success: true, message: 'RSVP saved', data: { rsvp, summary } });
+
+        emitToClub(req, meeting.clubId, 'meeting_rsvp_updated', { meetingId: meeting._id, summary });
+    } catch (error) {
+        console.error('RSVP meeting error:', error);
+        res.status(500).json({ success: false, message: 'Error saving RSVP' });
+    }
+};
+
+/**
+ * @desc    Ask members who haven't RSVP'd yet whether they are coming
+ * @route   POST /api/meetings/:id/rsvp-reminder
+ * @access  Admin/Alumni (meeting:update)
+ */
+exports.remindMeetingRsvps = async (req, res) => {
+    try {
+        const meeting = await Meeting.findById(req.params.id);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        if (meeting.status !== 'upcoming') {
+            return res.status(400).json({ success: false, message: `Cannot send RSVP reminders for a ${meeting.status} meeting` });
+        }
+
+        const reminded = await remindNonResponders(meeting, 'meeting', req);
+
+        res.status(200).json({
+            success: true,
+            message: reminded > 0 ? `Reminder sent to ${reminded} members` : 'Everyone has already responded',
+            data: { reminded }
+        });
+    } catch (error) {
+        console.error('RSVP reminder error:', error);
+        res.status(500).json({ success: false, message: 'Error sending RSVP reminders' });
+    }
+};
+
+/**
+ * @desc    Get a meeting's minutes (drafts only for minute writers)
+ * @route   GET /api/meetings/:id/minutes
+ * @access  Club Members (meeting:view)
+ */
+exports.getMeetingMinutes = async (req, res) => {
+    try {
+        const meeting = await Meeting.findById(req.params.id)
+            .select('name clubId minutes')
+            .populate('minutes.actionItems.assignees', 'displayName maverickId profilePicture')
+            .populate('minutes.actionItems.taskId', 'status dueDate')
+            .populate('minutes.updatedBy minutes.publishedBy', 'displayName');
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        const published = meeting.minutes?.status === 'published';
+        if (!published && !await hasPermission(req.user, 'minutes:write', meeting.clubId)) {
+            return res.status(404).json({ success: false, message: 'Minutes have not been published yet' });
+        }
+
+        res.status(200).json({ success: true, data: meeting.minutes });
+    } catch (error) {
+        console.error('Get meeting minutes error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching minutes' });
+    }
+};
+
+/**
+ * @desc    Save meeting minutes (agendaItems, decisions, actionItems); stays a draft until published
+ * @route   PUT /api/meetings/:id/minutes
+ * @access  Admin/Alumni (minutes:write)
+ */
+exports.saveMeetingMinutes = async (req, res) => {
+    try {
+        const { agendaItems = [], decisions = [], actionItems = [] } = req.body;
+
+        const minutesError = validateMinutes({ agendaItems, decisions, actionItems });
+        if (minutesError) return res.status(400).json({ success: false, message: minutesError });
+
+        const meeting = await Meeting.findById(req.params.id);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        // Assignees must belong to the club
+        const assigneeIds = [...new Set(actionItems.flatMap(item => item.assignees.map(String)))];
+        if (assigneeIds.length > 0) {
+            const memberCount = await User.countDocuments({ _id: { $in: assigneeIds }, 'clubsJoined.clubId': meeting.clubId });
+            if (memberCount !== assigneeIds.length) {
+                return res.status(400).json({ success: false, message: 'Action items can only be assigned to club members' });
+            }
+        }
+
+        // Action items already turned into tasks keep their task
+        const existingTasks = new Map((meeting.minutes?.actionItems || [])
+            .filter(item => item.taskId)
+            .map(item => [item._id.toString(), item.taskId]));
+
+        meeting.minutes = {
+            agendaItems: agendaItems.map(({ title, notes }) => ({ title, notes })),
+            decisions: decisions.map(({ text }) => ({ text })),
+            actionItems: actionItems.map(({ _id, title, description, assignees, dueDate, priority }) => ({
+                ...(_id && existingTasks.has(String(_id)) ? { _id, taskId: existingTasks.get(String(_id)) } : {}),
+                title,
+                description,
+                assignees,
+                dueDate,
+                priority
+            })),
+            status: meeting.minutes?.status || 'draft',
+            updatedBy: req.user._id,
+            publishedBy: meeting.minutes?.publishedBy,
+            publishedAt: meeting.minutes?.publishedAt
+        };
+        await meeting.save();
+
+        res.status(200).json({ success: true, message: 'Minutes saved', data: meeting.minutes });
+    } catch (error) {
+        console.error('Save meeting minutes error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(val => val.message).join(', ')
+            });
+        }
+        res.status(500).json({ success: false, message: 'Error saving minutes' });
+    }
+};
+
+/**
+ * @desc    Publish minutes: action items become tasks and the club gets a recap
+ * @route   POST /api/meetings/:id/minutes/publish
+ * @access  Admin/Alumni (minutes:write; task:create when there are new action items)
+ */
+exports.publishMeetingMinutes = async (req, res) => {
+    try {
+        const meeting = await Meeting.findById(req.params.id);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        const { minutes } = meeting;
+        if (!minutes || minutes.agendaItems.length + minutes.decisions.length + minutes.actionItems.length === 0) {
+            return res.status(400).json({ success: false, message: 'Write the minutes before publishing them' });
+        }
+        if (['canceled', 'cancelled'].includes(meeting.status)) {
+            return res.status(400).json({ success: false, message: 'Cannot publish minutes of a cancelled meeting' });
+        }
+        // The recap tells members who weren't marked present that they missed it
+        if (!['ongoing', 'completed'].includes(meeting.status)) {
+            return res.status(400).json({ success: false, message: 'Minutes can be published once the meeting has started' });
+        }
+
+        const createsTasks = minutes.actionItems.some(item => !item.taskId);
+        if (createsTasks && !await hasPermission(req.user, 'task:create', meeting.clubId)) {
+            return res.status(403).json({ success: false, message: 'You need permission to create tasks to publish action items' });
+        }
+
+        const { tasks, notified } = await publishMinutes(meeting, req.user._id, req);
+
+        await delCache(`club:meetings:${meeting.clubId}`);
+        await delCache('club:meetings:all');
+
+        res.status(200).json({
+            success: true,
+            message: `Minutes published${tasks.length > 0 ? `, ${tasks.length} task${tasks.length === 1 ? '' : 's'} created` : ''}`,
+            data: { minutes: meeting.minutes, tasks, notified }
+        });
+
+        emitToClub(req, meeting.clubId, 'meeting_minutes_published', { meetingId: meeting._id });
+    } catch (error) {
+        console.error('Publish meeting minutes error:', error);
+        res.status(500).json({ success: false, message: 'Error publishing minutes' });
+    }
+};
+
+/**
+ * @desc    Get attendance change log of a meeting
+ * @route   GET /api/meetings/:id/attendance-log
+ * @access  Club Admin (attendance:audit)
+ */
+exports.getAttendanceLog = async (req, res) => {
+    try {
+        const { userId } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid userId' });
+        }
+
+        const query = { meetingId: req.params.id };
+        if (userId) query.userId = userId;
+
+        const [entries, total] = await Promise.all([
+            AttendanceLog.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('userId', 'displayName maverickId profilePicture')
+                .populate('actor', 'displayName maverickId'),
+            AttendanceLog.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            data: entries
+        });
+    } catch (error) {
+        console.error('Get attendance log error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching attendance log' });
+    }
+};
+
+/**
+ * @desc    Request to be excused from a meeting (optional attachment, e.g. a medical note)
+ * @route   POST /api/meetings/:id/absence
+ * @access  Member (absence:request)
+ */
+exports.submitAbsenceRequest = async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'Please provide a reason' });
+        }
+
+        const meeting = await Meeting.findById(req.params.id);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        if (['completed', 'canceled', 'cancelled'].includes(meeting.status)) {
+            return res.status(400).json({ success: false, message: `Cannot request absence for a ${meeting.status} meeting` });
+        }
+
+        const userId = req.user._id.toString();
+        const attendee = meeting.attendees.find(a => a.userId.toString() === userId);
+        if (attendee && (attendee.status === 'present' || attendee.status === 'late')) {
+            return res.status(400).json({ success: false, message: 'Your attendance is already marked for this meeting' });
+        }
+
+        // A rejected request can be replaced by a new one
+        const existing = meeting.absenceRequests.find(r => r.userId.toString() === userId);
+        if (existing && existing.status !== 'rejected') {
+            return res.status(400).json({ success: false, message: `You already have a ${existing.status} absence request for this meeting` });
+        }
+
+        let attachment;
+        if (req.file) {
+            const uploaded = await uploadBuffer(req.file.buffer, 'mavericks/absence-requests', { mimeType: req.file.mimetype });
+            attachment = { ...uploaded, name: req.file.originalname };
+        }
+
+        const club = await Club.findById(meeting.clubId).select('name settings');
+        const autoApprove = club && club.settings.requireAbsenceApproval === false;
+
+        if (existing) meeting.absenceRequests.pull(existing._id);
+        meeting.absenceRequests.push({
+            userId: req.user._id,
+            reason,
+            attachment,
+            status: autoApprove ? 'approved' : 'pending',
+            reviewedAt: autoApprove ? new Date() : undefined,
+            submittedAt: new Date()
+        });
+        await meeting.save();
+
+        const absenceRequest = meeting.absenceRequests[meeting.absenceRequests.length - 1];
+
+        await delCache(`club:meetings:${meeting.clubId}`);
+        await delCache(`user:dashboard:${req.user._id}`);
+
+        res.status(201).json({
+            success: true,
+            message: autoApprove ? 'Absence recorded' : 'Absence request submitted for review',
+            data: absenceRequest
+        });
+
+        if (autoApprove) return;
+
+        // Let the club's reviewers know
+        try {
+            const reviewers = await findClubMembersWithPermission(meeting.clubId, 'absence:review');
+
+            await Notification.insertMany(reviewers.map(reviewer => ({
+                userId: reviewer._id,
+                type: 'absence_requested',
+                title: 'Absence Request',
+                message: `${req.user.displayName} requested to be excused from "${meeting.name}".`,
+                data: { absenceId: absenceRequest._id },
+                clubId: meeting.clubId,
+                relatedId: meeting._id,
+                relatedModel: 'Meeting'
+            })));
+
+            reviewers.forEach(reviewer => {
+                emitToUser(req, reviewer._id, 'notification_receive', {});
+                emitToUser(req, reviewer._id, 'absence_request_submitted', {
+                    clubId: meeting.clubId.toString(),
+                    meetingId: meeting._id.toString(),
+                    absenceId: absenceRequest._id.toString()
+                });
+            });
+        } catch (notifyError) {
+            console.error('Absence request notification error:', notifyError);
+        }
+    } catch (error) {
+        console.error('Submit absence request error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(val => val.message).join(', ')
+            });
+        }
+        res.status(500).json({ success: false, message: 'Error submitting absence request' });
+    }
+};
+
+/**
+ * @desc    List absence requests of a club (pending by default)
+ * @route   GET /api/meetings/club/:clubId/absences
+ * @access  Club Admin (absence:review)
+ */
+exports.getClubAbsenceRequests = async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!['pending', 'approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid status' });
+        }
+
+        const meetings = await Meeting.find({
+            clubId: req.params.clubId,
+            'absenceRequests.status': status
+        })
+            .sort({ date: 1 })
+            .select('name date time status absenceRequests')
+            .populate('absenceRequests.userId', 'displayName maverickId profilePicture')
+            .populate('absenceRequests.reviewedBy', 'displayName');
+
+        const requests = meetings.flatMap(meeting => meeting.absenceRequests
+            .filter(r => r.status === status)
+            .map(r => ({
+                ...r.toObject(),
+                meeting: { _id: meeting._id, name: meeting.name, date: meeting.date, time: meeting.time, status: meeting.status }
+            })));
+
+        res.status(200).json({ success: true, count: requests.length, data: requests });
+    } catch (error) {
+        console.error('Get absence requests error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching absence requests' });
+    }
+};
+
+/**
+ * @desc    Approve or reject an absence request
+ * @route   PUT /api/meetings/:id/absence/:absenceId
+ * @access  Club Admin (absence:review)
+ */
+exports.reviewAbsenceRequest = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'Status must be approved or rejected' });
+        }
+
+        const meeting = await Meeting.findById(req.params.id);
+        if (!meeting) return res.status(404).json({ success: false, message: 'Meeting not found' });
+
+        const absenceRequest = meeting.absenceRequests.id(req.params.absenceId);
+        if (!absenceRequest) {
+            return res.status(404).json({ success: false, message: 'Absence request not found' });
+        }
+        if (absenceRequest.status !== 'pending') {
+            return res.status(400).json({ success: false, message: `Request has already been ${absenceRequest.status}` });
+        }
+
+        absenceRequest.status = status;
+        absenceRequest.reviewedBy = req.user._id;
+        absenceRequest.reviewedAt = new Date();
+        absenceRequest.reviewNote = note;
+        await meeting.save();
+
+        // A completed meeting already counted this member as absent; excusing it now has to undo that
+        if (status === 'approved' && meeting.status === 'completed') {
+            await recalculateAbsenceStreaks(meeting.clubId, [absenceRequest.userId]);
+        }
+
+        await delCache(`club:meetings:${meeting.clubId}`);
+        await delCache(`user:dashboard:${absenceRequest.userId}`);
+
+        res.status(200).json({ success: true, message: `Absence request ${status}`, data: absenceRequest });
+
+        const approved = status === 'approved';
+        const title = approved ? 'Absence Approved ✅' : 'Absence Rejected';
+        const message = approved
+            ? `Your absence from "${meeting.name}" has been excused.`
+            : `Your absence request for "${meeting.name}" was rejected.${note ? ` Note: ${note}` : ''}`;
+
+        await Notification.create({
+            userId: absenceRequest.userId,
+            type: approved ? 'absence_approved' : 'absence_rejected',
+            title,
+            message,
+            data: { absenceId: absenceRequest._id },
+            clubId: meeting.clubId,
+            relatedId: meeting._id,
+            relatedModel: 'Meeting'
+        });
+        emitToUser(req, absenceRequest.userId, 'notification_receive', {});
+        emitToUser(req, absenceRequest.userId, 'absence_request_reviewed', {
+            clubId: meeting.clubId.toString(),
+            meetingId: meeting._id.toString(),
+            absenceId: absenceRequest._id.toString(),
+            status
+        });
+
+        await sendPushNotification(absenceRequest.userId, {
+            title,
+            body: message,
+            data: {
+                type: approved ? 'absence_approved' : 'absence_rejected',
+                screen: 'Meetings',
+                params: { meetingId: meeting._id.toString() },
+                meetingId: meeting._id.toString()
+            }
+        }, req);
+    } catch (error) {
+        console.error('Review absence request error:', error);
+        res.status(500).json({ success: false, message: 'Error reviewing absence request' });
+    }
+};
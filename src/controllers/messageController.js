@@ -1,6 +1,10 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
 const { sendPushNotification } = require('../utils/pushNotifications');
+const { storeMedia } = require('../services/mediaProcessingService');
+const { consumeUpload } = require('../services/uploadSessionService');
+const { parseDataUri, sniffMimeType } = require('../utils/mediaTypes');
+const { toMediaFields } = require('../utils/mediaVariants');
 
 /**
  * @desc    Get messages for a conversation
@@ -43,26 +47,38 @@ exports.getMessages = async (req, res) => {
 };
 
 /**
- * @desc    Send a message
+ * @desc    Send a message (attachment: multipart file, a finished upload session's uploadId, or fileUrl)
  * @route   POST /api/messages
  * @access  Private
  */
 exports.sendMessage = async (req, res) => {
     try {
-        let { receiverId, content, type, fileUrl, publicId, fileName, clubId, replyTo, mentionAI, forwarded, isForwarded } = req.body;
+        let { receiverId, content, type, fileUrl, publicId, fileName, clubId, replyTo, mentionAI, forwarded, isForwarded, uploadId } = req.body;
         const senderId = req.user._id;
 
         // Handle file upload
         if (req.file) {
             console.log(`[MessageController] Processing incoming file: ${req.file.originalname} (${req.file.size} bytes)`);
-            const { uploadImageBuffer } = require('../config/cloudinary');
-            const result = await uploadImageBuffer(req.file.buffer, 'mavericks/messages');
+            const result = await storeMedia(req.file.buffer, 'mavericks/messages', { mimeType: req.file.mimetype });
             fileUrl = {
                 url: result.url,
                 publicId: result.publicId,
                 fileName: req.file.originalname,
-                fileSize: req.file.size,
-                mimeType: req.file.mimetype
+                fileSize: result.bytes,
+                mimeType: result.mimeType,
+                ...toMediaFields(result)
+            };
+            if (!type || type === 'text') type = 'media';
+        } else if (uploadId) {
+            const upload = await consumeUpload(uploadId, req.user, 'message');
+            if (upload.error) return res.status(upload.status).json({ success: false, message: upload.error });
+            fileUrl = {
+                url: upload.asset.url,
+                publicId: upload.asset.publicId,
+                fileName: upload.fileName || fileName || 'Attachment',
+                fileSize: upload.asset.bytes,
+                mimeType: upload.asset.mimeType,
+                ...toMediaFields(upload.asset)
             };
             if (!type || type === 'text') type = 'media';
         } else if (fileUrl && typeof fileUrl === 'string') {
@@ -169,9 +185,9 @@ exports.sendMessage = async (req, res) => {
         }
     } catch (error) {
         console.error('Error sending message:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Error sending message'
+            message: error.status ? error.message : 'Error sending message'
         });
     }
 };
@@ -190,20 +206,28 @@ exports.sendBase64Message = async (req, res) => {
             return res.status(400).json({ success: false, message: 'No media provided' });
         }
 
-        // Convert base64 to buffer
-        const base64Data = image.split(',')[1];
-        const buffer = Buffer.from(base64Data, 'base64');
+        const { buffer } = parseDataUri(image);
+        const family = sniffMimeType(buffer)?.split('/')[0];
+        if (family !== 'image' && family !== 'video') {
+            return res.status(400).json({ success: false, message: 'File content is not an image or video' });
+        }
 
-        // Upload to Cloudinary
-        const result = await uploadImageBuffer(buffer, 'mavericks/chat');
+        // Process and store the media
+        const result = await storeMedia(buffer, 'mavericks/chat');
 
         const newMessage = await Message.create({
             senderId,
             receiverId,
             content: content || 'Sent an attachment',
             type: type || 'media',
-            fileUrl: result.url,
-            publicId: result.publicId,
+            fileUrl: {
+                url: result.url,
+                publicId: result.publicId,
+                fileName: 'Attachment',
+                fileSize: result.bytes,
+                mimeType: result.mimeType,
+                ...toMediaFields(result)
+            },
             replyTo: (replyTo && replyTo !== 'null' && replyTo !== '') ? replyTo : undefined
         });
 
@@ -230,7 +254,7 @@ exports.sendBase64Message = async (req, res) => {
         }
     } catch (error) {
         console.error('Error sending base64 message:', error);
-        res.status(500).json({ success: false, message: 'Error sending message' });
+        res.status(error.status || 500).json({ success: false, message: error.status ? error.message : 'Error sending message' });
     }
 };
 
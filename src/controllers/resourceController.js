@@ -1,5 +1,7 @@
 const EventResource = require('../models/EventResource');
-const { cloudinary } = require('../config/cloudinary');
+const { uploadBase64, deleteFile } = require('../services/storage');
+const { consumeUpload } = require('../services/uploadSessionService');
+const { hasPermission } = require('../utils/permissions');
 
 exports.getResources = async (req, res) => {
     try {
@@ -17,10 +19,10 @@ exports.getResources = async (req, res) => {
 
 exports.addLink = async (req, res) => {
     try {
-        const { eventId, clubId, title, url, linkType } = req.body;
+        const { eventId, title, url, linkType } = req.body;
         const resource = await EventResource.create({
             eventId,
-            clubId,
+            clubId: req.clubId, // Resolved and checked by requirePermission
             title,
             url,
             linkType: linkType || 'other',
@@ -35,7 +37,27 @@ exports.addLink = async (req, res) => {
 
 exports.uploadFile = async (req, res) => {
     try {
-        const { eventId, clubId, title, file, type } = req.body; // file is base64
+        const { eventId, title, file, type, uploadId } = req.body; // file is base64
+        const { clubId } = req; // Resolved and checked by requirePermission
+
+        // Finished upload session instead of base64
+        if (uploadId) {
+            const { asset, error, status } = await consumeUpload(uploadId, req.user, 'resource');
+            if (error) return res.status(status).json({ success: false, message: error });
+
+            const resource = await EventResource.create({
+                eventId,
+                clubId,
+                title,
+                url: asset.url,
+                publicId: asset.publicId,
+                type,
+                uploadedBy: req.user._id,
+                size: asset.bytes,
+                mimeType: asset.mimeType
+            });
+            return res.status(201).json({ success: true, data: resource });
+        }
 
         if (!file) {
             return res.status(400).json({ success: false, message: 'No file provided' });
@@ -52,19 +74,16 @@ exports.uploadFile = async (req, res) => {
             });
         }
 
-        const uploadOptions = {
-            resource_type: type === 'doc' ? 'raw' : (type === 'video' ? 'video' : 'image'),
-            folder: `mavericks/events/${eventId}/${type}s`
-        };
-
-        const result = await cloudinary.uploader.upload(file, uploadOptions);
+        const result = await uploadBase64(file, `mavericks/events/${eventId}/${type}s`, {
+            resourceType: type === 'doc' ? 'raw' : (type === 'video' ? 'video' : 'image')
+        });
 
         const resource = await EventResource.create({
             eventId,
             clubId,
             title,
-            url: result.secure_url,
-            publicId: result.public_id,
+            url: result.url,
+            publicId: result.publicId,
             type,
             uploadedBy: req.user._id,
             size: sizeInBytes,
@@ -84,14 +103,16 @@ exports.deleteResource = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Resource not found' });
         }
 
-        // Only uploader or admin can delete
-        if (resource.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        // Only uploader or club moderators can delete
+        const isOwner = resource.uploadedBy.toString() === req.user._id.toString();
+        if (!isOwner && !await hasPermission(req.user, 'resource:moderate', resource.clubId)) {
             return res.status(403).json({ success: false, message: 'Not authorized' });
         }
 
         if (resource.publicId) {
-            const options = { resource_type: resource.type === 'doc' ? 'raw' : (resource.type === 'video' ? 'video' : 'image') };
-            await cloudinary.uploader.destroy(resource.publicId, options);
+            await deleteFile(resource.publicId, {
+                resourceType: resource.type === 'doc' ? 'raw' : (resource.type === 'video' ? 'video' : 'image')
+            });
         }
 
         await resource.deleteOne();
@@ -109,8 +130,9 @@ exports.updateResource = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Resource not found' });
         }
 
-        // Only uploader or admin can update
-        if (resource.uploadedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        // Only uploader or club moderators can update
+        const isOwner = resource.uploadedBy.toString() === req.user._id.toString();
+        if (!isOwner && !await hasPermission(req.user, 'resource:moderate', resource.clubId)) {
             return res.status(403).json({ success: false, message: 'Not authorized' });
         }
 
@@ -1,12 +1,15 @@
 const Snap = require('../models/Snap');
 const User = require('../models/User');
-const { uploadImageBuffer } = require('../config/cloudinary');
+const { storeMedia } = require('../services/mediaProcessingService');
+const { consumeUpload } = require('../services/uploadSessionService');
+const { parseDataUri, sniffMimeType } = require('../utils/mediaTypes');
+const { toMediaFields } = require('../utils/mediaVariants');
 const { sendPushNotificationToMany, sendPushNotification } = require('../utils/pushNotifications');
 const Notification = require('../models/Notification');
 const Club = require('../models/Club');
 
 /**
- * @desc    Upload a snap
+ * @desc    Upload a snap (multipart file, a finished upload session's uploadId, or imageUrl)
  * @route   POST /api/snaps
  * @access  Private
  */
@@ -22,7 +25,8 @@ exports.uploadSnap = async (req, res) => {
             } : 'No file received'
         });
 
-        const { clubId, caption, type, recipients, imageUrl, publicId } = req.body;
+        const { clubId, caption, recipients, imageUrl, publicId, uploadId } = req.body;
+        let { type } = req.body;
         const senderId = req.user._id;
 
         let recipientsList = [];
@@ -39,7 +43,12 @@ exports.uploadSnap = async (req, res) => {
 
         let result = null;
         if (req.file) {
-            result = await uploadImageBuffer(req.file.buffer, 'mavericks/snaps');
+            result = await storeMedia(req.file.buffer, 'mavericks/snaps', { mimeType: req.file.mimetype });
+        } else if (uploadId) {
+            const { asset, error, status } = await consumeUpload(uploadId, req.user, 'snap');
+            if (error) return res.status(status).json({ success: false, message: error });
+            result = asset;
+            type = type || (asset.resourceType === 'video' ? 'video' : 'image');
         } else if (imageUrl) {
             result = { url: imageUrl, publicId: publicId || '' };
         } else {
@@ -54,7 +63,8 @@ exports.uploadSnap = async (req, res) => {
             clubId,
             mediaUrl: {
                 url: result.url,
-                publicId: result.publicId
+                publicId: result.publicId,
+                ...toMediaFields(result)
             },
             type: type || 'image',
             caption,
@@ -123,9 +133,9 @@ exports.uploadSnap = async (req, res) => {
         }
     } catch (error) {
         console.error('Error uploading snap:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Error uploading snap'
+            message: error.status ? error.message : 'Error uploading snap'
         });
     }
 };
@@ -157,12 +167,14 @@ exports.uploadBase64Snap = async (req, res) => {
             }
         }
 
-        // Convert base64 to buffer
-        const base64Data = media.split(',')[1];
-        const buffer = Buffer.from(base64Data, 'base64');
+        const { buffer } = parseDataUri(media);
+        const family = sniffMimeType(buffer)?.split('/')[0];
+        if (family !== 'image' && family !== 'video') {
+            return res.status(400).json({ success: false, message: 'File content is not an image or video' });
+        }
 
-        // Upload to Cloudinary
-        const result = await uploadImageBuffer(buffer, 'mavericks/snaps');
+        // Process and store the media
+        const result = await storeMedia(buffer, 'mavericks/snaps');
 
         const expiresAt = new Date();
         expiresAt.setHours(expiresAt.getHours() + 24);
@@ -172,7 +184,8 @@ exports.uploadBase64Snap = async (req, res) => {
             clubId,
             mediaUrl: {
                 url: result.url,
-                publicId: result.publicId
+                publicId: result.publicId,
+                ...toMediaFields(result)
             },
             type: type || 'image',
             caption,
@@ -241,9 +254,9 @@ exports.uploadBase64Snap = async (req, res) => {
         }
     } catch (error) {
         console.error('Error uploading base64 snap:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            message: 'Error uploading snap'
+            message: error.status ? error.message : 'Error uploading snap'
         });
     }
 };
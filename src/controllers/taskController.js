@@ -1,13 +1,14 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../models/User');
-const Notification = require('../models/Notification');
-const { sendPushNotificationToMany } = require('../utils/pushNotifications');
 const { getCache, setCache, delCache } = require('../utils/cache');
+const { hasPermission } = require('../utils/permissions');
+const { createTask: createTaskRecord } = require('../services/taskService');
 
 /**
  * @desc    Create a new task
  * @route   POST /api/tasks
- * @access  Private/Admin
+ * @access  Club Admin/Alumni (task:create)
  */
 exports.createTask = async (req, res) => {
     try {
@@ -17,66 +18,17 @@ exports.createTask = async (req, res) => {
             return res.status(400).json({ success: false, message: 'At least one assignee is required' });
         }
 
-        // Prepare assignedTo array for model
-        const assignees = assignedTo.map(userId => ({
-            user: userId,
-            status: 'pending'
-        }));
-
-        const task = await Task.create({
+        const task = await createTaskRecord({
             title,
             description,
             clubId,
-            assignedTo: assignees,
+            assignedTo,
             dueDate,
             priority,
             meetingId,
             attachments,
             assignedBy: req.user._id
-        });
-
-        // Notify assignees
-        try {
-            const notifs = assignedTo.map(userId => ({
-                userId,
-                type: 'task_assigned',
-                title: 'New Task Assigned',
-                message: `You have been assigned a new task: ${title}`,
-                relatedId: task._id,
-                relatedModel: 'Task'
-            }));
-            await Notification.insertMany(notifs);
-
-            await sendPushNotificationToMany(assignedTo, {
-                title: 'New Task Assigned 📋',
-                body: `New task: ${title}. Due by ${new Date(dueDate).toLocaleDateString()}`,
-                data: { taskId: task._id.toString() }
-            });
-
-            // Real-time socket signal
-            const io = req.app.get('io');
-            if (io) {
-                // Signal each attendee for the notification badge
-                assignedTo.forEach(userId => {
-                    io.to(userId.toString()).emit('notification_receive', {});
-                });
-
-                // Broadcast task update to the club room
-                const populatedNewTask = await Task.findById(task._id)
-                    .populate('assignedTo.user', 'displayName profilePicture')
-                    .populate('assignedBy', 'displayName')
-                    .populate('meetingId', 'name date');
-                io.to(`club:${task.clubId}`).emit('task_update', populatedNewTask);
-            }
-        } catch (notifErr) {
-            console.error('Task notification error:', notifErr);
-        }
-
-        // Invalidate caches for all assignees and the dashboard
-        for (const userId of assignedTo) {
-            await delCache(`user:tasks:${userId}`);
-            await delCache(`user:dashboard:${userId}`);
-        }
+        }, req);
 
         res.status(201).json({ success: true, data: task });
     } catch (error) {
@@ -97,8 +49,9 @@ exports.getTasks = async (req, res) => {
 
         if (clubId) query.clubId = clubId;
 
-        // If not admin, only show tasks assigned to the user
-        if (req.user.role !== 'admin') {
+        // Without task:view_all, only show tasks assigned to the user
+        const canViewAll = await hasPermission(req.user, 'task:view_all', clubId);
+        if (!canViewAll) {
             query['assignedTo.user'] = req.user._id;
         }
 
@@ -193,25 +146,22 @@ exports.updateTaskStatus = async (req, res) => {
 };
 
 /**
- * @desc    Update task details (Admin only)
+ * @desc    Update task details
  * @route   PUT /api/tasks/:id
- * @access  Private/Admin
+ * @access  Task assigner, Club Admin/Alumni (task:update)
  */
 exports.updateTask = async (req, res) => {
     try {
         const { title, description, assignedTo, dueDate, priority, meetingId } = req.body;
-        const task = await Task.findById(req.params.id);
+        const task = mongoose.Types.ObjectId.isValid(req.params.id) ? await Task.findById(req.params.id) : null;
 
         if (!task) {
             return res.status(404).json({ success: false, message: 'Task not found' });
         }
 
-        // Check if admin, subadmin or the one who assigned it
-        const canEdit = req.user.role === 'admin' ||
-            req.user.role === 'subadmin' ||
-            task.assignedBy.toString() === req.user._id.toString();
-
-        if (!canEdit) {
+        // The one who assigned it, or anyone who may edit the club's tasks
+        const isAssigner = task.assignedBy?.toString() === req.user._id.toString();
+        if (!isAssigner && !await hasPermission(req.user, 'task:update', task.clubId)) {
             return res.status(403).json({ success: false, message: 'Not authorized to edit this task' });
         }
 
@@ -261,19 +211,16 @@ exports.updateTask = async (req, res) => {
 /**
  * @desc    Delete task
  * @route   DELETE /api/tasks/:id
- * @access  Private/Admin
+ * @access  Task assigner, Club Admin/Alumni (task:delete)
  */
 exports.deleteTask = async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id);
+        const task = mongoose.Types.ObjectId.isValid(req.params.id) ? await Task.findById(req.params.id) : null;
         if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
 
-        // Check if admin, subadmin or the one who assigned it
-        const canDelete = req.user.role === 'admin' ||
-            req.user.role === 'subadmin' ||
-            task.assignedBy.toString() === req.user._id.toString();
-
-        if (!canDelete) {
+        // The one who assigned it, or anyone who may delete the club's tasks
+        const isAssigner = task.assignedBy?.toString() === req.user._id.toString();
+        if (!isAssigner && !await hasPermission(req.user, 'task:delete', task.clubId)) {
             return res.status(403).json({ success: false, message: 'Not authorized' });
         }
 
@@ -0,0 +1,152 @@
+const {
+    createUploadSession,
+    writeChunk,
+    completeUploadSession,
+    cancelUploadSession
+} = require('../services/uploadSessionService');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+
+const toSessionStatus = (session) => ({
+    uploadId: session._id,
+    purpose: session.purpose,
+    fileName: session.fileName,
+    mimeType: session.mimeType,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    receivedBytes: session.receivedBytes,
+    status: session.status,
+    expiresAt: session.expiresAt,
+    asset: session.asset?.url ? session.asset : undefined
+});
+
+const findOwnSession = (req) => (mongoose.Types.ObjectId.isValid(req.params.id)
+    ? UploadSession.findOne({ _id: req.params.id, userId: req.user._id })
+    : null);
+
+// Start of a chunk: ?offset=, or the first byte of "Content-Range: bytes <start>-<end>/<total>"
+const getChunkOffset = (req) => {
+    const range = /^bytes (\d+)-\d+\/\d+$/.exec(req.headers['content-range'] || '');
+    const offset = Number(range ? range[1] : req.query.offset);
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+};
+
+/**
+ * @desc    Open an upload session ({ purpose, fileName, mimeType, size }); returns the upload ticket
+ * @route   POST /api/uploads
+ * @access  Private
+ */
+exports.createUploadSession = async (req, res) => {
+    try {
+        const { session, ticket, error, status } = await createUploadSession(req.user, req.body);
+        if (error) return res.status(status).json({ success: false, message: error });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...toSessionStatus(session),
+                ticket,
+                chunkUrl: `/api/uploads/${session._id}/chunks`,
+                completeUrl: `/api/uploads/${session._id}/complete`
+            }
+        });
+    } catch (error) {
+        console.error('Create upload session error:', error);
+        res.status(500).json({ success: false, message: 'Error creating upload session' });
+    }
+};
+
+/**
+ * @desc    Upload progress (receivedBytes is where to resume)
+ * @route   GET /api/uploads/:id
+ * @access  Private (uploader)
+ */
+exports.getUploadSession = async (req, res) => {
+    try {
+        const session = await findOwnSession(req);
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Upload session not found' });
+        }
+
+        res.status(200).json({ success: true, data: toSessionStatus(session) });
+    } catch (error) {
+        console.error('Get upload session error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching upload session' });
+    }
+};
+
+/**
+ * @desc    Send the next chunk as the raw request body (?offset= or Content-Range)
+ * @route   PUT /api/uploads/:id/chunks
+ * @access  Upload ticket
+ */
+exports.uploadChunk = async (req, res) => {
+    try {
+        const offset = getChunkOffset(req);
+        if (offset === null) {
+            return res.status(400).json({ success: false, message: 'Chunk offset required (?offset= or Content-Range)' });
+        }
+
+        const { session, error, status } = await writeChunk(req.uploadSession, offset, req.body);
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error,
+                data: { receivedBytes: req.uploadSession.receivedBytes }
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                receivedBytes: session.receivedBytes,
+                size: session.size,
+                complete: session.receivedBytes === session.size
+            }
+        });
+    } catch (error) {
+        console.error('Upload chunk error:', error);
+        res.status(500).json({ success: false, message: 'Error saving chunk' });
+    }
+};
+
+/**
+ * @desc    Finish an upload once every byte arrived; the returned uploadId can then be sent to a
+ *          feature endpoint (gallery, snaps, messages, group chat, resources)
+ * @route   POST /api/uploads/:id/complete
+ * @access  Upload ticket
+ */
+exports.completeUpload = async (req, res) => {
+    try {
+        const { session, error, status } = await completeUploadSession(req.uploadSession);
+        if (error) return res.status(status).json({ success: false, message: error });
+
+        res.status(200).json({ success: true, data: toSessionStatus(session) });
+    } catch (error) {
+        console.error('Complete upload error:', error);
+        res.status(500).json({ success: false, message: 'Error completing upload' });
+    }
+};
+
+/**
+ * @desc    Cancel an upload (deletes the stored file if it was never used)
+ * @route   DELETE /api/uploads/:id
+ * @access  Private (uploader)
+ */
+exports.cancelUpload = async (req, res) => {
+    try {
+        const session = await findOwnSession(req);
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Upload session not found' });
+        }
+        if (session.status === 'consumed' || session.status === 'processing') {
+            return res.status(400).json({ success: false, message: `Upload is already ${session.status === 'consumed' ? 'in use' : 'being completed'}` });
+        }
+
+        await cancelUploadSession(session);
+        res.status(200).json({ success: true, message: 'Upload cancelled' });
+    } catch (error) {
+        console.error('Cancel upload error:', error);
+        res.status(500).json({ success: false, message: 'Error cancelling upload' });
+    }
+};
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { uploadImageBuffer } = require('../config/cloudinary');
+const { uploadBuffer } = require('../services/storage');
 const User = require('../models/User');
 
 /**
@@ -432,8 +432,8 @@ exports.handleWebUpload = async (req, res) => {
         else if (type === 'message' || type === 'chat') folder = 'aura/chat';
         else if (type === 'snap') folder = 'aura/expressions';
 
-        // Upload to Cloudinary using buffer
-        const result = await uploadImageBuffer(req.file.buffer, folder);
+        // Upload to media storage
+        const result = await uploadBuffer(req.file.buffer, folder, { mimeType: req.file.mimetype });
 
         res.status(200).json({
             success: true,
@@ -471,7 +471,7 @@ exports.handleBase64Upload = async (req, res) => {
 
         const base64Data = image.split(',')[1] || image;
         const buffer = Buffer.from(base64Data, 'base64');
-        const result = await uploadImageBuffer(buffer, folder);
+        const result = await uploadBuffer(buffer, folder);
 
         res.status(200).json({
             success: true,
@@ -0,0 +1,254 @@
+const path = require('path');
+const WordPack = require('../models/WordPack');
+const { WORD_DIFFICULTIES, MAX_WORDS_PER_PACK, normalizeWords, parseWordList } = require('../utils/wordPacks');
+
+// Pack as listed: word counts instead of the words themselves
+const toPackSummary = (pack) => {
+    const { words, ...rest } = pack;
+    const byDifficulty = Object.fromEntries(WORD_DIFFICULTIES.map(d => [d, 0]));
+    words.forEach(w => { byDifficulty[w.difficulty] = (byDifficulty[w.difficulty] || 0) + 1; });
+    return { ...rest, wordCount: words.length, byDifficulty };
+};
+
+// Validate words for a new or updated pack; returns { words, rejected } or { error }
+const prepareWords = (entries, defaultDifficulty) => {
+    if (defaultDifficulty && !WORD_DIFFICULTIES.includes(defaultDifficulty)) {
+        return { error: `difficulty must be one of: ${WORD_DIFFICULTIES.join(', ')}` };
+    }
+    const { words, rejected } = normalizeWords(entries, defaultDifficulty || 'medium');
+    if (words.length < 2) {
+        return { error: 'A word pack needs at least 2 valid words (single words, 2-30 letters, digits, - or \')' };
+    }
+    if (words.length > MAX_WORDS_PER_PACK) {
+        return { error: `A word pack can have at most ${MAX_WORDS_PER_PACK} words` };
+    }
+    return { words, rejected };
+};
+
+const handleSaveError = (error, res, fallbackMessage) => {
+    if (error.code === 11000) {
+        return res.status(400).json({ success: false, message: 'This club already has a word pack with that name' });
+    }
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({ success: false, message: error.message });
+    }
+    return res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+/**
+ * @desc    Word packs of a club with word counts per difficulty (?active=true for enabled packs only)
+ * @route   GET /api/games/word-packs/club/:clubId
+ * @access  Member (game:view)
+ */
+exports.getWordPacks = async (req, res) => {
+    try {
+        const query = { clubId: req.params.clubId };
+        if (req.query.active === 'true') query.isActive = true;
+
+        const packs = await WordPack.find(query)
+            .sort({ name: 1 })
+            .populate('createdBy', 'displayName')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            count: packs.length,
+            data: packs.map(toPackSummary)
+        });
+    } catch (error) {
+        console.error('Get word packs error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching word packs' });
+    }
+};
+
+/**
+ * @desc    One word pack with its words
+ * @route   GET /api/games/word-packs/:id
+ * @access  Member (game:view)
+ */
+exports.getWordPack = async (req, res) => {
+    try {
+        const pack = await WordPack.findById(req.params.id).populate('createdBy', 'displayName').lean();
+        if (!pack) {
+            return res.status(404).json({ success: false, message: 'Word pack not found' });
+        }
+
+        res.status(200).json({ success: true, data: pack });
+    } catch (error) {
+        console.error('Get word pack error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching word pack' });
+    }
+};
+
+/**
+ * @desc    Create a word pack (words: strings or { text, difficulty }; difficulty is the default tag)
+ * @route   POST /api/games/word-packs/club/:clubId
+ * @access  Club admin (game:manage_words)
+ */
+exports.createWordPack = async (req, res) => {
+    try {
+        const { name, description, language, difficulty, words: entries } = req.body;
+
+        const { words, rejected, error } = prepareWords(entries, difficulty);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const pack = await WordPack.create({
+            clubId: req.params.clubId,
+            name,
+            description,
+            language,
+            words,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Word pack created with ${words.length} words`,
+            data: { pack: toPackSummary(pack.toObject()), rejected }
+        });
+    } catch (error) {
+        console.error('Create word pack error:', error);
+        handleSaveError(error, res, 'Error creating word pack');
+    }
+};
+
+/**
+ * @desc    Create a word pack from a CSV or JSON word list
+ *          (multipart "file" field, or { format: 'csv'|'json', content } in the body;
+ *          name, description, language and difficulty override the file's own)
+ * @route   POST /api/games/word-packs/club/:clubId/import
+ * @access  Club admin (game:manage_words)
+ */
+exports.importWordPack = async (req, res) => {
+    try {
+        let content = req.body.content;
+        let format = req.body.format;
+        let fileName = null;
+        if (req.file) {
+            content = req.file.buffer.toString('utf8');
+            fileName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+            format = path.extname(req.file.originalname).slice(1).toLowerCase();
+        }
+
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ success: false, message: 'Upload a .csv or .json file or send the word list as content' });
+        }
+
+        let parsed;
+        try {
+            parsed = parseWordList(content, format);
+        } catch (parseError) {
+            return res.status(400).json({ success: false, message: `Could not read word list: ${parseError.message}` });
+        }
+
+        const { words, rejected, error } = prepareWords(parsed.entries, req.body.difficulty);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const name = req.body.name || parsed.pack.name || fileName;
+        if (!name) {
+            return res.status(400).json({ success: false, message: 'Please provide a name for the word pack' });
+        }
+
+        const pack = await WordPack.create({
+            clubId: req.params.clubId,
+            name,
+            description: req.body.description || parsed.pack.description,
+            language: req.body.language || parsed.pack.language,
+            words,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${words.length} words${rejected.length ? `, skipped ${rejected.length}` : ''}`,
+            data: { pack: toPackSummary(pack.toObject()), rejected }
+        });
+    } catch (error) {
+        console.error('Import word pack error:', error);
+        handleSaveError(error, res, 'Error importing word pack');
+    }
+};
+
+/**
+ * @desc    Edit a word pack (words, if sent, replace the current list)
+ * @route   PUT /api/games/word-packs/:id
+ * @access  Club admin (game:manage_words)
+ */
+exports.updateWordPack = async (req, res) => {
+    try {
+        const pack = await WordPack.findById(req.params.id);
+        if (!pack) {
+            return res.status(404).json({ success: false, message: 'Word pack not found' });
+        }
+
+        const { name, description, language, difficulty, words: entries, isActive } = req.body;
+        let rejected = [];
+
+        if (entries !== undefined) {
+            const prepared = prepareWords(entries, difficulty);
+            if (prepared.error) return res.status(400).json({ success: false, message: prepared.error });
+            pack.words = prepared.words;
+            rejected = prepared.rejected;
+        }
+        if (name !== undefined) pack.name = name;
+        if (description !== undefined) pack.description = description;
+        if (language !== undefined) pack.language = language;
+        if (typeof isActive === 'boolean') pack.isActive = isActive;
+
+        await pack.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Word pack updated',
+            data: { pack: toPackSummary(pack.toObject()), rejected }
+        });
+    } catch (error) {
+        console.error('Update word pack error:', error);
+        handleSaveError(error, res, 'Error updating word pack');
+    }
+};
+
+/**
+ * @desc    Enable or disable a word pack ({ isActive } in the body, or flip the current state)
+ * @route   PATCH /api/games/word-packs/:id/toggle
+ * @access  Club admin (game:manage_words)
+ */
+exports.toggleWordPack = async (req, res) => {
+    try {
+        const pack = await WordPack.findById(req.params.id).select('-words');
+        if (!pack) {
+            return res.status(404).json({ success: false, message: 'Word pack not found' });
+        }
+
+        pack.isActive = typeof req.body.isActive === 'boolean' ? req.body.isActive : !pack.isActive;
+        await pack.save();
+
+        res.status(200).json({
+            success: true,
+            message: pack.isActive ? 'Word pack enabled' : 'Word pack disabled',
+            data: { _id: pack._id, isActive: pack.isActive }
+        });
+    } catch (error) {
+        console.error('Toggle word pack error:', error);
+        res.status(500).json({ success: false, message: 'Error updating word pack' });
+    }
+};
+
+/**
+ * @desc    Delete a word pack
+ * @route   DELETE /api/games/word-packs/:id
+ * @access  Club admin (game:manage_words)
+ */
+exports.deleteWordPack = async (req, res) => {
+    try {
+        const pack = await WordPack.findByIdAndDelete(req.params.id);
+        if (!pack) {
+            return res.status(404).json({ success: false, message: 'Word pack not found' });
+        }
+
+        res.status(200).json({ success: true, message: 'Word pack deleted' });
+    } catch (error) {
+        console.error('Delete word pack error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting word pack' });
+    }
+};
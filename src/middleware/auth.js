@@ -1,5 +1,43 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isClubPermission, isGlobalPermission } = require('../config/permissions');
+const { hasPermission, getUserClubRole } = require('../utils/permissions');
+
+/**
+ * Resolve the user an access token belongs to
+ * Shared by protect and the socket handshake (authenticateSocket) so both accept the same tokens.
+ * @returns {Promise<{ user?: User, sessionId?: string, error?: string }>} error is set when the token must be rejected
+ * @throws if the token is malformed, expired or has a bad signature
+ */
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Upload tickets (aud: 'upload') can be signed with the same secret
+    if (decoded.aud) {
+        return { error: 'Not an access token' };
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+    if (!user) {
+        return { error: 'User not found' };
+    }
+
+    // Reject tokens whose session was signed out remotely
+    if (decoded.sid) {
+        const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+        if (!session || !session.isActive()) {
+            return { error: 'Session has been signed out' };
+        }
+    }
+
+    // Reject tokens issued before "sign out everywhere" (covers tokens without a session)
+    if (user.tokensRevokedAt && decoded.iat * 1000 < user.tokensRevokedAt.getTime()) {
+        return { error: 'Session has been signed out' };
+    }
+
+    return { user, sessionId: decoded.sid };
+};
 
 /**
  * Protect routes - Verify JWT token
@@ -24,19 +62,17 @@ const protect = async (req, res, next) => {
         }
 
         try {
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Get user from token
-            req.user = await User.findById(decoded.id).select('-password');
-
-            if (!req.user) {
+            const { user, sessionId, error } = await verifyAccessToken(token);
+            if (error) {
                 return res.status(401).json({
                     success: false,
-                    message: 'User not found'
+                    message: error
                 });
             }
 
+            req.user = user;
+            if (sessionId) req.sessionId = sessionId;
+
             next();
         } catch (error) {
             return res.status(401).json({
@@ -53,58 +89,174 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * Authorize specific roles
+ * Socket.io middleware - Verify the JWT sent in the handshake
+ * Clients connect with io(url, { auth: { token } }); the Authorization header and ?token= are
+ * accepted too. The user id is taken from the token, never from event payloads.
  */
-const authorize = (...roles) => {
-    return (req, res, next) => {
-        if (!roles.includes(req.user.role)) {
-            return res.status(403).json({
-                success: false,
-                message: `User role '${req.user.role}' is not authorized to access this route`
-            });
+const authenticateSocket = async (socket, next) => {
+    const { auth = {}, headers = {}, query = {} } = socket.handshake;
+
+    let token = auth.token;
+    if (!token && headers.authorization && headers.authorization.startsWith('Bearer')) {
+        token = headers.authorization.split(' ')[1];
+    }
+    if (!token && query.token) {
+        token = query.token;
+    }
+
+    if (!token) {
+        return next(new Error('Not authorized to access this route'));
+    }
+
+    try {
+        const { user, sessionId, error } = await verifyAccessToken(token);
+        if (error) {
+            return next(new Error(error));
         }
+
+        socket.user = user;
+        socket.userId = user._id.toString();
+        socket.sessionId = sessionId;
+        socket.userDisplayName = user.displayName;
+        socket.userProfilePicture = user.profilePicture;
         next();
-    };
+    } catch (error) {
+        next(new Error('Not authorized to access this route'));
+    }
 };
 
 /**
- * Check if user is admin or subadmin of a specific club
+ * Upload session routes - accept the session's signed upload ticket instead of the access token
+ * The ticket only comes in the X-Upload-Ticket header (a query string would end up in access logs);
+ * the session is set on req.uploadSession.
  */
-const authorizeClubAdmin = async (req, res, next) => {
-    try {
-        const clubId = req.params.clubId || req.body.clubId;
-
-        if (!clubId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Club ID is required'
-            });
-        }
-
-        const userClub = req.user.clubsJoined.find(
-            club => club.clubId.toString() === clubId &&
-                (club.role === 'admin' || club.role === 'alumni')
-        );
+const requireUploadTicket = async (req, res, next) => {
+    const ticket = req.headers['x-upload-ticket'];
+    if (!ticket) {
+        return res.status(401).json({
+            success: false,
+            message: 'Upload ticket required'
+        });
+    }
 
-        if (!userClub) {
-            return res.status(403).json({
+    try {
+        const { getSessionForTicket } = require('../services/uploadSessionService');
+        const session = await getSessionForTicket(ticket, req.params.id);
+        if (!session) {
+            return res.status(401).json({
                 success: false,
-                message: 'You are not authorized to perform this action in this club'
+                message: 'Invalid or expired upload ticket'
             });
         }
 
-        req.clubRole = userClub.role;
+        req.uploadSession = session;
         next();
     } catch (error) {
         return res.status(500).json({
             success: false,
-            message: 'Server error in club authorization'
+            message: 'Server error in authentication'
         });
     }
 };
 
+/**
+ * Club resolvers - tell requirePermission which club a request acts on
+ */
+
+// clubId from route params, body or query (default)
+const clubFromRequest = (req) => req.params.clubId || req.body?.clubId || req.query.clubId || null;
+
+// clubId from a named route param ('all' means no specific club)
+const clubFromParam = (param) => (req) => {
+    const clubId = req.params[param];
+    if (!clubId || clubId === 'all') return null;
+
+    if (!mongoose.Types.ObjectId.isValid(clubId)) {
+        const error = new Error('Invalid club id');
+        error.status = 400;
+        throw error;
+    }
+    return clubId;
+};
+
+// clubId stored on the document the route targets, e.g. clubFromDocument(Meeting)
+const clubFromDocument = (Model, { param = 'id', field = 'clubId' } = {}) => async (req) => {
+    const id = req.params[param];
+    const doc = mongoose.Types.ObjectId.isValid(id)
+        ? await Model.findById(id).select(field).lean()
+        : null;
+
+    if (!doc) {
+        const error = new Error(`${Model.modelName} not found`);
+        error.status = 404;
+        throw error;
+    }
+    return doc[field] || null;
+};
+
+/**
+ * Require a permission from the registry in config/permissions.js
+ * @param {string} permission - e.g. 'meeting:create'
+ * @param {object} options
+ * @param {function} options.club - Resolver returning the clubId for club-scoped permissions
+ * @param {boolean} options.optional - Skip the check when the request targets no club
+ */
+const requirePermission = (permission, { club = clubFromRequest, optional = false } = {}) => {
+    if (!isClubPermission(permission) && !isGlobalPermission(permission)) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    return async (req, res, next) => {
+        try {
+            let clubId = null;
+
+            if (isClubPermission(permission)) {
+                clubId = await club(req);
+                if (!clubId && optional) return next();
+
+                if (clubId) {
+                    req.clubId = clubId.toString();
+                    req.clubRole = getUserClubRole(req.user, clubId);
+                }
+            }
+
+            const allowed = await hasPermission(req.user, permission, clubId);
+            if (!allowed) {
+                const notJoined = clubId && !req.clubRole;
+                return res.status(403).json({
+                    success: false,
+                    message: notJoined
+                        ? 'You must join this club to perform this action'
+                        : 'You do not have permission to perform this action',
+                    errorType: notJoined ? 'NOT_JOINED' : 'FORBIDDEN',
+                    permission
+                });
+            }
+
+            next();
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            console.error('Permission check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Server error in authorization'
+            });
+        }
+    };
+};
+
 module.exports = {
     protect,
-    authorize,
-    authorizeClubAdmin
+    authenticateSocket,
+    requireUploadTicket,
+    verifyAccessToken,
+    requirePermission,
+    clubFromRequest,
+    clubFromParam,
+    clubFromDocument
 };
@@ -1,5 +1,7 @@
 const multer = require('multer');
 const path = require('path');
+const { sniffMimeType } = require('../utils/mediaTypes');
+const { contentMatchesType } = require('../utils/uploadSessions');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -87,6 +89,23 @@ const uploadMedia = multer({
     fileFilter: mediaFilter
 });
 
+// Word list filter (Sketch Heads word pack imports)
+const wordListFilter = (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.json'].includes(extname)) {
+        return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only .csv and .json word lists are allowed.'));
+};
+
+const uploadWordList = multer({
+    storage,
+    limits: {
+        fileSize: 1 * 1024 * 1024, // 1MB limit for word lists
+    },
+    fileFilter: wordListFilter
+});
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -109,9 +128,41 @@ const handleMulterError = (err, req, res, next) => {
     next();
 };
 
+/**
+ * Check an uploaded file's content, not just its name and reported type (run after multer)
+ * A file reported as an image or video must look like one; with `families`, the content itself
+ * must be one of them (e.g. ['image', 'video']). On success req.file.mimetype is the detected type.
+ * @param {string[]} [families]
+ */
+const verifyFileContent = (families = null) => (req, res, next) => {
+    if (!req.file?.buffer) return next();
+
+    const sniffed = sniffMimeType(req.file.buffer);
+    const allowed = families
+        ? !!sniffed && families.includes(sniffed.split('/')[0])
+        : contentMatchesType(req.file.mimetype || '', sniffed);
+
+    if (!allowed) {
+        console.log('File rejected by content check:', {
+            originalname: req.file.originalname,
+            mimetype: req.file.mimetype,
+            detected: sniffed
+        });
+        return res.status(400).json({
+            success: false,
+            message: 'File content does not match an allowed file type.'
+        });
+    }
+
+    if (sniffed) req.file.mimetype = sniffed;
+    next();
+};
+
 module.exports = {
     upload,
     uploadImage,
     uploadMedia,
-    handleMulterError
+    uploadWordList,
+    handleMulterError,
+    verifyFileContent
 };
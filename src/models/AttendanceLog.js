@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Append-only audit trail of attendance changes
+ * Entries are never updated or deleted, even when the meeting is.
+ */
+const attendanceLogSchema = new mongoose.Schema({
+    meetingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Meeting',
+        required: [true, 'Meeting ID is required']
+    },
+    clubId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Club',
+        required: [true, 'Club ID is required']
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'] // Member whose attendance changed
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User' // Who made the change; unset when a meeting completed on its own
+    },
+    action: {
+        type: String,
+        required: true,
+        // completion_absence: counted absent when the meeting was completed
+        enum: ['code_entry', 'manual_mark', 'status_change', 'completion_absence']
+    },
+    previousStatus: {
+        type: String,
+        enum: ['present', 'absent', 'late'],
+        default: null // null when the member had no attendance record
+    },
+    newStatus: {
+        type: String,
+        required: true,
+        enum: ['present', 'absent', 'late']
+    },
+    ip: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+attendanceLogSchema.index({ meetingId: 1, createdAt: -1 });
+attendanceLogSchema.index({ clubId: 1, userId: 1, createdAt: -1 });
+
+// Enforce append-only
+const rejectMutation = function (next) {
+    next(new Error('Attendance log entries cannot be modified or deleted'));
+};
+
+attendanceLogSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectMutation(next);
+    next();
+});
+
+attendanceLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    rejectMutation
+);
+attendanceLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+module.exports = mongoose.model('AttendanceLog', attendanceLogSchema);
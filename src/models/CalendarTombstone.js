@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * A meeting or event deleted from a club, kept so calendar feeds can publish it as cancelled
+ * (subscribed calendars would otherwise keep showing it). Expires with the feed history.
+ */
+const calendarTombstoneSchema = new mongoose.Schema({
+    uid: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    kind: {
+        type: String,
+        enum: ['meeting', 'event'],
+        required: true
+    },
+    clubId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Club',
+        default: null // Events without a club
+    },
+    summary: String,
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        default: null // Feeds use the default duration
+    },
+    sequence: {
+        type: Number,
+        default: 0
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+calendarTombstoneSchema.index({ clubId: 1, start: 1 });
+calendarTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('CalendarTombstone', calendarTombstoneSchema);
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const { LOCATION_CATEGORIES, GEOFENCE_MODES, MIN_RADIUS_METERS, MAX_RADIUS_METERS } = require('../utils/geofence');
+const { ESCALATION_ACTIONS } = require('../utils/attendancePolicy');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/timezone');
+const { CONFLICT_MODES } = require('../utils/meetingSchedule');
+
+// What a club changed for one role compared with DEFAULT_CLUB_ROLE_PERMISSIONS
+const roleOverrideSchema = new mongoose.Schema({
+    grant: [String],
+    revoke: [String]
+}, { _id: false });
 
 const clubSchema = new mongoose.Schema({
     name: {
@@ -19,6 +29,15 @@ const clubSchema = new mongoose.Schema({
         url: String,
         publicId: String
     },
+    // IANA timezone meeting times are entered and shown in
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone'
+        }
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -72,6 +91,23 @@ const clubSchema = new mongoose.Schema({
             type: Number,
             default: 3 // Warn after 3 consecutive absences
         },
+        // Escalation ladder; unset means nudge + warning derived from attendanceWarningThreshold
+        attendanceEscalation: {
+            type: [{
+                _id: false,
+                action: {
+                    type: String,
+                    enum: ESCALATION_ACTIONS,
+                    required: true
+                },
+                threshold: {
+                    type: Number,
+                    required: true,
+                    min: 1
+                }
+            }],
+            default: undefined
+        },
         allowMemberInvites: {
             type: Boolean,
             default: false
@@ -79,7 +115,37 @@ const clubSchema = new mongoose.Schema({
         requireAbsenceApproval: {
             type: Boolean,
             default: true
-        }
+        },
+        // Whether clashing rooms/members only warn or stop a meeting from being scheduled
+        meetingConflictMode: {
+            type: String,
+            enum: CONFLICT_MODES,
+            default: 'warn'
+        },
+        // What happens to self check-ins outside an offline meeting's fence
+        geofenceMode: {
+            type: String,
+            enum: GEOFENCE_MODES,
+            default: 'flag'
+        },
+        attendanceGeofences: [{
+            _id: false,
+            locationCategory: {
+                type: String,
+                enum: LOCATION_CATEGORIES,
+                required: true
+            },
+            latitude: { type: Number, required: true, min: -90, max: 90 },
+            longitude: { type: Number, required: true, min: -180, max: 180 },
+            radiusMeters: { type: Number, required: true, min: MIN_RADIUS_METERS, max: MAX_RADIUS_METERS }
+        }]
+    },
+    // Per-club role -> { grant, revoke } changes to DEFAULT_CLUB_ROLE_PERMISSIONS; a role left unset
+    // uses the defaults
+    rolePermissions: {
+        admin: { type: roleOverrideSchema, default: undefined },
+        alumni: { type: roleOverrideSchema, default: undefined },
+        member: { type: roleOverrideSchema, default: undefined }
     },
     stats: {
         totalMeetings: {
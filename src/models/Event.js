@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { RSVP_STATUSES, MAX_RSVP_COMMENT_LENGTH } = require('../utils/rsvp');
 
 const eventSchema = new mongoose.Schema({
     title: {
@@ -37,6 +38,38 @@ const eventSchema = new mongoose.Schema({
         type: String,
         enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
         default: 'upcoming'
+    },
+    rsvps: [{
+        _id: false,
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        status: {
+            type: String,
+            enum: RSVP_STATUSES,
+            required: true
+        },
+        comment: {
+            type: String,
+            trim: true,
+            maxlength: [MAX_RSVP_COMMENT_LENGTH, `Comment cannot exceed ${MAX_RSVP_COMMENT_LENGTH} characters`]
+        },
+        respondedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Non-responders have been asked to RSVP
+    rsvpReminderSent: {
+        type: Boolean,
+        default: false
+    },
+    // iCalendar SEQUENCE: bumped when the event moves or is cancelled (see utils/ics)
+    icsSequence: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
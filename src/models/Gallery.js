@@ -9,6 +9,18 @@ const gallerySchema = new mongoose.Schema({
         type: String,
         required: [true, 'Public ID is required']
     },
+    // Set by media processing (services/mediaProcessingService)
+    width: Number,
+    height: Number,
+    blurhash: String,
+    variants: [{
+        _id: false,
+        name: String,
+        url: String,
+        publicId: String,
+        width: Number,
+        height: Number
+    }],
     title: {
         type: String,
         trim: true
@@ -26,6 +38,11 @@ const gallerySchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Club'
     },
+    albumId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GalleryAlbum'
+    },
+    albumPosition: Number,
     status: {
         type: String,
         enum: ['pending', 'approved', 'rejected'],
@@ -72,5 +89,6 @@ const gallerySchema = new mongoose.Schema({
 gallerySchema.index({ status: 1, createdAt: -1 });
 gallerySchema.index({ category: 1 });
 gallerySchema.index({ tags: 1 });
+gallerySchema.index({ albumId: 1, albumPosition: 1 });
 
 module.exports = mongoose.model('Gallery', gallerySchema);
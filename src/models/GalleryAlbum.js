@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * A set of gallery photos, e.g. from one workshop. Photos point at their album
+ * (Gallery.albumId) and are shown in Gallery.albumPosition order.
+ */
+const galleryAlbumSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Album title is required'],
+        trim: true,
+        maxlength: [100, 'Album title cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    clubId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Club',
+        required: true
+    },
+    // One of the album's photos; the first photo is shown when unset
+    coverImageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Gallery'
+    },
+    // An album belongs to at most one event or meeting
+    eventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event'
+    },
+    meetingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Meeting'
+    },
+    // Members who may add their photos, besides the creator
+    contributors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // albumPosition handed to the next photo added (reserved with $inc so concurrent adds don't collide)
+    nextPosition: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+galleryAlbumSchema.index({ clubId: 1, status: 1, createdAt: -1 });
+galleryAlbumSchema.index({ eventId: 1 });
+galleryAlbumSchema.index({ meetingId: 1 });
+
+module.exports = mongoose.model('GalleryAlbum', galleryAlbumSchema);
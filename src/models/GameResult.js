@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * One finished match of Sketch Heads, Code Breaker or Meme Match
+ * Written once when the game ends; leaderboards and game history are computed from these.
+ */
+const gameResultSchema = new mongoose.Schema({
+    roomId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    gameType: {
+        type: String,
+        required: true,
+        enum: ['sketch_heads', 'code_breaker', 'meme_match']
+    },
+    clubId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Club',
+        default: null // Rooms hosted from the "all clubs" view
+    },
+    hostId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    players: [{
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        userName: String,
+        score: {
+            type: Number,
+            default: 0
+        },
+        rank: {
+            type: Number,
+            required: true // 1 = winner; tied scores share a rank
+        }
+    }],
+    winnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    rounds: {
+        type: Number,
+        default: 0
+    },
+    startedAt: Date,
+    endedAt: {
+        type: Date,
+        required: true
+    },
+    durationSeconds: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+gameResultSchema.index({ clubId: 1, gameType: 1, endedAt: -1 });
+gameResultSchema.index({ 'players.userId': 1, endedAt: -1 });
+gameResultSchema.index({ endedAt: -1 });
+
+module.exports = mongoose.model('GameResult', gameResultSchema);
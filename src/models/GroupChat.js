@@ -33,7 +33,18 @@ const groupMessageSchema = new mongoose.Schema({
         publicId: String,
         fileName: String,
         fileSize: Number,
-        mimeType: String
+        mimeType: String,
+        width: Number,
+        height: Number,
+        blurhash: String,
+        variants: [{
+            _id: false,
+            name: String,
+            url: String,
+            publicId: String,
+            width: Number,
+            height: Number
+        }]
     },
     replyTo: {
         type: mongoose.Schema.Types.ObjectId
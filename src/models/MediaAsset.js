@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * A file in media storage. Recorded by services/storage when the file is stored; the media
+ * cleanup job (services/mediaCleanupService) fills in the document that uses it and deletes
+ * files nothing uses any more.
+ */
+const mediaAssetSchema = new mongoose.Schema({
+    publicId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    url: String,
+    provider: String,
+    resourceType: String,
+    mimeType: String,
+    bytes: Number,
+    folder: String,
+    status: {
+        type: String,
+        enum: ['unattached', 'attached', 'deleted'],
+        default: 'unattached'
+    },
+    // Last document found using the file, e.g. { ownerModel: 'Snap', ownerId }
+    ownerModel: String,
+    ownerId: mongoose.Schema.Types.ObjectId,
+    checkedAt: Date,
+    deletedAt: Date,
+    // Set on files found in storage by a backfill run rather than recorded when stored
+    backfilledAt: Date,
+    lastError: String
+}, {
+    timestamps: true
+});
+
+mediaAssetSchema.index({ status: 1, createdAt: 1 });
+mediaAssetSchema.index({ ownerModel: 1, ownerId: 1 });
+
+module.exports = mongoose.model('MediaAsset', mediaAssetSchema);
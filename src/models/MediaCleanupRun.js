@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * One pass of the media cleanup job and what it found. In a dry run orphans are only reported.
+ */
+const mediaCleanupRunSchema = new mongoose.Schema({
+    dryRun: {
+        type: Boolean,
+        default: true
+    },
+    // Record files in storage that have no MediaAsset before checking
+    backfill: {
+        type: Boolean,
+        default: false
+    },
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date,
+    error: String,
+    backfilled: { type: Number, default: 0 },
+    scanned: { type: Number, default: 0 },
+    attached: { type: Number, default: 0 },
+    orphaned: { type: Number, default: 0 },
+    deleted: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    orphanedBytes: { type: Number, default: 0 },
+    freedBytes: { type: Number, default: 0 },
+    // Orphans found (the first ones, see mediaCleanupService REPORT_LIMIT)
+    orphans: [{
+        _id: false,
+        publicId: String,
+        url: String,
+        bytes: Number,
+        folder: String,
+        previousOwner: {
+            model: String,
+            id: mongoose.Schema.Types.ObjectId
+        },
+        reason: String,
+        deleted: Boolean,
+        error: String
+    }]
+}, {
+    timestamps: true
+});
+
+mediaCleanupRunSchema.index({ startedAt: -1 });
+// Only one run at a time, across every server instance
+mediaCleanupRunSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+module.exports = mongoose.model('MediaCleanupRun', mediaCleanupRunSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { LOCATION_CATEGORIES, MIN_RADIUS_METERS, MAX_RADIUS_METERS } = require('../utils/geofence');
+const { RSVP_STATUSES, MAX_RSVP_COMMENT_LENGTH } = require('../utils/rsvp');
+const { TASK_PRIORITIES } = require('../utils/minutes');
 
 const meetingSchema = new mongoose.Schema({
     clubId: {
@@ -15,6 +18,9 @@ const meetingSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Absolute start/end; date + time are kept in sync for older clients (time is wall clock in the club's timezone)
+    startsAt: Date,
+    endsAt: Date,
     date: {
         type: Date,
         required: [true, 'Meeting date is required']
@@ -39,11 +45,17 @@ const meetingSchema = new mongoose.Schema({
     },
     locationCategory: {
         type: String,
-        enum: ['South Enclave', 'OAT', 'Classroom', 'Food Court', 'Library', 'North Enclave', 'Other'],
+        enum: LOCATION_CATEGORIES,
         required: function () { return this.mode === 'Offline'; }
     },
     classroomNumber: String,
     otherLocationName: String,
+    // Overrides the club's fence for this locationCategory
+    geofence: {
+        latitude: { type: Number, min: -90, max: 90 },
+        longitude: { type: Number, min: -180, max: 180 },
+        radiusMeters: { type: Number, min: MIN_RADIUS_METERS, max: MAX_RADIUS_METERS }
+    },
     template: String,
     type: {
         type: String,
@@ -69,6 +81,16 @@ const meetingSchema = new mongoose.Schema({
         markedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
+        },
+        // Geofence outcome of a self check-in (raw coordinates are not stored)
+        distanceMeters: Number,
+        flagged: {
+            type: Boolean,
+            default: false
+        },
+        flagReason: {
+            type: String,
+            enum: ['outside_geofence', 'location_missing']
         }
     }],
     absenceRequests: [{
@@ -78,7 +100,14 @@ const meetingSchema = new mongoose.Schema({
         },
         reason: {
             type: String,
-            required: true
+            required: true,
+            trim: true,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        attachment: {
+            url: String,
+            publicId: String,
+            name: String
         },
         status: {
             type: String,
@@ -90,15 +119,59 @@ const meetingSchema = new mongoose.Schema({
             ref: 'User'
         },
         reviewedAt: Date,
+        reviewNote: {
+            type: String,
+            trim: true
+        },
         submittedAt: {
             type: Date,
             default: Date.now
         }
     }],
+    rsvps: [{
+        _id: false,
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        status: {
+            type: String,
+            enum: RSVP_STATUSES,
+            required: true
+        },
+        comment: {
+            type: String,
+            trim: true,
+            maxlength: [MAX_RSVP_COMMENT_LENGTH, `Comment cannot exceed ${MAX_RSVP_COMMENT_LENGTH} characters`]
+        },
+        respondedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Non-responders have been asked to RSVP
+    rsvpReminderSent: {
+        type: Boolean,
+        default: false
+    },
+    // iCalendar SEQUENCE: bumped when the meeting moves or is cancelled (see utils/ics)
+    icsSequence: {
+        type: Number,
+        default: 0
+    },
     attendanceMarked: {
         type: Boolean,
         default: false
     },
+    // Snapshot taken when the meeting completes; feeds Club.stats
+    attendanceSummary: {
+        present: Number,
+        absent: Number,
+        excused: Number,
+        rate: Number, // present / (present + absent) * 100
+        completedAt: Date
+    },
     agenda: [{
         title: String,
         description: String,
@@ -107,18 +180,67 @@ const meetingSchema = new mongoose.Schema({
     notes: {
         type: String
     },
-    qrCode: {
-        data: String,
-        expiresAt: Date
-    },
-    attendanceCode: {
-        type: String,
-        trim: true
+    // Structured minutes; publishing turns action items into Tasks (taskId) and notifies the club
+    minutes: {
+        agendaItems: [{
+            title: { type: String, required: true, trim: true },
+            notes: { type: String, trim: true }
+        }],
+        decisions: [{
+            text: { type: String, required: true, trim: true }
+        }],
+        actionItems: [{
+            title: { type: String, required: true, trim: true },
+            description: { type: String, trim: true },
+            assignees: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }],
+            dueDate: { type: Date, required: true },
+            priority: {
+                type: String,
+                enum: TASK_PRIORITIES,
+                default: 'medium'
+            },
+            taskId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Task'
+            }
+        }],
+        status: {
+            type: String,
+            enum: ['draft', 'published'],
+            default: 'draft'
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        publishedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        publishedAt: Date
     },
     isAttendanceActive: {
         type: Boolean,
         default: false
     },
+    // Minutes-before-start of reminders already sent (e.g. [10, 5])
+    remindersSent: [Number],
+    // Signs the rotating attendance tokens of the current window; never sent to clients
+    attendanceSecret: {
+        type: String,
+        select: false
+    },
+    attendanceWindow: {
+        opensAt: Date,
+        closesAt: Date,
+        startedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -128,13 +250,15 @@ const meetingSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    recurringPattern: {
-        frequency: {
-            type: String,
-            enum: ['daily', 'weekly', 'monthly']
-        },
-        interval: Number,
-        endDate: Date
+    // Set on occurrences of a recurring meeting
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MeetingSeries'
+    },
+    occurrenceDate: Date, // Slot in the series this occurrence fills, even if its date is moved
+    isSeriesException: {
+        type: Boolean,
+        default: false // Edited on its own; series-wide edits leave it alone
     }
 }, {
     timestamps: true
@@ -143,6 +267,27 @@ const meetingSchema = new mongoose.Schema({
 // Index for efficient queries
 meetingSchema.index({ clubId: 1, date: -1 });
 meetingSchema.index({ status: 1 });
+meetingSchema.index({ status: 1, startsAt: 1 });
+meetingSchema.index({ status: 1, endsAt: 1 });
+meetingSchema.index({ clubId: 1, 'absenceRequests.status': 1 });
+meetingSchema.index(
+    { seriesId: 1, occurrenceDate: 1 },
+    { unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
+
+// Whether members can currently check in
+meetingSchema.methods.isAttendanceWindowOpen = function (now = new Date()) {
+    if (!this.isAttendanceActive) return false;
+    const closesAt = this.attendanceWindow?.closesAt;
+    return !closesAt || closesAt > now;
+};
+
+// Members excused through an approved absence request
+meetingSchema.methods.getExcusedUserIds = function () {
+    return this.absenceRequests
+        .filter(r => r.status === 'approved')
+        .map(r => r.userId.toString());
+};
 
 // Calculate attendance rate
 meetingSchema.methods.getAttendanceRate = function () {
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../utils/recurrence');
+const { LOCATION_CATEGORIES, MIN_RADIUS_METERS, MAX_RADIUS_METERS } = require('../utils/geofence');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { DEFAULT_MEETING_MINUTES } = require('../utils/meetingSchedule');
+
+/**
+ * A recurring meeting. Holds the template every occurrence is generated from;
+ * the occurrences themselves are ordinary Meeting documents (seriesId + occurrenceDate).
+ */
+const meetingSeriesSchema = new mongoose.Schema({
+    clubId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Club',
+        required: [true, 'Club ID is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Meeting name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    time: {
+        type: String,
+        required: [true, 'Meeting time is required'] // Wall clock in `timezone`
+    },
+    durationMinutes: {
+        type: Number,
+        default: DEFAULT_MEETING_MINUTES
+    },
+    // Club timezone when the series was created; occurrences keep their wall-clock time across DST
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE
+    },
+    location: {
+        type: String,
+        trim: true
+    },
+    mode: {
+        type: String,
+        enum: ['Online', 'Offline'],
+        default: 'Offline'
+    },
+    platform: {
+        type: String,
+        enum: ['Zoom', 'Google Meet', 'Discord', 'Other'],
+        required: function () { return this.mode === 'Online'; }
+    },
+    locationCategory: {
+        type: String,
+        enum: LOCATION_CATEGORIES,
+        required: function () { return this.mode === 'Offline'; }
+    },
+    classroomNumber: String,
+    otherLocationName: String,
+    geofence: {
+        latitude: { type: Number, min: -90, max: 90 },
+        longitude: { type: Number, min: -180, max: 180 },
+        radiusMeters: { type: Number, min: MIN_RADIUS_METERS, max: MAX_RADIUS_METERS }
+    },
+    template: String,
+    type: {
+        type: String,
+        enum: ['General', 'Technical', 'Workshop', 'Social', 'Emergency'],
+        default: 'General'
+    },
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: FREQUENCIES,
+            required: true
+        },
+        startDate: {
+            type: Date,
+            required: true
+        },
+        endDate: Date,
+        count: Number,
+        weekOfMonth: Number // monthly only: 1-5, -1 = last
+    },
+    // Occurrences up to this date have been created as Meeting documents
+    generatedUntil: Date,
+    // Occurrence dates deleted individually, never to be regenerated
+    exceptions: [Date],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+meetingSeriesSchema.index({ clubId: 1, isActive: 1 });
+meetingSeriesSchema.index({ isActive: 1, generatedUntil: 1 });
+
+// Fields copied from the series onto each generated occurrence
+meetingSeriesSchema.statics.TEMPLATE_FIELDS = [
+    'name', 'description', 'time', 'location', 'mode', 'platform', 'locationCategory',
+    'classroomNumber', 'otherLocationName', 'geofence', 'template', 'type'
+];
+
+module.exports = mongoose.model('MeetingSeries', meetingSeriesSchema);
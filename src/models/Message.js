@@ -45,7 +45,18 @@ const messageSchema = new mongoose.Schema({
         publicId: String,
         fileName: String,
         fileSize: Number,
-        mimeType: String
+        mimeType: String,
+        width: Number,
+        height: Number,
+        blurhash: String,
+        variants: [{
+            _id: false,
+            name: String,
+            url: String,
+            publicId: String,
+            width: Number,
+            height: Number
+        }]
     },
     read: {
         type: Boolean,
@@ -18,8 +18,11 @@ const notificationSchema = new mongoose.Schema({
             'meeting_cancelled',
             'meeting_reminder',
             'attendance_warning',
+            'absence_requested',
             'absence_approved',
             'absence_rejected',
+            'rsvp_reminder',
+            'minutes_published',
             'role_changed',
             'club_announcement',
             'new_message',
@@ -52,7 +55,7 @@ const notificationSchema = new mongoose.Schema({
     },
     relatedModel: {
         type: String,
-        enum: ['Task', 'Meeting', 'Club', 'User', 'Message', 'Gallery']
+        enum: ['Task', 'Meeting', 'Event', 'Club', 'User', 'Message', 'Gallery', 'GalleryAlbum']
     },
     read: {
         type: Boolean,
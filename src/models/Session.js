@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Hash of the token this one replaced - presenting it again means the token was stolen
+    previousTokenHash: {
+        type: String,
+        index: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    lastIp: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// TTL index to automatically remove expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A session is usable if it has not been revoked and has not expired
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to get the device view shown in the session list
+sessionSchema.methods.getPublicSession = function (currentSessionId) {
+    return {
+        _id: this._id,
+        userAgent: this.userAgent,
+        lastIp: this.lastIp,
+        lastUsedAt: this.lastUsedAt,
+        createdAt: this.createdAt,
+        expiresAt: this.expiresAt,
+        isCurrent: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+    };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
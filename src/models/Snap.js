@@ -13,7 +13,18 @@ const snapSchema = new mongoose.Schema({
     },
     mediaUrl: {
         url: { type: String, required: true },
-        publicId: { type: String, required: true }
+        publicId: { type: String, required: true },
+        width: Number,
+        height: Number,
+        blurhash: String,
+        variants: [{
+            _id: false,
+            name: String,
+            url: String,
+            publicId: String,
+            width: Number,
+            height: Number
+        }]
     },
     type: {
         type: String,
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * A resumable upload: the client sends the file in chunks with the session's signed ticket,
+ * completes it, then passes the session id to a feature endpoint (gallery, snaps, chat,
+ * resources) instead of the file itself.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['gallery', 'snap', 'message', 'group_chat', 'resource']
+    },
+    fileName: {
+        type: String,
+        trim: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true // Declared total size in bytes
+    },
+    chunkSize: {
+        type: Number,
+        required: true
+    },
+    receivedBytes: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'uploading', 'processing', 'completed', 'consumed', 'cancelled', 'expired'],
+        default: 'pending'
+    },
+    asset: {
+        url: String,
+        publicId: String,
+        resourceType: String,
+        mimeType: String,
+        bytes: Number,
+        provider: String,
+        width: Number,
+        height: Number,
+        blurhash: String,
+        variants: [{
+            _id: false,
+            name: String,
+            url: String,
+            publicId: String,
+            width: Number,
+            height: Number
+        }]
+    },
+    completedAt: Date,
+    consumedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+uploadSessionSchema.index({ userId: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+// Records are kept for a week after expiry, then removed by MongoDB
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
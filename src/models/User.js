@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
     email: {
@@ -21,6 +22,32 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Please provide a display name'],
         trim: true,
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    // Secret part of the user's ICS subscription URL
+    calendarToken: {
+        type: String,
+        select: false,
+        index: { unique: true, sparse: true }
+    },
     maverickId: {
         type: String,
         unique: true,
@@ -71,7 +98,14 @@ const userSchema = new mongoose.Schema({
         consecutiveAbsences: {
             type: Number,
             default: 0
-        }
+        },
+        // Set by the escalation policy ('mark_inactive'); cleared when the member attends again
+        status: {
+            type: String,
+            enum: ['active', 'inactive'],
+            default: 'active'
+        },
+        inactiveSince: Date
     }],
     isOnline: {
         type: Boolean,
@@ -84,6 +118,9 @@ const userSchema = new mongoose.Schema({
     fcmToken: {
         type: String // For push notifications
     },
+    tokensRevokedAt: {
+        type: Date // Access tokens issued before this are rejected ("sign out everywhere")
+    },
     preferences: {
         theme: {
             type: String,
@@ -173,10 +210,38 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     }
 };
 
+// Generate a single-use token; only its hash is stored on the user
+const createHashedToken = () => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+    return { token, hash };
+};
+
+// Method to create password reset token (returns raw token to email)
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes = 60) {
+    const { token, hash } = createHashedToken();
+    this.passwordResetToken = hash;
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    return token;
+};
+
+// Method to create email verification token (returns raw token to email)
+userSchema.methods.createEmailVerificationToken = function (expiresInHours = 24) {
+    const { token, hash } = createHashedToken();
+    this.emailVerificationToken = hash;
+    this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    return token;
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.emailVerificationToken;
+    delete user.emailVerificationExpires;
+    delete user.passwordResetToken;
+    delete user.passwordResetExpires;
+    delete user.calendarToken;
     return user;
 };
 
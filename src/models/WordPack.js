@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * A club's list of Sketch Heads words
+ * Hosts pick which active packs (and which difficulty) a room draws its words from.
+ */
+const wordPackSchema = new mongoose.Schema({
+    clubId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Club',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 300
+    },
+    language: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: 'en' // ISO 639-1 code
+    },
+    words: [{
+        _id: false,
+        text: {
+            type: String,
+            required: true
+        },
+        difficulty: {
+            type: String,
+            enum: ['easy', 'medium', 'hard'],
+            default: 'medium'
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+wordPackSchema.index({ clubId: 1, isActive: 1 });
+wordPackSchema.index({ clubId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('WordPack', wordPackSchema);
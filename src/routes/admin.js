@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, clubFromParam } = require('../middleware/auth');
 const {
     getStats,
     getAllUsers,
@@ -10,22 +10,35 @@ const {
     updateGameConfig,
     getAdmins
 } = require('../controllers/adminController');
-const { getClubAttendanceReport } = require('../controllers/attendanceReportController');
+const { getClubAttendanceReport, getClubRsvpReport } = require('../controllers/attendanceReportController');
+const {
+    getMediaOverview,
+    getCleanupRuns,
+    getCleanupRun,
+    startCleanupRun
+} = require('../controllers/mediaCleanupController');
 
 router.use(protect);
 
 // Publicly available within protected area
 router.get('/games', getGames);
 
-router.use(authorize('admin')); // Restrict remaining routes to admin only
+// Club admins can pull reports for their own club
+router.get('/attendance-report/:clubId', requirePermission('attendance:report', { club: clubFromParam('clubId') }), getClubAttendanceReport);
+router.get('/rsvp-report/:clubId', requirePermission('attendance:report', { club: clubFromParam('clubId') }), getClubRsvpReport);
+
+router.use(requirePermission('admin:access')); // Restrict remaining routes to admins only
 
 router.get('/stats', getStats);
 router.get('/users', getAllUsers);
 router.get('/admins', getAdmins);
-router.put('/users/:id/role', changeUserRole);
-router.post('/send-notification', sendCustomNotification);
-router.post('/games', updateGameConfig);
-router.get('/attendance-report/:clubId', getClubAttendanceReport);
+router.put('/users/:id/role', requirePermission('user:manage_roles'), changeUserRole);
+router.post('/send-notification', requirePermission('notification:broadcast'), sendCustomNotification);
+router.post('/games', requirePermission('game:configure'), updateGameConfig);
+router.get('/media', requirePermission('media:cleanup'), getMediaOverview);
+router.get('/media/cleanup-runs', requirePermission('media:cleanup'), getCleanupRuns);
+router.post('/media/cleanup-runs', requirePermission('media:cleanup'), startCleanupRun);
+router.get('/media/cleanup-runs/:id', requirePermission('media:cleanup'), getCleanupRun);
 router.get('/reports', (req, res) => res.json({ message: 'Reports placeholder' }));
 
 module.exports = router;
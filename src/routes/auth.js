@@ -3,7 +3,15 @@ const router = express.Router();
 const {
     signup,
     signin,
+    refreshToken,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     logout,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
     getMe,
     updateProfile,
     uploadProfilePicture,
@@ -13,11 +21,16 @@ const {
 } = require('../controllers/authController');
 
 const { protect } = require('../middleware/auth');
-const { uploadImage, handleMulterError } = require('../middleware/upload');
+const { uploadImage, handleMulterError, verifyFileContent } = require('../middleware/upload');
 
 // Public routes
 router.post('/signup', signup);
 router.post('/signin', signin);
+router.post('/refresh', refreshToken);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
 
 // Protected routes
 router.use(protect);
@@ -25,9 +38,12 @@ router.use(protect);
 router.get('/dashboard', getDashboardData);
 
 router.post('/logout', logout);
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeAllSessions);
+router.delete('/sessions/:id', revokeSession);
 router.get('/me', getMe);
 router.put('/update-profile', updateProfile);
-router.post('/upload-profile-picture', uploadImage.single('image'), handleMulterError, uploadProfilePicture);
+router.post('/upload-profile-picture', uploadImage.single('image'), handleMulterError, verifyFileContent(['image']), uploadProfilePicture);
 router.put('/change-password', changePassword);
 router.put('/fcm-token', updateFCMToken);
 
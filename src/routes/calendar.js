@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+    getCalendarFeedUrls,
+    rotateCalendarToken,
+    getCalendarFeed
+} = require('../controllers/calendarController');
+
+// Subscription URLs for the signed-in user
+router.get('/feed', protect, getCalendarFeedUrls);
+router.post('/feed/rotate', protect, rotateCalendarToken);
+
+// Polled by calendar apps; authenticated by the token in the URL
+router.get('/feed/:token.ics', getCalendarFeed);
+
+module.exports = router;
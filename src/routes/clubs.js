@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
-const { uploadImage, handleMulterError } = require('../middleware/upload');
+const { protect, requirePermission, clubFromParam } = require('../middleware/auth');
+const { uploadImage, handleMulterError, verifyFileContent } = require('../middleware/upload');
 const {
     getAllClubs,
     createClub,
@@ -11,20 +11,36 @@ const {
     getClubMembers,
     getClubMembersWithWarnings,
     removeMemberFromClub,
-    deleteClub
+    deleteClub,
+    getClubPermissions,
+    updateClubPermissions,
+    getClubGeofences,
+    updateClubGeofences,
+    getClubSettings,
+    updateClubSettings
 } = require('../controllers/clubController');
 
+const clubFromId = { club: clubFromParam('id') };
+
 // Public/Member routes
 router.get('/', protect, getAllClubs);
-router.get('/:id/members', protect, getClubMembers);
-router.put('/:id', protect, uploadImage.single('logo'), handleMulterError, updateClub);
-router.put('/:id/logo-base64', protect, updateClubLogoBase64);
-router.get('/:id/members-warnings', protect, getClubMembersWithWarnings);
+router.get('/:id/members', protect, requirePermission('member:view', clubFromId), getClubMembers);
+
+// Club admin routes
+router.put('/:id', protect, requirePermission('club:update', clubFromId), uploadImage.single('logo'), handleMulterError, verifyFileContent(['image']), updateClub);
+router.put('/:id/logo-base64', protect, requirePermission('club:update', clubFromId), updateClubLogoBase64);
+router.get('/:id/members-warnings', protect, requirePermission('member:view_warnings', clubFromId), getClubMembersWithWarnings);
+router.get('/:id/permissions', protect, requirePermission('club:manage_roles', clubFromId), getClubPermissions);
+router.put('/:id/permissions', protect, requirePermission('club:manage_roles', clubFromId), updateClubPermissions);
+router.get('/:id/geofences', protect, requirePermission('meeting:view', clubFromId), getClubGeofences);
+router.put('/:id/geofences', protect, requirePermission('club:update', clubFromId), updateClubGeofences);
+router.get('/:id/settings', protect, requirePermission('club:update', clubFromId), getClubSettings);
+router.put('/:id/settings', protect, requirePermission('club:update', clubFromId), updateClubSettings);
+router.post('/add-member', protect, requirePermission('member:manage'), addMemberToClub);
+router.post('/remove-member', protect, requirePermission('member:manage'), removeMemberFromClub);
 
 // Admin routes
-router.post('/', protect, authorize('admin'), uploadImage.single('logo'), handleMulterError, createClub);
-router.post('/add-member', protect, authorize('admin'), addMemberToClub);
-router.post('/remove-member', protect, authorize('admin'), removeMemberFromClub);
-router.delete('/:id', protect, authorize('admin'), deleteClub);
+router.post('/', protect, requirePermission('club:create'), uploadImage.single('logo'), handleMulterError, verifyFileContent(['image']), createClub);
+router.delete('/:id', protect, requirePermission('club:delete'), deleteClub);
 
 module.exports = router;
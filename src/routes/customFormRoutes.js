@@ -1,18 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const customFormController = require('../controllers/customFormController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
-const { uploadImage, handleMulterError } = require('../middleware/upload');
+const { uploadImage, handleMulterError, verifyFileContent } = require('../middleware/upload');
 
 // Public routes
 router.get('/:id', customFormController.getForm);
 router.post('/submit', customFormController.submitResponse);
-router.post('/upload', uploadImage.single('file'), handleMulterError, customFormController.uploadFile);
+router.post('/upload', uploadImage.single('file'), handleMulterError, verifyFileContent(['image']), customFormController.uploadFile);
 
 // Protected routes (Admin only)
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('form:manage'));
 
 router.post('/', customFormController.createForm);
 router.get('/admin/all', customFormController.getAdminForms);
@@ -1,23 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, clubFromDocument } = require('../middleware/auth');
+const Event = require('../models/Event');
 const {
     createEvent,
     getAllEvents,
     getEventById,
     updateEvent,
-    deleteEvent
+    deleteEvent,
+    rsvpEvent,
+    remindEventRsvps
 } = require('../controllers/eventController');
 
 router.use(protect);
 
 router.route('/')
     .get(getAllEvents)
-    .post(authorize('admin'), createEvent);
+    .post(requirePermission('event:create'), createEvent);
 
 router.route('/:id')
     .get(getEventById)
-    .put(authorize('admin'), updateEvent)
-    .delete(authorize('admin'), deleteEvent);
+    .put(requirePermission('event:update', { club: clubFromDocument(Event) }), updateEvent)
+    .delete(requirePermission('event:delete', { club: clubFromDocument(Event) }), deleteEvent);
+
+// Club events take RSVPs from their members; events without a club from anyone signed in
+router.put('/:id/rsvp', requirePermission('meeting:rsvp', { club: clubFromDocument(Event), optional: true }), rsvpEvent);
+router.post('/:id/rsvp-reminder', requirePermission('event:update', { club: clubFromDocument(Event) }), remindEventRsvps);
 
 module.exports = router;
@@ -11,20 +11,43 @@ const {
     deleteImage,
     getLikedUsers
 } = require('../controllers/galleryController');
-const { protect, authorize } = require('../middleware/auth');
-const { uploadImage: uploadMiddleware } = require('../middleware/upload');
+const {
+    createAlbum,
+    getAlbum,
+    updateAlbum,
+    deleteAlbum,
+    addAlbumImages,
+    removeAlbumImages,
+    reorderAlbum
+} = require('../controllers/galleryAlbumController');
+const { protect, requirePermission, clubFromParam, clubFromDocument } = require('../middleware/auth');
+const Gallery = require('../models/Gallery');
+const GalleryAlbum = require('../models/GalleryAlbum');
+const { uploadImage: uploadMiddleware, verifyFileContent } = require('../middleware/upload');
 
 router.route('/')
     .get(protect, getGalleryImages)
-    .post(protect, uploadMiddleware.single('image'), uploadImage);
+    .post(protect, uploadMiddleware.single('image'), verifyFileContent(['image']), uploadImage);
 
 router.post('/upload-base64', protect, uploadBase64Image);
 
+// Albums (listed with GET /api/gallery?view=albums)
+router.post('/albums/club/:clubId', protect, requirePermission('gallery:create_album', { club: clubFromParam('clubId') }), createAlbum);
+router.route('/albums/:id')
+    .get(protect, getAlbum)
+    .put(protect, updateAlbum)
+    .delete(protect, deleteAlbum);
+router.route('/albums/:id/images')
+    .post(protect, addAlbumImages)
+    .delete(protect, removeAlbumImages);
+router.put('/albums/:id/order', protect, reorderAlbum);
+router.put('/albums/:albumId/status', protect, requirePermission('gallery:approve', { club: clubFromDocument(GalleryAlbum, { param: 'albumId' }) }), updateImageStatus);
+
 router.route('/:id')
     .put(protect, updateImage)
     .delete(protect, deleteImage);
 
-router.put('/:id/status', protect, authorize('admin'), updateImageStatus);
+router.put('/:id/status', protect, requirePermission('gallery:approve', { club: clubFromDocument(Gallery) }), updateImageStatus);
 router.post('/:id/like', protect, toggleLike);
 router.post('/:id/comment', protect, addComment);
 router.get('/:id/likes', protect, getLikedUsers);
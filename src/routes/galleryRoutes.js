@@ -9,7 +9,8 @@ const {
     addComment,
     getLikedUsers
 } = require('../controllers/galleryController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, clubFromDocument } = require('../middleware/auth');
+const Gallery = require('../models/Gallery');
 const upload = require('../middleware/upload');
 
 router.route('/')
@@ -17,7 +18,7 @@ router.route('/')
     .post(protect, upload.single('image'), uploadImage);
 
 router.post('/upload-base64', protect, uploadBase64Image);
-router.put('/:id/status', protect, authorize('admin'), updateImageStatus);
+router.put('/:id/status', protect, requirePermission('gallery:approve', { club: clubFromDocument(Gallery) }), updateImageStatus);
 router.post('/:id/like', protect, toggleLike);
 router.post('/:id/comment', protect, addComment);
 router.get('/:id/likes', protect, getLikedUsers);
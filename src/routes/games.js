@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission, clubFromParam, clubFromDocument } = require('../middleware/auth');
+const { uploadWordList, handleMulterError } = require('../middleware/upload');
+const WordPack = require('../models/WordPack');
+const { getLeaderboard, getClubRankings } = require('../controllers/gameController');
+const {
+    getWordPacks,
+    getWordPack,
+    createWordPack,
+    importWordPack,
+    updateWordPack,
+    toggleWordPack,
+    deleteWordPack
+} = require('../controllers/wordPackController');
+
+const packClub = { club: clubFromDocument(WordPack) };
+
+router.use(protect);
+
+router.get('/rankings', getClubRankings);
+router.get('/leaderboard/:clubId', requirePermission('game:view', { club: clubFromParam('clubId'), optional: true }), getLeaderboard);
+
+// Sketch Heads word packs
+router.get('/word-packs/club/:clubId', requirePermission('game:view', { club: clubFromParam('clubId') }), getWordPacks);
+router.post('/word-packs/club/:clubId', requirePermission('game:manage_words', { club: clubFromParam('clubId') }), createWordPack);
+router.post('/word-packs/club/:clubId/import', requirePermission('game:manage_words', { club: clubFromParam('clubId') }), uploadWordList.single('file'), handleMulterError, importWordPack);
+router.get('/word-packs/:id', requirePermission('game:view', packClub), getWordPack);
+router.put('/word-packs/:id', requirePermission('game:manage_words', packClub), updateWordPack);
+router.patch('/word-packs/:id/toggle', requirePermission('game:manage_words', packClub), toggleWordPack);
+router.delete('/word-packs/:id', requirePermission('game:manage_words', packClub), deleteWordPack);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
-const { upload } = require('../middleware/upload');
+const { protect, requirePermission, clubFromParam } = require('../middleware/auth');
+const { upload, verifyFileContent } = require('../middleware/upload');
 const {
     getGroupChat,
     sendGroupMessage,
@@ -17,9 +17,10 @@ const {
 } = require('../controllers/groupChatController');
 
 router.use(protect);
+router.use('/:clubId', requirePermission('chat:access', { club: clubFromParam('clubId') }));
 
 router.get('/:clubId', getGroupChat);
-router.post('/:clubId/messages', upload.single('file'), sendGroupMessage);
+router.post('/:clubId/messages', upload.single('file'), verifyFileContent(), sendGroupMessage);
 router.post('/:clubId/messages-base64', sendBase64GroupMessage);
 router.put('/:clubId/read', markGroupMessagesRead);
 router.delete('/:clubId/messages/:messageId', deleteGroupMessage);
@@ -1,44 +1,103 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission, clubFromParam, clubFromDocument } = require('../middleware/auth');
+const { upload, handleMulterError } = require('../middleware/upload');
+const Meeting = require('../models/Meeting');
 const {
     createMeeting,
     updateMeeting,
     deleteMeeting,
     getClubMeetings,
     startAttendance,
+    getAttendanceToken,
+    stopAttendance,
     markAttendance,
     manualAttendance,
     getMeetingDetails,
-    updateMeetingStatus
+    updateMeetingStatus,
+    getAttendanceLog,
+    submitAbsenceRequest,
+    getClubAbsenceRequests,
+    reviewAbsenceRequest,
+    rsvpMeeting,
+    remindMeetingRsvps,
+    getMeetingMinutes,
+    saveMeetingMinutes,
+    publishMeetingMinutes
 } = require('../controllers/meetingController');
+const { downloadMeetingIcs } = require('../controllers/calendarController');
+
+const meetingClub = { club: clubFromDocument(Meeting) };
+
+// Manual codes are 6 digits, so guesses are limited per member
+const attendanceLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.ATTENDANCE_ATTEMPTS_PER_MINUTE, 10) || 10,
+    keyGenerator: (req) => req.user._id.toString(),
+    message: { success: false, message: 'Too many attendance attempts. Please wait a minute and try again.' }
+});
 
 // ...
 // Update a meeting status
-router.put('/:id/status', protect, updateMeetingStatus);
+router.put('/:id/status', protect, requirePermission('meeting:update', meetingClub), updateMeetingStatus);
 
 // Create a meeting
-router.post('/', protect, createMeeting);
+router.post('/', protect, requirePermission('meeting:create'), createMeeting);
 
 // Update a meeting
-router.put('/:id', protect, updateMeeting);
+router.put('/:id', protect, requirePermission('meeting:update', meetingClub), updateMeeting);
 
 // Delete a meeting
-router.delete('/:id', protect, deleteMeeting);
+router.delete('/:id', protect, requirePermission('meeting:delete', meetingClub), deleteMeeting);
 
-// Get meetings for a specific club
-router.get('/club/:clubId', protect, getClubMeetings);
+// Get meetings for a specific club ('all' lists the user's own clubs)
+router.get('/club/:clubId', protect, requirePermission('meeting:view', { club: clubFromParam('clubId'), optional: true }), getClubMeetings);
+
+// Absence requests of a club (review queue)
+router.get('/club/:clubId/absences', protect, requirePermission('absence:review', { club: clubFromParam('clubId') }), getClubAbsenceRequests);
 
 // Get specific meeting details
-router.get('/:id', protect, getMeetingDetails);
+router.get('/:id', protect, requirePermission('meeting:view', meetingClub), getMeetingDetails);
+
+// Download as .ics
+router.get('/:id/ics', protect, requirePermission('meeting:view', meetingClub), downloadMeetingIcs);
 
 // Start attendance (Generate Code)
-router.post('/:id/attendance-start', protect, startAttendance);
+router.post('/:id/attendance-start', protect, requirePermission('attendance:start', meetingClub), startAttendance);
+
+// Current rotating token (fallback for missed socket pushes)
+router.get('/:id/attendance-token', protect, requirePermission('attendance:start', meetingClub), getAttendanceToken);
+
+// Close attendance early
+router.post('/:id/attendance-stop', protect, requirePermission('attendance:start', meetingClub), stopAttendance);
 
 // Mark attendance (User)
-router.post('/:id/attendance', protect, markAttendance);
+router.post('/:id/attendance', protect, attendanceLimiter, requirePermission('attendance:check_in', meetingClub), markAttendance);
 
 // Mark attendance (Admin manual)
-router.post('/:id/manual-attendance', protect, manualAttendance);
+router.post('/:id/manual-attendance', protect, requirePermission('attendance:mark', meetingClub), manualAttendance);
+
+// Attendance audit trail
+router.get('/:id/attendance-log', protect, requirePermission('attendance:audit', meetingClub), getAttendanceLog);
+
+// Request to be excused (optional 'attachment' file)
+router.post('/:id/absence', protect, requirePermission('absence:request', meetingClub), upload.single('attachment'), handleMulterError, submitAbsenceRequest);
+
+// RSVP (going / maybe / not_going)
+router.put('/:id/rsvp', protect, requirePermission('meeting:rsvp', meetingClub), rsvpMeeting);
+
+// Remind members who haven't RSVP'd
+router.post('/:id/rsvp-reminder', protect, requirePermission('meeting:update', meetingClub), remindMeetingRsvps);
+
+// Minutes (agenda items, decisions, action items)
+router.get('/:id/minutes', protect, requirePermission('meeting:view', meetingClub), getMeetingMinutes);
+router.put('/:id/minutes', protect, requirePermission('minutes:write', meetingClub), saveMeetingMinutes);
+
+// Publish minutes: action items become tasks
+router.post('/:id/minutes/publish', protect, requirePermission('minutes:write', meetingClub), publishMeetingMinutes);
+
+// Approve / reject an absence request
+router.put('/:id/absence/:absenceId', protect, requirePermission('absence:review', meetingClub), reviewAbsenceRequest);
 
 module.exports = router;
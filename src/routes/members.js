@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission, clubFromParam } = require('../middleware/auth');
 const User = require('../models/User');
 const Club = require('../models/Club');
 const Meeting = require('../models/Meeting');
 
 // Get all members for a club
 // Get all members for a club (or all clubs)
-router.get('/:clubId', protect, async (req, res) => {
+router.get('/:clubId', protect, requirePermission('member:view', { club: clubFromParam('clubId'), optional: true }), async (req, res) => {
     try {
         const { clubId } = req.params;
         console.log(`[Members] Fetching members for club: ${clubId}`);
@@ -11,13 +11,13 @@ const {
     getConversations
 } = require('../controllers/messageController');
 
-const { upload } = require('../middleware/upload');
+const { upload, verifyFileContent } = require('../middleware/upload');
 
 router.use(protect);
 
 router.get('/conversations/list', getConversations);
 router.get('/:userId', getMessages);
-router.post('/', upload.single('file'), sendMessage);
+router.post('/', upload.single('file'), verifyFileContent(), sendMessage);
 router.post('/upload-base64', sendBase64Message);
 router.put('/:userId/read', markAsRead);
 router.post('/:messageId/reaction', addReaction);
@@ -1,11 +1,28 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const resourceController = require('../controllers/resourceController');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const Event = require('../models/Event');
+
+// Club a new resource belongs to: its event's club, or the clubId sent for events without a club
+const resourceClub = async (req) => {
+    const { eventId, clubId } = req.body || {};
+    const event = mongoose.Types.ObjectId.isValid(eventId)
+        ? await Event.findById(eventId).select('clubId').lean()
+        : null;
+    if (!event) throw Object.assign(new Error('Event not found'), { status: 404 });
+
+    if (event.clubId) return event.clubId;
+    if (!mongoose.Types.ObjectId.isValid(clubId)) {
+        throw Object.assign(new Error('clubId is required for events without a club'), { status: 400 });
+    }
+    return clubId;
+};
 
 router.get('/event/:eventId', protect, resourceController.getResources);
-router.post('/link', protect, resourceController.addLink);
-router.post('/upload', protect, resourceController.uploadFile);
+router.post('/link', protect, requirePermission('resource:create', { club: resourceClub }), resourceController.addLink);
+router.post('/upload', protect, requirePermission('resource:create', { club: resourceClub }), resourceController.uploadFile);
 router.put('/:id', protect, resourceController.updateResource);
 router.delete('/:id', protect, resourceController.deleteResource);
 
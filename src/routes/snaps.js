@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
-const { uploadMedia, handleMulterError } = require('../middleware/upload');
+const { protect, requirePermission, clubFromParam } = require('../middleware/auth');
+const { uploadMedia, handleMulterError, verifyFileContent } = require('../middleware/upload');
 const {
     uploadSnap,
     uploadBase64Snap,
@@ -16,10 +16,10 @@ const {
 
 router.use(protect);
 
-router.post('/', uploadMedia.single('file'), handleMulterError, uploadSnap);
+router.post('/', uploadMedia.single('file'), handleMulterError, verifyFileContent(['image', 'video']), uploadSnap);
 router.post('/upload-base64', uploadBase64Snap);
 router.get('/my-clubs', getMySnaps);
-router.get('/club/:clubId', getClubSnaps);
+router.get('/club/:clubId', requirePermission('snap:view', { club: clubFromParam('clubId') }), getClubSnaps);
 router.post('/:snapId/view', viewSnap);
 router.delete('/:snapId', deleteSnap);
 router.get('/:snapId/viewers', getSnapViewers);
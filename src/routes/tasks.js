@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const {
     createTask,
@@ -9,12 +9,12 @@ const {
     updateTask,
     deleteTask
 } = require('../controllers/taskController');
-const { authorize } = require('../middleware/auth');
 
 router.get('/', protect, getTasks);
-router.post('/', protect, authorize('admin', 'subadmin'), createTask);
+router.post('/', protect, requirePermission('task:create'), createTask);
 router.put('/:id/status', protect, updateTaskStatus);
-router.put('/:id', protect, authorize('admin', 'subadmin'), updateTask);
-router.delete('/:id', protect, authorize('admin', 'subadmin'), deleteTask);
+// The task's assigner or task:update / task:delete in its club (checked in the controller)
+router.put('/:id', protect, updateTask);
+router.delete('/:id', protect, deleteTask);
 
 module.exports = router;
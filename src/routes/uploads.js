@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requireUploadTicket } = require('../middleware/auth');
+const { CHUNK_SIZE } = require('../services/uploadSessionService');
+const {
+    createUploadSession,
+    getUploadSession,
+    uploadChunk,
+    completeUpload,
+    cancelUpload
+} = require('../controllers/uploadController');
+
+// Chunks are raw bytes of any content type, one chunk per request
+const chunkBody = express.raw({ type: () => true, limit: CHUNK_SIZE });
+
+router.post('/', protect, createUploadSession);
+router.get('/:id', protect, getUploadSession);
+router.delete('/:id', protect, cancelUpload);
+router.put('/:id/chunks', requireUploadTicket, chunkBody, uploadChunk);
+router.post('/:id/complete', requireUploadTicket, completeUpload);
+
+module.exports = router;
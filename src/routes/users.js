@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getBirthdaysToday, saveFCMToken, removeFCMToken } = require('../controllers/userController');
+const { getUserGameHistory } = require('../controllers/gameController');
 const { protect } = require('../middleware/auth');
 
 // Get birthdays today
@@ -10,4 +11,7 @@ router.get('/birthdays-today', protect, getBirthdaysToday);
 router.put('/fcm-token', protect, saveFCMToken);
 router.delete('/fcm-token', protect, removeFCMToken);
 
+// Finished games on a user's profile (:id may be "me")
+router.get('/:id/games', protect, getUserGameHistory);
+
 module.exports = router;
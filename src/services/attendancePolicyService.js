@@ -0,0 +1,247 @@
+const Club = require('../models/Club');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const AttendanceLog = require('../models/AttendanceLog');
+const { getIO, sendPushNotification } = require('../utils/pushNotifications');
+const { getEscalationLadder, getDueSteps } = require('../utils/attendancePolicy');
+const { findClubMembersWithPermission } = require('../utils/permissions');
+
+const getClubEntry = (user, clubId) =>
+    user.clubsJoined.find(c => c.clubId && c.clubId.toString() === clubId.toString());
+
+/**
+ * Members attended: clear their absence streak and any inactive state
+ */
+const resetAbsenceStreaks = async (clubId, userIds) => {
+    if (userIds.length === 0) return;
+    await User.updateMany(
+        { _id: { $in: userIds }, 'clubsJoined.clubId': clubId },
+        {
+            $set: { 'clubsJoined.$.consecutiveAbsences': 0, 'clubsJoined.$.status': 'active' },
+            $unset: { 'clubsJoined.$.inactiveSince': 1 }
+        }
+    );
+};
+
+/**
+ * Recount absence streaks from the club's completed meetings, newest first
+ * Excused absences neither break nor extend a streak; a missing attendance record counts as absent.
+ * @param {string} clubId
+ * @param {Array<string>} [userIds] - Only these members (default: every club member)
+ */
+const recalculateAbsenceStreaks = async (clubId, userIds = null) => {
+    const memberQuery = { 'clubsJoined.clubId': clubId };
+    if (userIds) memberQuery._id = { $in: userIds };
+    const members = await User.find(memberQuery).select('_id');
+    if (members.length === 0) return;
+
+    const completedMeetings = await Meeting.find({
+        clubId,
+        status: 'completed'
+    }).sort({ date: -1, createdAt: -1 });
+
+    for (const member of members) {
+        const memberId = member._id.toString();
+        let streak = 0;
+        for (const m of completedMeetings) {
+            if (m.getExcusedUserIds().includes(memberId)) continue;
+
+            const attendance = m.attendees.find(a => (a.userId?._id || a.userId)?.toString() === memberId);
+            if (attendance && (attendance.status === 'present' || attendance.status === 'late')) break;
+            streak++;
+        }
+
+        await User.updateOne(
+            { _id: member._id, 'clubsJoined.clubId': clubId },
+            { $set: { 'clubsJoined.$.consecutiveAbsences': streak } }
+        );
+    }
+};
+
+const ACTION_HANDLERS = {
+    nudge: async ({ member, club, streak, socketSource }) => {
+        await sendPushNotification(member._id, {
+            title: 'We missed you! 😔',
+            body: `Hey! We noticed you missed the last ${streak} meetings of ${club.name}. 📅 Please try to attend the next one. 🤝`,
+            data: { type: 'attendance_warning', streak, clubId: club._id.toString() }
+        }, socketSource);
+    },
+
+    warning: async ({ member, club, streak, socketSource }) => {
+        const title = '⚠️ Immediate Warning: Attendance';
+        const message = `You have missed ${streak} consecutive meetings of ${club.name}. 🚨 Please contact your club admin to avoid restrictions. 📞`;
+
+        await Notification.create({
+            userId: member._id,
+            type: 'attendance_warning',
+            title,
+            message,
+            data: { streak },
+            clubId: club._id,
+            relatedId: club._id,
+            relatedModel: 'Club'
+        });
+        getIO(socketSource)?.to(member._id.toString()).emit('notification_receive', {});
+
+        await sendPushNotification(member._id, {
+            title,
+            body: message,
+            data: { type: 'attendance_warning', streak, clubId: club._id.toString() }
+        }, socketSource);
+    },
+
+    notify_admins: async ({ member, club, streak, admins, socketSource }) => {
+        const title = 'Attendance Alert';
+        const message = `${member.displayName} has missed ${streak} consecutive meetings of ${club.name}.`;
+
+        await Notification.insertMany(admins.map(admin => ({
+            userId: admin._id,
+            type: 'attendance_warning',
+            title,
+            message,
+            data: { streak, memberId: member._id },
+            clubId: club._id,
+            relatedId: member._id,
+            relatedModel: 'User'
+        })));
+
+        for (const admin of admins) {
+            getIO(socketSource)?.to(admin._id.toString()).emit('notification_receive', {});
+            await sendPushNotification(admin._id, {
+                title,
+                body: message,
+                data: { type: 'attendance_warning', streak, clubId: club._id.toString(), memberId: member._id.toString() }
+            }, socketSource);
+        }
+    },
+
+    mark_inactive: async ({ member, club, streak, socketSource }) => {
+        await User.updateOne(
+            { _id: member._id, 'clubsJoined.clubId': club._id },
+            { $set: { 'clubsJoined.$.status': 'inactive', 'clubsJoined.$.inactiveSince': new Date() } }
+        );
+
+        const title = 'Membership Inactive';
+        const message = `After ${streak} missed meetings your ${club.name} membership is now inactive. Attend the next meeting to become active again.`;
+
+        await Notification.create({
+            userId: member._id,
+            type: 'attendance_warning',
+            title,
+            message,
+            data: { streak, status: 'inactive' },
+            clubId: club._id,
+            relatedId: club._id,
+            relatedModel: 'Club'
+        });
+
+        const io = getIO(socketSource);
+        if (io) {
+            io.to(member._id.toString()).emit('notification_receive', {});
+            io.to(`club:${club._id}`).emit('member_status_changed', {
+                clubId: club._id.toString(),
+                userId: member._id.toString(),
+                status: 'inactive'
+            });
+        }
+
+        await sendPushNotification(member._id, {
+            title,
+            body: message,
+            data: { type: 'attendance_warning', streak, clubId: club._id.toString() }
+        }, socketSource);
+    }
+};
+
+/**
+ * Run the club's escalation ladder for members whose absence streak just grew
+ * @param {string} clubId
+ * @param {Array<string>} userIds - Members who were just counted absent
+ * @param {object} socketSource - req, app or io
+ */
+const applyEscalationPolicy = async (clubId, userIds, socketSource = null) => {
+    if (userIds.length === 0) return;
+
+    const club = await Club.findById(clubId).select('name settings');
+    if (!club) return;
+
+    const ladder = getEscalationLadder(club);
+    if (ladder.length === 0) return;
+
+    const members = await User.find({ _id: { $in: userIds }, 'clubsJoined.clubId': clubId })
+        .select('displayName clubsJoined');
+
+    let admins;
+    for (const member of members) {
+        const entry = getClubEntry(member, clubId);
+        if (!entry) continue;
+
+        const streak = entry.consecutiveAbsences;
+        for (const step of getDueSteps(ladder, streak)) {
+            if (step.action === 'mark_inactive' && entry.status === 'inactive') continue;
+
+            if (step.action === 'notify_admins' && !admins) {
+                admins = await findClubMembersWithPermission(clubId, 'member:view_warnings');
+            }
+
+            try {
+                await ACTION_HANDLERS[step.action]({ member, club, streak, admins, socketSource });
+            } catch (error) {
+                console.error(`[AttendancePolicy] ${step.action} error:`, error);
+            }
+        }
+    }
+};
+
+/**
+ * Count a completed meeting towards members' absence streaks and escalate
+ * Present/late members are reset, members with an approved absence are left unchanged.
+ * Each absence is added to the attendance log before any streak changes.
+ * @param {object} meeting - Meeting document
+ * @param {object} socketSource - req, app or io
+ * @param {object} [audit] - { actor, ip } for the attendance log
+ * @returns {Promise<{ presentIds: Array<string>, absentIds: Array<string> }>}
+ */
+const recordMeetingAbsences = async (meeting, socketSource = null, { actor, ip } = {}) => {
+    const presentIds = meeting.attendees
+        .filter(a => a.status === 'present' || a.status === 'late')
+        .map(a => a.userId.toString());
+
+    await resetAbsenceStreaks(meeting.clubId, presentIds);
+
+    const absentMembers = await User.find({
+        'clubsJoined.clubId': meeting.clubId,
+        _id: { $nin: [...presentIds, ...meeting.getExcusedUserIds()] }
+    }).select('_id');
+    const absentIds = absentMembers.map(m => m._id.toString());
+
+    if (absentIds.length > 0) {
+        const marked = new Map(meeting.attendees.map(a => [a.userId.toString(), a.status]));
+        await AttendanceLog.insertMany(absentIds.map(userId => ({
+            meetingId: meeting._id,
+            clubId: meeting.clubId,
+            userId,
+            actor,
+            ip,
+            action: 'completion_absence',
+            previousStatus: marked.get(userId) || null,
+            newStatus: 'absent'
+        })));
+
+        await User.updateMany(
+            { _id: { $in: absentIds }, 'clubsJoined.clubId': meeting.clubId },
+            { $inc: { 'clubsJoined.$.consecutiveAbsences': 1 } }
+        );
+        await applyEscalationPolicy(meeting.clubId, absentIds, socketSource);
+    }
+
+    return { presentIds, absentIds };
+};
+
+module.exports = {
+    resetAbsenceStreaks,
+    recalculateAbsenceStreaks,
+    applyEscalationPolicy,
+    recordMeetingAbsences
+};
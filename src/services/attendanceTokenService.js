@@ -0,0 +1,114 @@
+const Meeting = require('../models/Meeting');
+const { delCache } = require('../utils/cache');
+const { getIO } = require('../utils/pushNotifications');
+const { STEP_SECONDS, generateAttendanceToken } = require('../utils/attendanceToken');
+
+// meetingId -> { interval, timeout } for windows opened by this process
+const rotations = new Map();
+
+/**
+ * Push the current token to the admin who opened the window
+ */
+const pushToken = (io, meeting, secret) => {
+    if (!io) return;
+    const meetingId = meeting._id.toString();
+    const { token, code, expiresAt } = generateAttendanceToken(secret, meetingId);
+
+    io.to(meeting.attendanceWindow.startedBy.toString()).emit('attendance_started', {
+        clubId: meeting.clubId.toString(),
+        meetingId,
+        token,
+        code,
+        qrData: `aura-attendance:${meetingId}:${token}`,
+        expiresAt,
+        closesAt: meeting.attendanceWindow.closesAt,
+        rotatesEvery: STEP_SECONDS
+    });
+};
+
+const stopRotation = (meetingId) => {
+    const rotation = rotations.get(meetingId.toString());
+    if (rotation) {
+        clearInterval(rotation.interval);
+        clearTimeout(rotation.timeout);
+        rotations.delete(meetingId.toString());
+    }
+};
+
+/**
+ * Close an attendance window and notify the club
+ * @param {object} socketSource - req, app or io
+ */
+const closeAttendanceWindow = async (socketSource, meetingId) => {
+    stopRotation(meetingId);
+
+    const meeting = await Meeting.findOneAndUpdate(
+        { _id: meetingId, isAttendanceActive: true },
+        { $set: { isAttendanceActive: false }, $unset: { attendanceSecret: 1 } },
+        { new: true }
+    );
+    if (!meeting) return null;
+
+    await delCache(`club:meetings:${meeting.clubId}`);
+
+    const io = getIO(socketSource);
+    if (io) {
+        io.to(`club:${meeting.clubId}`).emit('attendance_closed', {
+            clubId: meeting.clubId.toString(),
+            meetingId: meeting._id.toString()
+        });
+    }
+    console.log(`[Attendance] Window closed for meeting: ${meeting.name}`);
+    return meeting;
+};
+
+/**
+ * Start pushing rotating tokens until the window closes
+ * @param {object} socketSource - req, app or io
+ * @param {object} meeting - Meeting with attendanceWindow set
+ * @param {string} secret - The window's attendanceSecret
+ */
+const startRotation = (socketSource, meeting, secret) => {
+    const meetingId = meeting._id.toString();
+    const io = getIO(socketSource);
+    stopRotation(meetingId);
+
+    pushToken(io, meeting, secret);
+
+    // Align pushes with step boundaries so the admin's QR changes as the old token expires
+    const msToNextStep = STEP_SECONDS * 1000 - (Date.now() % (STEP_SECONDS * 1000));
+    const rotation = {};
+    rotation.timeout = setTimeout(() => {
+        pushToken(io, meeting, secret);
+        rotation.interval = setInterval(() => pushToken(io, meeting, secret), STEP_SECONDS * 1000);
+
+        const msUntilClose = meeting.attendanceWindow.closesAt.getTime() - Date.now();
+        rotation.timeout = setTimeout(() => {
+            closeAttendanceWindow(io, meetingId).catch(err => console.error('[Attendance] Auto-close error:', err));
+        }, Math.max(msUntilClose, 0));
+    }, msToNextStep);
+
+    rotations.set(meetingId, rotation);
+};
+
+/**
+ * Close windows whose time ran out (covers windows opened before a restart)
+ * @param {object} app - Express app instance to get io
+ */
+const closeExpiredAttendanceWindows = async (app) => {
+    const expired = await Meeting.find({
+        isAttendanceActive: true,
+        'attendanceWindow.closesAt': { $lte: new Date() }
+    }).select('_id');
+
+    for (const meeting of expired) {
+        await closeAttendanceWindow(app, meeting._id);
+    }
+};
+
+module.exports = {
+    startRotation,
+    stopRotation,
+    closeAttendanceWindow,
+    closeExpiredAttendanceWindows
+};
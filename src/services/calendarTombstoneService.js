@@ -0,0 +1,34 @@
+const CalendarTombstone = require('../models/CalendarTombstone');
+const { getUid, getSequence } = require('../utils/ics');
+
+/**
+ * Remember meetings/events that are about to be deleted so calendar feeds keep publishing them
+ * as cancelled (with a higher SEQUENCE) until they fall out of the feed history
+ * @param {string} kind - 'meeting' or 'event'
+ * @param {Array<object>} docs - Documents being deleted
+ */
+const recordTombstones = async (kind, docs) => {
+    if (docs.length === 0) return;
+
+    await CalendarTombstone.bulkWrite(docs.map(doc => ({
+        updateOne: {
+            filter: { uid: getUid(kind, doc._id) },
+            update: {
+                $set: {
+                    kind,
+                    clubId: doc.clubId?._id || doc.clubId || null,
+                    summary: kind === 'event' ? doc.title : doc.name,
+                    start: kind === 'event' ? doc.date : doc.startsAt || doc.date,
+                    end: kind === 'event' ? null : doc.endsAt || null,
+                    sequence: getSequence(doc) + 1,
+                    deletedAt: new Date()
+                }
+            },
+            upsert: true
+        }
+    })));
+};
+
+module.exports = {
+    recordTombstones
+};
@@ -0,0 +1,107 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Build the mail transport from env
+ * EMAIL_TRANSPORT=smtp (default) uses EMAIL_HOST/EMAIL_PORT, e.g. a local SMTP stand-in on port 1025
+ * EMAIL_TRANSPORT=json renders messages without sending them (tests / offline dev)
+ */
+const createTransport = () => {
+    const type = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+
+    if (type === 'json') {
+        return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+    return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST || 'localhost',
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USER ? {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASSWORD
+        } : undefined
+    });
+};
+
+const getTransporter = () => {
+    if (!transporter) transporter = createTransport();
+    return transporter;
+};
+
+/**
+ * Replace the transport (any nodemailer transport or object with sendMail)
+ * @param {object|null} customTransporter - Pass null to rebuild from env on next send
+ */
+const setTransporter = (customTransporter) => {
+    transporter = customTransporter;
+};
+
+/**
+ * Send an email
+ * @param {object} mail - { to, subject, text, html }
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+    const info = await getTransporter().sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'Aura <no-reply@aura.app>',
+        to,
+        subject,
+        text,
+        html
+    });
+    console.log(`📧 Email sent to ${to}: ${subject}`);
+    return info;
+};
+
+// User-provided text (display names) must not become markup in HTML emails
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const buildLink = (path, token) => {
+    const base = process.env.FRONTEND_URL || 'http://localhost:8081';
+    return `${base}${path}?token=${token}`;
+};
+
+/**
+ * Send password reset email
+ * @param {object} user - User document
+ * @param {string} token - Raw (unhashed) reset token
+ * @param {number} expiresInMinutes - Token lifetime shown to the user
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+    const link = buildLink('/reset-password', token);
+    return sendEmail({
+        to: user.email,
+        subject: 'Reset your Aura password',
+        text: `Hi ${user.displayName},\n\nWe received a request to reset your password. Open the link below (valid for ${expiresInMinutes} minutes):\n\n${link}\n\nOr enter this code in the app: ${token}\n\nIf you didn't request this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>We received a request to reset your password. This link is valid for ${expiresInMinutes} minutes:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>Or enter this code in the app: <code>${escapeHtml(token)}</code></p><p>If you didn't request this, you can ignore this email.</p>`
+    });
+};
+
+/**
+ * Send email verification email
+ * @param {object} user - User document
+ * @param {string} token - Raw (unhashed) verification token
+ */
+const sendVerificationEmail = async (user, token) => {
+    const link = buildLink('/verify-email', token);
+    return sendEmail({
+        to: user.email,
+        subject: 'Verify your Aura email',
+        text: `Hi ${user.displayName},\n\nPlease confirm your email address:\n\n${link}\n\nOr enter this code in the app: ${token}`,
+        html: `<p>Hi ${escapeHtml(user.displayName)},</p><p>Please confirm your email address:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>Or enter this code in the app: <code>${escapeHtml(token)}</code></p>`
+    });
+};
+
+module.exports = {
+    sendEmail,
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+    setTransporter
+};
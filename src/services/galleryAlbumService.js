@@ -0,0 +1,293 @@
+const mongoose = require('mongoose');
+const Gallery = require('../models/Gallery');
+const GalleryAlbum = require('../models/GalleryAlbum');
+const Event = require('../models/Event');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+const { variantUrl } = require('../utils/mediaVariants');
+
+// Most photos one bulk add/remove/reorder request may name
+const MAX_BULK_IMAGES = 200;
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * The album's creator and the club's gallery moderators manage an album: its details,
+ * contributors, order and every photo in it
+ */
+const canManageAlbum = async (user, album) => sameId(album.createdBy, user._id)
+    || hasPermission(user, 'gallery:moderate', album.clubId);
+
+// Contributors may also add, and take out, their own photos
+const canContribute = async (user, album) => album.contributors.some(id => sameId(id, user._id))
+    || canManageAlbum(user, album);
+
+/**
+ * Validate a list of gallery image ids from a request body
+ * @returns {{ ids?: string[], error?: string }}
+ */
+const parseImageIds = (imageIds) => {
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+        return { error: 'imageIds must be a non-empty array' };
+    }
+    if (imageIds.length > MAX_BULK_IMAGES) {
+        return { error: `At most ${MAX_BULK_IMAGES} images per request` };
+    }
+    if (!imageIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'imageIds contains an invalid id' };
+    }
+    return { ids: [...new Set(imageIds.map(String))] };
+};
+
+/**
+ * Check the event or meeting an album is linked to (both must be in the album's club)
+ * Pass null or '' to unlink; undefined leaves a field out.
+ * @returns {Promise<{ eventId?, meetingId?, error?, status? }>}
+ */
+const resolveAlbumLink = async (clubId, { eventId, meetingId }) => {
+    if (eventId && meetingId) {
+        return { error: 'An album can be linked to an event or a meeting, not both', status: 400 };
+    }
+
+    const link = {};
+    for (const [field, Model, id] of [['eventId', Event, eventId], ['meetingId', Meeting, meetingId]]) {
+        if (id === undefined) continue;
+        if (!id) {
+            link[field] = null;
+            continue;
+        }
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return { error: `Invalid ${field}`, status: 400 };
+        }
+        const doc = await Model.findById(id).select('clubId').lean();
+        if (!doc) return { error: `${Model.modelName} not found`, status: 404 };
+        if (!sameId(doc.clubId, clubId)) {
+            return { error: `The ${Model.modelName.toLowerCase()} belongs to another club`, status: 400 };
+        }
+        link[field] = doc._id;
+    }
+
+    // Linking one clears the other
+    if (link.eventId) link.meetingId = null;
+    if (link.meetingId) link.eventId = null;
+    return link;
+};
+
+/**
+ * Check album contributors: members of the album's club, without duplicates
+ * @returns {Promise<{ ids?: ObjectId[], error?, status? }>}
+ */
+const resolveContributors = async (clubId, contributors) => {
+    if (!Array.isArray(contributors)) {
+        return { error: 'contributors must be an array of user ids', status: 400 };
+    }
+    if (!contributors.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return { error: 'contributors contains an invalid id', status: 400 };
+    }
+
+    const ids = [...new Set(contributors.map(String))];
+    const members = await User.find({ _id: { $in: ids }, 'clubsJoined.clubId': clubId }).select('_id').lean();
+    if (members.length !== ids.length) {
+        return { error: 'Contributors must be members of the album\'s club', status: 400 };
+    }
+    return { ids: members.map(member => member._id) };
+};
+
+/**
+ * Reserve `count` consecutive positions at the end of an album
+ * Albums created before the counter existed start it after their last photo.
+ * @returns {Promise<number>} the first reserved position
+ */
+const reservePositions = async (albumId, count = 1) => {
+    const reserve = () => GalleryAlbum.findOneAndUpdate(
+        { _id: albumId, nextPosition: { $exists: true } },
+        { $inc: { nextPosition: count } },
+        { new: true, projection: { nextPosition: 1 } }
+    ).lean();
+
+    let album = await reserve();
+    if (!album) {
+        const last = await Gallery.findOne({ albumId }).sort({ albumPosition: -1 }).select('albumPosition').lean();
+        const start = last ? (last.albumPosition || 0) + 1 : 0;
+        // Only the first request to get here seeds the counter
+        await GalleryAlbum.updateOne({ _id: albumId, nextPosition: { $exists: false } }, { $set: { nextPosition: start } });
+        album = await reserve();
+    }
+    return album.nextPosition - count;
+};
+
+/**
+ * Album fields for a photo uploaded straight into an album
+ * @returns {Promise<{ fields?: { albumId, albumPosition, clubId }, error?, status? }>}
+ */
+const prepareAlbumUpload = async (albumId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(albumId)) {
+        return { error: 'Invalid album id', status: 400 };
+    }
+    const album = await GalleryAlbum.findById(albumId).lean();
+    if (!album) return { error: 'Album not found', status: 404 };
+    if (!await canContribute(user, album)) {
+        return { error: 'You are not a contributor to this album', status: 403 };
+    }
+    return { fields: { albumId: album._id, albumPosition: await reservePositions(album._id), clubId: album.clubId } };
+};
+
+/**
+ * Add photos to the end of an album, in the order given
+ * Contributors can only add their own photos. Photos already in another album must be taken out first.
+ * @returns {Promise<{ added?: number, error?, status? }>}
+ */
+const addImagesToAlbum = async (album, ids, user) => {
+    const images = await Gallery.find({ _id: { $in: ids } }).select('uploadedBy clubId albumId').lean();
+    if (images.length !== ids.length) {
+        return { error: 'Some images were not found', status: 404 };
+    }
+
+    const manager = await canManageAlbum(user, album);
+    for (const image of images) {
+        if (!manager && !sameId(image.uploadedBy, user._id)) {
+            return { error: 'Contributors can only add their own photos', status: 403 };
+        }
+        if (image.clubId && !sameId(image.clubId, album.clubId)) {
+            return { error: 'Photos must belong to the album\'s club', status: 400 };
+        }
+        if (image.albumId && !sameId(image.albumId, album._id)) {
+            return { error: 'A photo is already in another album', status: 409 };
+        }
+    }
+
+    const byId = new Map(images.map(image => [image._id.toString(), image]));
+    const newIds = ids.filter(id => !byId.get(id).albumId);
+    if (newIds.length > 0) {
+        let position = await reservePositions(album._id, newIds.length);
+        await Gallery.bulkWrite(newIds.map(id => ({
+            updateOne: {
+                filter: { _id: id },
+                update: { $set: { albumId: album._id, albumPosition: position++, clubId: album.clubId } }
+            }
+        })));
+    }
+    return { added: newIds.length };
+};
+
+/**
+ * Take photos out of an album (the photos stay in the gallery)
+ * Contributors can only take out their own photos; others named are ignored.
+ * @returns {Promise<{ removed: number }>}
+ */
+const removeImagesFromAlbum = async (album, ids, user) => {
+    const query = { _id: { $in: ids }, albumId: album._id };
+    if (!await canManageAlbum(user, album)) query.uploadedBy = user._id;
+
+    const result = await Gallery.updateMany(query, { $unset: { albumId: 1, albumPosition: 1 } });
+
+    if (album.coverImageId && ids.includes(album.coverImageId.toString())) {
+        const stillIn = await Gallery.exists({ _id: album.coverImageId, albumId: album._id });
+        if (!stillIn) await GalleryAlbum.updateOne({ _id: album._id }, { $unset: { coverImageId: 1 } });
+    }
+    return { removed: result.modifiedCount };
+};
+
+/**
+ * Reorder an album: the photos named come first, in that order; the rest keep their order after them
+ * @returns {Promise<{ order?: string[], error?, status? }>}
+ */
+const reorderAlbumImages = async (album, ids) => {
+    const current = await Gallery.find({ albumId: album._id })
+        .sort({ albumPosition: 1, createdAt: 1 })
+        .select('_id')
+        .lean();
+    const inAlbum = new Set(current.map(image => image._id.toString()));
+    if (!ids.every(id => inAlbum.has(id))) {
+        return { error: 'Every image must be in this album', status: 400 };
+    }
+
+    const named = new Set(ids);
+    const order = [...ids, ...current.map(image => image._id.toString()).filter(id => !named.has(id))];
+    if (order.length > 0) {
+        await Gallery.bulkWrite(order.map((id, i) => ({
+            updateOne: { filter: { _id: id }, update: { $set: { albumPosition: i } } }
+        })));
+    }
+    return { order };
+};
+
+/**
+ * Approve or reject an album together with its photos still awaiting review
+ * @returns {Promise<{ album, images: Array }>} images - the photos whose status changed
+ */
+const setAlbumStatus = async (album, status, user) => {
+    album.status = status;
+    album.approvedBy = user._id;
+    await album.save();
+
+    const images = await Gallery.find({ albumId: album._id, status: 'pending' }).select('uploadedBy title').lean();
+    if (images.length > 0) {
+        await Gallery.updateMany(
+            { _id: { $in: images.map(image => image._id) } },
+            { $set: { status, approvedBy: user._id } }
+        );
+    }
+    return { album, images };
+};
+
+/**
+ * A page of albums with their cover, photo count and linked event or meeting
+ * Only approved photos are counted or used as a cover.
+ * @param {object} query - MongoDB filter on GalleryAlbum
+ * @param {object} options - { page, limit, size (cover variant, see utils/mediaVariants) }
+ */
+const listAlbums = async (query, { page = 1, limit = 20, size = 'small' } = {}) => {
+    const [albums, total] = await Promise.all([
+        GalleryAlbum.find(query)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('createdBy', 'displayName profilePicture')
+            .populate('contributors', 'displayName profilePicture')
+            .populate('clubId', 'name')
+            .populate('eventId', 'title date')
+            .populate('meetingId', 'name date')
+            .populate('coverImageId', 'imageUrl variants blurhash status')
+            .lean(),
+        GalleryAlbum.countDocuments(query)
+    ]);
+
+    const stats = await Gallery.aggregate([
+        { $match: { albumId: { $in: albums.map(album => album._id) }, status: 'approved' } },
+        { $sort: { albumPosition: 1, createdAt: 1 } },
+        {
+            $group: {
+                _id: '$albumId',
+                imageCount: { $sum: 1 },
+                first: { $first: { imageUrl: '$imageUrl', variants: '$variants', blurhash: '$blurhash' } }
+            }
+        }
+    ]);
+    const statsByAlbum = new Map(stats.map(row => [row._id.toString(), row]));
+
+    albums.forEach(album => {
+        const row = statsByAlbum.get(album._id.toString());
+        const cover = album.coverImageId?.status === 'approved' ? album.coverImageId : row?.first;
+        album.imageCount = row?.imageCount || 0;
+        album.coverUrl = cover ? variantUrl(cover.variants, size, cover.imageUrl) : null;
+        album.coverBlurhash = cover?.blurhash || null;
+    });
+
+    return { albums, total };
+};
+
+module.exports = {
+    canManageAlbum,
+    canContribute,
+    parseImageIds,
+    resolveAlbumLink,
+    resolveContributors,
+    prepareAlbumUpload,
+    addImagesToAlbum,
+    removeImagesFromAlbum,
+    reorderAlbumImages,
+    setAlbumStatus,
+    listAlbums
+};
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const GameResult = require('../models/GameResult');
+const { rankPlayers, getPeriodStart, LEADERBOARD_PERIODS } = require('../utils/gameResults');
+const { getCache, setCache, delCache } = require('../utils/cache');
+
+const LEADERBOARD_CACHE_SECONDS = 300;
+const MAX_LEADERBOARD_SIZE = 50;
+
+const toObjectId = (id) => (id && mongoose.Types.ObjectId.isValid(id.toString())
+    ? new mongoose.Types.ObjectId(id.toString())
+    : null);
+
+const leaderboardCacheKey = (clubId, gameType, period) => `games:leaderboard:${clubId || 'all'}:${gameType || 'all'}:${period}`;
+
+/**
+ * Save the outcome of a finished game room
+ * Saving twice for the same room is a no-op. Errors are logged, never thrown, so a database
+ * problem can't break the end of a game.
+ * @param {object} room - Game room (gameSocket) at game over
+ * @returns {Promise<GameResult|null>}
+ */
+const recordGameResult = async (room) => {
+    try {
+        // Guests without an account id can't appear on leaderboards
+        const players = rankPlayers(room.players).filter(p => toObjectId(p.userId));
+        if (players.length === 0) return null;
+
+        const endedAt = new Date();
+        const startedAt = room.startedAt ? new Date(room.startedAt) : undefined;
+        const clubId = toObjectId(room.clubId);
+
+        const result = await GameResult.findOneAndUpdate(
+            { roomId: room.roomId },
+            {
+                $setOnInsert: {
+                    roomId: room.roomId,
+                    gameType: room.gameType,
+                    clubId,
+                    hostId: toObjectId(room.hostId),
+                    players,
+                    winnerId: players[0].userId,
+                    rounds: room.config?.totalRounds || 0,
+                    startedAt,
+                    endedAt,
+                    durationSeconds: startedAt ? Math.round((endedAt - startedAt) / 1000) : 0
+                }
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        for (const period of LEADERBOARD_PERIODS) {
+            for (const gameType of [room.gameType, null]) {
+                await delCache(leaderboardCacheKey(clubId, gameType, period));
+                if (clubId) await delCache(leaderboardCacheKey(null, gameType, period));
+            }
+        }
+        await delCache('games:club-rankings');
+
+        return result;
+    } catch (error) {
+        console.error('Game result save error:', error);
+        return null;
+    }
+};
+
+const buildMatch = ({ clubId, gameType, period, timezone }) => {
+    const match = {};
+    if (clubId) match.clubId = toObjectId(clubId);
+    if (gameType) match.gameType = gameType;
+    const since = getPeriodStart(period, timezone);
+    if (since) match.endedAt = { $gte: since };
+    return match;
+};
+
+/**
+ * Players ranked by total score
+ * @param {object} options - { clubId (omit for every club), gameType (omit for all games), period, timezone }
+ */
+const getLeaderboard = async ({ clubId = null, gameType = null, period = 'all', timezone }) => {
+    const cacheKey = leaderboardCacheKey(clubId, gameType, period);
+    const cached = await getCache(cacheKey);
+    if (cached) return cached;
+
+    const rows = await GameResult.aggregate([
+        { $match: buildMatch({ clubId, gameType, period, timezone }) },
+        { $unwind: '$players' },
+        {
+            $group: {
+                _id: '$players.userId',
+                totalScore: { $sum: '$players.score' },
+                gamesPlayed: { $sum: 1 },
+                wins: { $sum: { $cond: [{ $eq: ['$players.rank', 1] }, 1, 0] } },
+                bestScore: { $max: '$players.score' }
+            }
+        },
+        { $sort: { totalScore: -1, wins: -1, _id: 1 } },
+        { $limit: MAX_LEADERBOARD_SIZE },
+        {
+            $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                pipeline: [{ $project: { displayName: 1, profilePicture: 1 } }],
+                as: 'user'
+            }
+        }
+    ]);
+
+    const leaderboard = rows.map((row, i) => ({
+        rank: i + 1,
+        userId: row._id,
+        displayName: row.user[0]?.displayName || 'Unknown',
+        profilePicture: row.user[0]?.profilePicture,
+        totalScore: row.totalScore,
+        gamesPlayed: row.gamesPlayed,
+        wins: row.wins,
+        bestScore: row.bestScore
+    }));
+
+    await setCache(cacheKey, leaderboard, LEADERBOARD_CACHE_SECONDS);
+    return leaderboard;
+};
+
+/**
+ * Clubs ranked by the points their members scored
+ * @param {object} options - { gameType, period }
+ */
+const getClubRankings = async ({ gameType = null, period = 'all' }) => {
+    const cacheKey = 'games:club-rankings';
+    const cached = await getCache(cacheKey);
+    const field = `${gameType || 'all'}:${period}`;
+    if (cached?.[field]) return cached[field];
+
+    const match = buildMatch({ gameType, period });
+    match.clubId = { $ne: null };
+
+    const rows = await GameResult.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$clubId',
+                gamesPlayed: { $sum: 1 },
+                totalScore: { $sum: { $sum: '$players.score' } },
+                playerSets: { $push: '$players.userId' }
+            }
+        },
+        {
+            $project: {
+                gamesPlayed: 1,
+                totalScore: 1,
+                activePlayers: {
+                    $size: {
+                        $reduce: {
+                            input: '$playerSets',
+                            initialValue: [],
+                            in: { $setUnion: ['$$value', '$$this'] }
+                        }
+                    }
+                }
+            }
+        },
+        { $sort: { totalScore: -1, gamesPlayed: -1 } },
+        {
+            $lookup: {
+                from: 'clubs',
+                localField: '_id',
+                foreignField: '_id',
+                pipeline: [{ $project: { name: 1, logo: 1 } }],
+                as: 'club'
+            }
+        }
+    ]);
+
+    const rankings = rows.map((row, i) => ({
+        rank: i + 1,
+        clubId: row._id,
+        name: row.club[0]?.name || 'Unknown club',
+        logo: row.club[0]?.logo,
+        totalScore: row.totalScore,
+        gamesPlayed: row.gamesPlayed,
+        activePlayers: row.activePlayers
+    }));
+
+    await setCache(cacheKey, { ...(cached || {}), [field]: rankings }, LEADERBOARD_CACHE_SECONDS);
+    return rankings;
+};
+
+/**
+ * A user's finished games, newest first, plus per-game-type totals
+ * @param {string} userId
+ * @param {object} options - { gameType, page, limit }
+ */
+const getUserGameHistory = async (userId, { gameType = null, page = 1, limit = 20 }) => {
+    const uid = toObjectId(userId);
+    const query = { 'players.userId': uid };
+    if (gameType) query.gameType = gameType;
+
+    const [results, total, totals] = await Promise.all([
+        GameResult.find(query)
+            .sort({ endedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('clubId', 'name logo')
+            .lean(),
+        GameResult.countDocuments(query),
+        GameResult.aggregate([
+            { $match: { 'players.userId': uid } },
+            { $unwind: '$players' },
+            { $match: { 'players.userId': uid } },
+            {
+                $group: {
+                    _id: '$gameType',
+                    gamesPlayed: { $sum: 1 },
+                    wins: { $sum: { $cond: [{ $eq: ['$players.rank', 1] }, 1, 0] } },
+                    totalScore: { $sum: '$players.score' },
+                    bestScore: { $max: '$players.score' }
+                }
+            }
+        ])
+    ]);
+
+    const games = results.map(result => {
+        const me = result.players.find(p => p.userId.toString() === uid.toString());
+        return {
+            _id: result._id,
+            gameType: result.gameType,
+            club: result.clubId,
+            endedAt: result.endedAt,
+            durationSeconds: result.durationSeconds,
+            rounds: result.rounds,
+            score: me?.score || 0,
+            rank: me?.rank,
+            won: me?.rank === 1,
+            playerCount: result.players.length,
+            players: result.players
+        };
+    });
+
+    const summary = { gamesPlayed: 0, wins: 0, byGameType: {} };
+    totals.forEach(row => {
+        summary.gamesPlayed += row.gamesPlayed;
+        summary.wins += row.wins;
+        summary.byGameType[row._id] = {
+            gamesPlayed: row.gamesPlayed,
+            wins: row.wins,
+            totalScore: row.totalScore,
+            bestScore: row.bestScore
+        };
+    });
+
+    return { games, total, summary };
+};
+
+module.exports = {
+    recordGameResult,
+    getLeaderboard,
+    getClubRankings,
+    getUserGameHistory
+};
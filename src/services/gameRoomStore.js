@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const { redisClient } = require('../config/redis');
+
+/**
+ * Game room state and turn timers, shared by every server instance through Redis
+ * Rooms are plain JSON documents (game:room:<roomId>), and a player's current room is
+ * remembered (game:player:<userId>) so a dropped connection can rejoin it. Timers are entries
+ * in a sorted set scored by due time; whichever instance removes an entry first runs it, so
+ * each tick/turn change happens exactly once across the cluster.
+ * Sketch Heads strokes are kept apart from the room in a list per turn (game:canvas:<roomId>:<canvasId>)
+ * so a stroke is one RPUSH rather than a locked rewrite of the whole room.
+ * Without Redis (local dev) the same API runs on in-process maps.
+ */
+
+const ROOM_TTL_SECONDS = 6 * 60 * 60; // Abandoned rooms expire on their own
+const FINISHED_ROOM_TTL_SECONDS = 60;
+const LOCK_TTL_MS = 5000;
+const LOCK_RETRY_MS = 25;
+const TIMER_POLL_MS = 250;
+
+const ROOMS_KEY = 'game:rooms';
+const TIMERS_KEY = 'game:timers';
+const roomKey = (roomId) => `game:room:${roomId}`;
+const playerKey = (userId) => `game:player:${userId}`;
+const lockKey = (roomId) => `game:lock:${roomId}`;
+const canvasKey = (roomId, canvasId) => `game:canvas:${roomId}:${canvasId}`;
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// In-process fallback when Redis is not connected
+const memory = {
+    rooms: new Map(),
+    players: new Map(),
+    canvases: new Map(),
+    timers: []
+};
+
+const useRedis = () => redisClient.isOpen;
+
+const getRoom = async (roomId) => {
+    if (!roomId) return null;
+    if (!useRedis()) {
+        const room = memory.rooms.get(roomId);
+        return room ? JSON.parse(room) : null;
+    }
+    const data = await redisClient.get(roomKey(roomId));
+    return data ? JSON.parse(data) : null;
+};
+
+const saveRoom = async (room, ttl = ROOM_TTL_SECONDS) => {
+    if (!useRedis()) {
+        memory.rooms.set(room.roomId, JSON.stringify(room));
+        if (ttl < ROOM_TTL_SECONDS) {
+            setTimeout(() => memory.rooms.delete(room.roomId), ttl * 1000).unref();
+        }
+        return;
+    }
+    await redisClient.set(roomKey(room.roomId), JSON.stringify(room), { EX: ttl });
+    if (room.status === 'finished') {
+        await redisClient.sRem(ROOMS_KEY, room.roomId);
+    } else {
+        await redisClient.sAdd(ROOMS_KEY, room.roomId);
+    }
+};
+
+const deleteRoom = async (roomId) => {
+    if (!useRedis()) {
+        memory.rooms.delete(roomId);
+        return;
+    }
+    await redisClient.del(roomKey(roomId));
+    await redisClient.sRem(ROOMS_KEY, roomId);
+};
+
+/**
+ * Rooms that are still open (lobby or playing)
+ * @param {function} [filter]
+ */
+const listRooms = async (filter = () => true) => {
+    let rooms;
+    if (!useRedis()) {
+        rooms = [...memory.rooms.values()].map(r => JSON.parse(r));
+    } else {
+        const ids = await redisClient.sMembers(ROOMS_KEY);
+        if (ids.length === 0) return [];
+        const docs = await redisClient.mGet(ids.map(roomKey));
+        // Expired rooms drop out of the index here
+        const stale = ids.filter((id, i) => !docs[i]);
+        if (stale.length > 0) await redisClient.sRem(ROOMS_KEY, stale);
+        rooms = docs.filter(Boolean).map(d => JSON.parse(d));
+    }
+    return rooms.filter(r => r.status !== 'finished').filter(filter);
+};
+
+const setPlayerRoom = async (userId, roomId) => {
+    if (!userId) return;
+    if (!useRedis()) {
+        memory.players.set(userId.toString(), roomId);
+        return;
+    }
+    await redisClient.set(playerKey(userId), roomId, { EX: ROOM_TTL_SECONDS });
+};
+
+const getPlayerRoom = async (userId) => {
+    if (!userId) return null;
+    if (!useRedis()) return memory.players.get(userId.toString()) || null;
+    return redisClient.get(playerKey(userId));
+};
+
+// Forget a player's room (only if it still points at that room)
+const clearPlayerRoom = async (userId, roomId) => {
+    if (!userId) return;
+    if ((await getPlayerRoom(userId)) !== roomId) return;
+    if (!useRedis()) {
+        memory.players.delete(userId.toString());
+        return;
+    }
+    await redisClient.del(playerKey(userId));
+};
+
+// 🎨 Canvas strokes
+
+const appendPath = async (roomId, canvasId, path) => {
+    const key = canvasKey(roomId, canvasId);
+    if (!useRedis()) {
+        if (!memory.canvases.has(key)) memory.canvases.set(key, []);
+        memory.canvases.get(key).push(JSON.stringify(path));
+        return;
+    }
+    await redisClient.multi()
+        .rPush(key, JSON.stringify(path))
+        .expire(key, ROOM_TTL_SECONDS)
+        .exec();
+};
+
+const getPaths = async (roomId, canvasId) => {
+    if (!canvasId) return [];
+    const key = canvasKey(roomId, canvasId);
+    const items = useRedis() ? await redisClient.lRange(key, 0, -1) : (memory.canvases.get(key) || []);
+    return items.map(item => JSON.parse(item));
+};
+
+// Replace a turn's strokes (undo/redo); an empty list clears the canvas
+const setPaths = async (roomId, canvasId, paths) => {
+    const key = canvasKey(roomId, canvasId);
+    const items = paths.map(path => JSON.stringify(path));
+    if (!useRedis()) {
+        if (items.length > 0) memory.canvases.set(key, items);
+        else memory.canvases.delete(key);
+        return;
+    }
+    const multi = redisClient.multi().del(key);
+    if (items.length > 0) multi.rPush(key, items).expire(key, ROOM_TTL_SECONDS);
+    await multi.exec();
+};
+
+const clearPaths = (roomId, canvasId) => (canvasId ? setPaths(roomId, canvasId, []) : undefined);
+
+// Per-process queue so handlers on this instance don't even race for the Redis lock
+const localQueues = new Map();
+
+const acquireLock = async (roomId) => {
+    if (!useRedis()) return null;
+    const token = crypto.randomBytes(8).toString('hex');
+    const deadline = Date.now() + LOCK_TTL_MS;
+    while (Date.now() < deadline) {
+        const ok = await redisClient.set(lockKey(roomId), token, { NX: true, PX: LOCK_TTL_MS });
+        if (ok) return token;
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    throw new Error(`Timed out waiting for game room ${roomId}`);
+};
+
+const releaseLock = async (roomId, token) => {
+    if (!token || !useRedis()) return;
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey(roomId)], arguments: [token] });
+};
+
+/**
+ * Read-modify-write a room while holding its lock
+ * The callback mutates `room` in place (room is null when it doesn't exist). Changes are saved
+ * afterwards unless the callback called ctx.remove(); ctx.finish() keeps a finished room around
+ * briefly for late "game over" reads.
+ * @param {string} roomId
+ * @param {function(object|null, { remove: function, finish: function }): Promise<*>} fn
+ * @returns {Promise<*>} whatever the callback returns
+ */
+const withRoom = (roomId, fn) => {
+    const previous = localQueues.get(roomId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+        const token = await acquireLock(roomId);
+        try {
+            const room = await getRoom(roomId);
+            let action = 'save';
+            const ctx = {
+                remove: () => { action = 'remove'; },
+                finish: () => { action = 'finish'; }
+            };
+            const result = await fn(room, ctx);
+
+            if (room) {
+                if (action === 'remove') await deleteRoom(roomId);
+                else await saveRoom(room, action === 'finish' ? FINISHED_ROOM_TTL_SECONDS : ROOM_TTL_SECONDS);
+            }
+            return result;
+        } finally {
+            await releaseLock(roomId, token);
+        }
+    });
+
+    localQueues.set(roomId, run);
+    run.finally(() => {
+        if (localQueues.get(roomId) === run) localQueues.delete(roomId);
+    }).catch(() => {});
+    return run;
+};
+
+// ⏱️ Timers
+
+const timerHandlers = {};
+let timerLoop = null;
+
+/**
+ * Run a registered timer handler for a room after `delayMs`
+ * @param {string} roomId
+ * @param {string} type - Handler name (see registerTimerHandler)
+ * @param {number} delayMs
+ * @param {object} [data] - Passed to the handler (e.g. a turn token to ignore stale timers)
+ */
+const schedule = async (roomId, type, delayMs, data = {}) => {
+    const job = JSON.stringify({ id: crypto.randomBytes(6).toString('hex'), roomId, type, data });
+    const dueAt = Date.now() + delayMs;
+    if (!useRedis()) {
+        memory.timers.push({ dueAt, job });
+        return;
+    }
+    await redisClient.zAdd(TIMERS_KEY, { score: dueAt, value: job });
+};
+
+// Rooms keep the token of their live timer; jobs carrying any other token are stale and ignored
+const newTimerToken = () => crypto.randomBytes(6).toString('hex');
+
+const registerTimerHandler = (type, handler) => {
+    timerHandlers[type] = handler;
+};
+
+// Claim due jobs; a job removed by another instance first is skipped
+const claimDueJobs = async () => {
+    const now = Date.now();
+    if (!useRedis()) {
+        const due = memory.timers.filter(t => t.dueAt <= now);
+        memory.timers = memory.timers.filter(t => t.dueAt > now);
+        return due.sort((a, b) => a.dueAt - b.dueAt).map(t => t.job);
+    }
+
+    const jobs = await redisClient.zRangeByScore(TIMERS_KEY, 0, now);
+    const claimed = [];
+    for (const job of jobs) {
+        if (await redisClient.zRem(TIMERS_KEY, job) === 1) claimed.push(job);
+    }
+    return claimed;
+};
+
+/**
+ * Start polling for due timers (once per process)
+ */
+const startTimerLoop = () => {
+    if (timerLoop) return;
+    let running = false;
+
+    timerLoop = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            for (const raw of await claimDueJobs()) {
+                const job = JSON.parse(raw);
+                const handler = timerHandlers[job.type];
+                if (!handler) continue;
+                try {
+                    await handler(job.roomId, job.data);
+                } catch (error) {
+                    console.error(`❌ Game timer ${job.type} failed for room ${job.roomId}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Game timer loop error:', error);
+        } finally {
+            running = false;
+        }
+    }, TIMER_POLL_MS);
+    timerLoop.unref();
+};
+
+module.exports = {
+    getRoom,
+    saveRoom,
+    listRooms,
+    withRoom,
+    appendPath,
+    getPaths,
+    setPaths,
+    clearPaths,
+    setPlayerRoom,
+    getPlayerRoom,
+    clearPlayerRoom,
+    schedule,
+    newTimerToken,
+    registerTimerHandler,
+    startTimerLoop
+};
@@ -0,0 +1,357 @@
+const path = require('path');
+const cron = require('node-cron');
+const MediaAsset = require('../models/MediaAsset');
+const MediaCleanupRun = require('../models/MediaCleanupRun');
+const Gallery = require('../models/Gallery');
+const Snap = require('../models/Snap');
+const Message = require('../models/Message');
+const GroupChat = require('../models/GroupChat');
+const Event = require('../models/Event');
+const EventResource = require('../models/EventResource');
+const Club = require('../models/Club');
+const User = require('../models/User');
+const Meeting = require('../models/Meeting');
+const Task = require('../models/Task');
+const Note = require('../models/Note');
+const Game = require('../models/Game');
+const CustomForm = require('../models/CustomForm');
+const FormResponse = require('../models/FormResponse');
+const UploadSession = require('../models/UploadSession');
+const { deleteFile, listFiles } = require('./storage');
+
+// Files younger than this are never collected (a form upload waits here until the form is sent)
+const GRACE_HOURS = parseFloat(process.env.MEDIA_CLEANUP_GRACE_HOURS) || 24;
+const BATCH_SIZE = parseInt(process.env.MEDIA_CLEANUP_BATCH_SIZE, 10) || 200;
+// Most files one run may delete, so a mistake in MEDIA_OWNERS can't empty the storage
+const MAX_DELETES = parseInt(process.env.MEDIA_CLEANUP_MAX_DELETES, 10) || 1000;
+const SCHEDULE = process.env.MEDIA_CLEANUP_CRON || '30 3 * * *';
+// Scheduled runs only report until MEDIA_CLEANUP_DRY_RUN=false
+const SCHEDULED_DRY_RUN = process.env.MEDIA_CLEANUP_DRY_RUN !== 'false';
+// A run still "running" after this long was interrupted (e.g. by a restart)
+const STALE_RUN_HOURS = 6;
+const REPORT_LIMIT = 500;
+const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Where stored files are used. A file is in use while a live document has its publicId or url
+ * at one of the paths.
+ * - unwind: array of subdocuments that own files separately (group chat messages)
+ * - prepare: stages turning the document into something $match can search
+ * - live: what a document must match to still count (expired snaps, deleted messages don't)
+ */
+const MEDIA_OWNERS = [
+    { model: Gallery, paths: ['publicId', 'imageUrl', 'variants.publicId'] },
+    {
+        model: Snap,
+        paths: ['mediaUrl.publicId', 'mediaUrl.url', 'mediaUrl.variants.publicId'],
+        live: () => ({ deleted: { $ne: true }, expiresAt: { $gt: new Date() } })
+    },
+    {
+        model: Message,
+        paths: ['fileUrl.publicId', 'fileUrl.url', 'fileUrl.variants.publicId'],
+        live: () => ({ deleted: { $ne: true } })
+    },
+    {
+        model: GroupChat,
+        unwind: 'messages',
+        paths: ['messages.fileUrl.publicId', 'messages.fileUrl.url', 'messages.fileUrl.variants.publicId'],
+        live: () => ({ 'messages.deleted': { $ne: true } })
+    },
+    { model: Event, paths: ['images.publicId', 'images.url'] },
+    { model: EventResource, paths: ['publicId', 'url'] },
+    { model: Club, paths: ['logo.publicId', 'logo.url', 'coverImage.publicId', 'coverImage.url'] },
+    {
+        model: User,
+        paths: ['profilePicture.publicId', 'profilePicture.url', 'profilePictureHistory.publicId', 'profilePictureHistory.url']
+    },
+    { model: Meeting, paths: ['absenceRequests.attachment.publicId', 'absenceRequests.attachment.url'] },
+    { model: Task, paths: ['attachments.publicId', 'attachments.url'] },
+    { model: Note, paths: ['contentDelta.ops.insert.image'] },
+    { model: Game, paths: ['posterUrl', 'thumbnailUrl'] },
+    {
+        model: CustomForm,
+        paths: ['bannerImage', 'sections.questions.image', 'sections.questions.mediaUrl', 'sections.questions.options.image']
+    },
+    {
+        // File answers hold the url (or { url, publicId }) returned by the form upload endpoint
+        model: FormResponse,
+        prepare: [{ $project: { answers: { $objectToArray: '$answers' } } }],
+        paths: ['answers.v', 'answers.v.url', 'answers.v.publicId']
+    },
+    {
+        // Finished uploads waiting to be sent to a feature endpoint
+        model: UploadSession,
+        paths: ['asset.publicId', 'asset.variants.publicId'],
+        live: () => ({ status: 'completed' })
+    }
+];
+
+// Strings at a dotted path of a document, looking inside arrays on the way
+const valuesAt = (value, path) => {
+    if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, path));
+    if (!path) return typeof value === 'string' ? [value] : [];
+    if (!value || typeof value !== 'object') return [];
+    const [head, ...rest] = path.split('.');
+    return valuesAt(value[head], rest.join('.'));
+};
+
+// Urls are compared without their scheme or Cloudinary version (http/https and /v123/ name the same file)
+const urlKey = (value) => value.replace(/^https?:\/\//, '').replace(/\/v\d+\//, '/');
+const lookupKeys = (value) => (/^https?:\/\//.test(value) ? [value, urlKey(value)] : [value]);
+
+// Aggregation over an owner's live documents, with only the paths that hold files
+const ownerPipeline = (owner, uses) => {
+    const roots = [...new Set(owner.paths.map(p => p.split('.')[0]))];
+    const pipeline = [...(owner.prepare || []), { $match: uses }];
+    if (owner.unwind) pipeline.push({ $unwind: `$${owner.unwind}` }, { $match: uses });
+    if (owner.live) pipeline.push({ $match: owner.live() });
+    pipeline.push({ $project: Object.fromEntries(roots.map(root => [root, 1])) });
+    return pipeline;
+};
+
+const addOwner = (owners, owner, doc) => {
+    for (const value of owner.paths.flatMap(p => valuesAt(doc, p))) {
+        for (const key of lookupKeys(value)) {
+            if (!owners.has(key)) owners.set(key, { model: owner.model.modelName, id: doc._id });
+        }
+    }
+};
+
+const ownerOf = (owners, asset) => [asset.publicId, asset.url]
+    .filter(Boolean)
+    .flatMap(lookupKeys)
+    .map(key => owners.get(key))
+    .find(Boolean);
+
+/**
+ * Every file in use, read once per run: each owner collection is streamed a single time
+ * instead of being searched again for every batch of files
+ * @returns {Promise<Map<string, { model, id }>>} publicId or url -> owning document
+ */
+const collectOwners = async () => {
+    const owners = new Map();
+    for (const owner of MEDIA_OWNERS) {
+        const uses = { $or: owner.paths.map(p => ({ [p]: { $exists: true } })) };
+        const cursor = owner.model.aggregate(ownerPipeline(owner, uses)).allowDiskUse(true).cursor({ batchSize: 1000 });
+        for await (const doc of cursor) addOwner(owners, owner, doc);
+    }
+    return owners;
+};
+
+/**
+ * Find the documents using a few files (used to confirm orphans right before deleting them,
+ * since documents can change while a run goes on)
+ * @param {Array} assets - MediaAsset records
+ * @returns {Promise<Map<string, { model, id }>>} publicId or url -> owning document
+ */
+const findOwners = async (assets) => {
+    const keys = [...new Set(assets.flatMap(a => [a.publicId, a.url]).filter(Boolean))];
+    const owners = new Map();
+
+    for (const owner of MEDIA_OWNERS) {
+        const uses = { $or: owner.paths.map(p => ({ [p]: { $in: keys } })) };
+        const docs = await owner.model.aggregate(ownerPipeline(owner, uses));
+        docs.forEach(doc => addOwner(owners, owner, doc));
+    }
+    return owners;
+};
+
+const orphanReason = (asset) => {
+    if (asset.ownerModel) return `${asset.ownerModel} ${asset.ownerId} no longer uses it (deleted or expired)`;
+    if (asset.backfilledAt) return 'Found in storage, not used by any document';
+    return 'Never used by any document';
+};
+
+/**
+ * Record the files in storage that have no MediaAsset yet (stored before tracking started)
+ * They keep the provider's creation time, so the grace period still applies to recent ones.
+ */
+const backfillAssets = async (run) => {
+    const backfilledAt = new Date();
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        const result = await MediaAsset.bulkWrite(batch.map(file => {
+            const folder = path.posix.dirname(file.publicId);
+            return {
+                updateOne: {
+                    filter: { publicId: file.publicId },
+                    update: {
+                        $setOnInsert: {
+                            publicId: file.publicId,
+                            url: file.url,
+                            provider: file.provider,
+                            resourceType: file.resourceType,
+                            bytes: file.bytes,
+                            folder: folder === '.' ? undefined : folder,
+                            status: 'unattached',
+                            backfilledAt,
+                            createdAt: file.createdAt || backfilledAt,
+                            updatedAt: backfilledAt
+                        }
+                    },
+                    upsert: true,
+                    timestamps: false
+                }
+            };
+        }), { ordered: false });
+        run.backfilled += result.upsertedCount;
+        batch = [];
+    };
+
+    for await (const file of listFiles()) {
+        batch.push(file);
+        if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+    }
+    await flush();
+    await run.save();
+};
+
+/**
+ * Check every tracked file older than the grace period, batch by batch
+ * Owners found are recorded on the MediaAsset; files nothing uses are deleted (or, in a dry
+ * run, only reported). Never throws: a failure is saved on the run.
+ */
+const reconcile = async (run) => {
+    try {
+        if (run.backfill) await backfillAssets(run);
+
+        const owners = await collectOwners();
+        const cutoff = new Date(Date.now() - GRACE_HOURS * 60 * 60 * 1000);
+        let lastId = null;
+
+        for (;;) {
+            const query = { status: { $in: ['unattached', 'attached'] }, createdAt: { $lt: cutoff } };
+            if (lastId) query._id = { $gt: lastId };
+            const assets = await MediaAsset.find(query).sort({ _id: 1 }).limit(BATCH_SIZE).lean();
+            if (assets.length === 0) break;
+            lastId = assets[assets.length - 1]._id;
+
+            const checkedAt = new Date();
+            const updates = [];
+
+            // Files that look unused are looked up once more before anything is deleted
+            const candidates = assets.filter(asset => !ownerOf(owners, asset));
+            const confirmed = !run.dryRun && candidates.length > 0 ? await findOwners(candidates) : new Map();
+
+            for (const asset of assets) {
+                const owner = ownerOf(owners, asset) || ownerOf(confirmed, asset);
+                if (owner) {
+                    run.attached += 1;
+                    updates.push({
+                        updateOne: {
+                            filter: { _id: asset._id },
+                            update: { $set: { status: 'attached', ownerModel: owner.model, ownerId: owner.id, checkedAt } }
+                        }
+                    });
+                    continue;
+                }
+
+                run.orphaned += 1;
+                run.orphanedBytes += asset.bytes || 0;
+                const entry = {
+                    publicId: asset.publicId,
+                    url: asset.url,
+                    bytes: asset.bytes,
+                    folder: asset.folder,
+                    previousOwner: asset.ownerModel ? { model: asset.ownerModel, id: asset.ownerId } : undefined,
+                    reason: orphanReason(asset),
+                    deleted: false
+                };
+
+                if (!run.dryRun && run.deleted + run.failed < MAX_DELETES) {
+                    try {
+                        await deleteFile(asset.publicId, { resourceType: asset.resourceType });
+                        entry.deleted = true;
+                        run.deleted += 1;
+                        run.freedBytes += asset.bytes || 0;
+                    } catch (error) {
+                        entry.error = error.message;
+                        run.failed += 1;
+                        updates.push({
+                            updateOne: {
+                                filter: { _id: asset._id },
+                                update: { $set: { lastError: error.message, checkedAt } }
+                            }
+                        });
+                    }
+                }
+
+                if (run.orphans.length < REPORT_LIMIT) run.orphans.push(entry);
+            }
+
+            if (updates.length > 0) await MediaAsset.bulkWrite(updates);
+            run.scanned += assets.length;
+            await run.save(); // Progress is visible while the run goes on
+        }
+
+        run.status = 'completed';
+    } catch (error) {
+        console.error('Media cleanup error:', error);
+        run.status = 'failed';
+        run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+    console.log(`🧹 Media cleanup ${run.status}${run.dryRun ? ' (dry run)' : ''}: ${run.backfill ? `${run.backfilled} backfilled, ` : ''}${run.scanned} checked, ${run.orphaned} orphaned, ${run.deleted} deleted`);
+    return run;
+};
+
+/**
+ * Start a cleanup run
+ * @param {object} options - { dryRun, backfill (record untracked files in storage first), trigger: 'schedule' | 'manual', startedBy }
+ * @returns {Promise<{ run?, finished?: Promise, error?, status? }>} finished resolves when the run ends
+ */
+const startMediaCleanup = async ({ dryRun = true, backfill = false, trigger = 'manual', startedBy } = {}) => {
+    await MediaCleanupRun.updateMany(
+        { status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_HOURS * 60 * 60 * 1000) } },
+        { $set: { status: 'failed', error: 'Interrupted', finishedAt: new Date() } }
+    );
+
+    let run;
+    try {
+        run = await MediaCleanupRun.create({ dryRun, backfill, trigger, startedBy });
+    } catch (error) {
+        if (error.code === 11000) return { error: 'A media cleanup is already running', status: 409 };
+        throw error;
+    }
+
+    return { run, finished: reconcile(run) };
+};
+
+/**
+ * Tracked files by status, with their total size
+ */
+const getMediaStats = async () => {
+    const rows = await MediaAsset.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 }, bytes: { $sum: '$bytes' } } }
+    ]);
+    return Object.fromEntries(rows.map(row => [row._id, { count: row.count, bytes: row.bytes }]));
+};
+
+const initMediaCleanup = () => {
+    cron.schedule(SCHEDULE, async () => {
+        try {
+            const { finished, error } = await startMediaCleanup({ dryRun: SCHEDULED_DRY_RUN, trigger: 'schedule' });
+            if (error) {
+                console.log(`🧹 Media cleanup skipped: ${error}`);
+                return;
+            }
+            await finished;
+        } catch (error) {
+            console.error('Media cleanup error:', error);
+        }
+    });
+    console.log(`🧹 Media cleanup scheduled (${SCHEDULE}${SCHEDULED_DRY_RUN ? ', dry run' : ''})`);
+};
+
+module.exports = {
+    MEDIA_OWNERS,
+    collectOwners,
+    findOwners,
+    startMediaCleanup,
+    getMediaStats,
+    initMediaCleanup
+};
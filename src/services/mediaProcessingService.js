@@ -0,0 +1,262 @@
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { encode } = require('blurhash');
+const { uploadBuffer, uploadFile, deleteFile } = require('./storage');
+const { sniffMimeType } = require('../utils/mediaTypes');
+const {
+    IMAGE_VARIANTS,
+    MAX_IMAGE_DIMENSION,
+    IMAGE_QUALITY,
+    VARIANT_QUALITY,
+    PROCESSABLE_IMAGE_TYPES,
+    CONVERTED_IMAGE_TYPES,
+    METADATA_STRIPPED_VIDEO_TYPES
+} = require('../utils/mediaVariants');
+
+/**
+ * Media processing
+ * Images are re-encoded before they are stored: EXIF (including GPS) and other metadata are
+ * dropped, the picture is turned upright, oversized originals are scaled down, and webp
+ * variants plus a blurhash placeholder are made for list and grid views. HEIC photos are
+ * converted to JPEG first. MP4/MOV videos lose their metadata boxes (location, device); other
+ * videos and documents are stored exactly as sent.
+ */
+
+// failOn 'error' rejects truncated or corrupt files instead of storing half an image
+const readImage = (input, options = {}) => sharp(input, { failOn: 'error', ...options });
+
+// First bytes of a buffer or a file on disk, enough for sniffMimeType
+const readHead = async (input) => {
+    if (Buffer.isBuffer(input)) return input;
+    const handle = await fs.open(input, 'r');
+    try {
+        const head = Buffer.alloc(64);
+        const { bytesRead } = await handle.read(head, 0, head.length, 0);
+        return head.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+};
+
+// HEIC needs HEVC, which sharp's libvips isn't built with: decode it in JS into a lossless PNG
+const heicToPng = async (input) => {
+    const buffer = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+    const { width, height, data } = await decodeHeic({ buffer });
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } })
+        .png({ compressionLevel: 0 })
+        .toBuffer();
+};
+
+/**
+ * Turn the metadata boxes of an MP4/MOV (moov and track level udta/meta: GPS location, device
+ * model, creation software) into zero-filled free space. Box sizes don't change, so nothing else
+ * in the file moves and players skip the renamed boxes.
+ * @param {function} readAt - (offset, length) => Promise<Buffer>
+ * @param {function} writeAt - (offset, Buffer) => Promise
+ * @param {number} size - File size
+ * @returns {Promise<number>} Boxes cleared
+ */
+const clearVideoMetadata = async (readAt, writeAt, size) => {
+    let cleared = 0;
+
+    const walk = async (start, end, parent) => {
+        let offset = start;
+        while (offset + 8 <= end) {
+            const header = await readAt(offset, 16);
+            let boxSize = header.readUInt32BE(0);
+            const type = header.toString('latin1', 4, 8);
+            let headerSize = 8;
+            if (boxSize === 1) {
+                if (header.length < 16) return;
+                boxSize = Number(header.readBigUInt64BE(8));
+                headerSize = 16;
+            } else if (boxSize === 0) {
+                boxSize = end - offset;
+            }
+            if (boxSize < headerSize || offset + boxSize > end) return; // Malformed: leave the rest
+
+            if (parent && (type === 'udta' || type === 'meta')) {
+                await writeAt(offset + 4, Buffer.from('free', 'latin1'));
+                for (let pos = offset + headerSize; pos < offset + boxSize; pos += 65536) {
+                    await writeAt(pos, Buffer.alloc(Math.min(65536, offset + boxSize - pos)));
+                }
+                cleared += 1;
+            } else if (type === 'moov' || (parent === 'moov' && type === 'trak')) {
+                await walk(offset + headerSize, offset + boxSize, type);
+            }
+            offset += boxSize;
+        }
+    };
+
+    await walk(0, size, null);
+    return cleared;
+};
+
+// Strip video metadata from a buffer (returns a copy) or, in place, from a file we own
+const stripVideoMetadata = async (input) => {
+    if (Buffer.isBuffer(input)) {
+        const copy = Buffer.from(input);
+        await clearVideoMetadata(
+            async (offset, length) => copy.subarray(offset, Math.min(offset + length, copy.length)),
+            async (offset, bytes) => bytes.copy(copy, offset),
+            copy.length
+        );
+        return copy;
+    }
+
+    const handle = await fs.open(input, 'r+');
+    try {
+        const { size } = await handle.stat();
+        await clearVideoMetadata(
+            async (offset, length) => {
+                const head = Buffer.alloc(length);
+                const { bytesRead } = await handle.read(head, 0, length, offset);
+                return head.subarray(0, bytesRead);
+            },
+            (offset, bytes) => handle.write(bytes, 0, bytes.length, offset),
+            size
+        );
+    } finally {
+        await handle.close();
+    }
+    return input;
+};
+
+const encodeOriginal = (pipeline, mimeType) => {
+    if (mimeType === 'image/png') return pipeline.png({ compressionLevel: 9 });
+    if (mimeType === 'image/webp') return pipeline.webp({ quality: IMAGE_QUALITY });
+    return pipeline.jpeg({ quality: IMAGE_QUALITY, mozjpeg: true });
+};
+
+const makeBlurhash = async (input) => {
+    const { data, info } = await readImage(input)
+        .rotate()
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+/**
+ * Re-encode an image and make its variants (nothing is stored)
+ * Animated GIF/webp originals keep all their frames and size; their variants show the first frame.
+ * @param {Buffer|string} input - File contents or path
+ * @param {string} mimeType - Sniffed type, one of PROCESSABLE_IMAGE_TYPES
+ * @returns {Promise<{ original: Buffer|null, width, height, blurhash, variants: Array }>}
+ */
+const processImage = async (input, mimeType) => {
+    const metadata = await readImage(input).metadata();
+    const animated = (metadata.pages || 1) > 1;
+
+    let original = null;
+    let width = metadata.width;
+    let height = metadata.pageHeight || metadata.height;
+    if ((metadata.orientation || 1) >= 5) [width, height] = [height, width];
+
+    if (animated) {
+        // Re-encoded only to drop metadata (webp can carry EXIF)
+        const pipeline = readImage(input, { animated: true });
+        original = await (mimeType === 'image/webp'
+            ? pipeline.webp({ quality: IMAGE_QUALITY })
+            : pipeline.gif()).toBuffer();
+    } else {
+        const pipeline = readImage(input)
+            .rotate()
+            .resize(MAX_IMAGE_DIMENSION, MAX_IMAGE_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+        const { data, info } = await encodeOriginal(pipeline, mimeType).toBuffer({ resolveWithObject: true });
+        original = data;
+        width = info.width;
+        height = info.height;
+    }
+
+    const variants = [];
+    for (const { name, size } of IMAGE_VARIANTS) {
+        if (Math.max(width, height) <= size) break;
+        const { data, info } = await readImage(input)
+            .rotate()
+            .resize(size, size, { fit: 'inside' })
+            .webp({ quality: VARIANT_QUALITY })
+            .toBuffer({ resolveWithObject: true });
+        variants.push({ name, buffer: data, width: info.width, height: info.height });
+    }
+
+    return { original, width, height, blurhash: await makeBlurhash(input), variants };
+};
+
+const storeAsSent = (input, folder, options) => (Buffer.isBuffer(input)
+    ? uploadBuffer(input, folder, options)
+    : uploadFile(input, folder, options));
+
+/**
+ * Process (images, MP4/MOV videos) and store an upload
+ * A damaged image is rejected with an error whose status is 400. HEIC is stored as JPEG.
+ * @param {Buffer|string} input - File contents or path of a file on disk
+ * @param {string} folder - Storage folder, e.g. 'gallery'; variants go to '<folder>/variants'
+ * @param {object} options - { mimeType } client-reported type, used when the content isn't recognised
+ * @returns {Promise<object>} Storage result (services/storage) plus width, height, blurhash and
+ *   variants [{ name, url, publicId, width, height }] for processed images
+ */
+const storeMedia = async (input, folder, options = {}) => {
+    const sniffed = sniffMimeType(await readHead(input));
+    if (METADATA_STRIPPED_VIDEO_TYPES.includes(sniffed)) {
+        return storeAsSent(await stripVideoMetadata(input), folder, { ...options, mimeType: sniffed });
+    }
+    const converted = CONVERTED_IMAGE_TYPES[sniffed];
+    if (!converted && !PROCESSABLE_IMAGE_TYPES.includes(sniffed)) {
+        return storeAsSent(input, folder, options);
+    }
+    const mimeType = converted || sniffed;
+
+    let processed;
+    try {
+        processed = await processImage(converted ? await heicToPng(input) : input, mimeType);
+    } catch (error) {
+        console.error('Image processing error:', error.message);
+        throw Object.assign(new Error('The image is damaged or could not be read'), { status: 400 });
+    }
+    const asset = processed.original
+        ? await uploadBuffer(processed.original, folder, { mimeType, resourceType: 'image' })
+        : await storeAsSent(input, folder, { mimeType, resourceType: 'image' });
+
+    const variants = [];
+    for (const variant of processed.variants) {
+        const stored = await uploadBuffer(variant.buffer, `${folder}/variants`, { mimeType: 'image/webp', resourceType: 'image' });
+        variants.push({
+            name: variant.name,
+            url: stored.url,
+            publicId: stored.publicId,
+            width: variant.width,
+            height: variant.height
+        });
+    }
+
+    return {
+        ...asset,
+        width: processed.width,
+        height: processed.height,
+        blurhash: processed.blurhash,
+        variants
+    };
+};
+
+/**
+ * Delete a stored file and its variants
+ * @param {object} media - { publicId, resourceType, variants }
+ */
+const deleteMedia = async (media) => {
+    if (!media) return;
+    const removals = (media.variants || [])
+        .filter(v => v.publicId)
+        .map(v => deleteFile(v.publicId, { resourceType: 'image' }));
+    if (media.publicId) removals.push(deleteFile(media.publicId, { resourceType: media.resourceType }));
+    await Promise.all(removals);
+};
+
+module.exports = {
+    processImage,
+    stripVideoMetadata,
+    storeMedia,
+    deleteMedia
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const Meeting = require('../models/Meeting');
+const { delCache } = require('../utils/cache');
+const { getIO } = require('../utils/pushNotifications');
+const { recordMeetingAbsences } = require('./attendancePolicyService');
+const { closeAttendanceWindow } = require('./attendanceTokenService');
+
+/**
+ * Recompute Club.stats from the club's completed meetings
+ * @param {string} clubId
+ */
+const updateClubStats = async (clubId) => {
+    const cid = typeof clubId === 'string' ? new mongoose.Types.ObjectId(clubId) : clubId;
+
+    const [result] = await Meeting.aggregate([
+        { $match: { clubId: cid, status: 'completed' } },
+        {
+            $group: {
+                _id: null,
+                totalMeetings: { $sum: 1 },
+                // $avg skips meetings completed before summaries were recorded
+                averageAttendance: { $avg: '$attendanceSummary.rate' }
+            }
+        }
+    ]);
+
+    await Club.updateOne({ _id: cid }, {
+        $set: {
+            'stats.totalMeetings': result?.totalMeetings || 0,
+            'stats.averageAttendance': Math.round((result?.averageAttendance || 0) * 10) / 10
+        }
+    });
+};
+
+/**
+ * Complete a meeting: close attendance, count absences, escalate, update club stats and notify the club.
+ * Used by both the status endpoint and the reminder service's auto-complete, so a meeting is only
+ * ever counted once whichever path gets there first.
+ * @param {string} meetingId
+ * @param {object} socketSource - req, app or io
+ * @param {object} [audit] - { actor, ip } for the attendance log; empty when the meeting completed on its own
+ * @returns {Promise<object|null>} the completed meeting, or null if it was already completed
+ */
+const completeMeeting = async (meetingId, socketSource = null, audit = {}) => {
+    const meeting = await Meeting.findOneAndUpdate(
+        { _id: meetingId, status: { $ne: 'completed' } },
+        { $set: { status: 'completed' } },
+        { new: true }
+    );
+    if (!meeting) return null;
+
+    if (meeting.isAttendanceActive) {
+        await closeAttendanceWindow(socketSource, meeting._id);
+        meeting.isAttendanceActive = false;
+    }
+
+    const { presentIds, absentIds } = await recordMeetingAbsences(meeting, socketSource, audit);
+    const counted = presentIds.length + absentIds.length;
+
+    meeting.attendanceSummary = {
+        present: presentIds.length,
+        absent: absentIds.length,
+        excused: meeting.getExcusedUserIds().length,
+        rate: counted > 0 ? Math.round((presentIds.length / counted) * 1000) / 10 : 0,
+        completedAt: new Date()
+    };
+    await meeting.save();
+
+    await updateClubStats(meeting.clubId);
+
+    await delCache(`club:meetings:${meeting.clubId}`);
+    await delCache('club:meetings:all');
+
+    // Moves the meeting to the past section in realtime
+    const io = getIO(socketSource);
+    if (io) {
+        io.to(`club:${meeting.clubId}`).emit('meeting_status_updated', {
+            clubId: meeting.clubId.toString(),
+            meetingId: meeting._id.toString(),
+            status: 'completed'
+        });
+    }
+
+    console.log(`[Meeting] Completed: ${meeting.name} (${presentIds.length}/${counted} present)`);
+    return meeting;
+};
+
+module.exports = {
+    completeMeeting,
+    updateClubStats
+};
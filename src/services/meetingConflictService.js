@@ -0,0 +1,89 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { getVenueFilter } = require('../utils/meetingSchedule');
+
+// Members named per clashing meeting; the rest are only counted
+const MAX_LISTED_MEMBERS = 10;
+
+const overlapsAny = (slots) => ({
+    $or: slots.map(({ startsAt, endsAt }) => ({ startsAt: { $lt: endsAt }, endsAt: { $gt: startsAt } }))
+});
+
+const formatConflictMeeting = (meeting) => ({
+    _id: meeting._id,
+    name: meeting.name,
+    clubId: meeting.clubId?._id || meeting.clubId,
+    clubName: meeting.clubId?.name,
+    startsAt: meeting.startsAt,
+    endsAt: meeting.endsAt,
+    mode: meeting.mode,
+    locationCategory: meeting.locationCategory,
+    classroomNumber: meeting.classroomNumber,
+    otherLocationName: meeting.otherLocationName
+});
+
+/**
+ * Find upcoming meetings that clash with a meeting being scheduled
+ * - venue: same room (any club) at an overlapping time
+ * - members: a meeting of another club, overlapping in time, that some of this club's members also belong to
+ * @param {object} meeting - { clubId, mode, locationCategory, classroomNumber, otherLocationName }
+ * @param {Array<{ startsAt: Date, endsAt: Date }>} slots - Times the meeting (or each series occurrence) occupies
+ * @param {object} [exclude] - { meetingId, seriesId } so a meeting never clashes with itself
+ * @returns {Promise<Array<{ type: 'venue'|'members', meeting: object, memberCount?: number, members?: Array }>>}
+ */
+const findMeetingConflicts = async (meeting, slots, exclude = {}) => {
+    if (!slots.length) return [];
+
+    const base = {
+        status: { $in: ['upcoming', 'ongoing'] },
+        ...overlapsAny(slots)
+    };
+    const excluded = [];
+    if (exclude.meetingId) excluded.push({ _id: { $ne: exclude.meetingId } });
+    if (exclude.seriesId) excluded.push({ seriesId: { $ne: exclude.seriesId } });
+    if (excluded.length) base.$and = excluded;
+
+    const conflicts = [];
+
+    const venueFilter = getVenueFilter(meeting);
+    if (venueFilter) {
+        const clashes = await Meeting.find({ ...base, ...venueFilter })
+            .sort({ startsAt: 1 })
+            .populate('clubId', 'name');
+        clashes.forEach(m => conflicts.push({ type: 'venue', meeting: formatConflictMeeting(m) }));
+    }
+
+    const clubId = meeting.clubId.toString();
+    const members = await User.find({ 'clubsJoined.clubId': meeting.clubId }).select('displayName clubsJoined.clubId');
+    const membersByClub = new Map();
+    for (const member of members) {
+        for (const { clubId: otherClubId } of member.clubsJoined) {
+            if (!otherClubId || otherClubId.toString() === clubId) continue;
+            const key = otherClubId.toString();
+            if (!membersByClub.has(key)) membersByClub.set(key, []);
+            membersByClub.get(key).push({ _id: member._id, displayName: member.displayName });
+        }
+    }
+
+    if (membersByClub.size > 0) {
+        const clashes = await Meeting.find({ ...base, clubId: { $in: [...membersByClub.keys()] } })
+            .sort({ startsAt: 1 })
+            .populate('clubId', 'name');
+
+        clashes.forEach(m => {
+            const shared = membersByClub.get((m.clubId?._id || m.clubId).toString()) || [];
+            conflicts.push({
+                type: 'members',
+                meeting: formatConflictMeeting(m),
+                memberCount: shared.length,
+                members: shared.slice(0, MAX_LISTED_MEMBERS)
+            });
+        });
+    }
+
+    return conflicts;
+};
+
+module.exports = {
+    findMeetingConflicts
+};
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Meeting = require('../models/Meeting');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const { getIO, sendPushNotificationToMany } = require('../utils/pushNotifications');
+const { buildMinutesSummary } = require('../utils/minutes');
+const { createTask } = require('./taskService');
+
+const notifyMembers = async (meeting, userIds, { title, message }, socketSource) => {
+    if (userIds.length === 0) return;
+
+    await Notification.insertMany(userIds.map(userId => ({
+        userId,
+        type: 'minutes_published',
+        title,
+        message,
+        clubId: meeting.clubId,
+        relatedId: meeting._id,
+        relatedModel: 'Meeting'
+    })));
+
+    const io = getIO(socketSource);
+    if (io) userIds.forEach(uid => io.to(uid).emit('notification_receive', {}));
+
+    await sendPushNotificationToMany(userIds, {
+        title: `📝 ${title}`,
+        body: message,
+        data: {
+            type: 'minutes_published',
+            screen: 'Calendar',
+            params: { selectedMeetingId: meeting._id.toString(), clubId: meeting.clubId.toString() },
+            meetingId: meeting._id.toString()
+        }
+    }, socketSource);
+};
+
+/**
+ * Record a task id on an action item that has none yet, before the task is created
+ * @returns {Promise<boolean>} false when another publish claimed the item first
+ */
+const claimActionItem = async (meeting, item, taskId) => {
+    const result = await Meeting.updateOne(
+        { _id: meeting._id, 'minutes.actionItems': { $elemMatch: { _id: item._id, taskId: null } } },
+        { $set: { 'minutes.actionItems.$.taskId': taskId } }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Publish a meeting's minutes
+ * Action items without a task yet become Tasks (through the same path as POST /api/tasks).
+ * Each item's task id is saved before its task is created, so a retried or concurrent publish
+ * never creates a task twice; a task missing behind a saved id (an interrupted publish) is
+ * created on the next publish.
+ * The first publish sends the recap to everyone in the club: attendees get the summary,
+ * absentees are told what they missed. Later publishes only create tasks for new action items.
+ * @param {Meeting} meeting - Meeting document with minutes
+ * @param {string} publisherId
+ * @param {object} [socketSource] - io, req or app
+ * @returns {Promise<{ tasks: Array, notified: number }>}
+ */
+const publishMinutes = async (meeting, publisherId, socketSource) => {
+    const { minutes } = meeting;
+
+    const claimedIds = minutes.actionItems.filter(item => item.taskId).map(item => item.taskId);
+    const existing = new Set((await Task.find({ _id: { $in: claimedIds } }).select('_id').lean())
+        .map(task => task._id.toString()));
+
+    const tasks = [];
+    for (const item of minutes.actionItems) {
+        if (item.taskId && existing.has(item.taskId.toString())) continue;
+
+        if (!item.taskId) {
+            const taskId = new mongoose.Types.ObjectId();
+            if (!await claimActionItem(meeting, item, taskId)) continue;
+            item.taskId = taskId;
+        }
+
+        try {
+            const task = await createTask({
+                _id: item.taskId,
+                title: item.title,
+                description: item.description || `Action item from "${meeting.name}"`,
+                clubId: meeting.clubId,
+                assignedTo: item.assignees.map(id => id.toString()),
+                dueDate: item.dueDate,
+                priority: item.priority,
+                meetingId: meeting._id,
+                assignedBy: publisherId
+            }, socketSource);
+            tasks.push(task);
+        } catch (error) {
+            if (error.code !== 11000) throw error; // Created by a concurrent publish
+        }
+    }
+
+    // Only the request that flips the status sends the recap
+    const publishedAt = new Date();
+    const flipped = await Meeting.updateOne(
+        { _id: meeting._id, 'minutes.status': { $ne: 'published' } },
+        { $set: { 'minutes.status': 'published', 'minutes.publishedBy': publisherId, 'minutes.publishedAt': publishedAt } }
+    );
+    const firstPublish = flipped.modifiedCount === 1;
+    if (!firstPublish) {
+        await Meeting.updateOne(
+            { _id: meeting._id },
+            { $set: { 'minutes.publishedBy': publisherId, 'minutes.publishedAt': publishedAt } }
+        );
+    }
+    minutes.status = 'published';
+    minutes.publishedBy = publisherId;
+    minutes.publishedAt = publishedAt;
+
+    let notified = 0;
+    if (firstPublish) {
+        const summary = buildMinutesSummary(minutes);
+        const present = new Set(meeting.attendees
+            .filter(a => a.status === 'present' || a.status === 'late')
+            .map(a => a.userId.toString()));
+
+        const members = await User.find({ 'clubsJoined.clubId': meeting.clubId }).select('_id');
+        const memberIds = members.map(m => m._id.toString()).filter(id => id !== publisherId.toString());
+        const attendeeIds = memberIds.filter(id => present.has(id));
+        const absenteeIds = memberIds.filter(id => !present.has(id));
+
+        await notifyMembers(meeting, attendeeIds, {
+            title: `Minutes: ${meeting.name}`,
+            message: summary
+        }, socketSource);
+        await notifyMembers(meeting, absenteeIds, {
+            title: `You missed ${meeting.name}`,
+            message: `Here's what happened. ${summary}`
+        }, socketSource);
+
+        notified = attendeeIds.length + absenteeIds.length;
+    }
+
+    return { tasks, notified };
+};
+
+module.exports = {
+    publishMinutes
+};
@@ -0,0 +1,339 @@
+const Meeting = require('../models/Meeting');
+const MeetingSeries = require('../models/MeetingSeries');
+const { delCache } = require('../utils/cache');
+const { changesSchedule, MEETING_SCHEDULE_FIELDS } = require('../utils/ics');
+const { recordTombstones } = require('./calendarTombstoneService');
+const { getOccurrences, getWeekOfMonth } = require('../utils/recurrence');
+const {
+    DEFAULT_TIMEZONE,
+    getZonedParts,
+    getLocalDate,
+    toWallClock,
+    parseTime,
+    zonedTimeToUtc
+} = require('../utils/timezone');
+
+// How far ahead occurrences exist as Meeting documents (reminders, calendars and RSVPs need them)
+const HORIZON_DAYS = parseInt(process.env.MEETING_SERIES_HORIZON_DAYS, 10) || 60;
+
+// What recordTombstones needs from a deleted occurrence
+const TOMBSTONE_FIELDS = 'name clubId date startsAt endsAt icsSequence';
+
+const getHorizon = () => new Date(Date.now() + HORIZON_DAYS * 24 * 60 * 60 * 1000);
+
+const pickTemplate = (source) => {
+    const template = {};
+    for (const field of MeetingSeries.TEMPLATE_FIELDS) {
+        if (source[field] !== undefined) template[field] = source[field];
+    }
+    return template;
+};
+
+const invalidateClubMeetings = async (clubId) => {
+    await delCache(`club:meetings:${clubId}`);
+    await delCache('club:meetings:all');
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day of an instant in the series' timezone
+const getDayKey = (date, timezone) => {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Occurrence start instants of a series within [from, until]
+ * The rule is evaluated on the club's wall clock, so a 18:30 meeting stays at 18:30 across DST,
+ * and endDate includes its whole (local) day.
+ * @returns {Array<{ index: number, date: Date }>}
+ */
+const getSeriesOccurrences = (series, from, until) => {
+    const timezone = series.timezone || DEFAULT_TIMEZONE;
+    const { recurrence, time } = series.toObject ? series.toObject() : series;
+    const clock = parseTime(time) || { hour: 0, minute: 0 };
+
+    const start = getLocalDate(recurrence.startDate, timezone);
+    const end = recurrence.endDate && getLocalDate(recurrence.endDate, timezone);
+    const wallRecurrence = {
+        ...recurrence,
+        startDate: new Date(Date.UTC(start.year, start.month - 1, start.day, clock.hour, clock.minute)),
+        endDate: end ? new Date(Date.UTC(end.year, end.month - 1, end.day, 23, 59, 59)) : undefined
+    };
+
+    return getOccurrences(wallRecurrence, toWallClock(from, timezone), toWallClock(until, timezone))
+        .map(({ index, date }) => ({
+            index,
+            date: zonedTimeToUtc({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                ...clock
+            }, timezone)
+        }));
+};
+
+/**
+ * Time slots a series (saved or not) will occupy from `from` up to the generation horizon
+ * @returns {Array<{ startsAt: Date, endsAt: Date }>}
+ */
+const getSeriesSlots = (series, from, until = getHorizon()) => {
+    const durationMs = (series.durationMinutes || 60) * 60 * 1000;
+    return getSeriesOccurrences(series, from, until)
+        .map(({ date }) => ({ startsAt: date, endsAt: new Date(date.getTime() + durationMs) }));
+};
+
+/**
+ * Create the Meeting documents of a series up to the horizon (idempotent)
+ * @param {object} series - MeetingSeries document
+ * @returns {Promise<Array<object>>} newly created meetings
+ */
+const generateOccurrences = async (series, until = getHorizon()) => {
+    if (!series.isActive) return [];
+
+    const from = series.generatedUntil
+        ? new Date(series.generatedUntil.getTime() + 1)
+        : new Date(series.recurrence.startDate);
+    // A series starting beyond the horizon still gets its first meeting
+    const generateUntil = series.generatedUntil ? until : new Date(Math.max(until, from));
+    if (generateUntil < from) return [];
+
+    const timezone = series.timezone || DEFAULT_TIMEZONE;
+    const occurrences = getSeriesOccurrences(series, from, generateUntil);
+
+    // Days already taken by deleted (exceptions) or kept occurrences are skipped
+    const taken = new Set(series.exceptions.map(d => getDayKey(d, timezone)));
+    if (occurrences.length > 0) {
+        const existing = await Meeting.find({
+            seriesId: series._id,
+            occurrenceDate: { $gte: new Date(occurrences[0].date - DAY_MS), $lte: new Date(generateUntil.getTime() + DAY_MS) }
+        }).select('occurrenceDate');
+        existing.forEach(m => taken.add(getDayKey(m.occurrenceDate, timezone)));
+    }
+
+    const template = pickTemplate(series.toObject());
+    const durationMs = (series.durationMinutes || 60) * 60 * 1000;
+
+    const docs = occurrences
+        .filter(({ date }) => !taken.has(getDayKey(date, timezone)))
+        .map(({ date }) => ({
+            ...template,
+            clubId: series.clubId,
+            startsAt: date,
+            endsAt: new Date(date.getTime() + durationMs),
+            date,
+            occurrenceDate: date,
+            seriesId: series._id,
+            isRecurring: true,
+            createdBy: series.createdBy
+        }));
+
+    let created = [];
+    if (docs.length > 0) {
+        try {
+            created = await Meeting.insertMany(docs, { ordered: false });
+        } catch (error) {
+            // Another request generated some of these concurrently; keep the ones we inserted
+            if (error.code !== 11000 && !error.writeErrors) throw error;
+            created = error.insertedDocs || [];
+        }
+    }
+
+    series.generatedUntil = generateUntil;
+    await series.save();
+
+    if (created.length > 0) await invalidateClubMeetings(series.clubId);
+    return created;
+};
+
+/**
+ * Top up every active series whose generated range falls short of the horizon
+ * @param {object} filter - Extra MeetingSeries filter (e.g. { clubId })
+ * @returns {Promise<number>} number of meetings created
+ */
+const generateDueOccurrences = async (filter = {}) => {
+    const horizon = getHorizon();
+    const seriesList = await MeetingSeries.find({
+        ...filter,
+        isActive: true,
+        // Top up at most daily rather than on every call
+        generatedUntil: { $lt: new Date(horizon.getTime() - 24 * 60 * 60 * 1000) }
+    });
+
+    let created = 0;
+    for (const series of seriesList) {
+        created += (await generateOccurrences(series, horizon)).length;
+    }
+    return created;
+};
+
+/**
+ * Apply template changes to a series and its upcoming, non-detached occurrences from a date on
+ * A new time or duration moves the occurrences, so those are rebuilt instead.
+ */
+const applySeriesUpdate = async (series, updates, fromDate) => {
+    const template = pickTemplate(updates);
+    const rescheduled = (template.time !== undefined && template.time !== series.time) ||
+        (updates.durationMinutes !== undefined && updates.durationMinutes !== series.durationMinutes);
+    if (Object.keys(template).length === 0 && !rescheduled) return;
+    // A new place moves the occurrences in members' calendars
+    const moved = changesSchedule(series, template, MEETING_SCHEDULE_FIELDS);
+
+    Object.assign(series, template);
+    if (updates.durationMinutes !== undefined) series.durationMinutes = updates.durationMinutes;
+    await series.save();
+
+    delete template.time;
+    if (rescheduled) await regenerateOccurrences(series, fromDate);
+
+    await Meeting.updateMany({
+        seriesId: series._id,
+        occurrenceDate: { $gte: fromDate },
+        status: 'upcoming',
+        isSeriesException: false
+    }, {
+        $set: template,
+        ...(moved && { $inc: { icsSequence: 1 } })
+    }, { runValidators: true });
+
+    await invalidateClubMeetings(series.clubId);
+};
+
+/**
+ * Move upcoming occurrences onto the series' new slots after its time, duration or rule changed
+ * Occurrences keep their _id (and with it RSVPs, absence requests, minutes and calendar UIDs): the
+ * nth upcoming occurrence takes the nth new slot. Occurrences left without a slot are deleted, and
+ * missing ones are generated. Occurrences with attendance or edited on their own are left alone.
+ */
+const regenerateOccurrences = async (series, fromDate) => {
+    const from = new Date(Math.max(fromDate, Date.now()));
+    const timezone = series.timezone || DEFAULT_TIMEZONE;
+
+    const inSeries = await Meeting.find({ seriesId: series._id, occurrenceDate: { $gte: new Date(from - DAY_MS) } })
+        .select(`${TOMBSTONE_FIELDS} occurrenceDate status isSeriesException attendees`)
+        .sort({ occurrenceDate: 1 });
+    const movable = inSeries.filter(m => m.occurrenceDate >= from && m.status === 'upcoming' &&
+        !m.isSeriesException && m.attendees.length === 0);
+    const movableIds = new Set(movable.map(m => m._id.toString()));
+
+    // Days of deleted occurrences and of the ones left alone stay taken
+    const taken = new Set(series.exceptions.map(d => getDayKey(d, timezone)));
+    inSeries.filter(m => !movableIds.has(m._id.toString()))
+        .forEach(m => taken.add(getDayKey(m.occurrenceDate, timezone)));
+
+    const lastMovable = movable.length > 0 ? movable[movable.length - 1].occurrenceDate : from;
+    const until = new Date(Math.max(getHorizon(), lastMovable));
+    const slots = getSeriesOccurrences(series, from, until)
+        .filter(({ date }) => !taken.has(getDayKey(date, timezone)))
+        .slice(0, movable.length);
+
+    // Gone first, so their slots are free to move onto
+    const dropped = movable.slice(slots.length);
+    await recordTombstones('meeting', dropped);
+    await Meeting.deleteMany({ _id: { $in: dropped.map(m => m._id) } });
+
+    const durationMs = (series.durationMinutes || 60) * 60 * 1000;
+    const moves = slots.map(({ date }, i) => ({ meeting: movable[i], date }))
+        .filter(({ meeting, date }) => meeting.occurrenceDate.getTime() !== date.getTime() ||
+            meeting.endsAt?.getTime() !== date.getTime() + durationMs);
+
+    // One at a time, in an order where no occurrence lands on a slot another still holds
+    // (the unique seriesId + occurrenceDate index would refuse it)
+    const later = moves.filter(({ meeting, date }) => date > meeting.occurrenceDate).reverse();
+    const earlier = moves.filter(({ meeting, date }) => date <= meeting.occurrenceDate);
+    for (const { meeting, date } of [...later, ...earlier]) {
+        const moved = meeting.startsAt?.getTime() !== date.getTime();
+        await Meeting.updateOne({ _id: meeting._id }, {
+            $set: {
+                occurrenceDate: date,
+                date,
+                startsAt: date,
+                endsAt: new Date(date.getTime() + durationMs),
+                time: series.time,
+                ...(moved && { rsvpReminderSent: false, remindersSent: [] })
+            },
+            ...(moved && { $inc: { icsSequence: 1 } })
+        });
+    }
+
+    series.generatedUntil = new Date(from.getTime() - 1);
+    await series.save();
+    await generateOccurrences(series);
+    await invalidateClubMeetings(series.clubId);
+};
+
+/**
+ * Split a series so that occurrences from `occurrenceDate` on belong to a new series
+ * ("this and following" edits). The original series ends just before.
+ * @returns {Promise<object>} the new series
+ */
+const splitSeries = async (series, occurrenceDate) => {
+    const { _id, createdAt, updatedAt, ...fields } = series.toObject();
+    const recurrence = fields.recurrence;
+    const before = getSeriesOccurrences(series, recurrence.startDate, new Date(occurrenceDate.getTime() - 1));
+    const usedCount = before.length > 0 ? before[before.length - 1].index + 1 : 0;
+
+    const newRecurrence = {
+        ...recurrence,
+        startDate: occurrenceDate,
+        count: recurrence.count ? recurrence.count - usedCount : recurrence.count
+    };
+    // Keep "2nd Tuesday" even if the new start falls in another week of its month
+    if (recurrence.frequency === 'monthly') {
+        newRecurrence.weekOfMonth = recurrence.weekOfMonth || getWeekOfMonth(new Date(recurrence.startDate));
+    }
+
+    const newSeries = await MeetingSeries.create({
+        ...fields,
+        recurrence: newRecurrence,
+        exceptions: series.exceptions.filter(d => d >= occurrenceDate)
+    });
+
+    // endDate covers its whole local day, so end on the day before
+    series.recurrence.endDate = new Date(occurrenceDate.getTime() - DAY_MS);
+    series.exceptions = series.exceptions.filter(d => d < occurrenceDate);
+    await series.save();
+
+    await Meeting.updateMany(
+        { seriesId: series._id, occurrenceDate: { $gte: occurrenceDate } },
+        { $set: { seriesId: newSeries._id } }
+    );
+
+    return newSeries;
+};
+
+/**
+ * Stop a series from a date on and delete its upcoming occurrences from there
+ * ("this and following" / "all" deletes). Ongoing, completed and cancelled meetings are kept.
+ * @returns {Promise<Array<string>>} ids of deleted meetings
+ */
+const endSeries = async (series, fromDate) => {
+    if (fromDate <= series.recurrence.startDate) {
+        series.isActive = false;
+    } else {
+        series.recurrence.endDate = new Date(fromDate.getTime() - DAY_MS);
+    }
+    await series.save();
+
+    const query = {
+        seriesId: series._id,
+        occurrenceDate: { $gte: fromDate },
+        status: 'upcoming'
+    };
+    const meetings = await Meeting.find(query).select(TOMBSTONE_FIELDS);
+    await recordTombstones('meeting', meetings);
+    await Meeting.deleteMany({ _id: { $in: meetings.map(m => m._id) } });
+
+    await invalidateClubMeetings(series.clubId);
+    return meetings.map(m => m._id.toString());
+};
+
+module.exports = {
+    getSeriesSlots,
+    generateOccurrences,
+    generateDueOccurrences,
+    applySeriesUpdate,
+    regenerateOccurrences,
+    splitSeries,
+    endSeries
+};
@@ -2,6 +2,14 @@ const Task = require('../models/Task');
 const Meeting = require('../models/Meeting');
 const Notification = require('../models/Notification');
 const { sendPushNotificationToMany, sendClubPushNotification } = require('../utils/pushNotifications');
+const { closeExpiredAttendanceWindows } = require('./attendanceTokenService');
+const { completeMeeting } = require('./meetingCompletionService');
+const { generateDueOccurrences } = require('./meetingSeriesService');
+const { sendDueRsvpReminders } = require('./rsvpService');
+const { expireUploadSessions } = require('./uploadSessionService');
+
+// Hours after a meeting's end before it is completed automatically
+const AUTO_COMPLETE_GRACE_HOURS = parseFloat(process.env.AUTO_COMPLETE_GRACE_HOURS) || 2;
 
 /**
  * Checks for tasks and meetings with pending reminders and sends notifications
@@ -70,95 +78,97 @@ const checkReminders = async (app) => {
         console.error('[ReminderService] Task reminder error:', err);
     }
 
-    // 2. Meeting Reminders (New Logic - 10m and 5m before)
+    // 2. Meeting Reminders (10m and 5m before)
     try {
         const reminderWindows = [10, 5];
-        for (const minsBefore of reminderWindows) {
-            // Find meetings on this date
-            const targetTime = new Date(now.getTime() + minsBefore * 60000);
-            const startOfDay = new Date(targetTime); startOfDay.setHours(0, 0, 0, 0);
-            const endOfDay = new Date(targetTime); endOfDay.setHours(23, 59, 59, 999);
-
+        for (const [i, minsBefore] of reminderWindows.entries()) {
+            // Starts within this window but after the next (closer) one; remindersSent stops repeats
+            const closerWindow = reminderWindows[i + 1] || 0;
             const meetings = await Meeting.find({
-                date: { $gte: startOfDay, $lte: endOfDay },
-                status: 'upcoming'
+                status: 'upcoming',
+                startsAt: {
+                    $gt: new Date(now.getTime() + closerWindow * 60000),
+                    $lte: new Date(now.getTime() + minsBefore * 60000)
+                },
+                remindersSent: { $ne: minsBefore }
             }).populate('clubId', 'name');
 
             for (const meeting of meetings) {
-                if (!meeting.time) continue;
-                const [hrs, mins] = meeting.time.split(':').map(Number);
-                if (isNaN(hrs) || isNaN(mins)) continue;
-
-                const meetingStartTime = new Date(meeting.date);
-                meetingStartTime.setHours(hrs, mins, 0, 0);
-
-                const diffInMins = Math.round((meetingStartTime.getTime() - now.getTime()) / 60000);
-
-                if (diffInMins === minsBefore) {
-                    console.log(`[ReminderService] Sending ${minsBefore}m reminder for: ${meeting.name}`);
-
-                    await sendClubPushNotification(
-                        meeting.clubId._id,
-                        `Meeting Starting Soon! ⏳`,
-                        `"${meeting.name}" starts in ${minsBefore} minutes at ${meeting.time}.`,
-                        {
-                            type: 'meeting_reminder',
-                            screen: 'Calendar',
-                            params: { selectedMeetingId: meeting._id.toString(), clubId: meeting.clubId._id.toString() },
-                            meetingId: meeting._id.toString()
-                        },
-                        app
-                    );
-
-                    const io = app.get('io');
-                    if (io) io.to(`club:${meeting.clubId._id}`).emit('notification_receive', {});
-                }
+                if (!meeting.clubId) continue;
+
+                // Claim the reminder first so overlapping runs don't send it twice
+                const claimed = await Meeting.updateOne(
+                    { _id: meeting._id, remindersSent: { $ne: minsBefore } },
+                    { $addToSet: { remindersSent: minsBefore } }
+                );
+                if (claimed.modifiedCount === 0) continue;
+
+                const minsLeft = Math.max(1, Math.round((meeting.startsAt.getTime() - now.getTime()) / 60000));
+                console.log(`[ReminderService] Sending ${minsBefore}m reminder for: ${meeting.name}`);
+
+                await sendClubPushNotification(
+                    meeting.clubId._id,
+                    `Meeting Starting Soon! ⏳`,
+                    `"${meeting.name}" starts in ${minsLeft} minutes at ${meeting.time}.`,
+                    {
+                        type: 'meeting_reminder',
+                        screen: 'Calendar',
+                        params: { selectedMeetingId: meeting._id.toString(), clubId: meeting.clubId._id.toString() },
+                        meetingId: meeting._id.toString()
+                    },
+                    app
+                );
+
+                const io = app.get('io');
+                if (io) io.to(`club:${meeting.clubId._id}`).emit('notification_receive', {});
             }
         }
     } catch (err) {
         console.error('[ReminderService] Meeting reminder error:', err);
     }
 
-    // 3. Auto-complete Past Meetings
+    // 2b. Ask non-responders to RSVP to upcoming meetings and events
+    try {
+        await sendDueRsvpReminders(app);
+    } catch (err) {
+        console.error('[ReminderService] RSVP reminder error:', err);
+    }
+
+    // 3. Auto-complete meetings that ended more than the grace period ago
     try {
         const meetingsToComplete = await Meeting.find({
             status: { $in: ['upcoming', 'ongoing'] },
-            date: { $lte: now }
+            endsAt: { $lte: new Date(now.getTime() - AUTO_COMPLETE_GRACE_HOURS * 60 * 60 * 1000) }
         });
 
         for (const meeting of meetingsToComplete) {
-            if (!meeting.time) continue;
-            const [hrs, mins] = meeting.time.split(':').map(Number);
-            if (isNaN(hrs) || isNaN(mins)) continue;
-
-            const meetingEndTime = new Date(meeting.date);
-            meetingEndTime.setHours(hrs, mins, 0, 0);
-
-            // 3 hour buffer
-            const threeHoursInMs = 3 * 60 * 60 * 1000;
+            // Same absence counting, escalation, stats and socket events as a manual completion
+            const completed = await completeMeeting(meeting._id, app);
+            if (completed) console.log(`[ReminderService] Auto-completed meeting: ${meeting.name}`);
+        }
+    } catch (err) {
+        console.error('[ReminderService] Auto-complete error:', err);
+    }
 
-            if (now.getTime() > (meetingEndTime.getTime() + threeHoursInMs)) {
-                meeting.status = 'completed';
-                await meeting.save();
-                console.log(`[ReminderService] Auto-completed meeting: ${meeting.name}`);
+    // 4. Close expired attendance windows
+    try {
+        await closeExpiredAttendanceWindows(app);
+    } catch (err) {
+        console.error('[ReminderService] Attendance window error:', err);
+    }
 
-                // Invalidate cache
-                const { delCache } = require('../utils/cache');
-                await delCache(`club:meetings:${meeting.clubId}`);
+    // 5. Generate upcoming occurrences of recurring meetings (so their reminders fire)
+    try {
+        await generateDueOccurrences();
+    } catch (err) {
+        console.error('[ReminderService] Meeting series error:', err);
+    }
 
-                // Emit socket event to move it to past section in realtime
-                const io = app.get('io');
-                if (io) {
-                    io.to(`club:${meeting.clubId}`).emit('meeting_status_updated', {
-                        clubId: meeting.clubId.toString(),
-                        meetingId: meeting._id.toString(),
-                        status: 'completed'
-                    });
-                }
-            }
-        }
+    // 6. Expire abandoned upload sessions (temp chunks and unused uploads)
+    try {
+        await expireUploadSessions();
     } catch (err) {
-        console.error('[ReminderService] Auto-complete error:', err);
+        console.error('[ReminderService] Upload session error:', err);
     }
 };
 
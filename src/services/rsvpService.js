@@ -0,0 +1,96 @@
+const Meeting = require('../models/Meeting');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getIO, sendPushNotificationToMany } = require('../utils/pushNotifications');
+
+// How long before a meeting/event members who haven't answered are asked to RSVP
+const RSVP_REMINDER_HOURS = parseFloat(process.env.RSVP_REMINDER_HOURS) || 24;
+
+/**
+ * Club members who haven't answered a meeting/event's RSVP
+ * @returns {Promise<string[]>}
+ */
+const getNonResponderIds = async (doc) => {
+    if (!doc.clubId) return [];
+    const clubId = doc.clubId._id || doc.clubId;
+    const responded = new Set(doc.rsvps.map(r => (r.userId._id || r.userId).toString()));
+
+    const members = await User.find({ 'clubsJoined.clubId': clubId }).select('_id');
+    return members.map(m => m._id.toString()).filter(id => !responded.has(id));
+};
+
+/**
+ * Ask members who haven't answered yet whether they are coming
+ * @param {object} doc - Meeting or Event document
+ * @param {'meeting'|'event'} kind
+ * @returns {Promise<number>} members reminded
+ */
+const remindNonResponders = async (doc, kind, socketSource) => {
+    const userIds = await getNonResponderIds(doc);
+    if (userIds.length === 0) return 0;
+
+    const name = kind === 'meeting' ? doc.name : doc.title;
+    const startsAt = kind === 'meeting' ? doc.startsAt || doc.date : doc.date;
+    const title = `Are you coming to ${name}?`;
+    const message = `Let your club know if you'll make it on ${new Date(startsAt).toDateString()}.`;
+    const clubId = doc.clubId._id || doc.clubId;
+
+    await Notification.insertMany(userIds.map(userId => ({
+        userId,
+        type: 'rsvp_reminder',
+        title,
+        message,
+        clubId,
+        relatedId: doc._id,
+        relatedModel: kind === 'meeting' ? 'Meeting' : 'Event'
+    })));
+
+    const io = getIO(socketSource);
+    if (io) userIds.forEach(uid => io.to(uid).emit('notification_receive', {}));
+
+    await sendPushNotificationToMany(userIds, {
+        title: `🙋 ${title}`,
+        body: message,
+        data: kind === 'meeting'
+            ? { type: 'rsvp_reminder', screen: 'Calendar', params: { selectedMeetingId: doc._id.toString(), clubId: clubId.toString() }, meetingId: doc._id.toString() }
+            : { type: 'rsvp_reminder', screen: 'EventDetail', eventId: doc._id.toString() }
+    }, socketSource);
+
+    return userIds.length;
+};
+
+/**
+ * Reminder tick: one RSVP nudge per upcoming club meeting/event, RSVP_REMINDER_HOURS ahead
+ */
+const sendDueRsvpReminders = async (socketSource) => {
+    const now = new Date();
+    const until = new Date(now.getTime() + RSVP_REMINDER_HOURS * 60 * 60 * 1000);
+
+    const sources = [
+        { Model: Meeting, kind: 'meeting', filter: { startsAt: { $gt: now, $lte: until } } },
+        { Model: Event, kind: 'event', filter: { clubId: { $ne: null }, date: { $gt: now, $lte: until } } }
+    ];
+
+    for (const { Model, kind, filter } of sources) {
+        const docs = await Model.find({ ...filter, status: 'upcoming', rsvpReminderSent: { $ne: true } });
+
+        for (const doc of docs) {
+            // Claim first so overlapping runs don't remind twice
+            const claimed = await Model.updateOne(
+                { _id: doc._id, rsvpReminderSent: { $ne: true } },
+                { $set: { rsvpReminderSent: true } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            const count = await remindNonResponders(doc, kind, socketSource);
+            if (count > 0) console.log(`[ReminderService] RSVP reminder for ${kind} "${doc.name || doc.title}" sent to ${count} members`);
+        }
+    }
+};
+
+module.exports = {
+    getNonResponderIds,
+    remindNonResponders,
+    sendDueRsvpReminders
+};
@@ -0,0 +1,100 @@
+/**
+ * Cloudinary storage backend
+ */
+const createCloudinaryStorage = () => {
+    const { cloudinary } = require('../../config/cloudinary');
+
+    return {
+        name: 'cloudinary',
+
+        upload: (buffer, { folder, resourceType }) => new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(
+                {
+                    folder,
+                    resource_type: resourceType || 'auto',
+                    timeout: 600000
+                },
+                (error, result) => {
+                    if (error) {
+                        reject(new Error(`Cloudinary upload failed: ${error.message}`));
+                    } else {
+                        resolve({
+                            url: result.secure_url,
+                            publicId: result.public_id,
+                            resourceType: result.resource_type,
+                            format: result.format
+                        });
+                    }
+                }
+            );
+            stream.end(buffer);
+        }),
+
+        uploadFromPath: async (filePath, { folder, resourceType }) => {
+            try {
+                const result = await cloudinary.uploader.upload(filePath, {
+                    folder,
+                    resource_type: resourceType || 'auto',
+                    timeout: 600000
+                });
+                return {
+                    url: result.secure_url,
+                    publicId: result.public_id,
+                    resourceType: result.resource_type,
+                    format: result.format
+                };
+            } catch (error) {
+                throw new Error(`Cloudinary upload failed: ${error.message}`);
+            }
+        },
+
+        remove: async (publicId, { resourceType = 'image' }) => {
+            try {
+                return await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+            } catch (error) {
+                throw new Error(`Cloudinary delete failed: ${error.message}`);
+            }
+        },
+
+        // Every stored file, for the media cleanup backfill (Admin API, 500 per call)
+        list: async function* () {
+            for (const resourceType of ['image', 'video', 'raw']) {
+                let cursor;
+                do {
+                    const page = await cloudinary.api.resources({
+                        resource_type: resourceType,
+                        type: 'upload',
+                        max_results: 500,
+                        next_cursor: cursor
+                    });
+                    for (const resource of page.resources) {
+                        yield {
+                            publicId: resource.public_id,
+                            url: resource.secure_url,
+                            resourceType: resource.resource_type,
+                            format: resource.format,
+                            bytes: resource.bytes,
+                            createdAt: new Date(resource.created_at)
+                        };
+                    }
+                    cursor = page.next_cursor;
+                } while (cursor);
+            }
+        },
+
+        // Signed delivery URL (Cloudinary delivery signatures don't expire)
+        getSignedUrl: (publicId, { resourceType = 'image' }) => cloudinary.url(publicId, {
+            resource_type: resourceType,
+            secure: true,
+            sign_url: true
+        }),
+
+        getTransformedUrl: (publicId, { resourceType = 'image', width, height, crop = 'fill', quality = 'auto', format }) => cloudinary.url(publicId, {
+            resource_type: resourceType,
+            secure: true,
+            transformation: [{ width, height, crop: width || height ? crop : undefined, quality, fetch_format: format }]
+        })
+    };
+};
+
+module.exports = createCloudinaryStorage;
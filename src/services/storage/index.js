@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const config = require('../../config/storage');
+const MediaAsset = require('../../models/MediaAsset');
+const {
+    sniffMimeType,
+    extensionForMimeType,
+    resourceTypeForMimeType,
+    parseDataUri
+} = require('../../utils/mediaTypes');
+
+/**
+ * Media storage
+ * Every upload goes through here; the backend (Cloudinary, local disk or S3-compatible) is chosen
+ * by config/storage.js. Stored documents keep the returned url and publicId. A publicId belongs
+ * to the backend that created it, so switching backends doesn't move existing files.
+ * Every stored file is recorded as a MediaAsset so the media cleanup job can find orphans.
+ */
+
+const DRIVERS = {
+    cloudinary: () => require('./cloudinaryStorage')(),
+    local: () => require('./localStorage')(config.local),
+    s3: () => require('./s3Storage')(config.s3)
+};
+
+// Created on first use so an unused backend's SDK and credentials are never needed
+let driver = null;
+const getDriver = () => {
+    if (!driver) {
+        driver = DRIVERS[config.driver]();
+        console.log(`🗄️ Media storage: ${driver.name}`);
+    }
+    return driver;
+};
+
+// Shared by uploadBuffer and uploadFile: name the file and hand it to the backend
+const store = async ({ buffer, filePath, bytes, head }, folder, options) => {
+    const mimeType = sniffMimeType(head) || options.mimeType || 'application/octet-stream';
+    const key = `${folder}/${crypto.randomUUID()}${extensionForMimeType(mimeType)}`;
+    const target = { folder, key, mimeType, bytes, resourceType: options.resourceType };
+
+    const storage = getDriver();
+    const result = buffer
+        ? await storage.upload(buffer, target)
+        : await storage.uploadFromPath(filePath, target);
+
+    const stored = {
+        url: result.url,
+        publicId: result.publicId,
+        resourceType: result.resourceType || options.resourceType || resourceTypeForMimeType(mimeType),
+        format: result.format || extensionForMimeType(mimeType).slice(1) || undefined,
+        mimeType,
+        bytes,
+        provider: storage.name
+    };
+
+    // Tracking must never fail an upload; an untracked file is only missed by the cleanup job
+    try {
+        await MediaAsset.create({ ...stored, folder });
+    } catch (error) {
+        console.error('Media asset record error:', error);
+    }
+
+    return stored;
+};
+
+/**
+ * Store a file
+ * @param {Buffer} buffer - File contents
+ * @param {string} folder - e.g. 'mavericks/snaps'
+ * @param {object} options
+ * @param {string} options.mimeType - Client-reported type, used when the content isn't recognised
+ * @param {string} options.resourceType - 'image' | 'video' | 'raw' (Cloudinary detects it when omitted)
+ * @returns {Promise<{ url, publicId, resourceType, mimeType, bytes, provider }>}
+ */
+const uploadBuffer = async (buffer, folder = 'mavericks', options = {}) => store(
+    { buffer, bytes: buffer.length, head: buffer },
+    folder,
+    options
+);
+
+/**
+ * Store a file from disk without loading it into memory (same options and result as uploadBuffer)
+ */
+const uploadFile = async (filePath, folder = 'mavericks', options = {}) => {
+    const { size } = await fs.stat(filePath);
+    const handle = await fs.open(filePath, 'r');
+    const head = Buffer.alloc(Math.min(size, 64));
+    try {
+        await handle.read(head, 0, head.length, 0);
+    } finally {
+        await handle.close();
+    }
+    return store({ filePath, bytes: size, head }, folder, options);
+};
+
+/**
+ * Store a base64 upload ("data:<mime>;base64,..." or bare base64)
+ */
+const uploadBase64 = async (data, folder, options = {}) => {
+    const { buffer, mimeType } = parseDataUri(data);
+    return uploadBuffer(buffer, folder, { mimeType: mimeType || undefined, ...options });
+};
+
+/**
+ * Delete a stored file
+ * @param {string} publicId
+ * @param {object} options - { resourceType } (needed by Cloudinary for videos and raw files)
+ */
+const deleteFile = async (publicId, options = {}) => {
+    const result = await getDriver().remove(publicId, options);
+    try {
+        await MediaAsset.updateOne({ publicId }, { $set: { status: 'deleted', deletedAt: new Date() } });
+    } catch (error) {
+        console.error('Media asset record error:', error);
+    }
+    return result;
+};
+
+/**
+ * Every file the backend holds, tracked or not
+ * @returns {AsyncIterable<{ publicId, url, resourceType?, format?, bytes, createdAt, provider }>}
+ */
+const listFiles = async function* () {
+    const storage = getDriver();
+    for await (const file of storage.list()) {
+        yield { ...file, provider: storage.name };
+    }
+};
+
+/**
+ * Time-limited link to a file
+ * The local backend also serves files without a signature, so there it doesn't restrict access.
+ * @param {object} options - { resourceType, expiresIn (seconds, default 1 hour) }
+ */
+const getSignedUrl = async (publicId, { resourceType, expiresIn = 3600 } = {}) => getDriver().getSignedUrl(publicId, { resourceType, expiresIn });
+
+/**
+ * URL of a resized/re-encoded version of an image
+ * Only Cloudinary transforms on the fly; other backends return the original file's URL.
+ * @param {object} transform - { width, height, crop, quality, format, resourceType }
+ */
+const getTransformedUrl = (publicId, transform = {}) => getDriver().getTransformedUrl(publicId, transform);
+
+/**
+ * Express handler serving local-disk files (null for other backends)
+ */
+const getLocalFileHandler = () => (config.driver === 'local' ? getDriver().fileHandler() : null);
+
+module.exports = {
+    uploadBuffer,
+    uploadFile,
+    uploadBase64,
+    deleteFile,
+    listFiles,
+    getSignedUrl,
+    getTransformedUrl,
+    getLocalFileHandler
+};
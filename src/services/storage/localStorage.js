@@ -0,0 +1,111 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Local filesystem storage backend (development and tests)
+ * Files live under config.dir and are served by server.js at config.routePath. Transformations
+ * aren't available, so transformed URLs point at the original file.
+ */
+const createLocalStorage = (config) => {
+    // Keys are relative paths; refuse anything that would escape the storage directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(config.dir, key);
+        if (!filePath.startsWith(config.dir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const urlFor = (key) => `${config.publicUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    const sign = (key, expires) => crypto
+        .createHmac('sha256', config.signingSecret || '')
+        .update(`${key}:${expires}`)
+        .digest('hex');
+
+    return {
+        name: 'local',
+
+        upload: async (buffer, { key }) => {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return { url: urlFor(key), publicId: key };
+        },
+
+        uploadFromPath: async (sourcePath, { key }) => {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.copyFile(sourcePath, filePath);
+            return { url: urlFor(key), publicId: key };
+        },
+
+        remove: async (publicId) => {
+            try {
+                await fs.unlink(resolveKey(publicId));
+                return { result: 'ok' };
+            } catch (error) {
+                if (error.code === 'ENOENT') return { result: 'not found' };
+                throw error;
+            }
+        },
+
+        getSignedUrl: (publicId, { expiresIn }) => {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            return `${urlFor(publicId)}?expires=${expires}&signature=${sign(publicId, expires)}`;
+        },
+
+        getTransformedUrl: (publicId) => urlFor(publicId),
+
+        // Every stored file, for the media cleanup backfill
+        list: async function* () {
+            const walk = async function* (dir) {
+                let entries;
+                try {
+                    entries = await fs.readdir(dir, { withFileTypes: true });
+                } catch (error) {
+                    if (error.code === 'ENOENT') return;
+                    throw error;
+                }
+                for (const entry of entries) {
+                    const filePath = path.join(dir, entry.name);
+                    if (entry.isDirectory()) {
+                        yield* walk(filePath);
+                    } else if (entry.isFile() && !entry.name.startsWith('.')) {
+                        const key = path.relative(config.dir, filePath).split(path.sep).join('/');
+                        const { size, mtime } = await fs.stat(filePath);
+                        yield { publicId: key, url: urlFor(key), bytes: size, createdAt: mtime };
+                    }
+                }
+            };
+            yield* walk(config.dir);
+        },
+
+        /**
+         * Express handler serving the stored files
+         * Links carrying a signature are checked and refused once expired, but unsigned URLs are
+         * served too, so a signed link doesn't keep a file private on this backend.
+         */
+        fileHandler: () => {
+            const serveStatic = express.static(config.dir, { fallthrough: false, dotfiles: 'deny' });
+            return (req, res, next) => {
+                const { expires, signature } = req.query;
+                if (signature !== undefined || expires !== undefined) {
+                    const key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+                    const expected = sign(key, expires);
+                    const valid = typeof signature === 'string'
+                        && signature.length === expected.length
+                        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+                    if (!valid || Number(expires) * 1000 < Date.now()) {
+                        return res.status(403).json({ success: false, message: 'Link expired or invalid' });
+                    }
+                }
+                serveStatic(req, res, next);
+            };
+        }
+    };
+};
+
+module.exports = createLocalStorage;
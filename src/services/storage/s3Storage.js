@@ -0,0 +1,109 @@
+const fs = require('fs');
+
+/**
+ * S3-compatible storage backend (AWS S3, MinIO, Cloudflare R2, DigitalOcean Spaces...)
+ * Objects are returned with their public URL (S3_PUBLIC_URL, or the bucket URL) and can be read
+ * privately through signed URLs. Transformations aren't available; transformed URLs point at the
+ * original object.
+ */
+const createS3Storage = (config) => {
+    const {
+        S3Client,
+        PutObjectCommand,
+        DeleteObjectCommand,
+        GetObjectCommand,
+        ListObjectsV2Command
+    } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    if (!config.bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3');
+    }
+
+    const client = new S3Client({
+        region: config.region,
+        endpoint: config.endpoint,
+        forcePathStyle: config.forcePathStyle,
+        credentials: config.accessKeyId
+            ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+            : undefined // SDK default chain (env, instance role...)
+    });
+
+    const baseUrl = config.publicUrl
+        || (config.endpoint
+            ? `${config.endpoint}/${config.bucket}`
+            : `https://${config.bucket}.s3.${config.region}.amazonaws.com`);
+    const urlFor = (key) => `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    return {
+        name: 's3',
+
+        upload: async (buffer, { key, mimeType }) => {
+            try {
+                await client.send(new PutObjectCommand({
+                    Bucket: config.bucket,
+                    Key: key,
+                    Body: buffer,
+                    ContentType: mimeType
+                }));
+                return { url: urlFor(key), publicId: key };
+            } catch (error) {
+                throw new Error(`S3 upload failed: ${error.message}`);
+            }
+        },
+
+        uploadFromPath: async (filePath, { key, mimeType, bytes }) => {
+            try {
+                await client.send(new PutObjectCommand({
+                    Bucket: config.bucket,
+                    Key: key,
+                    Body: fs.createReadStream(filePath),
+                    ContentLength: bytes,
+                    ContentType: mimeType
+                }));
+                return { url: urlFor(key), publicId: key };
+            } catch (error) {
+                throw new Error(`S3 upload failed: ${error.message}`);
+            }
+        },
+
+        remove: async (publicId) => {
+            try {
+                await client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: publicId }));
+                return { result: 'ok' };
+            } catch (error) {
+                throw new Error(`S3 delete failed: ${error.message}`);
+            }
+        },
+
+        getSignedUrl: (publicId, { expiresIn }) => getSignedUrl(
+            client,
+            new GetObjectCommand({ Bucket: config.bucket, Key: publicId }),
+            { expiresIn }
+        ),
+
+        getTransformedUrl: (publicId) => urlFor(publicId),
+
+        // Every stored object, for the media cleanup backfill
+        list: async function* () {
+            let token;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: config.bucket,
+                    ContinuationToken: token
+                }));
+                for (const object of page.Contents || []) {
+                    yield {
+                        publicId: object.Key,
+                        url: urlFor(object.Key),
+                        bytes: object.Size,
+                        createdAt: object.LastModified
+                    };
+                }
+                token = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (token);
+        }
+    };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,85 @@
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const { getIO, sendPushNotificationToMany } = require('../utils/pushNotifications');
+const { delCache } = require('../utils/cache');
+
+/**
+ * Create a task, notify its assignees and refresh the club's task list
+ * Shared by POST /api/tasks and published meeting minutes.
+ * @param {object} fields - { title, description, clubId, assignedTo: [userId], dueDate, priority, meetingId, attachments, assignedBy }
+ *                          and optionally _id, when the caller has already recorded the task's id
+ * @param {object} [socketSource] - io, req or app
+ * @returns {Promise<Task>}
+ */
+const createTask = async (fields, socketSource) => {
+    const { _id, title, description, clubId, assignedTo, dueDate, priority, meetingId, attachments, assignedBy } = fields;
+
+    // Prepare assignedTo array for model
+    const assignees = assignedTo.map(userId => ({
+        user: userId,
+        status: 'pending'
+    }));
+
+    const task = await Task.create({
+        _id,
+        title,
+        description,
+        clubId,
+        assignedTo: assignees,
+        dueDate,
+        priority,
+        meetingId,
+        attachments,
+        assignedBy
+    });
+
+    // Notify assignees
+    try {
+        const notifs = assignedTo.map(userId => ({
+            userId,
+            type: 'task_assigned',
+            title: 'New Task Assigned',
+            message: `You have been assigned a new task: ${title}`,
+            relatedId: task._id,
+            relatedModel: 'Task'
+        }));
+        await Notification.insertMany(notifs);
+
+        await sendPushNotificationToMany(assignedTo, {
+            title: 'New Task Assigned 📋',
+            body: `New task: ${title}. Due by ${new Date(dueDate).toLocaleDateString()}`,
+            data: { taskId: task._id.toString() }
+        });
+
+        // Real-time socket signal
+        const io = getIO(socketSource);
+        if (io) {
+            // Signal each attendee for the notification badge
+            assignedTo.forEach(userId => {
+                io.to(userId.toString()).emit('notification_receive', {});
+            });
+
+            // Broadcast task update to the club room
+            const populatedNewTask = await Task.findById(task._id)
+                .populate('assignedTo.user', 'displayName profilePicture')
+                .populate('assignedBy', 'displayName')
+                .populate('meetingId', 'name date');
+            io.to(`club:${task.clubId}`).emit('task_update', populatedNewTask);
+        }
+    } catch (notifErr) {
+        console.error('Task notification error:', notifErr);
+    }
+
+    // Invalidate caches for all assignees and the dashboard
+    for (const userId of assignedTo) {
+        await delCache(`user:tasks:${userId}:${clubId}`);
+        await delCache(`user:tasks:${userId}:all`);
+        await delCache(`user:dashboard:${userId}`);
+    }
+
+    return task;
+};
+
+module.exports = {
+    createTask
+};
@@ -0,0 +1,269 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const UploadSession = require('../models/UploadSession');
+const { UPLOAD_PURPOSES, isAllowedType, contentMatchesType } = require('../utils/uploadSessions');
+const { sniffMimeType } = require('../utils/mediaTypes');
+const { storeMedia, deleteMedia } = require('./mediaProcessingService');
+
+const CHUNK_SIZE = (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 5) * 1024 * 1024;
+// Time to finish the upload, and then to use it in a feature endpoint
+const SESSION_TTL_MINUTES = parseInt(process.env.UPLOAD_SESSION_TTL_MINUTES) || 60;
+// Chunks are assembled here; with several instances this must be a shared volume
+const TEMP_DIR = path.resolve(process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'aura-uploads'));
+
+const ticketSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+// Tickets may share the access-token secret, so they are marked and checked for this audience
+const TICKET_AUDIENCE = 'upload';
+const partPath = (session) => path.join(TEMP_DIR, `${session._id}.part`);
+const expiresFromNow = () => new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+
+const isOpen = (session) => ['pending', 'uploading'].includes(session.status) && session.expiresAt > new Date();
+const closedMessage = (session) => `Upload session is ${session.expiresAt <= new Date() ? 'expired' : session.status}`;
+
+const removePart = async (session) => {
+    try {
+        await fs.unlink(partPath(session));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Upload temp file delete error:', error);
+    }
+};
+
+/**
+ * Signed ticket for a session's chunk and complete requests
+ * Carries the session, owner, size and type, and expires with the session.
+ */
+const issueTicket = (session) => jwt.sign(
+    {
+        sid: session._id.toString(),
+        uid: session.userId.toString(),
+        size: session.size,
+        type: session.mimeType
+    },
+    ticketSecret(),
+    {
+        audience: TICKET_AUDIENCE,
+        expiresIn: Math.max(Math.floor((session.expiresAt - Date.now()) / 1000), 1)
+    }
+);
+
+/**
+ * Session a ticket was issued for, or null if the ticket is invalid, expired or for another session
+ */
+const getSessionForTicket = async (ticket, sessionId) => {
+    let payload;
+    try {
+        payload = jwt.verify(ticket, ticketSecret(), { audience: TICKET_AUDIENCE });
+    } catch (error) {
+        return null;
+    }
+    if (payload.sid !== sessionId) return null;
+
+    const session = await UploadSession.findById(sessionId);
+    if (!session || session.userId.toString() !== payload.uid) return null;
+    return session;
+};
+
+/**
+ * Open an upload session
+ * @param {object} user
+ * @param {object} details - { purpose, fileName, mimeType, size }
+ * @returns {Promise<{ session?, ticket?, error?, status? }>}
+ */
+const createUploadSession = async (user, { purpose, fileName, mimeType, size }) => {
+    const rule = UPLOAD_PURPOSES[purpose];
+    if (!rule) {
+        return { error: `purpose must be one of: ${Object.keys(UPLOAD_PURPOSES).join(', ')}`, status: 400 };
+    }
+    if (!isAllowedType(purpose, mimeType)) {
+        return { error: `File type ${mimeType || '(none)'} is not allowed for ${purpose} uploads`, status: 415 };
+    }
+    const bytes = Number(size);
+    if (!Number.isInteger(bytes) || bytes <= 0) {
+        return { error: 'size must be the file size in bytes', status: 400 };
+    }
+    if (bytes > rule.maxBytes) {
+        return { error: `File too large. Max size for ${purpose} uploads is ${rule.maxBytes / (1024 * 1024)}MB`, status: 413 };
+    }
+
+    const session = await UploadSession.create({
+        userId: user._id,
+        purpose,
+        fileName: typeof fileName === 'string' ? path.basename(fileName).slice(0, 255) : undefined,
+        mimeType,
+        size: bytes,
+        chunkSize: CHUNK_SIZE,
+        expiresAt: expiresFromNow()
+    });
+
+    return { session, ticket: issueTicket(session) };
+};
+
+/**
+ * Append a chunk at `offset`
+ * Chunks must arrive in order; a client that lost track resumes from session.receivedBytes.
+ * @returns {Promise<{ session?, error?, status? }>}
+ */
+const writeChunk = async (session, offset, chunk) => {
+    if (!isOpen(session)) {
+        return { error: closedMessage(session), status: 410 };
+    }
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+        return { error: 'Chunk is empty', status: 400 };
+    }
+    if (chunk.length > session.chunkSize) {
+        return { error: `Chunks can be at most ${session.chunkSize} bytes`, status: 413 };
+    }
+    if (offset !== session.receivedBytes) {
+        return { error: `Expected offset ${session.receivedBytes}`, status: 409 };
+    }
+    if (offset + chunk.length > session.size) {
+        return { error: 'Chunk goes past the declared file size', status: 413 };
+    }
+    if (offset === 0 && !contentMatchesType(session.mimeType, sniffMimeType(chunk))) {
+        return { error: `File content is not ${session.mimeType}`, status: 415 };
+    }
+
+    // Writing at the offset makes a retried chunk harmless
+    await fs.mkdir(TEMP_DIR, { recursive: true });
+    const handle = await fs.open(partPath(session), offset === 0 ? 'w' : 'r+');
+    try {
+        await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+        await handle.close();
+    }
+
+    const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, receivedBytes: offset, status: { $in: ['pending', 'uploading'] } },
+        { $inc: { receivedBytes: chunk.length }, $set: { status: 'uploading' } },
+        { new: true }
+    );
+    if (!updated) {
+        const current = await UploadSession.findById(session._id).select('receivedBytes');
+        return { error: `Expected offset ${current ? current.receivedBytes : 0}`, status: 409 };
+    }
+    return { session: updated };
+};
+
+/**
+ * Move a fully received upload to media storage (images are processed on the way, see mediaProcessingService)
+ * @returns {Promise<{ session?, error?, status? }>}
+ */
+const completeUploadSession = async (session) => {
+    if (session.status === 'completed' || session.status === 'consumed') return { session };
+    if (!isOpen(session)) {
+        return { error: closedMessage(session), status: 410 };
+    }
+    if (session.receivedBytes !== session.size) {
+        return { error: `Received ${session.receivedBytes} of ${session.size} bytes`, status: 409 };
+    }
+
+    // Claim the session so a repeated complete request doesn't store the file twice
+    const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'uploading', receivedBytes: session.size },
+        { $set: { status: 'processing' } },
+        { new: true }
+    );
+    if (!claimed) {
+        return { error: 'Upload is already being completed', status: 409 };
+    }
+
+    let asset;
+    try {
+        asset = await storeMedia(partPath(claimed), UPLOAD_PURPOSES[claimed.purpose].folder, {
+            mimeType: claimed.mimeType
+        });
+    } catch (error) {
+        if (error.status) {
+            // The content itself is unusable, so there's nothing to retry
+            await removePart(claimed);
+            claimed.status = 'cancelled';
+            await claimed.save();
+            return { error: error.message, status: error.status };
+        }
+        claimed.status = 'uploading';
+        await claimed.save();
+        throw error;
+    }
+    await removePart(claimed);
+
+    claimed.asset = asset;
+    claimed.status = 'completed';
+    claimed.completedAt = new Date();
+    claimed.expiresAt = expiresFromNow();
+    await claimed.save();
+    return { session: claimed };
+};
+
+/**
+ * Claim a completed upload for a feature endpoint; each upload can be used once
+ * @param {string} uploadId
+ * @param {object} user - Must be the uploader
+ * @param {string} purpose - Feature the upload was opened for
+ * @returns {Promise<{ asset?, fileName?, error?, status? }>}
+ */
+const consumeUpload = async (uploadId, user, purpose) => {
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+        return { error: 'Invalid upload id', status: 400 };
+    }
+
+    const session = await UploadSession.findOneAndUpdate(
+        { _id: uploadId, userId: user._id, purpose, status: 'completed', expiresAt: { $gt: new Date() } },
+        { $set: { status: 'consumed', consumedAt: new Date() } },
+        { new: true }
+    );
+    if (!session) {
+        return { error: 'Upload not found, not finished, already used or expired', status: 400 };
+    }
+    return { asset: session.toObject().asset, fileName: session.fileName };
+};
+
+/**
+ * Abandon an upload and delete whatever was stored
+ */
+const cancelUploadSession = async (session) => {
+    await removePart(session);
+    if (session.status === 'completed' && session.asset?.publicId) {
+        await deleteMedia(session.toObject().asset);
+    }
+    session.status = 'cancelled';
+    await session.save();
+};
+
+/**
+ * Expire sessions that were never finished or never used, deleting their temp files and assets
+ */
+const expireUploadSessions = async () => {
+    const sessions = await UploadSession.find({
+        status: { $in: ['pending', 'uploading', 'completed'] },
+        expiresAt: { $lte: new Date() }
+    }).limit(100);
+
+    for (const session of sessions) {
+        try {
+            await removePart(session);
+            if (session.status === 'completed' && session.asset?.publicId) {
+                await deleteMedia(session.toObject().asset);
+            }
+            session.status = 'expired';
+            await session.save();
+        } catch (error) {
+            console.error(`Upload session ${session._id} expiry error:`, error);
+        }
+    }
+    return sessions.length;
+};
+
+module.exports = {
+    CHUNK_SIZE,
+    createUploadSession,
+    issueTicket,
+    getSessionForTicket,
+    writeChunk,
+    completeUploadSession,
+    consumeUpload,
+    cancelUploadSession,
+    expireUploadSessions
+};
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const WordPack = require('../models/WordPack');
+const { DEFAULT_WORDS, pickWordOptions } = require('../utils/wordPacks');
+const { getCache, setCache } = require('../utils/cache');
+
+// Words chosen in a club's recent games are skipped while the pool has enough others
+const RECENT_WORDS_LIMIT = 100;
+const RECENT_WORDS_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const recentWordsKey = (clubId) => `games:recent-words:${clubId || 'all'}`;
+
+const isClubId = (clubId) => !!clubId && mongoose.Types.ObjectId.isValid(clubId.toString());
+
+/**
+ * Check the packs a host picked for a room
+ * @param {string} clubId - Room's club
+ * @param {string[]} packIds
+ * @returns {Promise<{ packs?: Array<{ _id, name, language }>, error?: string }>}
+ */
+const resolveWordPacks = async (clubId, packIds) => {
+    if (!Array.isArray(packIds) || packIds.length === 0) return { packs: [] };
+    if (!isClubId(clubId)) return { error: 'Word packs can only be used in club rooms' };
+    if (!packIds.every(id => mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid word pack id' };
+
+    const packs = await WordPack.find({ _id: { $in: packIds }, clubId, isActive: true })
+        .select('name language')
+        .lean();
+    if (packs.length !== new Set(packIds.map(String)).size) {
+        return { error: 'Word pack not found or disabled' };
+    }
+    return { packs: packs.map(p => ({ _id: p._id, name: p.name, language: p.language })) };
+};
+
+/**
+ * Words a room can draw from: its chosen packs (or every active pack of the club, optionally in
+ * one language), filtered by difficulty. Falls back to the built-in English words when that leaves
+ * fewer than two.
+ * @param {object} options - { clubId, wordPackIds, difficulty, language }
+ * @returns {Promise<string[]>}
+ */
+const getWordPool = async ({ clubId, wordPackIds = [], difficulty = null, language = null }) => {
+    if (!isClubId(clubId)) return DEFAULT_WORDS;
+
+    const query = { clubId, isActive: true };
+    if (wordPackIds.length) query._id = { $in: wordPackIds };
+    else if (language) query.language = language;
+
+    const packs = await WordPack.find(query).select('words').lean();
+    const pool = packs
+        .flatMap(p => p.words)
+        .filter(w => !difficulty || w.difficulty === difficulty)
+        .map(w => w.text);
+
+    return pool.length >= 2 ? pool : DEFAULT_WORDS;
+};
+
+/**
+ * A club's recently chosen words, newest first
+ * Kept in Redis; without it only the current game's words are avoided.
+ */
+const getRecentWords = async (clubId) => (await getCache(recentWordsKey(clubId))) || [];
+
+/**
+ * Remember a chosen word so the club's next games avoid it
+ */
+const rememberWord = async (clubId, word) => {
+    const recent = await getRecentWords(clubId);
+    const updated = [word, ...recent.filter(w => w.toLowerCase() !== word.toLowerCase())].slice(0, RECENT_WORDS_LIMIT);
+    await setCache(recentWordsKey(clubId), updated, RECENT_WORDS_TTL_SECONDS);
+};
+
+/**
+ * The two words offered to a Sketch Heads drawer
+ * Skips words already drawn in this game, then words from the club's recent games, as long as
+ * the pool has enough others.
+ * @param {object} room - Game room (config.wordPackIds, config.difficulty, config.language, state.usedWords)
+ */
+const chooseWordOptions = async (room) => {
+    const pool = await getWordPool({
+        clubId: room.clubId,
+        wordPackIds: room.config.wordPackIds,
+        difficulty: room.config.difficulty,
+        language: room.config.language
+    });
+    const recent = await getRecentWords(room.clubId);
+    return pickWordOptions(pool, [...(room.state.usedWords || []), ...recent]);
+};
+
+module.exports = {
+    resolveWordPacks,
+    getWordPool,
+    getRecentWords,
+    rememberWord,
+    chooseWordOptions
+};
@@ -1,4 +1,14 @@
 // Code Breaker Game Socket Handler
+const {
+    withRoom,
+    clearPlayerRoom,
+    schedule,
+    newTimerToken,
+    registerTimerHandler
+} = require('../services/gameRoomStore');
+const { recordGameResult } = require('../services/gameResultService');
+const { safeHandler } = require('../utils/socketHandler');
+const { getSocketPlayer, toPublicRoom } = require('../utils/gameRooms');
 
 // Code generation utilities
 const CODE_TYPES = {
@@ -73,20 +83,120 @@ function calculateScore(attempts, timeRemaining, difficulty) {
 }
 
 // Exported functions
-let _io;
-let _gameRooms;
 let _broadcastRoomList;
 
+// Timer and turn logic works on the room loaded by withRoom and runs on whichever instance
+// picks up the timer
+async function startCodeBreakerTimer(room) {
+    room.state.timerToken = newTimerToken();
+    await schedule(room.roomId, 'codebreaker:tick', 1000, { token: room.state.timerToken });
+}
+
+async function tickCodeBreakerTimer(io, room) {
+    room.state.timeRemaining--;
+    io.to(room.roomId).emit('codebreaker:time_update', room.state.timeRemaining);
+
+    if (room.state.timeRemaining <= 0) {
+        await endCodeBreakerTurn(io, room, 'timeout');
+        return;
+    }
+    await schedule(room.roomId, 'codebreaker:tick', 1000, { token: room.state.timerToken });
+}
+
+async function endCodeBreakerTurn(io, room, reason) {
+    // New token stops the turn timer
+    room.state.timerToken = newTimerToken();
+    room.state.phase = 'ended';
+
+    io.to(room.roomId).emit('codebreaker:turn_end', {
+        reason, // 'solved', 'failed', 'timeout'
+        secretCode: room.state.secretCode,
+        solvedBy: room.state.solvedBy,
+        attempts: room.state.attempts,
+        scores: room.players.map(p => ({
+            userId: p.userId,
+            userName: p.userName,
+            score: p.score,
+            turnScore: p.turnScore || 0
+        })).sort((a, b) => b.score - a.score)
+    });
+
+    // Prepare for next turn
+    await schedule(room.roomId, 'codebreaker:next_turn', 5000, { token: room.state.timerToken });
+}
+
+async function startNextCodeBreakerTurn(io, room, ctx) {
+    room.state.currentTurnIndex++;
+
+    // Check if round is complete
+    if (room.state.currentTurnIndex >= room.players.length) {
+        room.state.currentRound++;
+
+        // Check if game is over
+        if (room.state.currentRound > room.config.totalRounds) {
+            await endCodeBreakerGame(io, room, ctx);
+            return;
+        }
+
+        room.state.currentTurnIndex = 0;
+    }
+
+    // Reset turn scores
+    room.players.forEach(p => { p.turnScore = 0; });
+
+    // Set new code maker
+    const codeMaker = room.players[room.state.currentTurnIndex];
+    room.state.currentCodeMaker = codeMaker.userId;
+    room.state.phase = 'picking';
+    delete room.state.codeType;
+
+    io.to(room.roomId).emit('codebreaker:new_turn', {
+        round: room.state.currentRound,
+        turn: room.state.currentTurnIndex + 1,
+        totalTurns: room.players.length,
+        codeMaker: codeMaker.userName,
+        codeMakerId: codeMaker.userId
+    });
+
+    // Send code type options to code maker
+    io.to(codeMaker.socketId).emit('codebreaker:select_settings', {
+        codeTypes: Object.keys(CODE_TYPES),
+        difficulties: Object.keys(DIFFICULTY_SETTINGS)
+    });
+}
+
+async function endCodeBreakerGame(io, room, ctx) {
+    room.status = 'finished';
+    room.state.timerToken = null;
+    const sortedPlayers = [...room.players].sort((a, b) => b.score - a.score);
+
+    io.to(room.roomId).emit('codebreaker:game_over', {
+        winner: sortedPlayers[0],
+        leaderboard: sortedPlayers
+    });
+
+    // Saved in the background so a slow database doesn't hold the room lock
+    recordGameResult(room);
+
+    ctx.finish();
+    await Promise.all(room.players.map(p => clearPlayerRoom(p.userId, room.roomId)));
+}
+
 const handlers = {
-    initDeps: (io, gameRooms, broadcastRoomList) => {
-        _io = io;
-        _gameRooms = gameRooms;
+    initDeps: (io, broadcastRoomList) => {
         _broadcastRoomList = broadcastRoomList;
-    },
-    startCodeBreakerGame: (io, roomId, gameRooms) => {
-        const room = gameRooms[roomId];
-        if (!room) return;
 
+        registerTimerHandler('codebreaker:tick', (roomId, { token }) => withRoom(roomId, async (room) => {
+            if (!room || room.state.phase !== 'guessing' || room.state.timerToken !== token) return;
+            await tickCodeBreakerTimer(io, room);
+        }));
+
+        registerTimerHandler('codebreaker:next_turn', (roomId, { token }) => withRoom(roomId, async (room, ctx) => {
+            if (!room || room.status !== 'playing' || room.state.timerToken !== token) return;
+            await startNextCodeBreakerTurn(io, room, ctx);
+        }));
+    },
+    startCodeBreakerGame: (io, room) => {
         room.state = {
             currentRound: 1,
             currentTurnIndex: 0,
@@ -97,7 +207,7 @@ const handlers = {
         const codeMaker = room.players[0];
         room.state.currentCodeMaker = codeMaker.userId;
 
-        io.to(roomId).emit('codebreaker:new_turn', {
+        io.to(room.roomId).emit('codebreaker:new_turn', {
             round: 1,
             turn: 1,
             totalTurns: room.players.length,
@@ -111,251 +221,175 @@ const handlers = {
         });
     },
 
-    init: (io, socket, gameRooms) => {
-        // Helper functions inside closure to access gameRooms
-        function startCodeBreakerTimer(roomId) {
-            const room = gameRooms[roomId];
-            if (!room) return;
-
-            if (room.state.timer) {
-                clearInterval(room.state.timer);
-            }
-
-            room.state.timer = setInterval(() => {
-                const currentRoom = gameRooms[roomId];
-                if (!currentRoom || currentRoom.state.phase !== 'guessing') {
-                    clearInterval(currentRoom?.state?.timer);
-                    return;
-                }
-
-                currentRoom.state.timeRemaining--;
-                io.to(roomId).emit('codebreaker:time_update', currentRoom.state.timeRemaining);
+    handlePlayerLeft: (io, room) => {
+        io.to(room.roomId).emit('codebreaker:player_left', {
+            players: room.players
+        });
+    },
 
-                if (currentRoom.state.timeRemaining <= 0) {
-                    clearInterval(currentRoom.state.timer);
-                    endCodeBreakerTurn(roomId, 'timeout');
-                }
-            }, 1000);
-        }
+    // Catch a joining or reconnecting player up on the current turn
+    sendSnapshot: (socket, room, player) => {
+        const { state } = room;
+        if (!state || (state.phase !== 'picking' && state.phase !== 'guessing')) return;
 
-        function endCodeBreakerTurn(roomId, reason) {
-            const room = gameRooms[roomId];
-            if (!room) return;
+        const isMaker = player && player.userId === state.currentCodeMaker;
 
-            if (room.state.timer) {
-                clearInterval(room.state.timer);
-                room.state.timer = null;
+        // Code maker dropped while choosing: ask again
+        if (isMaker && state.phase === 'picking') {
+            if (state.codeType) {
+                socket.emit('codebreaker:pick_code', {
+                    codeLength: state.codeLength,
+                    codeType: state.codeType,
+                    options: CODE_TYPES[state.codeType].options
+                });
+            } else {
+                socket.emit('codebreaker:select_settings', {
+                    codeTypes: Object.keys(CODE_TYPES),
+                    difficulties: Object.keys(DIFFICULTY_SETTINGS)
+                });
             }
-
-            room.state.phase = 'ended';
-
-            io.to(roomId).emit('codebreaker:turn_end', {
-                reason, // 'solved', 'failed', 'timeout'
-                secretCode: room.state.secretCode,
-                solvedBy: room.state.solvedBy,
-                attempts: room.state.attempts,
-                scores: room.players.map(p => ({
-                    userId: p.userId,
-                    userName: p.userName,
-                    score: p.score,
-                    turnScore: p.turnScore || 0
-                })).sort((a, b) => b.score - a.score)
-            });
-
-            // Prepare for next turn
-            setTimeout(() => {
-                const stillExists = gameRooms[roomId];
-                if (stillExists && stillExists.status === 'playing') {
-                    startNextCodeBreakerTurn(roomId);
-                }
-            }, 5000);
         }
 
-        function startNextCodeBreakerTurn(roomId) {
-            const room = gameRooms[roomId];
-            if (!room) return;
-
-            room.state.currentTurnIndex++;
-
-            // Check if round is complete
-            if (room.state.currentTurnIndex >= room.players.length) {
-                room.state.currentRound++;
-
-                // Check if game is over
-                if (room.state.currentRound > room.config.totalRounds) {
-                    endCodeBreakerGame(roomId);
-                    return;
-                }
-
-                room.state.currentTurnIndex = 0;
-            }
-
-            // Reset turn scores
-            room.players.forEach(p => { p.turnScore = 0; });
-
-            // Set new code maker
-            const codeMaker = room.players[room.state.currentTurnIndex];
-            room.state.currentCodeMaker = codeMaker.userId;
-
-            io.to(roomId).emit('codebreaker:new_turn', {
-                round: room.state.currentRound,
-                turn: room.state.currentTurnIndex + 1,
-                totalTurns: room.players.length,
-                codeMaker: codeMaker.userName,
-                codeMakerId: codeMaker.userId
-            });
+        socket.emit('codebreaker:game_started', {
+            codeType: state.codeType,
+            difficulty: state.difficulty,
+            codeLength: state.codeLength,
+            maxAttempts: state.maxAttempts,
+            timeLimit: state.timeLimit,
+            codeMaker: state.currentCodeMaker,
+            phase: state.phase, // Pass phase so UI knows if picking/guessing
+            ...(isMaker && state.phase === 'guessing' && { secretCode: state.secretCode })
+        });
 
-            // Send code type options to code maker
-            io.to(codeMaker.socketId).emit('codebreaker:select_settings', {
-                codeTypes: Object.keys(CODE_TYPES),
-                difficulties: Object.keys(DIFFICULTY_SETTINGS)
+        // Also catch up on attempts
+        if (state.attempts && state.attempts.length > 0) {
+            state.attempts.forEach(attempt => {
+                socket.emit('codebreaker:attempt_made', {
+                    attempt,
+                    attemptsRemaining: state.attemptsRemaining
+                });
             });
         }
 
-        function endCodeBreakerGame(roomId) {
-            const room = gameRooms[roomId];
-            if (!room) return;
-
-            room.status = 'finished';
-            const sortedPlayers = [...room.players].sort((a, b) => b.score - a.score);
-
-            io.to(roomId).emit('codebreaker:game_over', {
-                winner: sortedPlayers[0],
-                leaderboard: sortedPlayers
-            });
-
-            setTimeout(() => {
-                delete gameRooms[roomId];
-            }, 60000);
+        if (state.phase === 'guessing') {
+            socket.emit('codebreaker:time_update', state.timeRemaining);
         }
+    },
 
+    init: (io, socket) => {
         // Listeners
-        socket.on('codebreaker:join', (data) => {
+        socket.on('codebreaker:join', safeHandler('codebreaker:join', async (data) => {
             const { roomId } = data;
-            const room = gameRooms[roomId];
-            if (room) {
-                socket.join(roomId);
-                socket.emit('game:update', room);
-
-                // If game already started, send current state to the joining player
-                if (room.state && (room.state.phase === 'picking' || room.state.phase === 'guessing')) {
-                    socket.emit('codebreaker:game_started', {
-                        codeType: room.state.codeType,
-                        difficulty: room.state.difficulty,
-                        codeLength: room.state.codeLength,
-                        maxAttempts: room.state.maxAttempts,
-                        timeLimit: room.state.timeLimit,
-                        codeMaker: room.state.currentCodeMaker,
-                        phase: room.state.phase // Pass phase so UI knows if picking/guessing
-                    });
-
-                    // Also catch up on attempts
-                    if (room.state.attempts && room.state.attempts.length > 0) {
-                        room.state.attempts.forEach(attempt => {
-                            socket.emit('codebreaker:attempt_made', {
-                                attempt,
-                                attemptsRemaining: room.state.attemptsRemaining
-                            });
-                        });
-                    }
+            await withRoom(roomId, async (room) => {
+                if (room) {
+                    socket.join(roomId);
+                    socket.emit('game:update', toPublicRoom(room));
+
+                    // If game already started, send current state to the joining player
+                    const player = room.players.find(p => p.socketId === socket.id);
+                    handlers.sendSnapshot(socket, room, player);
                 }
-            }
-        });
+            });
+        }));
 
-        socket.on('codebreaker:start_turn', (data) => {
+        socket.on('codebreaker:start_turn', safeHandler('codebreaker:start_turn', async (data) => {
             const { roomId, codeType, difficulty } = data;
-            const room = gameRooms[roomId];
-
-            if (!room) return;
-
-            const settings = DIFFICULTY_SETTINGS[difficulty];
-
-            room.state = {
-                ...room.state,
-                codeType,
-                difficulty,
-                codeLength: settings.codeLength,
-                maxAttempts: settings.maxAttempts,
-                timeLimit: settings.timeLimit,
-                phase: 'picking'
-            };
-
-            // Ask code maker to set the code
-            const maker = room.players.find(p => p.userId === room.state.currentCodeMaker);
-            if (maker && maker.socketId) {
-                io.to(maker.socketId).emit('codebreaker:pick_code', {
-                    codeLength: settings.codeLength,
-                    codeType,
-                    options: CODE_TYPES[codeType].options
-                });
-            }
-        });
+            await withRoom(roomId, async (room) => {
+                if (!room || getSocketPlayer(room, socket)?.userId !== room.state.currentCodeMaker) return;
 
-        socket.on('codebreaker:set_code', (data) => {
-            const { roomId, secretCode } = data;
-            const room = gameRooms[roomId];
-
-            if (!room || room.state.phase !== 'picking') return;
-            if (socket.id !== room.players.find(p => p.userId === room.state.currentCodeMaker)?.socketId) return;
-
-            room.state.secretCode = secretCode;
-            room.state.attempts = [];
-            room.state.attemptsRemaining = room.state.maxAttempts;
-            room.state.timeRemaining = room.state.timeLimit;
-            room.state.solvedBy = null;
-            room.state.phase = 'guessing';
-            room.status = 'playing';
-
-            io.to(roomId).emit('codebreaker:game_started', {
-                codeType: room.state.codeType,
-                difficulty: room.state.difficulty,
-                codeLength: room.state.codeLength,
-                maxAttempts: room.state.maxAttempts,
-                timeLimit: room.state.timeLimit,
-                codeMaker: room.state.currentCodeMaker
-            });
+                const settings = DIFFICULTY_SETTINGS[difficulty];
+                if (!settings || !CODE_TYPES[codeType]) return;
 
-            // Re-send to maker with secret code
-            socket.emit('codebreaker:game_started', {
-                codeType: room.state.codeType,
-                difficulty: room.state.difficulty,
-                codeLength: room.state.codeLength,
-                maxAttempts: room.state.maxAttempts,
-                timeLimit: room.state.timeLimit,
-                codeMaker: room.state.currentCodeMaker,
-                secretCode: room.state.secretCode
+                room.state = {
+                    ...room.state,
+                    codeType,
+                    difficulty,
+                    codeLength: settings.codeLength,
+                    maxAttempts: settings.maxAttempts,
+                    timeLimit: settings.timeLimit,
+                    phase: 'picking'
+                };
+
+                // Ask code maker to set the code
+                const maker = room.players.find(p => p.userId === room.state.currentCodeMaker);
+                if (maker && maker.socketId) {
+                    io.to(maker.socketId).emit('codebreaker:pick_code', {
+                        codeLength: settings.codeLength,
+                        codeType,
+                        options: CODE_TYPES[codeType].options
+                    });
+                }
             });
+        }));
 
-            startCodeBreakerTimer(roomId);
-        });
-
-        socket.on('codebreaker:guess', (data) => {
-            const { roomId, userId, userName, guess } = data;
-            const room = gameRooms[roomId];
-
-            if (!room || room.state.phase !== 'guessing') return;
-            if (userId === room.state.currentCodeMaker) return;
-
-            const clue = calculateClue(room.state.secretCode, guess);
-            const attempt = {
-                userId,
-                userName,
-                guess,
-                clue,
-                timestamp: Date.now()
-            };
+        socket.on('codebreaker:set_code', safeHandler('codebreaker:set_code', async (data) => {
+            const { roomId, secretCode } = data;
+            await withRoom(roomId, async (room) => {
+                if (!room || room.state.phase !== 'picking') return;
+                if (socket.id !== room.players.find(p => p.userId === room.state.currentCodeMaker)?.socketId) return;
+
+                room.state.secretCode = secretCode;
+                room.state.attempts = [];
+                room.state.attemptsRemaining = room.state.maxAttempts;
+                room.state.timeRemaining = room.state.timeLimit;
+                room.state.solvedBy = null;
+                room.state.phase = 'guessing';
+                room.status = 'playing';
+
+                io.to(roomId).emit('codebreaker:game_started', {
+                    codeType: room.state.codeType,
+                    difficulty: room.state.difficulty,
+                    codeLength: room.state.codeLength,
+                    maxAttempts: room.state.maxAttempts,
+                    timeLimit: room.state.timeLimit,
+                    codeMaker: room.state.currentCodeMaker
+                });
 
-            room.state.attempts.push(attempt);
-            room.state.attemptsRemaining--;
+                // Re-send to maker with secret code
+                socket.emit('codebreaker:game_started', {
+                    codeType: room.state.codeType,
+                    difficulty: room.state.difficulty,
+                    codeLength: room.state.codeLength,
+                    maxAttempts: room.state.maxAttempts,
+                    timeLimit: room.state.timeLimit,
+                    codeMaker: room.state.currentCodeMaker,
+                    secretCode: room.state.secretCode
+                });
 
-            io.to(roomId).emit('codebreaker:attempt_made', {
-                attempt,
-                attemptsRemaining: room.state.attemptsRemaining
+                await startCodeBreakerTimer(room);
             });
+        }));
+
+        socket.on('codebreaker:guess', safeHandler('codebreaker:guess', async (data) => {
+            const { roomId, guess } = data;
+            if (!Array.isArray(guess)) return;
+
+            await withRoom(roomId, async (room) => {
+                if (!room || room.state.phase !== 'guessing') return;
+
+                // Guess as the player seated on this socket, whatever the payload claims
+                const player = getSocketPlayer(room, socket);
+                if (!player || player.userId === room.state.currentCodeMaker) return;
+                const { userId, userName } = player;
+
+                const clue = calculateClue(room.state.secretCode, guess);
+                const attempt = {
+                    userId,
+                    userName,
+                    guess,
+                    clue,
+                    timestamp: Date.now()
+                };
+
+                room.state.attempts.push(attempt);
+                room.state.attemptsRemaining--;
+
+                io.to(roomId).emit('codebreaker:attempt_made', {
+                    attempt,
+                    attemptsRemaining: room.state.attemptsRemaining
+                });
 
-            if (clue.correct === room.state.codeLength) {
-                const player = room.players.find(p => p.userId === userId);
-                if (player) {
+                if (clue.correct === room.state.codeLength) {
                     const points = calculateScore(
                         room.state.attempts.length,
                         room.state.timeRemaining,
@@ -363,35 +397,38 @@ const handlers = {
                     );
                     player.score += points;
                     player.turnScore = points;
+                    room.state.solvedBy = userId;
+                    await endCodeBreakerTurn(io, room, 'solved');
+                } else if (room.state.attemptsRemaining <= 0) {
+                    await endCodeBreakerTurn(io, room, 'failed');
                 }
-                room.state.solvedBy = userId;
-                endCodeBreakerTurn(roomId, 'solved');
-            } else if (room.state.attemptsRemaining <= 0) {
-                endCodeBreakerTurn(roomId, 'failed');
-            }
-        });
+            });
+        }));
+
+        socket.on('codebreaker:leave', safeHandler('codebreaker:leave', async (roomId) => {
+            if (socket.data.gameRoomId === roomId) delete socket.data.gameRoomId;
+            socket.leave(roomId);
 
-        socket.on('codebreaker:leave', (roomId) => {
-            const room = gameRooms[roomId];
-            if (room) {
+            const room = await withRoom(roomId, async (room, ctx) => {
+                if (!room) return null;
+
+                const player = room.players.find(p => p.socketId === socket.id);
                 room.players = room.players.filter(p => p.socketId !== socket.id);
-                socket.leave(roomId);
+                if (player) await clearPlayerRoom(player.userId, roomId);
 
                 if (room.players.length === 0) {
-                    if (room.state.timer) clearInterval(room.state.timer);
-                    delete gameRooms[roomId];
+                    ctx.remove();
                 } else {
-                    io.to(roomId).emit('codebreaker:player_left', {
-                        players: room.players
-                    });
+                    handlers.handlePlayerLeft(io, room);
                 }
+                return room;
+            });
 
-                // Broadcast updated room list
-                if (_broadcastRoomList) {
-                    _broadcastRoomList(io, room.clubId, room.gameType);
-                }
+            // Broadcast updated room list
+            if (room && _broadcastRoomList) {
+                await _broadcastRoomList(io, room.clubId, room.gameType);
             }
-        });
+        }));
     }
 };
 
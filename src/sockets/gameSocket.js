@@ -1,14 +1,44 @@
+const crypto = require('crypto');
 const User = require('../models/User');
 const codeBreakerHandler = require('./codeBreakerSocket');
 const memeMatchHandler = require('./memeMatchSocket');
-
-const gameRooms = {}; // In-memory storage for active game rooms
-
-function broadcastRoomList(io, clubId, gameType) {
+const {
+    getRoom,
+    withRoom,
+    saveRoom,
+    appendPath,
+    getPaths,
+    setPaths,
+    clearPaths,
+    listRooms,
+    setPlayerRoom,
+    getPlayerRoom,
+    clearPlayerRoom,
+    schedule,
+    newTimerToken,
+    registerTimerHandler,
+    startTimerLoop
+} = require('../services/gameRoomStore');
+const { recordGameResult } = require('../services/gameResultService');
+const { safeHandler } = require('../utils/socketHandler');
+const { getSocketPlayer, toPublicRoom } = require('../utils/gameRooms');
+const { WORD_DIFFICULTIES } = require('../utils/wordPacks');
+const { resolveWordPacks, rememberWord, chooseWordOptions } = require('../services/wordPackService');
+
+// Rooms and timers live in Redis (see gameRoomStore), so any instance can serve any player
+const MAX_PLAYERS = 8;
+// How long a dropped player keeps their seat before being removed from the room
+const RECONNECT_GRACE_SECONDS = parseInt(process.env.GAME_RECONNECT_GRACE_SECONDS) || 30;
+// Guess flood protection: at most GUESS_LIMIT guesses per GUESS_WINDOW_MS per player
+const GUESS_LIMIT = 5;
+const GUESS_WINDOW_MS = 5000;
+const MAX_GUESS_LENGTH = 50;
+
+async function broadcastRoomList(io, clubId, gameType) {
     console.log(`📡 Broadcasting Global Room List for type=${gameType} (Lobby only)`);
 
     // Find only 'lobby' rooms (User request: don't show after start)
-    const allRooms = Object.values(gameRooms).filter(r =>
+    const allRooms = await listRooms(r =>
         r.gameType === gameType &&
         r.status === 'lobby'
     );
@@ -16,34 +46,126 @@ function broadcastRoomList(io, clubId, gameType) {
     console.log(`   -> Found ${allRooms.length} lobby rooms for type ${gameType}`);
 
     // Broadcast to the 'all' room
-    io.to('club:all').emit('games:rooms_list', { rooms: allRooms, gameType, clubId: 'all' });
+    const rooms = allRooms.map(toPublicRoom);
+    io.to('club:all').emit('games:rooms_list', { rooms, gameType, clubId: 'all' });
 
     if (clubId && clubId !== 'all') {
-        io.to(`club:${clubId}`).emit('games:rooms_list', { rooms: allRooms, gameType, clubId: 'all' });
+        io.to(`club:${clubId}`).emit('games:rooms_list', { rooms, gameType, clubId: 'all' });
     }
 }
 
-module.exports = (io, socket) => {
-    // Inject dependencies into specialized handlers
-    codeBreakerHandler.initDeps && codeBreakerHandler.initDeps(io, gameRooms, broadcastRoomList);
-    memeMatchHandler.initDeps && memeMatchHandler.initDeps(io, gameRooms, broadcastRoomList);
+/**
+ * Take a player out of a room (left, or never came back after a dropped connection)
+ * Call inside withRoom; the caller broadcasts the room list afterwards.
+ */
+async function removePlayer(io, room, ctx, userId) {
+    const leavingPlayer = room.players.find(p => p.userId === userId);
+    if (!leavingPlayer) return;
+
+    room.players = room.players.filter(p => p.userId !== userId);
+    await clearPlayerRoom(userId, room.roomId);
+
+    if (room.players.length === 0) {
+        console.log(`🧹 Empty room ${room.roomId} deleted after ${leavingPlayer.userName} left`);
+        ctx.remove();
+        await clearPaths(room.roomId, room.state?.canvasId);
+        return;
+    }
+
+    if (room.hostId === userId) {
+        const newHost = room.players[0];
+        room.hostId = newHost.userId;
+        room.hostName = newHost.userName;
+        console.log(`👑 New host assigned to room ${room.roomId}: ${room.hostName}`);
+    }
+    io.to(room.roomId).emit('game:update', toPublicRoom(room));
+
+    if (room.gameType === 'code_breaker') {
+        codeBreakerHandler.handlePlayerLeft(io, room);
+    } else if (room.gameType === 'meme_match') {
+        // If everyone remaining has answered, end phase early
+        await memeMatchHandler.handlePlayerLeft(io, room);
+    } else if (room.gameType === 'sketch_heads' && room.status === 'playing') {
+        // Sketch Heads: If everyone guessed, end round early
+        const guessersCount = room.players.length - 1;
+        if (room.state.correctGuessers && room.state.correctGuessers.length >= guessersCount) {
+            await endTurn(io, room);
+        }
+    }
+}
+
+/**
+ * Bring a (re)connecting player's screen up to date with a game in progress
+ */
+async function sendSnapshot(socket, room, player) {
+    socket.emit('game:update', toPublicRoom(room));
+
+    if (room.gameType === 'code_breaker') return codeBreakerHandler.sendSnapshot(socket, room, player);
+    if (room.gameType === 'meme_match') return memeMatchHandler.sendSnapshot(socket, room, player);
+    if (room.status !== 'playing' || !room.state.currentDrawer) return;
+
+    const { state } = room;
+    const isDrawer = player.userId === state.currentDrawer;
+    const drawer = room.players.find(p => p.userId === state.currentDrawer);
+
+    socket.emit('game:turn_start', {
+        round: state.currentRound,
+        turn: state.currentTurnIndex, // already advanced past the current turn
+        totalTurns: room.players.length,
+        drawerId: state.currentDrawer,
+        drawerName: drawer?.userName
+    });
+
+    if (!state.currentWord) {
+        if (isDrawer) socket.emit('game:word_options', { options: state.wordOptions });
+        return;
+    }
+
+    socket.emit('game:word_selected', {
+        hint: state.hint,
+        wordLength: state.currentWord.length,
+        ...(isDrawer && { word: state.currentWord })
+    });
+    socket.emit('game:time_update', state.timeRemaining);
+    socket.emit('game:canvas_color_update', { color: state.canvasColor });
+    socket.emit('game:paths_synced', { paths: await getPaths(room.roomId, state.canvasId) });
+    socket.emit('game:guess_update', {
+        guesses: state.guesses,
+        correctCount: state.correctGuessers.length
+    });
+}
 
+module.exports = (io, socket) => {
     // 🎲 Get Active Rooms for a Club
-    socket.on('games:get_rooms', (data) => {
+    socket.on('games:get_rooms', safeHandler('games:get_rooms', async (data) => {
         const { gameType } = data;
-        const activeRooms = Object.values(gameRooms).filter(r => {
-            return r.gameType === gameType && r.status === 'lobby';
-        });
+        const activeRooms = await listRooms(r => r.gameType === gameType && r.status === 'lobby');
         console.log(`📡 Sending global room list for ${gameType} to requesting user (${activeRooms.length} rooms)`);
-        socket.emit('games:rooms_list', { rooms: activeRooms, gameType, clubId: 'all' });
-    });
+        socket.emit('games:rooms_list', { rooms: activeRooms.map(toPublicRoom), gameType, clubId: 'all' });
+    }));
 
     // 🚀 Host a Game
-    socket.on('games:host', async (data) => {
-        const { clubId, gameType, userId, userName, totalRounds = 3 } = data;
-        const roomId = `room_${Date.now()}`;
+    socket.on('games:host', safeHandler('games:host', async (data) => {
+        const { clubId, gameType, totalRounds = 3, wordPackIds = [], difficulty = null, language = null } = data;
+        // Players are the authenticated socket user; ids in the payload are ignored
+        const userId = socket.userId;
+        const userName = socket.userDisplayName || data.userName;
+        const roomId = `room_${crypto.randomUUID()}`;
+
+        // Sketch Heads words come from the picked club packs (default: every active pack of the club)
+        let wordPacks = [];
+        if (gameType === 'sketch_heads') {
+            if (difficulty && !WORD_DIFFICULTIES.includes(difficulty)) {
+                return socket.emit('game:error', { message: `difficulty must be one of: ${WORD_DIFFICULTIES.join(', ')}` });
+            }
+            const resolved = await resolveWordPacks(clubId, wordPackIds);
+            if (resolved.error) {
+                return socket.emit('game:error', { message: resolved.error });
+            }
+            wordPacks = resolved.packs;
+        }
 
-        gameRooms[roomId] = {
+        const room = {
             roomId,
             clubId,
             gameType,
@@ -54,13 +176,20 @@ module.exports = (io, socket) => {
                 userName,
                 score: 0,
                 isReady: true,
-                socketId: socket.id
+                socketId: socket.id,
+                connected: true
             }],
             status: 'lobby',
             createdAt: new Date(),
             config: {
                 totalRounds: parseInt(totalRounds) || 3,
                 roundTime: 90, // 90 seconds per round
+                ...(gameType === 'sketch_heads' && {
+                    wordPackIds: wordPacks.map(p => p._id.toString()),
+                    wordPacks,
+                    difficulty: difficulty || null,
+                    language: typeof language === 'string' && language ? language.toLowerCase() : null
+                })
             },
             state: {
                 currentRound: 0,
@@ -69,20 +198,25 @@ module.exports = (io, socket) => {
                 currentDrawer: null,
                 currentWord: '',
                 wordOptions: [], // Two word choices for drawer
+                usedWords: [], // Words already drawn this game (not offered again)
                 hint: '', // Progressive hint
-                paths: [], // Drawing paths
+                canvasId: null, // Current turn's strokes (see gameRoomStore appendPath)
                 guesses: [], // Recent guesses with status
                 correctGuessers: [], // Users who guessed correctly this round
                 canvasColor: '#FFFFFF' // Canvas background color
             }
         };
 
+        await saveRoom(room);
+        await setPlayerRoom(userId, roomId);
+        socket.data.gameRoomId = roomId;
+
         socket.join(roomId);
         socket.emit('games:host_success', roomId);
-        io.to(roomId).emit('game:update', gameRooms[roomId]);
+        io.to(roomId).emit('game:update', toPublicRoom(room));
 
         // Broadcast updated room list to all users
-        broadcastRoomList(io, clubId, gameType);
+        await broadcastRoomList(io, clubId, gameType);
 
         console.log(`🎮 User ${userName} hosted ${gameType} in room ${roomId} (${totalRounds} rounds)`);
 
@@ -200,58 +334,108 @@ module.exports = (io, socket) => {
         } catch (error) {
             console.error('❌ Error saving game hosted notification:', error);
         }
-    });
+    }));
 
     // 🤝 Join a Game
-    socket.on('games:join', (data) => {
-        const { roomId, userId, userName } = data;
-        const room = gameRooms[roomId];
+    socket.on('games:join', safeHandler('games:join', async (data) => {
+        const { roomId } = data;
+        const userId = socket.userId;
+        const userName = socket.userDisplayName || data.userName;
+
+        const room = await withRoom(roomId, async (room) => {
+            if (!room) {
+                socket.emit('game:error', { message: 'Room not found' });
+                return null;
+            }
 
-        if (room) {
             // Check if player is already in
-            const existingPlayerIndex = room.players.findIndex(p => p.userId === userId);
+            const existingPlayer = room.players.find(p => p.userId === userId);
 
-            if (existingPlayerIndex !== -1) {
+            if (existingPlayer) {
                 // Update socket ID for existing player (reconnect case)
-                room.players[existingPlayerIndex].socketId = socket.id;
-            } else if (room.players.length < 8) {
+                existingPlayer.socketId = socket.id;
+                existingPlayer.connected = true;
+            } else if (room.players.length < MAX_PLAYERS) {
                 // Add new player
                 room.players.push({
                     userId,
                     userName,
                     score: 0,
                     isReady: true,
-                    socketId: socket.id
+                    socketId: socket.id,
+                    connected: true
                 });
             } else {
-                return socket.emit('game:error', { message: 'Room is full' });
+                socket.emit('game:error', { message: 'Room is full' });
+                return null;
             }
 
+            await setPlayerRoom(userId, roomId);
+            socket.data.gameRoomId = roomId;
             socket.join(roomId);
-            io.to(roomId).emit('game:update', room);
-
-            // Broadcast updated room list if still in lobby
-            if (room.status === 'lobby') {
-                broadcastRoomList(io, room.clubId, room.gameType);
+            io.to(roomId).emit('game:update', toPublicRoom(room));
+            if (existingPlayer && room.status !== 'lobby') {
+                await sendSnapshot(socket, room, existingPlayer);
             }
 
             console.log(`👤 User ${userName} joined/reconnected to game room ${roomId}`);
-        } else {
-            socket.emit('game:error', { message: 'Room not found' });
+            return room;
+        });
+
+        // Broadcast updated room list if still in lobby
+        if (room && room.status === 'lobby') {
+            await broadcastRoomList(io, room.clubId, room.gameType);
+        }
+    }));
+
+    // 🔁 Rejoin after a dropped connection (the client may have lost the room id)
+    socket.on('games:rejoin', safeHandler('games:rejoin', async (data) => {
+        const userId = socket.userId;
+        const roomId = data?.roomId || await getPlayerRoom(userId);
+        if (!userId || !roomId) {
+            return socket.emit('games:rejoin_failed', { message: 'No game to rejoin' });
         }
-    });
+
+        const room = await withRoom(roomId, async (room) => {
+            const player = room?.players.find(p => p.userId === userId);
+            if (!player || room.status === 'finished') return null;
+
+            player.socketId = socket.id;
+            player.connected = true;
+            socket.data.gameRoomId = roomId;
+            socket.join(roomId);
+
+            socket.emit('games:rejoined', { roomId, gameType: room.gameType, status: room.status });
+            await sendSnapshot(socket, room, player);
+            socket.to(roomId).emit('game:player_reconnected', { userId, userName: player.userName });
+            io.to(roomId).emit('game:update', toPublicRoom(room));
+
+            console.log(`🔁 User ${player.userName} rejoined game room ${roomId}`);
+            return room;
+        });
+
+        if (!room) {
+            await clearPlayerRoom(userId, roomId);
+            socket.emit('games:rejoin_failed', { message: 'That game is no longer running' });
+        }
+    }));
 
     // 🏁 Start Game (Host only)
-    socket.on('games:start', (data) => {
-        const { roomId, userId } = data;
-        const room = gameRooms[roomId];
+    socket.on('games:start', safeHandler('games:start', async (data) => {
+        const { roomId } = data;
+
+        const room = await withRoom(roomId, async (room, ctx) => {
+            const userId = getSocketPlayer(room, socket)?.userId;
+            console.log(`🎮 Start game request from ${userId} for room ${roomId}`);
 
-        console.log(`🎮 Start game request from ${userId} for room ${roomId}`);
+            if (!room || !userId || room.hostId !== userId) {
+                console.log(`❌ Failed to start game: room=${!!room}, isHost=${!!userId && room?.hostId === userId}`);
+                return null;
+            }
 
-        if (room && room.hostId === userId) {
             if (room.players.length < 2) {
                 socket.emit('game:error', { message: 'Need at least 2 players to start' });
-                return;
+                return null;
             }
 
             console.log(`✅ Starting game in room ${roomId} with ${room.players.length} players`);
@@ -259,139 +443,137 @@ module.exports = (io, socket) => {
             if (room.gameType !== 'code_breaker') {
                 room.status = 'playing';
             }
+            room.startedAt = new Date();
 
             // Shuffle players for random turn order
             room.players = shuffleArray(room.players);
 
             // Broadcast updated state immediately
-            io.to(roomId).emit('game:update', room);
+            io.to(roomId).emit('game:update', toPublicRoom(room));
 
             // Start the first round based on game type
             if (room.gameType === 'code_breaker') {
-                codeBreakerHandler.startCodeBreakerGame(io, roomId, gameRooms);
+                codeBreakerHandler.startCodeBreakerGame(io, room);
             } else if (room.gameType === 'meme_match') {
-                memeMatchHandler.startMemeMatchGame(io, roomId, gameRooms);
+                await memeMatchHandler.startMemeMatchGame(io, room);
             } else {
-                startNextRound(io, roomId);
+                await startNextRound(io, room, ctx);
             }
+            return room;
+        });
 
-            // Remove from lobby list
-            broadcastRoomList(io, room.clubId, room.gameType);
-        } else {
-            console.log(`❌ Failed to start game: room=${!!room}, isHost=${room?.hostId === userId}`);
-        }
-    });
+        // Remove from lobby list
+        if (room) await broadcastRoomList(io, room.clubId, room.gameType);
+    }));
 
     // 🎯 Select Word (Drawer chooses from 2 options)
-    socket.on('game:select_word', (data) => {
+    socket.on('game:select_word', safeHandler('game:select_word', async (data) => {
         const { roomId, word } = data;
-        const room = gameRooms[roomId];
-        if (!room || room.status !== 'playing') return;
-
-        room.state.currentWord = word;
-        room.state.hint = generateInitialHint(word);
+        await withRoom(roomId, async (room) => {
+            if (!isCurrentDrawer(room, socket)) return;
+            // Only once per turn, and only one of the offered words
+            if (room.state.currentWord || !room.state.wordOptions.includes(word)) return;
+
+            room.state.currentWord = word;
+            room.state.hint = generateInitialHint(word);
+            room.state.usedWords = [...(room.state.usedWords || []), word];
+            await rememberWord(room.clubId, word);
+
+            // Notify all players that word was selected and game is starting
+            io.to(roomId).emit('game:word_selected', {
+                hint: room.state.hint,
+                wordLength: word.length
+            });
 
-        // Notify all players that word was selected and game is starting
-        io.to(roomId).emit('game:word_selected', {
-            hint: room.state.hint,
-            wordLength: word.length
+            // Start the round timer
+            await startRoundTimer(room);
         });
-
-        // Start the round timer
-        startRoundTimer(io, roomId);
-    });
+    }));
 
     // ✏️ Drawing Sync
-    socket.on('game:draw', (data) => {
+    // Canvas events don't take the room lock: the drawer is checked on a plain read and strokes
+    // go to the turn's own list, so a stroke is relayed straight away
+    socket.on('game:draw', safeHandler('game:draw', async (data) => {
         const { roomId, path } = data;
-        const room = gameRooms[roomId];
-        if (room && room.status === 'playing') {
-            room.state.paths.push(path);
-            socket.to(roomId).emit('game:draw_update', path);
-        }
-    });
+        const room = await getRoom(roomId);
+        if (!isCurrentDrawer(room, socket) || !room.state.canvasId) return;
+
+        socket.to(roomId).emit('game:draw_update', path);
+        await appendPath(roomId, room.state.canvasId, path);
+    }));
 
     // 🧹 Clear Canvas
-    socket.on('game:clear_canvas', (data) => {
+    socket.on('game:clear_canvas', safeHandler('game:clear_canvas', async (data) => {
         const { roomId } = data;
-        const room = gameRooms[roomId];
-        if (room) {
-            room.state.paths = [];
-            io.to(roomId).emit('game:canvas_cleared');
-        }
-    });
+        const room = await getRoom(roomId);
+        if (!isCurrentDrawer(room, socket)) return;
+
+        io.to(roomId).emit('game:canvas_cleared');
+        await clearPaths(roomId, room.state.canvasId);
+    }));
 
     // 🎨 Canvas Color Change
-    socket.on('game:change_canvas_color', (data) => {
+    socket.on('game:change_canvas_color', safeHandler('game:change_canvas_color', async (data) => {
         const { roomId, color } = data;
-        const room = gameRooms[roomId];
-        if (room) {
-            room.state.canvasColor = color;
-            io.to(roomId).emit('game:canvas_color_update', { color });
-        }
-    });
+        if (!isCurrentDrawer(await getRoom(roomId), socket)) return;
+
+        io.to(roomId).emit('game:canvas_color_update', { color });
+        // Kept on the room for players who reconnect; a color change is rare enough to lock for
+        await withRoom(roomId, async (room) => {
+            if (isCurrentDrawer(room, socket)) room.state.canvasColor = color;
+        });
+    }));
 
     // 🔄 Sync Paths (Undo/Redo)
-    socket.on('game:sync_paths', (data) => {
-        const { roomId, paths } = data;
-        const room = gameRooms[roomId];
-        if (room) {
-            room.state.paths = paths || [];
-            // Broadcast to everyone including sender to ensure state is perfectly synced
-            io.to(roomId).emit('game:paths_synced', { paths: room.state.paths });
-        }
-    });
+    socket.on('game:sync_paths', safeHandler('game:sync_paths', async (data) => {
+        const { roomId } = data;
+        const paths = Array.isArray(data.paths) ? data.paths : [];
+        const room = await getRoom(roomId);
+        if (!isCurrentDrawer(room, socket) || !room.state.canvasId) return;
+
+        // Broadcast to everyone including sender to ensure state is perfectly synced
+        io.to(roomId).emit('game:paths_synced', { paths });
+        await setPaths(roomId, room.state.canvasId, paths);
+    }));
 
     // 💡 Guess Word
-    socket.on('game:guess', (data) => {
-        const { roomId, userId, userName, guess } = data;
-        const room = gameRooms[roomId];
-        if (!room || room.status !== 'playing') return;
-
-        // Don't allow drawer to guess
-        if (userId === room.state.currentDrawer) return;
-
-        const normalizedGuess = guess.trim().toLowerCase();
-        const normalizedWord = room.state.currentWord.toLowerCase();
-
-        const isCorrect = normalizedGuess === normalizedWord;
-
-        // Calculate similarity percentage using Levenshtein distance
-        const calculateSimilarity = (str1, str2) => {
-            const len1 = str1.length;
-            const len2 = str2.length;
-            const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0));
-
-            for (let i = 0; i <= len1; i++) matrix[i][0] = i;
-            for (let j = 0; j <= len2; j++) matrix[0][j] = j;
-
-            for (let i = 1; i <= len1; i++) {
-                for (let j = 1; j <= len2; j++) {
-                    const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j - 1] + cost
-                    );
-                }
-            }
+    socket.on('game:guess', safeHandler('game:guess', async (data) => {
+        const { roomId, guess } = data;
+        if (typeof guess !== 'string' || !guess.trim() || guess.length > MAX_GUESS_LENGTH) return;
+
+        // Rate limit per connection (a socket only ever lives on one instance)
+        const now = Date.now();
+        const recentGuesses = (socket.data.recentGuesses || []).filter(t => now - t < GUESS_WINDOW_MS);
+        if (recentGuesses.length >= GUESS_LIMIT) {
+            return socket.emit('game:error', { message: 'Slow down! Too many guesses', errorType: 'RATE_LIMITED' });
+        }
+        socket.data.recentGuesses = [...recentGuesses, now];
 
-            const distance = matrix[len1][len2];
-            const maxLen = Math.max(len1, len2);
-            return ((maxLen - distance) / maxLen) * 100;
-        };
+        await withRoom(roomId, async (room) => {
+            // No guessing before the word is picked or after the turn ended (the word is revealed then)
+            if (!room || room.status !== 'playing' || !room.state.currentWord || room.state.turnOver) return;
+
+            // Guess as the player seated on this socket, whatever the payload claims
+            const player = getSocketPlayer(room, socket);
+            if (!player) return;
+            const { userId, userName } = player;
+
+            // Don't allow drawer to guess
+            if (userId === room.state.currentDrawer) return;
+
+            const normalizedGuess = guess.trim().toLowerCase();
+            const normalizedWord = room.state.currentWord.toLowerCase();
 
-        const similarity = calculateSimilarity(normalizedGuess, normalizedWord);
-        const isVeryClose = !isCorrect && similarity >= 70 && similarity < 100;
+            const isCorrect = normalizedGuess === normalizedWord;
 
-        // Check if already guessed correctly
-        const alreadyGuessed = room.state.correctGuessers.includes(userId);
+            const similarity = calculateSimilarity(normalizedGuess, normalizedWord);
+            const isVeryClose = !isCorrect && similarity >= 70 && similarity < 100;
 
-        if (isCorrect && !alreadyGuessed) {
-            // Correct Guess!
-            const player = room.players.find(p => p.userId === userId);
-            if (player) {
-                // Award points based on time remaining
+            // Check if already guessed correctly
+            const alreadyGuessed = room.state.correctGuessers.includes(userId);
+
+            if (isCorrect && !alreadyGuessed) {
+                // Correct Guess! Award points based on time remaining
                 const points = Math.max(10, Math.floor(room.state.timeRemaining * 1.5));
                 player.score += points;
                 player.turnScore = (player.turnScore || 0) + points;
@@ -424,189 +606,139 @@ module.exports = (io, socket) => {
                 // If everyone guessed, end round early
                 const guessersCount = room.players.length - 1;
                 if (room.state.correctGuessers.length >= guessersCount) {
-                    endRound(io, roomId);
+                    await endTurn(io, room);
                 }
-            }
-        } else if (!isCorrect) {
-            // Wrong guess - add to feed with similarity indicator
-            room.state.guesses.unshift({
-                userId,
-                userName,
-                guess: guess,
-                isCorrect: false,
-                veryClose: isVeryClose,
-                timestamp: Date.now()
-            });
+            } else if (!isCorrect && !alreadyGuessed) {
+                // Wrong guess - add to feed with similarity indicator
+                room.state.guesses.unshift({
+                    userId,
+                    userName,
+                    guess: guess,
+                    isCorrect: false,
+                    veryClose: isVeryClose,
+                    timestamp: Date.now()
+                });
 
-            room.state.guesses = room.state.guesses.slice(0, 5);
+                room.state.guesses = room.state.guesses.slice(0, 5);
 
-            io.to(roomId).emit('game:guess_update', {
-                guesses: room.state.guesses,
-                correctCount: room.state.correctGuessers.length
-            });
-        }
-    });
+                io.to(roomId).emit('game:guess_update', {
+                    guesses: room.state.guesses,
+                    correctCount: room.state.correctGuessers.length
+                });
+            }
+        });
+    }));
 
     // 🚪 Leave Game
-    socket.on('games:leave', (roomId) => {
-        const room = gameRooms[roomId];
-        if (room) {
-            room.players = room.players.filter(p => p.socketId !== socket.id);
-            socket.leave(roomId);
-
-            if (room.players.length === 0) {
-                console.log(`🧹 Empty room ${roomId} deleted after user left`);
-                delete gameRooms[roomId];
-            } else {
-                if (room.hostId === socket.userId) {
-                    const newHost = room.players[0];
-                    room.hostId = newHost.userId;
-                    room.hostName = newHost.userName;
-                    console.log(`👑 New host assigned to room ${roomId}: ${room.hostName}`);
-                }
-                io.to(roomId).emit('game:update', room);
+    socket.on('games:leave', safeHandler('games:leave', async (roomId) => {
+        if (socket.data.gameRoomId === roomId) delete socket.data.gameRoomId;
+        socket.leave(roomId);
+
+        const room = await withRoom(roomId, async (room, ctx) => {
+            const player = room?.players.find(p => p.socketId === socket.id);
+            if (!player) return room;
+            await removePlayer(io, room, ctx, player.userId);
+            return room;
+        });
 
-                // Meme Match: If everyone voted/submitted, end phase early
-                if (room.gameType === 'meme_match') {
-                    memeMatchHandler.checkMemePhaseCompletion(io, roomId, gameRooms);
-                }
+        if (room) await broadcastRoomList(io, room.clubId, room.gameType);
+    }));
 
-                // Sketch Heads: If everyone guessed, end round early
-                if (room.gameType === 'sketch_heads' && room.status === 'playing') {
-                    const guessersCount = room.players.length - 1;
-                    if (room.state.correctGuessers && room.state.correctGuessers.length >= guessersCount) {
-                        endRound(io, roomId);
-                    }
-                }
-            }
+    // ⚠️ Dropped connection: hold the seat for a while so the player can rejoin
+    socket.on('disconnect', safeHandler('disconnect', async () => {
+        const roomId = socket.data.gameRoomId;
+        if (!roomId) return;
 
-            broadcastRoomList(io, room.clubId, room.gameType);
-        }
-    });
+        await withRoom(roomId, async (room) => {
+            const player = room?.players.find(p => p.socketId === socket.id);
+            if (!player) return;
 
-    // ⚠️ Cleanup on Disconnect
-    socket.on('disconnect', () => {
-        Object.keys(gameRooms).forEach(roomId => {
-            const room = gameRooms[roomId];
-            const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
-
-            if (playerIndex !== -1) {
-                const leavingPlayer = room.players[playerIndex];
-                room.players.splice(playerIndex, 1);
-
-                console.log(`🔌 User ${leavingPlayer.userName} disconnected from room ${roomId}`);
-
-                if (room.players.length === 0) {
-                    console.log(`🧹 Empty room ${roomId} deleted after disconnect`);
-                    delete gameRooms[roomId];
-                } else {
-                    if (room.hostId === leavingPlayer.userId) {
-                        const newHost = room.players[0];
-                        room.hostId = newHost.userId;
-                        room.hostName = newHost.userName;
-                    }
-                    io.to(roomId).emit('game:update', room);
+            player.connected = false;
+            console.log(`🔌 User ${player.userName} disconnected from room ${roomId}, holding their seat for ${RECONNECT_GRACE_SECONDS}s`);
 
-                    // Meme Match: If everyone voted/submitted, end phase early
-                    if (room.gameType === 'meme_match') {
-                        memeMatchHandler.checkMemePhaseCompletion(io, roomId, gameRooms);
-                    }
-
-                    // Sketch Heads: If everyone guessed, end round early
-                    if (room.gameType === 'sketch_heads' && room.status === 'playing') {
-                        const guessersCount = room.players.length - 1;
-                        if (room.state.correctGuessers && room.state.correctGuessers.length >= guessersCount) {
-                            endRound(io, roomId);
-                        }
-                    }
-                }
-                broadcastRoomList(io, room.clubId, room.gameType);
-            }
+            io.to(roomId).emit('game:player_disconnected', {
+                userId: player.userId,
+                userName: player.userName,
+                graceSeconds: RECONNECT_GRACE_SECONDS
+            });
+            await schedule(roomId, 'player:drop', RECONNECT_GRACE_SECONDS * 1000, {
+                userId: player.userId,
+                socketId: socket.id
+            });
         });
-    });
+    }));
 
     // 🔐 Register Code Breaker handler
-    codeBreakerHandler.init(io, socket, gameRooms);
+    codeBreakerHandler.init(io, socket);
 
     // 😂 Register Meme Match handler
-    memeMatchHandler.init(io, socket, gameRooms);
+    memeMatchHandler.init(io, socket);
 };
 
-// 🔄 Game Loop Logic
-const WORDS = [
-    // Animals (25)
-    'Elephant', 'Dragon', 'Butterfly', 'Penguin', 'Giraffe', 'Octopus', 'Kangaroo', 'Dolphin', 'Tiger', 'Peacock',
-    'Crocodile', 'Flamingo', 'Koala', 'Panda', 'Zebra', 'Cheetah', 'Gorilla', 'Owl', 'Parrot', 'Seahorse',
-    'Jellyfish', 'Chameleon', 'Hedgehog', 'Platypus', 'Sloth',
-
-    // Objects & Technology (30)
-    'Laptop', 'Guitar', 'Camera', 'Diamond', 'Rocket', 'Robot', 'Bicycle', 'Telescope', 'Microphone', 'Headphones',
-    'Keyboard', 'Smartphone', 'Drone', 'Compass', 'Hourglass', 'Umbrella', 'Backpack', 'Suitcase', 'Hammer', 'Scissors',
-    'Paintbrush', 'Flashlight', 'Binoculars', 'Calculator', 'Trophy', 'Crown', 'Sword', 'Shield', 'Anchor', 'Telescope',
-
-    // Nature & Weather (25)
-    'Sunset', 'Mountain', 'Rainbow', 'Thunder', 'Ocean', 'Forest', 'Volcano', 'Waterfall', 'Lightning', 'Tornado',
-    'Snowflake', 'Avalanche', 'Eclipse', 'Aurora', 'Comet', 'Meteor', 'Island', 'Canyon', 'Desert', 'Glacier',
-    'Meadow', 'Jungle', 'Reef', 'Cave', 'Cliff',
-
-    // Food & Drinks (25)
-    'Pizza', 'Hamburger', 'Sushi', 'Taco', 'Donut', 'Cupcake', 'Sandwich', 'Pancake', 'Waffle', 'Burrito',
-    'Croissant', 'Pretzel', 'Popcorn', 'Milkshake', 'Smoothie', 'Lemonade', 'Espresso', 'Spaghetti', 'Ramen', 'Dumpling',
-    'Cheesecake', 'Brownie', 'Macaron', 'Tiramisu', 'Lasagna',
-
-    // Buildings & Places (20)
-    'Castle', 'Pyramid', 'Lighthouse', 'Windmill', 'Skyscraper', 'Cathedral', 'Temple', 'Observatory', 'Stadium', 'Museum',
-    'Library', 'Hospital', 'Airport', 'Bridge', 'Fountain', 'Statue', 'Monument', 'Pagoda', 'Mansion', 'Cottage',
-
-    // Sports & Games (20)
-    'Basketball', 'Football', 'Tennis', 'Baseball', 'Volleyball', 'Bowling', 'Archery', 'Fencing', 'Surfing', 'Skateboard',
-    'Snowboard', 'Parachute', 'Trampoline', 'Darts', 'Billiards', 'Badminton', 'Cricket', 'Hockey', 'Golf', 'Wrestling',
-
-    // Professions (15)
-    'Wizard', 'Astronaut', 'Detective', 'Firefighter', 'Scientist', 'Artist', 'Musician', 'Chef', 'Pilot', 'Surgeon',
-    'Architect', 'Engineer', 'Photographer', 'Magician', 'Ninja',
-
-    // Vehicles & Transportation (15)
-    'Helicopter', 'Submarine', 'Spaceship', 'Motorcycle', 'Sailboat', 'Hovercraft', 'Ambulance', 'Firetruck', 'Bulldozer',
-    'Tractor', 'Scooter', 'Skateboard', 'Rollerblades', 'Jetpack', 'Balloon',
-
-    // Actions & Activities (15)
-    'Dancing', 'Singing', 'Jumping', 'Swimming', 'Climbing', 'Painting', 'Reading', 'Writing', 'Cooking', 'Gardening',
-    'Fishing', 'Camping', 'Hiking', 'Meditation', 'Yoga',
-
-    // Abstract & Emotions (10)
-    'Happiness', 'Surprise', 'Confusion', 'Excitement', 'Curiosity', 'Dream', 'Nightmare', 'Victory', 'Celebration', 'Mystery'
-];
-
-function startNextRound(io, roomId) {
-    const room = gameRooms[roomId];
-    if (!room) {
-        console.log(`❌ startNextRound: Room ${roomId} not found`);
-        return;
-    }
+/**
+ * Register game timer handlers and start polling for due timers
+ * Called once at startup, before any socket connects, so timers scheduled by other instances
+ * (or before a restart) can run here.
+ */
+function initGameTimers(io) {
+    codeBreakerHandler.initDeps(io, broadcastRoomList);
+    memeMatchHandler.initDeps(io, broadcastRoomList);
+
+    registerTimerHandler('sketch:tick', (roomId, { token }) => withRoom(roomId, async (room, ctx) => {
+        if (!room || room.status !== 'playing' || room.state.timerToken !== token) return;
+        await tickRoundTimer(io, room, ctx);
+    }));
+
+    registerTimerHandler('sketch:next_turn', (roomId, { token }) => withRoom(roomId, async (room, ctx) => {
+        if (!room || room.status !== 'playing' || room.state.timerToken !== token) return;
+        await startNextTurn(io, room, ctx);
+    }));
+
+    // Reconnect grace period is over
+    registerTimerHandler('player:drop', async (roomId, { userId, socketId }) => {
+        const room = await withRoom(roomId, async (room, ctx) => {
+            const player = room?.players.find(p => p.userId === userId);
+            // Reconnected in the meantime
+            if (!player || player.connected !== false || player.socketId !== socketId) return null;
+
+            console.log(`🔌 User ${player.userName} did not reconnect, removing from room ${roomId}`);
+            await removePlayer(io, room, ctx, userId);
+            return room;
+        });
+
+        if (room) await broadcastRoomList(io, room.clubId, room.gameType);
+    });
+
+    startTimerLoop();
+}
+
+// Canvas and word events are only accepted from the player whose turn it is to draw
+function isCurrentDrawer(room, socket) {
+    if (!room || room.status !== 'playing') return false;
+    const player = getSocketPlayer(room, socket);
+    return !!player && player.userId === room.state.currentDrawer;
+}
 
+// 🔄 Game Loop Logic
+async function startNextRound(io, room, ctx) {
     room.state.currentRound++;
-    console.log(`📍 Round ${room.state.currentRound}/${room.config.totalRounds} starting in room ${roomId}`);
+    console.log(`📍 Round ${room.state.currentRound}/${room.config.totalRounds} starting in room ${room.roomId}`);
 
     // Check if all rounds completed
     if (room.state.currentRound > room.config.totalRounds) {
         console.log(`🏁 All rounds complete (${room.state.currentRound - 1}/${room.config.totalRounds}), triggering gameOver`);
-        gameOver(io, roomId);
+        await gameOver(io, room, ctx);
         return;
     }
 
     // Always reset turn index when a new round starts
     room.state.currentTurnIndex = 0;
 
-    startNextTurn(io, roomId);
+    await startNextTurn(io, room, ctx);
 }
 
-function startNextTurn(io, roomId) {
-    const room = gameRooms[roomId];
-    if (!room) {
-        console.log(`❌ startNextTurn: Room ${roomId} not found`);
-        return;
-    }
+async function startNextTurn(io, room, ctx) {
+    const roomId = room.roomId;
 
     // Reset turn scores for all players at the beginning of each turn
     room.players.forEach(p => { p.turnScore = 0; });
@@ -614,7 +746,7 @@ function startNextTurn(io, roomId) {
     // Check if round is complete (everyone had a turn)
     if (room.state.currentTurnIndex >= room.players.length) {
         console.log(`✅ Round ${room.state.currentRound} turns complete, proceeding to next round check`);
-        startNextRound(io, roomId);
+        await startNextRound(io, room, ctx);
         return;
     }
 
@@ -622,23 +754,25 @@ function startNextTurn(io, roomId) {
     const drawer = room.players[room.state.currentTurnIndex];
     if (!drawer) {
         console.log(`❌ startNextTurn: No drawer found at index ${room.state.currentTurnIndex}`);
-        startNextRound(io, roomId);
+        await startNextRound(io, room, ctx);
         return;
     }
 
-    // Reset turn state
+    // Reset turn state (no timer runs while the drawer picks a word)
+    room.state.timerToken = null;
+    room.state.turnOver = false;
     room.state.timeRemaining = 0;
     room.state.currentDrawer = drawer.userId;
     room.state.currentWord = '';
-    room.state.paths = [];
+    await clearPaths(roomId, room.state.canvasId);
+    room.state.canvasId = newTimerToken(); // A fresh list, so late strokes of the last turn land elsewhere
     room.state.guesses = [];
     room.state.correctGuessers = [];
     room.state.hint = '';
     room.state.canvasColor = '#FFFFFF';
 
-    // Generate 2 random word options
-    const shuffled = shuffleArray([...WORDS]);
-    room.state.wordOptions = [shuffled[0], shuffled[1]];
+    // Offer 2 words from the room's packs that haven't been drawn lately
+    room.state.wordOptions = await chooseWordOptions(room);
 
     console.log(`🎨 Turn ${room.state.currentTurnIndex + 1}/${room.players.length} (Round ${room.state.currentRound}): ${drawer.userName} is drawing`);
 
@@ -659,63 +793,51 @@ function startNextTurn(io, roomId) {
     room.state.currentTurnIndex++;
 }
 
-function startRoundTimer(io, roomId) {
-    const room = gameRooms[roomId];
-    if (!room) return;
-
-    // Clear any existing timer just in case
-    if (room.state.timer) {
-        clearInterval(room.state.timer);
-    }
-
+async function startRoundTimer(room) {
     room.state.timeRemaining = room.config.roundTime;
+    room.state.hintInterval = Math.floor(room.config.roundTime / Math.max(1, room.state.currentWord.length));
+    room.state.lastHintTime = room.state.timeRemaining;
+    room.state.allRevealed = false;
 
-    const hintInterval = Math.floor(room.config.roundTime / Math.max(1, room.state.currentWord.length));
-    let lastHintTime = room.state.timeRemaining;
-    let allRevealed = false;
+    // A new token orphans any tick still queued from an earlier timer
+    room.state.timerToken = newTimerToken();
+    await schedule(room.roomId, 'sketch:tick', 1000, { token: room.state.timerToken });
+}
 
-    room.state.timer = setInterval(() => {
-        const currentRoom = gameRooms[roomId];
-        if (!currentRoom || currentRoom.status !== 'playing') {
-            clearInterval(currentRoom?.state?.timer);
-            return;
-        }
+async function tickRoundTimer(io, room, ctx) {
+    const roomId = room.roomId;
+    const { state } = room;
 
-        currentRoom.state.timeRemaining--;
-        io.to(roomId).emit('game:time_update', currentRoom.state.timeRemaining);
+    state.timeRemaining--;
+    io.to(roomId).emit('game:time_update', state.timeRemaining);
 
-        // Reveal all letters when 10 seconds remain
-        if (currentRoom.state.timeRemaining === 10 && !allRevealed) {
-            currentRoom.state.hint = currentRoom.state.currentWord.split('').join(' ');
-            io.to(roomId).emit('game:hint_update', currentRoom.state.hint);
-            allRevealed = true;
-        }
-        // Reveal hint character progressively
-        else if (currentRoom.state.timeRemaining > 10 && currentRoom.state.timeRemaining <= lastHintTime - hintInterval) {
-            currentRoom.state.hint = revealNextCharacter(currentRoom.state.currentWord, currentRoom.state.hint);
-            io.to(roomId).emit('game:hint_update', currentRoom.state.hint);
-            lastHintTime = currentRoom.state.timeRemaining;
-        }
+    // Reveal all letters when 10 seconds remain
+    if (state.timeRemaining === 10 && !state.allRevealed) {
+        state.hint = state.currentWord.split('').join(' ');
+        io.to(roomId).emit('game:hint_update', state.hint);
+        state.allRevealed = true;
+    }
+    // Reveal hint character progressively
+    else if (state.timeRemaining > 10 && state.timeRemaining <= state.lastHintTime - state.hintInterval) {
+        state.hint = revealNextCharacter(state.currentWord, state.hint);
+        io.to(roomId).emit('game:hint_update', state.hint);
+        state.lastHintTime = state.timeRemaining;
+    }
 
-        if (currentRoom.state.timeRemaining <= 0) {
-            clearInterval(currentRoom.state.timer);
-            currentRoom.state.timer = null;
-            endTurn(io, roomId);
-        }
-    }, 1000);
-}
+    if (state.timeRemaining <= 0) {
+        await endTurn(io, room);
+        return;
+    }
 
-function endTurn(io, roomId) {
-    const room = gameRooms[roomId];
-    if (!room) return;
+    await schedule(roomId, 'sketch:tick', 1000, { token: state.timerToken });
+}
 
-    // CRITICAL: Clear timer to prevent multiple endTurn calls
-    if (room.state.timer) {
-        clearInterval(room.state.timer);
-        room.state.timer = null;
-    }
+async function endTurn(io, room) {
+    // New token stops the round timer and makes repeated endTurn calls harmless
+    room.state.timerToken = newTimerToken();
+    room.state.turnOver = true;
 
-    io.to(roomId).emit('game:turn_end', {
+    io.to(room.roomId).emit('game:turn_end', {
         word: room.state.currentWord,
         scores: room.players.map(p => ({
             userId: p.userId,
@@ -726,39 +848,26 @@ function endTurn(io, roomId) {
     });
 
     // Wait 5 seconds before next turn
-    setTimeout(() => {
-        const stillExists = gameRooms[roomId];
-        if (stillExists && stillExists.status === 'playing') {
-            startNextTurn(io, roomId);
-        }
-    }, 5000);
+    await schedule(room.roomId, 'sketch:next_turn', 5000, { token: room.state.timerToken });
 }
 
-function endRound(io, roomId) {
-    const room = gameRooms[roomId];
-    if (room && room.state.timer) {
-        clearInterval(room.state.timer);
-        room.state.timer = null;
-    }
-    endTurn(io, roomId);
-}
-
-function gameOver(io, roomId) {
-    const room = gameRooms[roomId];
-    if (!room) return;
-
+async function gameOver(io, room, ctx) {
     room.status = 'finished';
+    room.state.timerToken = null;
     const sortedPlayers = [...room.players].sort((a, b) => b.score - a.score);
 
-    io.to(roomId).emit('game:over', {
+    io.to(room.roomId).emit('game:over', {
         winner: sortedPlayers[0],
         leaderboard: sortedPlayers
     });
 
-    // Delete room after 1 minute
-    setTimeout(() => {
-        delete gameRooms[roomId];
-    }, 60000);
+    // Saved in the background so a slow database doesn't hold the room lock
+    recordGameResult(room);
+    await clearPaths(room.roomId, room.state.canvasId);
+
+    // Keep the room for 1 minute, then let it expire
+    ctx.finish();
+    await Promise.all(room.players.map(p => clearPlayerRoom(p.userId, room.roomId)));
 }
 
 // Helper Functions
@@ -771,6 +880,31 @@ function shuffleArray(array) {
     return arr;
 }
 
+// Similarity percentage using Levenshtein distance
+function calculateSimilarity(str1, str2) {
+    const len1 = str1.length;
+    const len2 = str2.length;
+    const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0));
+
+    for (let i = 0; i <= len1; i++) matrix[i][0] = i;
+    for (let j = 0; j <= len2; j++) matrix[0][j] = j;
+
+    for (let i = 1; i <= len1; i++) {
+        for (let j = 1; j <= len2; j++) {
+            const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+            matrix[i][j] = Math.min(
+                matrix[i - 1][j] + 1,
+                matrix[i][j - 1] + 1,
+                matrix[i - 1][j - 1] + cost
+            );
+        }
+    }
+
+    const distance = matrix[len1][len2];
+    const maxLen = Math.max(len1, len2);
+    return ((maxLen - distance) / maxLen) * 100;
+}
+
 function generateInitialHint(word) {
     return word.split('').map(() => '_').join(' ');
 }
@@ -787,5 +921,5 @@ function revealNextCharacter(word, currentHint) {
     return hintArray.join(' ');
 }
 
-module.exports.gameRooms = gameRooms;
+module.exports.initGameTimers = initGameTimers;
 module.exports.broadcastRoomList = broadcastRoomList;
@@ -2,6 +2,18 @@
 
 // Load movie dialogues database
 const movieDialogues = require('../data/movieDialogues');
+const {
+    withRoom,
+    clearPlayerRoom,
+    schedule,
+    newTimerToken,
+    registerTimerHandler
+} = require('../services/gameRoomStore');
+const { recordGameResult } = require('../services/gameResultService');
+const { safeHandler } = require('../utils/socketHandler');
+const { getSocketPlayer, toPublicRoom } = require('../utils/gameRooms');
+
+const ANSWER_TIME_LIMIT = 30; // seconds to answer
 
 function getRandomDialogue() {
     return movieDialogues[Math.floor(Math.random() * movieDialogues.length)];
@@ -42,20 +54,32 @@ function shuffleArray(array) {
 }
 
 // Exported functions
-let _io;
-let _gameRooms;
 let _broadcastRoomList;
 
+// Round and timer logic works on the room loaded by withRoom and runs on whichever instance
+// picks up the timer
 const handlers = {
-    initDeps: (io, gameRooms, broadcastRoomList) => {
-        _io = io;
-        _gameRooms = gameRooms;
+    initDeps: (io, broadcastRoomList) => {
         _broadcastRoomList = broadcastRoomList;
-    },
-    startMemeMatchGame: (io, roomId, gameRooms) => {
-        const room = gameRooms[roomId];
-        if (!room) return;
 
+        const onTimer = (type, fn) => registerTimerHandler(type, (roomId, { token }) => withRoom(roomId, async (room, ctx) => {
+            if (!room || room.state.timerToken !== token) return;
+            await fn(room, ctx);
+        }));
+
+        onTimer('memematch:first_round', (room) => handlers.startNextMemeMatchRound(io, room));
+        onTimer('memematch:tick', (room, ctx) => handlers.tickMemeMatchTimer(io, room, ctx));
+        // Move to next round or end game
+        onTimer('memematch:next', async (room, ctx) => {
+            if (room.state.currentRound >= room.config.totalRounds) {
+                await handlers.endMemeMatchGame(io, room, ctx);
+            } else {
+                room.players.forEach(p => { p.roundScore = 0; });
+                await handlers.startNextMemeMatchRound(io, room);
+            }
+        });
+    },
+    startMemeMatchGame: async (io, room) => {
         // Update room status
         room.status = 'active';
 
@@ -64,21 +88,19 @@ const handlers = {
             currentRound: 0,
             players: room.players.map(p => ({ ...p, score: 0, roundScore: 0 })),
             answers: {},
-            phase: 'waiting'
+            phase: 'waiting',
+            timerToken: newTimerToken()
         };
 
         // Notify all players that game is starting to transition UI
-        io.to(roomId).emit('game:update', room);
+        io.to(room.roomId).emit('game:update', toPublicRoom(room));
 
         // Start first round with a short delay to allow UI transition
-        setTimeout(() => {
-            handlers.startNextMemeMatchRound(io, roomId, gameRooms);
-        }, 2000);
+        await schedule(room.roomId, 'memematch:first_round', 2000, { token: room.state.timerToken });
     },
 
-    startNextMemeMatchRound: (io, roomId, gameRooms) => {
-        const room = gameRooms[roomId];
-        if (!room) return;
+    startNextMemeMatchRound: async (io, room) => {
+        const roomId = room.roomId;
 
         // Get random dialogue and generate options
         const quizData = getRandomDialogue();
@@ -91,7 +113,7 @@ const handlers = {
         room.state.options = options;
         room.state.answers = {};
         room.state.phase = 'answering';
-        room.state.timeRemaining = 30; // 30 seconds to answer
+        room.state.timeRemaining = ANSWER_TIME_LIMIT;
         room.state.roundStartTime = Date.now();
 
         // Broadcast initial answer count
@@ -107,79 +129,68 @@ const handlers = {
             dialogue: quizData.dialogue,
             language: quizData.language,
             options: options,
-            timeLimit: 30,
+            timeLimit: ANSWER_TIME_LIMIT,
             totalPlayers: room.players.length
         });
 
         // Also broadcast the full state update for perfect sync
-        io.to(roomId).emit('game:update', room);
+        io.to(roomId).emit('game:update', toPublicRoom(room));
 
         // Start timer
-        handlers.startMemeMatchTimer(io, roomId, gameRooms, 'answering');
+        await handlers.startMemeMatchTimer(room);
     },
 
-    startMemeMatchTimer: (io, roomId, gameRooms, phase) => {
-        const room = gameRooms[roomId];
-        if (!room) return;
-
-        if (room.state.timer) {
-            clearInterval(room.state.timer);
-        }
-
-        const timeLimit = 30; // 30 seconds for answering
-        room.state.timeRemaining = timeLimit;
-
-        room.state.timer = setInterval(() => {
-            const currentRoom = gameRooms[roomId];
-            if (!currentRoom) {
-                clearInterval(room.state.timer);
-                return;
-            }
+    startMemeMatchTimer: async (room) => {
+        room.state.timeRemaining = ANSWER_TIME_LIMIT;
+        room.state.timerToken = newTimerToken();
+        await schedule(room.roomId, 'memematch:tick', 1000, { token: room.state.timerToken });
+    },
 
-            currentRoom.state.timeRemaining--;
-            io.to(roomId).emit('memematch:time_update', currentRoom.state.timeRemaining);
+    tickMemeMatchTimer: async (io, room) => {
+        room.state.timeRemaining--;
+        io.to(room.roomId).emit('memematch:time_update', room.state.timeRemaining);
 
-            if (currentRoom.state.timeRemaining <= 0) {
-                clearInterval(currentRoom.state.timer);
-                // Time's up - end the round
-                handlers.endMemeMatchRound(io, roomId, gameRooms);
-            }
-        }, 1000);
+        if (room.state.timeRemaining <= 0) {
+            // Time's up - end the round
+            await handlers.endMemeMatchRound(io, room);
+            return;
+        }
+        await schedule(room.roomId, 'memematch:tick', 1000, { token: room.state.timerToken });
     },
 
-    checkMemePhaseCompletion: (io, roomId, gameRooms) => {
-        const room = gameRooms[roomId];
-        if (!room || room.state.phase !== 'answering') return;
+    checkMemePhaseCompletion: async (io, room) => {
+        if (room.state.phase !== 'answering') return;
 
         const answeredCount = Object.keys(room.state.answers).length;
         const totalPlayers = room.players.length;
 
         // Update everyone on the new count
-        io.to(roomId).emit('memematch:answer_count', {
+        io.to(room.roomId).emit('memematch:answer_count', {
             answered: answeredCount,
             total: totalPlayers
         });
 
         // If everyone remaining has answered, end the round
         if (answeredCount >= totalPlayers && totalPlayers > 0) {
-            handlers.endMemeMatchRound(io, roomId, gameRooms);
+            await handlers.endMemeMatchRound(io, room);
         }
     },
 
+    handlePlayerLeft: async (io, room) => {
+        io.to(room.roomId).emit('memematch:player_left', {
+            players: room.players
+        });
+        // Check if phase should complete now that total count decreased
+        await handlers.checkMemePhaseCompletion(io, room);
+    },
 
-    endMemeMatchRound: (io, roomId, gameRooms) => {
-        const room = gameRooms[roomId];
-        if (!room) return;
-
-        if (room.state.timer) {
-            clearInterval(room.state.timer);
-            room.state.timer = null;
-        }
-
+    endMemeMatchRound: async (io, room) => {
+        // New token stops the answer timer
+        room.state.timerToken = newTimerToken();
         room.state.phase = 'results';
 
         // Calculate scores based on correctness and speed
-        const roundDuration = 30000; // 30 seconds in milliseconds
+        const roundDuration = ANSWER_TIME_LIMIT * 1000;
         Object.entries(room.state.answers).forEach(([userId, answerData]) => {
             const player = room.players.find(p => p.userId === userId);
             if (player) {
@@ -220,111 +231,132 @@ const handlers = {
             })).sort((a, b) => b.score - a.score)
         };
 
-        io.to(roomId).emit('memematch:round_end', results);
+        io.to(room.roomId).emit('memematch:round_end', results);
 
         // Sync state to all
-        io.to(roomId).emit('game:update', room);
+        io.to(room.roomId).emit('game:update', toPublicRoom(room));
 
         // Move to next round or end game
-        setTimeout(() => {
-            const stillExists = gameRooms[roomId];
-            if (stillExists) {
-                if (stillExists.state.currentRound >= stillExists.config.totalRounds) {
-                    handlers.endMemeMatchGame(io, roomId, gameRooms);
-                } else {
-                    stillExists.players.forEach(p => { p.roundScore = 0; });
-                    handlers.startNextMemeMatchRound(io, roomId, gameRooms);
-                }
-            }
-        }, 5000);
+        await schedule(room.roomId, 'memematch:next', 5000, { token: room.state.timerToken });
     },
 
-    endMemeMatchGame: (io, roomId, gameRooms) => {
-        const room = gameRooms[roomId];
-        if (!room) return;
-
+    endMemeMatchGame: async (io, room, ctx) => {
         room.status = 'finished';
+        room.state.timerToken = null;
         const sortedPlayers = [...room.players].sort((a, b) => b.score - a.score);
 
-        io.to(roomId).emit('memematch:game_over', {
+        io.to(room.roomId).emit('memematch:game_over', {
             winner: sortedPlayers[0],
             leaderboard: sortedPlayers
         });
 
-        setTimeout(() => {
-            delete gameRooms[roomId];
-        }, 60000);
+        // Saved in the background so a slow database doesn't hold the room lock
+        recordGameResult(room);
+
+        ctx.finish();
+        await Promise.all(room.players.map(p => clearPlayerRoom(p.userId, room.roomId)));
     },
 
-    init: (io, socket, gameRooms) => {
+    // Catch a reconnecting player up on the current question
+    sendSnapshot: (socket, room, player) => {
+        const { state } = room;
+        if (!state || state.phase !== 'answering') return;
+
+        socket.emit('memematch:question', {
+            round: state.currentRound,
+            totalRounds: room.config.totalRounds,
+            dialogue: state.currentDialogue,
+            language: state.language,
+            options: state.options,
+            timeLimit: ANSWER_TIME_LIMIT,
+            totalPlayers: room.players.length,
+            alreadyAnswered: !!(player && state.answers[player.userId])
+        });
+        socket.emit('memematch:answer_count', {
+            answered: Object.keys(state.answers).length,
+            total: room.players.length
+        });
+        socket.emit('memematch:time_update', state.timeRemaining);
+    },
+
+    init: (io, socket) => {
         // Listeners
-        socket.on('memematch:join', (data) => {
+        socket.on('memematch:join', safeHandler('memematch:join', async (data) => {
             const { roomId } = data;
-            const room = gameRooms[roomId];
-            if (room) {
-                socket.join(roomId);
-                socket.emit('game:update', room);
-                console.log(`Player joined Meme Match room: ${roomId}`);
-            }
-        });
+            await withRoom(roomId, async (room) => {
+                if (room) {
+                    socket.join(roomId);
+                    socket.emit('game:update', toPublicRoom(room));
+                    console.log(`Player joined Meme Match room: ${roomId}`);
+                }
+            });
+        }));
 
         // Keep start_round listener for legacy or manual triggers, but it uses the handler
-        socket.on('memematch:start_round', (data) => {
+        socket.on('memematch:start_round', safeHandler('memematch:start_round', async (data) => {
             const { roomId } = data;
-            handlers.startNextMemeMatchRound(io, roomId, gameRooms);
-        });
-
-        socket.on('memematch:answer', (data) => {
-            const { roomId, userId, userName, answer } = data;
-            const room = gameRooms[roomId];
-
-            if (!room || room.state.phase !== 'answering') return;
-
-            // Check if player already answered
-            if (room.state.answers[userId]) return;
-
-            // Record answer with timestamp
-            const isCorrect = answer === room.state.correctMovie;
-            room.state.answers[userId] = {
-                answer,
-                timestamp: Date.now(),
-                isCorrect
-            };
-
-            // Notify all players of answer count
-            io.to(roomId).emit('memematch:answer_count', {
-                answered: Object.keys(room.state.answers).length,
-                total: room.players.length
+            await withRoom(roomId, async (room) => {
+                if (room) await handlers.startNextMemeMatchRound(io, room);
             });
+        }));
+
+        socket.on('memematch:answer', safeHandler('memematch:answer', async (data) => {
+            const { roomId, answer } = data;
+            await withRoom(roomId, async (room) => {
+                if (!room || room.state.phase !== 'answering') return;
+
+                // Answer as the player seated on this socket, whatever the payload claims
+                const userId = getSocketPlayer(room, socket)?.userId;
+                if (!userId) return;
+
+                // Check if player already answered
+                if (room.state.answers[userId]) return;
+
+                // Record answer with timestamp
+                const isCorrect = answer === room.state.correctMovie;
+                room.state.answers[userId] = {
+                    answer,
+                    timestamp: Date.now(),
+                    isCorrect
+                };
+
+                // Notify all players of answer count
+                io.to(roomId).emit('memematch:answer_count', {
+                    answered: Object.keys(room.state.answers).length,
+                    total: room.players.length
+                });
+
+                // If everyone answered, end round immediately
+                if (Object.keys(room.state.answers).length === room.players.length) {
+                    await handlers.endMemeMatchRound(io, room);
+                }
+            });
+        }));
 
-            // If everyone answered, end round immediately
-            if (Object.keys(room.state.answers).length === room.players.length) {
-                handlers.endMemeMatchRound(io, roomId, gameRooms);
-            }
-        });
+        socket.on('memematch:leave', safeHandler('memematch:leave', async (roomId) => {
+            if (socket.data.gameRoomId === roomId) delete socket.data.gameRoomId;
+            socket.leave(roomId);
+
+            const room = await withRoom(roomId, async (room, ctx) => {
+                if (!room) return null;
 
-        socket.on('memematch:leave', (roomId) => {
-            const room = gameRooms[roomId];
-            if (room) {
+                const player = room.players.find(p => p.socketId === socket.id);
                 room.players = room.players.filter(p => p.socketId !== socket.id);
-                socket.leave(roomId);
+                if (player) await clearPlayerRoom(player.userId, roomId);
+
                 if (room.players.length === 0) {
-                    if (room.state.timer) clearInterval(room.state.timer);
-                    delete gameRooms[roomId];
+                    ctx.remove();
                 } else {
-                    io.to(roomId).emit('memematch:player_left', {
-                        players: room.players
-                    });
-                    // Check if phase should complete now that total count decreased
-                    handlers.checkMemePhaseCompletion(io, roomId, gameRooms);
+                    await handlers.handlePlayerLeft(io, room);
                 }
+                return room;
+            });
 
-                // Broadcast updated room list
-                if (_broadcastRoomList) {
-                    _broadcastRoomList(io, room.clubId, room.gameType);
-                }
+            // Broadcast updated room list
+            if (room && _broadcastRoomList) {
+                await _broadcastRoomList(io, room.clubId, room.gameType);
             }
-        });
+        }));
     }
 };
 
@@ -1,41 +1,60 @@
+const mongoose = require('mongoose');
 const Note = require('../models/Note');
+const User = require('../models/User');
+
+/**
+ * Same rule as GET /api/notes/:id: the owner, or anyone for a public note
+ * (public club notes only for members of that club)
+ */
+const canAccessNote = (note, user) => {
+    if (note.userId.toString() === user._id.toString()) return true;
+    if (!note.isPublic) return false;
+    if (!note.clubId) return true;
+    return (user.clubsJoined || []).some(c => c.clubId?.toString() === note.clubId.toString());
+};
 
 module.exports = (io, socket) => {
+    // Relayed note events only reach a note from sockets that were allowed to join it
+    const inNoteRoom = (noteId) => socket.rooms.has(`note:${noteId}`);
+
     // Join a specific note room
     socket.on('note:join', async (noteId) => {
-        socket.join(`note:${noteId}`);
-        console.log(`📝 User ${socket.userId} joined note room: ${noteId}`);
-
-        // Update collaborators in DB
         try {
-            const note = await Note.findById(noteId);
-            if (note) {
-                // Remove existing entry for this user if any, then add fresh one
-                await Note.findByIdAndUpdate(noteId, {
-                    $pull: { collaborators: { userId: socket.userId } }
-                });
+            const note = mongoose.Types.ObjectId.isValid(noteId) ? await Note.findById(noteId) : null;
+            const user = note ? await User.findById(socket.userId).select('clubsJoined') : null;
+            if (!note || !user || !canAccessNote(note, user)) {
+                socket.emit('note:join_denied', { noteId, message: note ? 'Access denied' : 'Note not found' });
+                return;
+            }
 
-                const updatedNote = await Note.findByIdAndUpdate(noteId, {
-                    $addToSet: {
-                        collaborators: {
-                            userId: socket.userId,
-                            lastActive: new Date()
-                        }
+            socket.join(`note:${noteId}`);
+            console.log(`📝 User ${socket.userId} joined note room: ${noteId}`);
+
+            // Update collaborators in DB: remove existing entry for this user if any, then add fresh one
+            await Note.findByIdAndUpdate(noteId, {
+                $pull: { collaborators: { userId: socket.userId } }
+            });
+
+            const updatedNote = await Note.findByIdAndUpdate(noteId, {
+                $addToSet: {
+                    collaborators: {
+                        userId: socket.userId,
+                        lastActive: new Date()
                     }
-                }, { new: true }).populate('collaborators.userId', 'displayName profilePicture');
+                }
+            }, { new: true }).populate('collaborators.userId', 'displayName profilePicture');
 
-                // Broadcast full list of active collaborators to the room
-                const activeCollaborators = updatedNote.collaborators.map(c => ({
-                    _id: c.userId?._id,
-                    displayName: c.userId?.displayName,
-                    profilePicture: c.userId?.profilePicture?.url || c.userId?.profilePicture
-                }));
+            // Broadcast full list of active collaborators to the room
+            const activeCollaborators = updatedNote.collaborators.map(c => ({
+                _id: c.userId?._id,
+                displayName: c.userId?.displayName,
+                profilePicture: c.userId?.profilePicture?.url || c.userId?.profilePicture
+            }));
 
-                io.to(`note:${noteId}`).emit('note:presence', {
-                    noteId,
-                    collaborators: activeCollaborators
-                });
-            }
+            io.to(`note:${noteId}`).emit('note:presence', {
+                noteId,
+                collaborators: activeCollaborators
+            });
         } catch (error) {
             console.error('Socket note:join error:', error);
         }
@@ -44,6 +63,7 @@ module.exports = (io, socket) => {
     // Typing indicator
     socket.on('note:typing', (data) => {
         const { noteId, isTyping } = data;
+        if (!inNoteRoom(noteId)) return;
         socket.to(`note:${noteId}`).emit('note:typing_update', {
             userId: socket.userId,
             isTyping,
@@ -84,7 +104,8 @@ module.exports = (io, socket) => {
 
     // Operational Sync - Handles structured updates (Deltas/Blocks)
     socket.on('note:op', async (data) => {
-        const { noteId, delta, selection, title, isPublic, clubId } = data;
+        const { noteId, delta, selection, title } = data;
+        if (!inNoteRoom(noteId)) return;
 
         // Broadcast the operation to other collaborators
         socket.to(`note:${noteId}`).emit('note:op_received', {
@@ -96,20 +117,28 @@ module.exports = (io, socket) => {
         });
 
         // Also notify the club room for list updates if note is public
-        if (isPublic && clubId && title) {
-            io.to(clubId.toString()).emit('note:list_update', {
+        // (club and visibility come from the saved note, never from the payload)
+        if (!title) return;
+        try {
+            const note = await Note.findById(noteId).select('clubId isPublic').lean();
+            if (!note?.isPublic || !note.clubId) return;
+
+            io.to(`club:${note.clubId}`).emit('note:list_update', {
                 type: 'update',
                 noteId,
-                title,
+                title: String(title),
                 content: data.plainTextSnippet || '', // Optional snippet for UI
                 updatedAt: new Date()
             });
+        } catch (error) {
+            console.error('Socket note:op error:', error);
         }
     });
 
     // Cursor movement (relay only)
     socket.on('note:cursor', (data) => {
         const { noteId, cursor, selection } = data;
+        if (!inNoteRoom(noteId)) return;
         socket.to(`note:${noteId}`).emit('note:cursor_move', {
             userId: socket.userId,
             displayName: socket.userDisplayName,
@@ -122,6 +151,7 @@ module.exports = (io, socket) => {
     // Live update of content/styles - preserved for backward compatibility/initial load
     socket.on('note:update', async (data) => {
         const { noteId, content, contentDelta, styles, title, isPublic, clubId } = data;
+        if (!inNoteRoom(noteId)) return;
 
         socket.to(`note:${noteId}`).emit('note:change', {
             content,
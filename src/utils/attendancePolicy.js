@@ -0,0 +1,67 @@
+/**
+ * Attendance escalation ladder
+ * Each step runs an action when a member's consecutive absences in a club reach its threshold.
+ * 'warning' repeats on every further absence; the other actions run once, on the absence that
+ * reaches the threshold.
+ */
+
+const ESCALATION_ACTIONS = ['nudge', 'warning', 'notify_admins', 'mark_inactive'];
+const REPEATING_ACTIONS = ['warning'];
+
+const MAX_THRESHOLD = 50;
+
+/**
+ * Effective ladder of a club. Clubs that never configured one get a nudge one absence before
+ * attendanceWarningThreshold and a warning at it.
+ * @param {object} club - Club with settings loaded
+ * @returns {Array<{ action: string, threshold: number }>} sorted by threshold
+ */
+const getEscalationLadder = (club) => {
+    const configured = club?.settings?.attendanceEscalation;
+    if (Array.isArray(configured)) {
+        return configured
+            .map(({ action, threshold }) => ({ action, threshold }))
+            .sort((a, b) => a.threshold - b.threshold);
+    }
+
+    const warningAt = club?.settings?.attendanceWarningThreshold || 3;
+    const ladder = [{ action: 'warning', threshold: warningAt }];
+    if (warningAt > 1) ladder.unshift({ action: 'nudge', threshold: warningAt - 1 });
+    return ladder;
+};
+
+/**
+ * Steps to run for a member who has just reached `streak` consecutive absences
+ */
+const getDueSteps = (ladder, streak) => ladder.filter(step =>
+    step.threshold === streak || (REPEATING_ACTIONS.includes(step.action) && streak > step.threshold)
+);
+
+/**
+ * Validate a ladder submitted by an admin
+ * @returns {string|null} error message, or null when valid
+ */
+const validateEscalationLadder = (ladder) => {
+    if (!Array.isArray(ladder)) return 'Escalation ladder must be an array';
+
+    const seen = new Set();
+    for (const step of ladder) {
+        if (!ESCALATION_ACTIONS.includes(step?.action)) {
+            return `Invalid escalation action: ${step?.action}. Use one of: ${ESCALATION_ACTIONS.join(', ')}`;
+        }
+        if (seen.has(step.action)) return `Duplicate escalation action: ${step.action}`;
+        seen.add(step.action);
+
+        if (!Number.isInteger(step.threshold) || step.threshold < 1 || step.threshold > MAX_THRESHOLD) {
+            return `Threshold for ${step.action} must be a whole number between 1 and ${MAX_THRESHOLD}`;
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    ESCALATION_ACTIONS,
+    getEscalationLadder,
+    getDueSteps,
+    validateEscalationLadder
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Rotating attendance tokens
+ * A token is only valid for one time step (default 15s) and is signed with a
+ * per-session secret, so a code shared outside the room expires almost immediately.
+ *   token: "<step>.<signature>" (encoded in the QR)
+ *   code:  6 digits derived from the same signature (typed manually)
+ */
+
+const STEP_SECONDS = parseInt(process.env.ATTENDANCE_TOKEN_STEP_SECONDS, 10) || 15;
+// Steps accepted either side of the current one to tolerate clock skew / scan delay (0 = current step only)
+const configuredSkew = parseInt(process.env.ATTENDANCE_TOKEN_SKEW_STEPS, 10);
+const SKEW_STEPS = Number.isInteger(configuredSkew) && configuredSkew >= 0 ? configuredSkew : 1;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const sign = (secret, meetingId, step) => crypto
+    .createHmac('sha256', secret)
+    .update(`${meetingId}:${step}`)
+    .digest();
+
+const tokenForStep = (secret, meetingId, step) => {
+    const signature = sign(secret, meetingId, step);
+    return {
+        token: `${step}.${signature.subarray(0, 12).toString('base64url')}`,
+        code: (signature.readUInt32BE(12) % 1000000).toString().padStart(6, '0')
+    };
+};
+
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Generate the token valid right now
+ * @returns {{ token: string, code: string, expiresAt: Date }}
+ */
+const generateAttendanceToken = (secret, meetingId, time = Date.now()) => {
+    const step = getStep(time);
+    return {
+        ...tokenForStep(secret, meetingId, step),
+        expiresAt: new Date((step + 1) * STEP_SECONDS * 1000)
+    };
+};
+
+/**
+ * Verify a scanned token or typed code
+ * @returns {boolean}
+ */
+const verifyAttendanceToken = (secret, meetingId, value, time = Date.now()) => {
+    if (!secret || typeof value !== 'string') return false;
+
+    const submitted = value.trim();
+    const currentStep = getStep(time);
+
+    const tokenMatch = submitted.match(/^(\d+)\.([A-Za-z0-9_-]+)$/);
+    if (tokenMatch) {
+        const step = parseInt(tokenMatch[1], 10);
+        if (Math.abs(currentStep - step) > SKEW_STEPS) return false;
+        return safeEqual(submitted, tokenForStep(secret, meetingId, step).token);
+    }
+
+    if (/^\d{6}$/.test(submitted)) {
+        for (let step = currentStep - SKEW_STEPS; step <= currentStep + SKEW_STEPS; step++) {
+            if (safeEqual(submitted, tokenForStep(secret, meetingId, step).code)) return true;
+        }
+    }
+
+    return false;
+};
+
+module.exports = {
+    STEP_SECONDS,
+    generateSecret,
+    generateAttendanceToken,
+    verifyAttendanceToken
+};
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load env vars
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const { startMediaCleanup } = require('../services/mediaCleanupService');
+
+/**
+ * Run the orphaned media cleanup once, outside the server schedule
+ * Usage: node src/utils/cleanupMedia.js [--delete] [--backfill]   (a dry run without --delete)
+ * --backfill first records files in storage that were never tracked.
+ */
+const cleanupMedia = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('MongoDB Connected');
+
+        const dryRun = !process.argv.includes('--delete');
+        const backfill = process.argv.includes('--backfill');
+        const { finished, error } = await startMediaCleanup({ dryRun, backfill, trigger: 'manual' });
+        if (error) {
+            console.error(error);
+            process.exit(1);
+        }
+
+        const run = await finished;
+        run.orphans.forEach(orphan => console.log(`${orphan.deleted ? 'deleted' : 'orphan '} ${orphan.publicId} - ${orphan.reason}`));
+        console.log(`Run ${run._id}: ${run.backfilled} backfilled, ${run.orphaned} orphaned (${run.orphanedBytes} bytes), ${run.deleted} deleted, ${run.failed} failed`);
+        process.exit(run.status === 'completed' ? 0 : 1);
+    } catch (error) {
+        console.error('Error cleaning up media:', error);
+        process.exit(1);
+    }
+};
+
+cleanupMedia();
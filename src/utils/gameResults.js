@@ -0,0 +1,50 @@
+/**
+ * Finished game results: final ranking and leaderboard periods
+ */
+
+const { DEFAULT_TIMEZONE, toWallClock, fromWallClock } = require('./timezone');
+
+const GAME_TYPES = ['sketch_heads', 'code_breaker', 'meme_match'];
+const LEADERBOARD_PERIODS = ['all', 'month', 'week'];
+
+/**
+ * Final standings, highest score first; tied scores share a rank (1, 1, 3)
+ * @param {Array} players - Room players ({ userId, userName, score })
+ */
+const rankPlayers = (players) => {
+    const sorted = [...players].sort((a, b) => (b.score || 0) - (a.score || 0));
+    return sorted.map((p, i) => {
+        const firstWithScore = sorted.findIndex(q => (q.score || 0) === (p.score || 0));
+        return {
+            userId: p.userId,
+            userName: p.userName,
+            score: p.score || 0,
+            rank: (firstWithScore === -1 ? i : firstWithScore) + 1
+        };
+    });
+};
+
+/**
+ * Start of the current leaderboard period in a timezone (weeks start on Monday)
+ * @param {string} period - 'all' | 'month' | 'week'
+ * @returns {Date|null} null for all-time
+ */
+const getPeriodStart = (period, timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+    if (period === 'all') return null;
+
+    const wallClock = toWallClock(now, timezone);
+    wallClock.setUTCHours(0, 0, 0, 0);
+    if (period === 'month') {
+        wallClock.setUTCDate(1);
+    } else {
+        wallClock.setUTCDate(wallClock.getUTCDate() - ((wallClock.getUTCDay() + 6) % 7));
+    }
+    return fromWallClock(wallClock, timezone);
+};
+
+module.exports = {
+    GAME_TYPES,
+    LEADERBOARD_PERIODS,
+    rankPlayers,
+    getPeriodStart
+};
@@ -0,0 +1,41 @@
+/**
+ * Helpers for game room objects (see gameRoomStore)
+ */
+
+/**
+ * The player seated on this socket
+ * In-game events act as this player; ids and names in the event payload are ignored.
+ */
+const getSocketPlayer = (room, socket) => room?.players.find(p => p.socketId === socket.id) || null;
+
+/**
+ * Room as broadcast to every player: answers and secrets of the running turn are removed
+ * (Sketch Heads word, word options and used words, Code Breaker code, Meme Match answer and picks)
+ */
+const toPublicRoom = (room) => {
+    if (!room?.state) return room;
+
+    const state = { ...room.state };
+    delete state.timerToken;
+
+    if (room.gameType === 'code_breaker') {
+        if (state.phase !== 'ended') delete state.secretCode;
+    } else if (room.gameType === 'meme_match') {
+        if (state.phase === 'answering') {
+            delete state.correctMovie;
+            state.answers = Object.fromEntries(Object.keys(state.answers || {}).map(userId => [userId, { answered: true }]));
+        }
+    } else {
+        state.wordLength = state.currentWord ? state.currentWord.length : 0;
+        delete state.currentWord;
+        delete state.wordOptions;
+        delete state.usedWords; // Includes the word being drawn
+    }
+
+    return { ...room, state };
+};
+
+module.exports = {
+    getSocketPlayer,
+    toPublicRoom
+};
@@ -0,0 +1,101 @@
+/**
+ * Attendance geofencing
+ * Offline meetings can be fenced by a circle (centre + radius). The fence comes from the
+ * meeting itself or, failing that, from the club's fence for the meeting's locationCategory.
+ * Club settings decide whether check-ins outside the fence are rejected or only flagged.
+ */
+
+const LOCATION_CATEGORIES = ['South Enclave', 'OAT', 'Classroom', 'Food Court', 'Library', 'North Enclave', 'Other'];
+const GEOFENCE_MODES = ['off', 'flag', 'reject'];
+
+const MIN_RADIUS_METERS = 10;
+const MAX_RADIUS_METERS = 5000;
+// Reported GPS accuracy is credited up to this many metres (indoor fixes are often poor)
+const MAX_ACCURACY_TOLERANCE_METERS = parseInt(process.env.GEOFENCE_MAX_ACCURACY_METERS, 10) || 100;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (deg) => deg * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @returns {number} metres
+ */
+const distanceInMeters = (a, b) => {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+const isValidCoordinate = (latitude, longitude) =>
+    typeof latitude === 'number' && typeof longitude === 'number' &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+
+/**
+ * Validate a fence submitted by an admin
+ * @returns {string|null} error message, or null when valid
+ */
+const validateGeofence = (fence) => {
+    if (!fence || typeof fence !== 'object') return 'Geofence must be an object';
+    if (!isValidCoordinate(fence.latitude, fence.longitude)) return 'Geofence needs a valid latitude and longitude';
+    if (typeof fence.radiusMeters !== 'number' || fence.radiusMeters < MIN_RADIUS_METERS || fence.radiusMeters > MAX_RADIUS_METERS) {
+        return `Geofence radius must be between ${MIN_RADIUS_METERS} and ${MAX_RADIUS_METERS} metres`;
+    }
+    return null;
+};
+
+const hasFence = (fence) => !!fence && isValidCoordinate(fence.latitude, fence.longitude) && fence.radiusMeters > 0;
+
+/**
+ * Pick the fence that applies to a meeting
+ * @param {object} meeting - Meeting document
+ * @param {object} club - Club with settings loaded
+ * @returns {object|null}
+ */
+const resolveGeofence = (meeting, club) => {
+    if (meeting.mode !== 'Offline') return null;
+    if (hasFence(meeting.geofence)) return meeting.geofence;
+
+    const clubFence = club?.settings?.attendanceGeofences?.find(f => f.locationCategory === meeting.locationCategory);
+    return hasFence(clubFence) ? clubFence : null;
+};
+
+/**
+ * Check a submitted location against the meeting's fence
+ * @param {object} meeting - Meeting document
+ * @param {object} club - Club with settings loaded
+ * @param {object} [location] - { latitude, longitude, accuracy }
+ * @returns {{ mode: string, inside: boolean, distanceMeters?: number, reason?: string }}
+ */
+const checkGeofence = (meeting, club, location) => {
+    const mode = club?.settings?.geofenceMode || 'flag';
+    const fence = mode === 'off' ? null : resolveGeofence(meeting, club);
+    if (!fence) return { mode: 'off', inside: true };
+
+    const latitude = Number(location?.latitude);
+    const longitude = Number(location?.longitude);
+    if (!location || !isValidCoordinate(latitude, longitude)) {
+        return { mode, inside: false, reason: 'location_missing' };
+    }
+
+    const distanceMeters = Math.round(distanceInMeters(fence, { latitude, longitude }));
+    const accuracy = Math.min(Math.max(Number(location.accuracy) || 0, 0), MAX_ACCURACY_TOLERANCE_METERS);
+    const inside = distanceMeters - accuracy <= fence.radiusMeters;
+
+    return inside
+        ? { mode, inside, distanceMeters }
+        : { mode, inside, distanceMeters, reason: 'outside_geofence' };
+};
+
+module.exports = {
+    LOCATION_CATEGORIES,
+    GEOFENCE_MODES,
+    MIN_RADIUS_METERS,
+    MAX_RADIUS_METERS,
+    distanceInMeters,
+    validateGeofence,
+    resolveGeofence,
+    checkGeofence
+};
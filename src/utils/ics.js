@@ -0,0 +1,113 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for meeting and event feeds
+ * UIDs are stable per document so calendar apps update entries in place, and SEQUENCE grows
+ * when an entry is moved or cancelled so they know which copy is newer.
+ */
+
+const PRODUCT_ID = '-//Mavericks//Aura//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'aura.mavericks';
+
+const escapeText = (value = '') => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Fields whose change moves a meeting or event (renames and descriptions don't count)
+const MEETING_SCHEDULE_FIELDS = [
+    'startsAt', 'endsAt', 'location', 'mode', 'platform', 'locationCategory', 'classroomNumber', 'otherLocationName'
+];
+const EVENT_SCHEDULE_FIELDS = ['date', 'location'];
+
+const isCancelled = (status) => ['canceled', 'cancelled'].includes(status);
+
+const sameValue = (current, next) => {
+    if (current instanceof Date) return current.getTime() === new Date(next).getTime();
+    return String(current ?? '') === String(next ?? '');
+};
+
+/**
+ * Whether changes move, cancel or restore an entry, i.e. whether its SEQUENCE must go up
+ * @param {object} current - Stored meeting/event
+ * @param {object} changes - Fields about to be written
+ * @param {Array<string>} fields - MEETING_SCHEDULE_FIELDS or EVENT_SCHEDULE_FIELDS
+ */
+const changesSchedule = (current, changes, fields) =>
+    fields.some(field => changes[field] !== undefined && !sameValue(current[field], changes[field])) ||
+    (changes.status !== undefined && isCancelled(changes.status) !== isCancelled(current.status));
+
+// Stored counter, only bumped by schedule changes (see changesSchedule)
+const getSequence = (doc) => doc.icsSequence || 0;
+
+const getUid = (kind, id) => `${kind}-${id}@${UID_DOMAIN}`;
+
+/**
+ * Build a VCALENDAR document
+ * @param {object} options
+ * @param {string} options.name - Calendar name shown by the client
+ * @param {Array<object>} options.entries - { uid, sequence, start, end, summary, description, location, url, status, lastModified }
+ * @param {string} [options.method] - 'PUBLISH' for feeds and downloads
+ * @returns {string}
+ */
+const buildCalendar = ({ name, entries, method = 'PUBLISH' }) => {
+    const now = formatDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        `X-WR-CALNAME:${escapeText(name)}`,
+        // Ask subscribed clients to refresh hourly
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    for (const entry of entries) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${entry.uid}`,
+            `SEQUENCE:${entry.sequence || 0}`,
+            `DTSTAMP:${now}`,
+            `DTSTART:${formatDate(entry.start)}`,
+            `DTEND:${formatDate(entry.end)}`,
+            `SUMMARY:${escapeText(entry.summary)}`
+        );
+        if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+        if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+        if (entry.url) lines.push(`URL:${entry.url}`);
+        if (entry.lastModified) lines.push(`LAST-MODIFIED:${formatDate(entry.lastModified)}`);
+        lines.push(`STATUS:${entry.status || 'CONFIRMED'}`, 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    MEETING_SCHEDULE_FIELDS,
+    EVENT_SCHEDULE_FIELDS,
+    isCancelled,
+    changesSchedule,
+    buildCalendar,
+    getSequence,
+    getUid,
+    escapeText
+};
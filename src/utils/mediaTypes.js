@@ -0,0 +1,68 @@
+/**
+ * File type helpers for uploads: magic-byte sniffing, extensions and data URIs
+ */
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/heic': '.heic',
+    'video/mp4': '.mp4',
+    'video/quicktime': '.mov',
+    'video/webm': '.webm',
+    'application/pdf': '.pdf'
+};
+
+/**
+ * Detect a file's type from its first bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} MIME type, or null if not recognised
+ */
+const sniffMimeType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.toString('ascii', 0, 4) === '%PDF') return 'application/pdf';
+    if (buffer[0] === 0x1A && buffer[1] === 0x45 && buffer[2] === 0xDF && buffer[3] === 0xA3) return 'video/webm';
+
+    // ISO media (MP4, MOV, HEIC): "ftyp" box with a brand
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+        if (brand === 'qt  ') return 'video/quicktime';
+        return 'video/mp4';
+    }
+
+    return null;
+};
+
+// File extension (with dot) for a MIME type, '' if unknown
+const extensionForMimeType = (mimeType) => EXTENSIONS[mimeType] || '';
+
+// Cloudinary-style resource type: image, video or raw
+const resourceTypeForMimeType = (mimeType = '') => {
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    return 'raw';
+};
+
+/**
+ * Decode a base64 upload, with or without the "data:<mime>;base64," prefix
+ * @returns {{ buffer: Buffer, mimeType: string|null }}
+ */
+const parseDataUri = (data) => {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s.exec(data);
+    if (!match) return { buffer: Buffer.from(data, 'base64'), mimeType: null };
+    return { buffer: Buffer.from(match[2], 'base64'), mimeType: match[1] || null };
+};
+
+module.exports = {
+    sniffMimeType,
+    extensionForMimeType,
+    resourceTypeForMimeType,
+    parseDataUri
+};
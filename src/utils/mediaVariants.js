@@ -0,0 +1,65 @@
+/**
+ * Image variants made on upload (services/mediaProcessingService) and how clients pick one
+ */
+
+// Longest side of each variant, smallest first
+const IMAGE_VARIANTS = [
+    { name: 'thumb', size: 200 },
+    { name: 'small', size: 480 },
+    { name: 'medium', size: 1080 }
+];
+const VARIANT_NAMES = IMAGE_VARIANTS.map(v => v.name);
+
+// Originals larger than this are scaled down
+const MAX_IMAGE_DIMENSION = 2560;
+const IMAGE_QUALITY = 82;
+const VARIANT_QUALITY = 75;
+
+// Types sharp can decode
+const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Decoded separately (libvips has no HEVC) and stored as the type given
+const CONVERTED_IMAGE_TYPES = { 'image/heic': 'image/jpeg' };
+
+// Videos whose metadata boxes (GPS location, device) are cleared; webm is stored as sent
+const METADATA_STRIPPED_VIDEO_TYPES = ['video/mp4', 'video/quicktime'];
+
+/**
+ * URL of the named variant, or of the next larger one, or the original
+ * Small originals don't get variants bigger than themselves, hence the fallback.
+ * @param {Array} variants - [{ name, url }]
+ * @param {string} name - 'thumb' | 'small' | 'medium'
+ * @param {string} originalUrl
+ */
+const variantUrl = (variants, name, originalUrl) => {
+    const start = VARIANT_NAMES.indexOf(name);
+    if (start === -1 || !Array.isArray(variants)) return originalUrl;
+    for (const candidate of VARIANT_NAMES.slice(start)) {
+        const variant = variants.find(v => v.name === candidate);
+        if (variant) return variant.url;
+    }
+    return originalUrl;
+};
+
+/**
+ * Processing results of a stored asset, as saved on Gallery/Snap/message documents
+ */
+const toMediaFields = (asset) => ({
+    width: asset?.width,
+    height: asset?.height,
+    blurhash: asset?.blurhash,
+    variants: asset?.variants || []
+});
+
+module.exports = {
+    IMAGE_VARIANTS,
+    VARIANT_NAMES,
+    MAX_IMAGE_DIMENSION,
+    IMAGE_QUALITY,
+    VARIANT_QUALITY,
+    PROCESSABLE_IMAGE_TYPES,
+    CONVERTED_IMAGE_TYPES,
+    METADATA_STRIPPED_VIDEO_TYPES,
+    variantUrl,
+    toMediaFields
+};
@@ -0,0 +1,93 @@
+const {
+    DEFAULT_TIMEZONE,
+    getLocalDate,
+    parseTime,
+    formatTime,
+    zonedTimeToUtc
+} = require('./timezone');
+
+const DEFAULT_MEETING_MINUTES = 60;
+// What createMeeting/updateMeeting do with a clash: respond with warnings, or refuse (409)
+const CONFLICT_MODES = ['warn', 'block'];
+
+/**
+ * Turn the schedule fields a client sent into stored instants
+ * Clients either send `startsAt` (an ISO instant) or the legacy `date` + `time` ("HH:mm"),
+ * which are read as wall-clock values in the club's timezone. `endsAt` defaults to keeping the
+ * current duration (or DEFAULT_MEETING_MINUTES for new meetings).
+ * @param {object} input - { date, time, startsAt, endsAt } from the request body
+ * @param {string} timezone - Club timezone
+ * @param {object} [current] - Existing meeting when updating
+ * @returns {{ fields?: object, error?: string }} fields is empty when nothing schedule-related changed
+ */
+const resolveMeetingSchedule = (input, timezone = DEFAULT_TIMEZONE, current = null) => {
+    const { date, time, startsAt, endsAt } = input;
+    let start;
+
+    if (startsAt !== undefined) {
+        start = new Date(startsAt);
+        if (isNaN(start.getTime())) return { error: 'startsAt must be a valid date' };
+    } else if (date !== undefined || time !== undefined) {
+        const localDate = getLocalDate(date !== undefined ? date : current?.startsAt || current?.date, timezone);
+        if (!localDate) return { error: 'Meeting date is invalid' };
+
+        const clock = parseTime(time !== undefined ? time : current?.time);
+        if (!clock) return { error: 'Meeting time must be in HH:mm format' };
+
+        start = zonedTimeToUtc({ ...localDate, ...clock }, timezone);
+    } else if (endsAt !== undefined && current?.startsAt) {
+        start = current.startsAt;
+    } else if (endsAt !== undefined) {
+        return { error: 'A start time is required with endsAt' };
+    } else {
+        return { fields: {} };
+    }
+
+    let end;
+    if (endsAt !== undefined) {
+        end = new Date(endsAt);
+        if (isNaN(end.getTime())) return { error: 'endsAt must be a valid date' };
+    } else if (current?.startsAt && current?.endsAt) {
+        end = new Date(start.getTime() + (current.endsAt - current.startsAt));
+    } else {
+        end = new Date(start.getTime() + DEFAULT_MEETING_MINUTES * 60 * 1000);
+    }
+    if (end <= start) return { error: 'Meeting must end after it starts' };
+
+    return {
+        fields: {
+            startsAt: start,
+            endsAt: end,
+            // Legacy fields kept in sync for older app versions
+            date: start,
+            time: formatTime(start, timezone)
+        }
+    };
+};
+
+/**
+ * Mongo filter for meetings sharing the same physical room as `meeting`
+ * Classrooms are told apart by number and "Other" places by name; online meetings never clash on a room.
+ * @returns {object|null} null when the meeting has no room to book
+ */
+const getVenueFilter = (meeting) => {
+    if (meeting.mode === 'Online' || !meeting.locationCategory) return null;
+
+    const filter = { mode: { $ne: 'Online' }, locationCategory: meeting.locationCategory };
+    if (meeting.locationCategory === 'Classroom') {
+        if (!meeting.classroomNumber) return null;
+        filter.classroomNumber = meeting.classroomNumber;
+    } else if (meeting.locationCategory === 'Other') {
+        if (!meeting.otherLocationName) return null;
+        const escaped = meeting.otherLocationName.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        filter.otherLocationName = { $regex: `^${escaped}$`, $options: 'i' };
+    }
+    return filter;
+};
+
+module.exports = {
+    DEFAULT_MEETING_MINUTES,
+    CONFLICT_MODES,
+    resolveMeetingSchedule,
+    getVenueFilter
+};
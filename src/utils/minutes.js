@@ -0,0 +1,60 @@
+/**
+ * Meeting minutes: agenda items discussed, decisions taken and action items
+ * Action items become Tasks when the minutes are published.
+ */
+
+const mongoose = require('mongoose');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const MAX_MINUTES_ITEMS = 50;
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * @param {object} minutes - { agendaItems: [{ title, notes }], decisions: [{ text }], actionItems: [{ title, description, assignees, dueDate, priority }] }
+ * @returns {string|null} error message
+ */
+const validateMinutes = ({ agendaItems = [], decisions = [], actionItems = [] }) => {
+    for (const [name, list] of Object.entries({ agendaItems, decisions, actionItems })) {
+        if (!Array.isArray(list)) return `${name} must be a list`;
+        if (list.length > MAX_MINUTES_ITEMS) return `${name} can have at most ${MAX_MINUTES_ITEMS} entries`;
+    }
+
+    if (agendaItems.some(item => !isText(item?.title))) return 'Every agenda item needs a title';
+    if (decisions.some(item => !isText(item?.text))) return 'Every decision needs text';
+
+    for (const [i, item] of actionItems.entries()) {
+        const label = `Action item ${i + 1}`;
+        if (!isText(item?.title)) return `${label} needs a title`;
+        if (!Array.isArray(item.assignees) || item.assignees.length === 0) return `${label} needs at least one assignee`;
+        if (item.assignees.some(id => !mongoose.Types.ObjectId.isValid(id?.toString()))) return `${label} has an invalid assignee`;
+        if (!item.dueDate || isNaN(new Date(item.dueDate).getTime())) return `${label} needs a valid due date`;
+        if (item.priority !== undefined && !TASK_PRIORITIES.includes(item.priority)) {
+            return `${label} priority must be one of: ${TASK_PRIORITIES.join(', ')}`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Short plain-text recap for notifications
+ */
+const buildMinutesSummary = (minutes) => {
+    const parts = [];
+    if (minutes.decisions.length > 0) {
+        parts.push(`${minutes.decisions.length} decision${minutes.decisions.length === 1 ? '' : 's'}: ${minutes.decisions.map(d => d.text).slice(0, 3).join('; ')}`);
+    }
+    if (minutes.actionItems.length > 0) {
+        parts.push(`${minutes.actionItems.length} action item${minutes.actionItems.length === 1 ? '' : 's'}`);
+    }
+    if (parts.length === 0 && minutes.agendaItems.length > 0) {
+        parts.push(`Discussed: ${minutes.agendaItems.map(a => a.title).slice(0, 3).join(', ')}`);
+    }
+    return parts.join('. ') || 'Minutes are now available.';
+};
+
+module.exports = {
+    TASK_PRIORITIES,
+    validateMinutes,
+    buildMinutesSummary
+};
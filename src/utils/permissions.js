@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const User = require('../models/User');
+const { getCache, setCache, delCache } = require('./cache');
+const {
+    CLUB_ROLES,
+    DEFAULT_CLUB_ROLE_PERMISSIONS,
+    GLOBAL_ROLE_PERMISSIONS,
+    isClubPermission,
+    isGlobalPermission
+} = require('../config/permissions');
+
+/**
+ * Get the user's role in a club (from clubsJoined), or undefined if not a member
+ */
+const getUserClubRole = (user, clubId) => {
+    if (!user || !user.clubsJoined || !clubId) return undefined;
+    return user.clubsJoined.find(c => (c.clubId?._id || c.clubId)?.toString() === clubId.toString())?.role;
+};
+
+/**
+ * The override that turns a role's defaults into the given list (null if they are the same)
+ */
+const diffRolePermissions = (role, permissions) => {
+    const defaults = DEFAULT_CLUB_ROLE_PERMISSIONS[role];
+    const grant = permissions.filter(p => !defaults.includes(p));
+    const revoke = defaults.filter(p => !permissions.includes(p));
+    return grant.length || revoke.length ? { grant, revoke } : null;
+};
+
+// A club's { grant, revoke } override of one role applied to DEFAULT_CLUB_ROLE_PERMISSIONS
+const applyRoleOverride = (role, override) => {
+    const defaults = DEFAULT_CLUB_ROLE_PERMISSIONS[role];
+    if (!override) return defaults;
+    const { grant = [], revoke = [] } = override;
+    return [...new Set([...defaults.filter(p => !revoke.includes(p)), ...grant])]
+        .filter(isClubPermission);
+};
+
+/**
+ * Get the effective role -> permissions mapping of a club (overrides applied to the defaults)
+ * @returns {Promise<object|null>} null if the club does not exist
+ */
+const getClubRolePermissions = async (clubId) => {
+    const cacheKey = `club:permissions:${clubId}`;
+    const cached = await getCache(cacheKey);
+    if (cached) return cached;
+
+    const club = await Club.findById(clubId).select('rolePermissions').lean();
+    if (!club) return null;
+
+    const mappings = {};
+    CLUB_ROLES.forEach(role => {
+        mappings[role] = applyRoleOverride(role, club.rolePermissions?.[role]);
+    });
+
+    await setCache(cacheKey, mappings, 3600);
+    return mappings;
+};
+
+const invalidateClubPermissions = (clubId) => delCache(`club:permissions:${clubId}`);
+
+/**
+ * Check whether a user holds a permission
+ * @param {object} user - User document (needs role and clubsJoined)
+ * @param {string} permission - Key from the permission registry
+ * @param {string} clubId - Required for club-scoped permissions
+ */
+const hasPermission = async (user, permission, clubId = null) => {
+    if (!isClubPermission(permission) && !isGlobalPermission(permission)) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+    if (!user) return false;
+
+    // Global admins can do everything, everywhere
+    if (user.role === 'admin') return true;
+
+    if (isGlobalPermission(permission)) {
+        return (GLOBAL_ROLE_PERMISSIONS[user.role] || []).includes(permission);
+    }
+
+    if (!clubId || !mongoose.Types.ObjectId.isValid(clubId.toString())) return false;
+
+    const role = getUserClubRole(user, clubId);
+    if (!role) return false;
+
+    const mappings = await getClubRolePermissions(clubId);
+    return !!mappings && (mappings[role] || []).includes(permission);
+};
+
+/**
+ * Members of a club whose role there holds a club permission (with the club's overrides)
+ * @param {string} clubId
+ * @param {string} permission - Club permission, e.g. 'absence:review'
+ * @returns {Promise<Array>} User documents with _id only
+ */
+const findClubMembersWithPermission = async (clubId, permission) => {
+    const mappings = await getClubRolePermissions(clubId);
+    const roles = CLUB_ROLES.filter(role => (mappings?.[role] || []).includes(permission));
+    if (roles.length === 0) return [];
+
+    return User.find({ clubsJoined: { $elemMatch: { clubId, role: { $in: roles } } } }).select('_id');
+};
+
+module.exports = {
+    getUserClubRole,
+    getClubRolePermissions,
+    diffRolePermissions,
+    invalidateClubPermissions,
+    hasPermission,
+    findClubMembersWithPermission
+};
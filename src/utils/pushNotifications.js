@@ -5,6 +5,9 @@ const mongoose = require('mongoose');
 /**
  * Get IO instance from req or app
  */
+/**
+ * The socket.io server from an io instance, an Express request or the app
+ */
 const getIO = (source) => {
     if (!source) return null;
     if (source.emit) return source; // already io
@@ -13,6 +16,8 @@ const getIO = (source) => {
     return null;
 };
 
+exports.getIO = getIO;
+
 /**
  * Send push notification to a specific user
  */
@@ -0,0 +1,110 @@
+/**
+ * Recurrence rules for meeting series
+ *   weekly / biweekly: same weekday as startDate, every 1 or 2 weeks
+ *   monthly:           the nth weekday of each month (e.g. 2nd Tuesday), or the last one when weekOfMonth is -1
+ * A rule ends at endDate, after count occurrences (skipped months don't count), or never
+ * (occurrences are generated lazily, so open-ended rules are only bounded by the requested range).
+ * All date maths is done in UTC, keeping startDate's time of day.
+ */
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_COUNT = 520; // Largest count an admin may save
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * nth weekday of startDate's month (1-5), used as the monthly default
+ */
+const getWeekOfMonth = (date) => Math.ceil(date.getUTCDate() / 7);
+
+/**
+ * Date of the nth (or last, n = -1) given weekday in a month, at startDate's time of day
+ */
+const nthWeekdayOfMonth = (year, month, weekday, n, timeSource) => {
+    const at = (day) => new Date(Date.UTC(year, month, day,
+        timeSource.getUTCHours(), timeSource.getUTCMinutes(), timeSource.getUTCSeconds()));
+
+    if (n === -1) {
+        const last = at(new Date(Date.UTC(year, month + 1, 0)).getUTCDate());
+        return new Date(last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * DAY_MS);
+    }
+
+    const first = at(1);
+    const date = new Date(first.getTime() + (((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7) * DAY_MS);
+    // Months without a 5th occurrence of the weekday are skipped
+    return date.getUTCMonth() === ((month % 12) + 12) % 12 ? date : null;
+};
+
+/**
+ * Date in the step-th period (week, fortnight or month; 0-based) after startDate,
+ * or null if that month has no such weekday
+ */
+const getOccurrenceDate = (recurrence, step) => {
+    const start = new Date(recurrence.startDate);
+
+    if (recurrence.frequency === 'monthly') {
+        const weekOfMonth = recurrence.weekOfMonth || getWeekOfMonth(start);
+        const month = start.getUTCMonth() + step;
+        return nthWeekdayOfMonth(start.getUTCFullYear() + Math.floor(month / 12), month % 12, start.getUTCDay(), weekOfMonth, start);
+    }
+
+    const stepDays = recurrence.frequency === 'biweekly' ? 14 : 7;
+    return new Date(start.getTime() + step * stepDays * DAY_MS);
+};
+
+/**
+ * Occurrences of a rule that fall within [from, until]
+ * index is the occurrence's position in the whole series (0-based), counting only real occurrences.
+ * @returns {Array<{ index: number, date: Date }>}
+ */
+const getOccurrences = (recurrence, from, until) => {
+    const occurrences = [];
+    const endDate = recurrence.endDate ? new Date(recurrence.endDate) : null;
+
+    for (let step = 0, index = 0; !recurrence.count || index < recurrence.count; step++) {
+        const date = getOccurrenceDate(recurrence, step);
+        if (!date) continue;
+        if (date > until || (endDate && date > endDate)) break;
+        if (date >= from) occurrences.push({ index, date });
+        index++;
+    }
+    return occurrences;
+};
+
+/**
+ * Validate a rule submitted by an admin
+ * @returns {string|null} error message, or null when valid
+ */
+const validateRecurrence = (recurrence) => {
+    if (!recurrence || typeof recurrence !== 'object') return 'Recurrence must be an object';
+    if (!FREQUENCIES.includes(recurrence.frequency)) {
+        return `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`;
+    }
+
+    const start = new Date(recurrence.startDate);
+    if (isNaN(start.getTime())) return 'Recurrence needs a valid start date';
+
+    if (recurrence.endDate !== undefined && recurrence.endDate !== null) {
+        const end = new Date(recurrence.endDate);
+        if (isNaN(end.getTime()) || end < start) return 'Recurrence end date must be after the start date';
+    }
+
+    if (recurrence.count !== undefined && recurrence.count !== null &&
+        (!Number.isInteger(recurrence.count) || recurrence.count < 1 || recurrence.count > MAX_COUNT)) {
+        return `Recurrence count must be between 1 and ${MAX_COUNT}`;
+    }
+
+    if (recurrence.weekOfMonth !== undefined && recurrence.weekOfMonth !== null &&
+        ![-1, 1, 2, 3, 4, 5].includes(recurrence.weekOfMonth)) {
+        return 'weekOfMonth must be 1-5, or -1 for the last week';
+    }
+
+    return null;
+};
+
+module.exports = {
+    FREQUENCIES,
+    getWeekOfMonth,
+    getOccurrenceDate,
+    getOccurrences,
+    validateRecurrence
+};
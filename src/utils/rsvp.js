@@ -0,0 +1,137 @@
+/**
+ * RSVPs on meetings and events
+ * Both models store `rsvps: [{ userId, status, comment, respondedAt }]`, one entry per user.
+ */
+
+const RSVP_STATUSES = ['going', 'maybe', 'not_going'];
+const MAX_RSVP_COMMENT_LENGTH = 280;
+// Share of "maybe" answers expected to turn up, for the headcount estimate
+const MAYBE_TURNOUT = 0.5;
+
+const validateRsvp = ({ status, comment }) => {
+    if (!RSVP_STATUSES.includes(status)) {
+        return `status must be one of: ${RSVP_STATUSES.join(', ')}`;
+    }
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+        return 'comment must be text';
+    }
+    if (typeof comment === 'string' && comment.trim().length > MAX_RSVP_COMMENT_LENGTH) {
+        return `comment must be at most ${MAX_RSVP_COMMENT_LENGTH} characters`;
+    }
+    return null;
+};
+
+/**
+ * Add or replace a user's RSVP on a meeting/event document (not saved)
+ * @returns {object} the stored entry
+ */
+const setRsvp = (doc, userId, { status, comment }) => {
+    const uid = userId.toString();
+    let entry = doc.rsvps.find(r => (r.userId._id || r.userId).toString() === uid);
+    if (!entry) {
+        doc.rsvps.push({ userId });
+        entry = doc.rsvps[doc.rsvps.length - 1];
+    }
+    entry.status = status;
+    entry.comment = typeof comment === 'string' ? comment.trim() || undefined : undefined;
+    entry.respondedAt = new Date();
+    return entry;
+};
+
+const getRsvp = (doc, userId) => {
+    const uid = userId.toString();
+    return (doc.rsvps || []).find(r => r.userId && (r.userId._id || r.userId).toString() === uid) || null;
+};
+
+/**
+ * Headcount summary
+ * @param {Array} rsvps
+ * @param {number} [invitedCount] - Members who could answer, to count non-responders
+ */
+const summarizeRsvps = (rsvps = [], invitedCount) => {
+    const counts = { going: 0, maybe: 0, not_going: 0 };
+    rsvps.forEach(r => { if (counts[r.status] !== undefined) counts[r.status]++; });
+
+    const summary = {
+        going: counts.going,
+        maybe: counts.maybe,
+        notGoing: counts.not_going,
+        responded: rsvps.length,
+        expectedHeadcount: counts.going + Math.round(counts.maybe * MAYBE_TURNOUT)
+    };
+    if (invitedCount !== undefined) summary.noResponse = Math.max(0, invitedCount - rsvps.length);
+    return summary;
+};
+
+/**
+ * RSVP vs actual attendance over completed meetings
+ * @param {Array} meetings - Lean meetings with rsvps, attendees and absenceRequests
+ * @param {Array} memberIds - Members to report on
+ * @returns {{ meetings: Array, members: Object<string, object> }} members keyed by user id
+ */
+const compareRsvpsToAttendance = (meetings, memberIds) => {
+    const members = {};
+    memberIds.forEach(id => {
+        members[id.toString()] = {
+            going: 0,
+            maybe: 0,
+            notGoing: 0,
+            noResponse: 0,
+            attended: 0,
+            keptGoing: 0, // said going and came
+            noShows: 0, // said going, didn't come, wasn't excused
+            maybeAttended: 0,
+            unannouncedAttended: 0 // came without saying going/maybe
+        };
+    });
+
+    const meetingRows = meetings.map(meeting => {
+        const present = new Set((meeting.attendees || [])
+            .filter(a => a.status === 'present' || a.status === 'late')
+            .map(a => a.userId.toString()));
+        const excused = new Set((meeting.absenceRequests || [])
+            .filter(r => r.status === 'approved')
+            .map(r => r.userId.toString()));
+        const answers = new Map((meeting.rsvps || []).map(r => [r.userId.toString(), r.status]));
+
+        for (const [id, stats] of Object.entries(members)) {
+            const answer = answers.get(id);
+            const came = present.has(id);
+
+            if (answer === 'going') stats.going++;
+            else if (answer === 'maybe') stats.maybe++;
+            else if (answer === 'not_going') stats.notGoing++;
+            else stats.noResponse++;
+
+            if (came) stats.attended++;
+            if (answer === 'going' && came) stats.keptGoing++;
+            if (answer === 'going' && !came && !excused.has(id)) stats.noShows++;
+            if (answer === 'maybe' && came) stats.maybeAttended++;
+            if (came && answer !== 'going' && answer !== 'maybe') stats.unannouncedAttended++;
+        }
+
+        return {
+            _id: meeting._id,
+            name: meeting.name,
+            startsAt: meeting.startsAt || meeting.date,
+            ...summarizeRsvps(meeting.rsvps),
+            actual: present.size
+        };
+    });
+
+    Object.values(members).forEach(stats => {
+        stats.showRate = stats.going > 0 ? Math.round((stats.keptGoing / stats.going) * 1000) / 10 : null;
+    });
+
+    return { meetings: meetingRows, members };
+};
+
+module.exports = {
+    RSVP_STATUSES,
+    MAX_RSVP_COMMENT_LENGTH,
+    validateRsvp,
+    setRsvp,
+    getRsvp,
+    summarizeRsvps,
+    compareRsvpsToAttendance
+};
@@ -0,0 +1,17 @@
+/**
+ * Wrap an async socket event handler so a failure is logged instead of becoming an
+ * unhandled rejection (server.js shuts the process down on those)
+ * @param {string} event - Event name, for the log line
+ * @param {function} handler
+ */
+const safeHandler = (event, handler) => async (...args) => {
+    try {
+        await handler(...args);
+    } catch (error) {
+        console.error(`❌ Socket ${event} error:`, error);
+    }
+};
+
+module.exports = {
+    safeHandler
+};
@@ -0,0 +1,139 @@
+/**
+ * Timezone helpers (IANA names, via Intl; no extra dependency)
+ * Meetings are stored as absolute instants. These helpers convert between an instant and
+ * the wall-clock date/time a club sees in its own timezone, so nothing depends on the
+ * timezone the server happens to run in.
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const isValidTimezone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+};
+
+// Milliseconds the timezone is ahead of UTC at that instant
+const getOffsetMs = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which the clock in `timeZone` shows the given local date and time
+ * Times skipped by a DST jump resolve to the instant after the jump.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+    const result = new Date(wallClock - getOffsetMs(new Date(firstGuess), timeZone));
+
+    // Inside a DST gap the clock never shows that time; the later candidate is the one after the jump
+    const check = getZonedParts(result, timeZone);
+    return check.hour === hour && check.minute === minute ? result : new Date(Math.max(result, firstGuess));
+};
+
+/**
+ * Shift an instant so its UTC fields read as the wall clock in `timeZone`
+ * (lets calendar arithmetic run in UTC without DST surprises)
+ */
+const toWallClock = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second));
+};
+
+const fromWallClock = (wallClock, timeZone) => zonedTimeToUtc({
+    year: wallClock.getUTCFullYear(),
+    month: wallClock.getUTCMonth() + 1,
+    day: wallClock.getUTCDate(),
+    hour: wallClock.getUTCHours(),
+    minute: wallClock.getUTCMinutes()
+}, timeZone);
+
+/**
+ * Parse "HH:mm" (24h)
+ * @returns {{ hour: number, minute: number }|null}
+ */
+const parseTime = (time) => {
+    const match = typeof time === 'string' && time.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    return hour < 24 && minute < 60 ? { hour, minute } : null;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatTime = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return `${pad(p.hour)}:${pad(p.minute)}`;
+};
+
+/**
+ * Calendar day a client meant by `date`
+ * "YYYY-MM-DD" is taken literally; a full timestamp is read in the club's timezone
+ * (clients send local midnight, which is the previous day in UTC east of Greenwich).
+ */
+const getLocalDate = (date, timeZone) => {
+    const literal = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (literal) {
+        return { year: parseInt(literal[1], 10), month: parseInt(literal[2], 10), day: parseInt(literal[3], 10) };
+    }
+    const parsed = new Date(date);
+    if (isNaN(parsed.getTime())) return null;
+    const { year, month, day } = getZonedParts(parsed, timeZone);
+    return { year, month, day };
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    getZonedParts,
+    zonedTimeToUtc,
+    toWallClock,
+    fromWallClock,
+    parseTime,
+    formatTime,
+    getLocalDate
+};
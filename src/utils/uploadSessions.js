@@ -0,0 +1,49 @@
+/**
+ * Upload session rules: what each feature accepts and how big it may be
+ */
+
+const MB = 1024 * 1024;
+
+const DOCUMENT_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain'
+];
+
+// Types ending in "/" match a whole family (e.g. any image)
+const UPLOAD_PURPOSES = {
+    gallery: { folder: 'gallery', types: ['image/'], maxBytes: 20 * MB },
+    snap: { folder: 'mavericks/snaps', types: ['image/', 'video/'], maxBytes: 50 * MB },
+    message: { folder: 'mavericks/messages', types: ['image/', 'video/', 'audio/', ...DOCUMENT_TYPES], maxBytes: 50 * MB },
+    group_chat: { folder: 'mavericks/group-chat', types: ['image/', 'video/', 'audio/', ...DOCUMENT_TYPES], maxBytes: 50 * MB },
+    resource: { folder: 'mavericks/events/resources', types: ['image/', 'video/', ...DOCUMENT_TYPES], maxBytes: 50 * MB }
+};
+
+const isAllowedType = (purpose, mimeType) => {
+    const rule = UPLOAD_PURPOSES[purpose];
+    if (!rule || !mimeType) return false;
+    return rule.types.some(type => (type.endsWith('/') ? mimeType.startsWith(type) : mimeType === type));
+};
+
+/**
+ * Does the file's content agree with the declared type?
+ * Images and videos must be recognisable as such; other types can't be checked this way.
+ * @param {string} declared - MIME type given when the session was created
+ * @param {string|null} sniffed - Type detected from the first bytes (utils/mediaTypes)
+ */
+const contentMatchesType = (declared, sniffed) => {
+    const family = declared.split('/')[0];
+    if (family !== 'image' && family !== 'video') return true;
+    return !!sniffed && sniffed.split('/')[0] === family;
+};
+
+module.exports = {
+    UPLOAD_PURPOSES,
+    isAllowedType,
+    contentMatchesType
+};
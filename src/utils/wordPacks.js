@@ -0,0 +1,185 @@
+/**
+ * Sketch Heads word packs: parsing imports and picking the words offered to the drawer
+ */
+
+const WORD_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_WORDS_PER_PACK = 2000;
+// Letters (any script), digits, hyphens and apostrophes; hints reveal one character at a time so no spaces
+const WORD_PATTERN = /^[\p{L}\p{M}\p{N}'-]{2,30}$/u;
+
+// Built-in English pack, used when a room has no club packs to draw from
+const DEFAULT_WORDS = [
+    // Animals (25)
+    'Elephant', 'Dragon', 'Butterfly', 'Penguin', 'Giraffe', 'Octopus', 'Kangaroo', 'Dolphin', 'Tiger', 'Peacock',
+    'Crocodile', 'Flamingo', 'Koala', 'Panda', 'Zebra', 'Cheetah', 'Gorilla', 'Owl', 'Parrot', 'Seahorse',
+    'Jellyfish', 'Chameleon', 'Hedgehog', 'Platypus', 'Sloth',
+
+    // Objects & Technology (30)
+    'Laptop', 'Guitar', 'Camera', 'Diamond', 'Rocket', 'Robot', 'Bicycle', 'Telescope', 'Microphone', 'Headphones',
+    'Keyboard', 'Smartphone', 'Drone', 'Compass', 'Hourglass', 'Umbrella', 'Backpack', 'Suitcase', 'Hammer', 'Scissors',
+    'Paintbrush', 'Flashlight', 'Binoculars', 'Calculator', 'Trophy', 'Crown', 'Sword', 'Shield', 'Anchor', 'Telescope',
+
+    // Nature & Weather (25)
+    'Sunset', 'Mountain', 'Rainbow', 'Thunder', 'Ocean', 'Forest', 'Volcano', 'Waterfall', 'Lightning', 'Tornado',
+    'Snowflake', 'Avalanche', 'Eclipse', 'Aurora', 'Comet', 'Meteor', 'Island', 'Canyon', 'Desert', 'Glacier',
+    'Meadow', 'Jungle', 'Reef', 'Cave', 'Cliff',
+
+    // Food & Drinks (25)
+    'Pizza', 'Hamburger', 'Sushi', 'Taco', 'Donut', 'Cupcake', 'Sandwich', 'Pancake', 'Waffle', 'Burrito',
+    'Croissant', 'Pretzel', 'Popcorn', 'Milkshake', 'Smoothie', 'Lemonade', 'Espresso', 'Spaghetti', 'Ramen', 'Dumpling',
+    'Cheesecake', 'Brownie', 'Macaron', 'Tiramisu', 'Lasagna',
+
+    // Buildings & Places (20)
+    'Castle', 'Pyramid', 'Lighthouse', 'Windmill', 'Skyscraper', 'Cathedral', 'Temple', 'Observatory', 'Stadium', 'Museum',
+    'Library', 'Hospital', 'Airport', 'Bridge', 'Fountain', 'Statue', 'Monument', 'Pagoda', 'Mansion', 'Cottage',
+
+    // Sports & Games (20)
+    'Basketball', 'Football', 'Tennis', 'Baseball', 'Volleyball', 'Bowling', 'Archery', 'Fencing', 'Surfing', 'Skateboard',
+    'Snowboard', 'Parachute', 'Trampoline', 'Darts', 'Billiards', 'Badminton', 'Cricket', 'Hockey', 'Golf', 'Wrestling',
+
+    // Professions (15)
+    'Wizard', 'Astronaut', 'Detective', 'Firefighter', 'Scientist', 'Artist', 'Musician', 'Chef', 'Pilot', 'Surgeon',
+    'Architect', 'Engineer', 'Photographer', 'Magician', 'Ninja',
+
+    // Vehicles & Transportation (15)
+    'Helicopter', 'Submarine', 'Spaceship', 'Motorcycle', 'Sailboat', 'Hovercraft', 'Ambulance', 'Firetruck', 'Bulldozer',
+    'Tractor', 'Scooter', 'Skateboard', 'Rollerblades', 'Jetpack', 'Balloon',
+
+    // Actions & Activities (15)
+    'Dancing', 'Singing', 'Jumping', 'Swimming', 'Climbing', 'Painting', 'Reading', 'Writing', 'Cooking', 'Gardening',
+    'Fishing', 'Camping', 'Hiking', 'Meditation', 'Yoga',
+
+    // Abstract & Emotions (10)
+    'Happiness', 'Surprise', 'Confusion', 'Excitement', 'Curiosity', 'Dream', 'Nightmare', 'Victory', 'Celebration', 'Mystery'
+];
+
+/**
+ * Clean up a list of words and drop duplicates (case-insensitive)
+ * @param {Array<string|{ text, word, difficulty }>} entries
+ * @param {string} defaultDifficulty - For entries without a valid difficulty tag
+ * @returns {{ words: Array<{ text, difficulty }>, rejected: string[] }}
+ */
+const normalizeWords = (entries, defaultDifficulty = 'medium') => {
+    const words = [];
+    const rejected = [];
+    const seen = new Set();
+
+    (entries || []).forEach(entry => {
+        const raw = typeof entry === 'string' ? entry : (entry?.text ?? entry?.word);
+        const text = typeof raw === 'string' ? raw.trim() : '';
+        if (!text) return;
+
+        if (!WORD_PATTERN.test(text)) {
+            rejected.push(text);
+            return;
+        }
+
+        const key = text.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const tag = typeof entry === 'object' && typeof entry.difficulty === 'string'
+            ? entry.difficulty.trim().toLowerCase()
+            : '';
+        words.push({ text, difficulty: WORD_DIFFICULTIES.includes(tag) ? tag : defaultDifficulty });
+    });
+
+    return { words, rejected };
+};
+
+// One CSV line, honouring double-quoted cells ("a, b" and "say ""hi""")
+const splitCsvLine = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells.map(c => c.trim());
+};
+
+/**
+ * Read an imported word list
+ * CSV: one word per row with an optional difficulty column (a "word,difficulty" header row is skipped).
+ * JSON: an array of words or { text, difficulty } objects, or an object with such a "words" array
+ * (its name, description and language are returned as pack details).
+ * @param {string} content - File contents
+ * @param {string} format - 'csv' | 'json'
+ * @returns {{ entries: Array, pack: object }}
+ * @throws if the content can't be parsed
+ */
+const parseWordList = (content, format) => {
+    if (format === 'json') {
+        const parsed = JSON.parse(content);
+        if (Array.isArray(parsed)) return { entries: parsed, pack: {} };
+        if (parsed && Array.isArray(parsed.words)) {
+            const { words, name, description, language } = parsed;
+            return { entries: words, pack: { name, description, language } };
+        }
+        throw new Error('JSON word list must be an array or an object with a "words" array');
+    }
+
+    if (format === 'csv') {
+        const rows = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+        const entries = rows.map(splitCsvLine).map(([text, difficulty]) => ({ text, difficulty }));
+        if (entries.length && ['word', 'text'].includes((entries[0].text || '').toLowerCase())) {
+            entries.shift();
+        }
+        return { entries, pack: {} };
+    }
+
+    throw new Error('Format must be csv or json');
+};
+
+/**
+ * Pick the words offered to the drawer, avoiding recently used ones while the pool allows it
+ * @param {string[]} pool - Candidate words
+ * @param {string[]} avoid - Words to skip, most important first (e.g. this game's words, then the club's recent words)
+ * @param {number} count
+ */
+const pickWordOptions = (pool, avoid = [], count = 2) => {
+    const unique = [...new Map(pool.map(w => [w.toLowerCase(), w])).values()];
+    let candidates = unique;
+
+    // Drop avoided words from the end of the list first until enough candidates are left
+    for (let keep = avoid.length; keep >= 0; keep--) {
+        const skip = new Set(avoid.slice(0, keep).map(w => w.toLowerCase()));
+        candidates = unique.filter(w => !skip.has(w.toLowerCase()));
+        if (candidates.length >= count) break;
+    }
+
+    const options = [];
+    const remaining = [...candidates];
+    while (options.length < count && remaining.length) {
+        options.push(remaining.splice(Math.floor(Math.random() * remaining.length), 1)[0]);
+    }
+    return options;
+};
+
+module.exports = {
+    WORD_DIFFICULTIES,
+    MAX_WORDS_PER_PACK,
+    DEFAULT_WORDS,
+    normalizeWords,
+    parseWordList,
+    pickWordOptions
+};
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../../src/models/Session');
+const User = require('../../src/models/User');
+const { refreshToken, revokeSession } = require('../../src/controllers/authController');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sessions live in an array instead of MongoDB; findOne matches on plain equality
+const useSessions = (t, sessions) => {
+    t.mock.method(Session, 'findOne', async (query) =>
+        sessions.find(s => Object.entries(query).every(([key, value]) => s[key] === value)) || null);
+    t.mock.method(Session.prototype, 'save', async function () { return this; });
+    t.mock.method(User, 'findById', (id) => ({ select: async () => ({ _id: id }) }));
+};
+
+const createSession = (token, fields = {}) => new Session({
+    userId: '64b000000000000000000001',
+    refreshTokenHash: hash(token),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+});
+
+const createRes = () => ({
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+const refresh = async (token) => {
+    const emitted = [];
+    const io = { to: (room) => ({ emit: (name, payload) => emitted.push({ room, name, payload }) }) };
+    const req = { body: { refreshToken: token }, headers: { 'user-agent': 'test' }, ip: '127.0.0.1', app: { get: () => io } };
+    const res = createRes();
+    await refreshToken(req, res);
+    return { res, emitted };
+};
+
+test('refreshToken rotates the refresh token of the session', async (t) => {
+    const session = createSession('first');
+    useSessions(t, [session]);
+
+    const { res } = await refresh('first');
+
+    assert.equal(res.statusCode, 200);
+    const { token, refreshToken: next } = res.body.data;
+    assert.notEqual(next, 'first');
+    assert.equal(session.refreshTokenHash, hash(next));
+    assert.equal(session.previousTokenHash, hash('first'));
+    assert.equal(jwt.verify(token, process.env.JWT_SECRET).sid, session._id.toString());
+});
+
+test('refreshToken revokes the session when a rotated-out token is replayed', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const session = createSession('first');
+    useSessions(t, [session]);
+
+    const { res: rotated } = await refresh('first');
+    const { res, emitted } = await refresh('first');
+
+    assert.equal(res.statusCode, 401);
+    assert.ok(session.revokedAt);
+    assert.deepEqual(emitted, [{
+        room: session.userId.toString(),
+        name: 'auth:session_revoked',
+        payload: { sessionIds: [session._id] }
+    }]);
+
+    // The token issued by the rotation dies with the session
+    const { res: afterReuse } = await refresh(rotated.body.data.refreshToken);
+    assert.equal(afterReuse.statusCode, 401);
+});
+
+test('refreshToken refuses revoked, expired and unknown tokens', async (t) => {
+    const revoked = createSession('revoked', { revokedAt: new Date() });
+    const expired = createSession('expired', { expiresAt: new Date(Date.now() - 1000) });
+    useSessions(t, [revoked, expired]);
+
+    for (const token of ['revoked', 'expired', 'unknown']) {
+        const { res, emitted } = await refresh(token);
+        assert.equal(res.statusCode, 401, token);
+        assert.equal(emitted.length, 0, token);
+    }
+    assert.equal(revoked.refreshTokenHash, hash('revoked'));
+    assert.equal(expired.refreshTokenHash, hash('expired'));
+});
+
+test('revokeSession answers 404 for a malformed session id', async (t) => {
+    const findOne = t.mock.method(Session, 'findOne', async () => null);
+    const res = createRes();
+
+    await revokeSession({ params: { id: 'not-an-id' }, user: { _id: '64b000000000000000000001' } }, res);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(findOne.mock.callCount(), 0);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const UploadSession = require('../../src/models/UploadSession');
+const User = require('../../src/models/User');
+const { createUploadSession, issueTicket, getSessionForTicket } = require('../../src/services/uploadSessionService');
+const { verifyAccessToken, requireUploadTicket } = require('../../src/middleware/auth');
+
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.STORAGE_SIGNING_SECRET;
+
+const owner = { _id: new mongoose.Types.ObjectId() };
+
+const createSession = (fields = {}) => new UploadSession({
+    userId: owner._id,
+    purpose: 'gallery',
+    mimeType: 'image/png',
+    size: 1024,
+    chunkSize: 1024,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...fields
+});
+
+// Upload sessions live in an array instead of MongoDB
+const useSessions = (t, sessions) => {
+    t.mock.method(UploadSession, 'create', async (fields) => {
+        const session = new UploadSession(fields);
+        sessions.push(session);
+        return session;
+    });
+    t.mock.method(UploadSession, 'findById', async (id) =>
+        sessions.find(s => s._id.toString() === id.toString()) || null);
+};
+
+test('createUploadSession checks the purpose, type and size before opening a session', async (t) => {
+    const sessions = [];
+    useSessions(t, sessions);
+
+    assert.equal((await createUploadSession(owner, { purpose: 'avatar', mimeType: 'image/png', size: 10 })).status, 400);
+    assert.equal((await createUploadSession(owner, { purpose: 'gallery', mimeType: 'video/mp4', size: 10 })).status, 415);
+    assert.equal((await createUploadSession(owner, { purpose: 'gallery', mimeType: 'image/png', size: 0 })).status, 400);
+    assert.equal((await createUploadSession(owner, { purpose: 'gallery', mimeType: 'image/png', size: 1.5 })).status, 400);
+    assert.equal((await createUploadSession(owner, { purpose: 'gallery', mimeType: 'image/png', size: 21 * 1024 * 1024 })).status, 413);
+    assert.equal(sessions.length, 0);
+
+    const { session, ticket } = await createUploadSession(owner, {
+        purpose: 'gallery', fileName: '../../etc/photo.png', mimeType: 'image/png', size: '2048'
+    });
+    assert.equal(session.fileName, 'photo.png');
+    assert.equal(session.size, 2048);
+    assert.equal(await getSessionForTicket(ticket, session._id.toString()), session);
+});
+
+test('an upload ticket carries the session and is marked for the upload audience', () => {
+    const session = createSession();
+    const payload = jwt.verify(issueTicket(session), process.env.JWT_SECRET, { audience: 'upload' });
+
+    assert.equal(payload.sid, session._id.toString());
+    assert.equal(payload.uid, owner._id.toString());
+    assert.equal(payload.size, 1024);
+    assert.equal(payload.type, 'image/png');
+    assert.ok(payload.exp - payload.iat <= 60 * 60);
+});
+
+test('getSessionForTicket refuses tickets for another session or owner', async (t) => {
+    const session = createSession();
+    const other = createSession();
+    const stolen = createSession({ userId: new mongoose.Types.ObjectId() });
+    useSessions(t, [session, other, stolen]);
+
+    assert.equal(await getSessionForTicket(issueTicket(session), other._id.toString()), null);
+
+    // The session changed hands since the ticket was issued
+    const ticket = jwt.sign({ sid: stolen._id.toString(), uid: owner._id.toString() }, process.env.JWT_SECRET, { audience: 'upload' });
+    assert.equal(await getSessionForTicket(ticket, stolen._id.toString()), null);
+});
+
+test('getSessionForTicket refuses access tokens, expired and forged tickets', async (t) => {
+    const session = createSession();
+    useSessions(t, [session]);
+    const sid = session._id.toString();
+    const claims = { sid, uid: owner._id.toString() };
+
+    const accessToken = jwt.sign({ id: owner._id.toString(), ...claims }, process.env.JWT_SECRET);
+    const expired = jwt.sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 10 }, process.env.JWT_SECRET, { audience: 'upload' });
+    const forged = jwt.sign(claims, 'another-secret', { audience: 'upload' });
+
+    for (const ticket of [accessToken, expired, forged, 'not-a-jwt']) {
+        assert.equal(await getSessionForTicket(ticket, sid), null);
+    }
+});
+
+test('verifyAccessToken refuses an upload ticket signed with the same secret', async (t) => {
+    const findById = t.mock.method(User, 'findById', () => ({ select: async () => owner }));
+
+    const { error } = await verifyAccessToken(issueTicket(createSession()));
+
+    assert.equal(error, 'Not an access token');
+    assert.equal(findById.mock.callCount(), 0);
+});
+
+test('requireUploadTicket only reads the ticket from the X-Upload-Ticket header', async (t) => {
+    const session = createSession();
+    useSessions(t, [session]);
+    const ticket = issueTicket(session);
+
+    const run = async (req) => {
+        const res = {
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        let passed = false;
+        await requireUploadTicket({ params: { id: session._id.toString() }, query: {}, headers: {}, ...req }, res, () => { passed = true; });
+        return { res, passed };
+    };
+
+    const fromQuery = await run({ query: { ticket } });
+    assert.equal(fromQuery.passed, false);
+    assert.equal(fromQuery.res.statusCode, 401);
+
+    const fromHeader = await run({ headers: { 'x-upload-ticket': ticket } });
+    assert.equal(fromHeader.passed, true);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    STEP_SECONDS,
+    generateSecret,
+    generateAttendanceToken,
+    verifyAttendanceToken
+} = require('../../src/utils/attendanceToken');
+
+const MODULE_PATH = require.resolve('../../src/utils/attendanceToken');
+const MEETING_ID = 'meeting-1';
+const STEP_MS = STEP_SECONDS * 1000;
+// Middle of a step, so one step either way stays inside the neighbouring steps
+const NOW = 1000 * STEP_MS + STEP_MS / 2;
+
+// Load the module again with a different ATTENDANCE_TOKEN_SKEW_STEPS
+const loadWithSkew = (value) => {
+    const previous = process.env.ATTENDANCE_TOKEN_SKEW_STEPS;
+    process.env.ATTENDANCE_TOKEN_SKEW_STEPS = value;
+    delete require.cache[MODULE_PATH];
+    try {
+        return require(MODULE_PATH);
+    } finally {
+        if (previous === undefined) delete process.env.ATTENDANCE_TOKEN_SKEW_STEPS;
+        else process.env.ATTENDANCE_TOKEN_SKEW_STEPS = previous;
+        delete require.cache[MODULE_PATH];
+    }
+};
+
+test('generateAttendanceToken returns a step token, a 6-digit code and the step end', () => {
+    const secret = generateSecret();
+    const { token, code, expiresAt } = generateAttendanceToken(secret, MEETING_ID, NOW);
+
+    assert.match(token, /^1000\.[A-Za-z0-9_-]{16}$/);
+    assert.match(code, /^\d{6}$/);
+    assert.equal(expiresAt.getTime(), 1001 * STEP_MS);
+    assert.deepEqual(generateAttendanceToken(secret, MEETING_ID, NOW + 1000), { token, code, expiresAt });
+});
+
+test('verifyAttendanceToken accepts the token and code within one step of skew', () => {
+    const secret = generateSecret();
+    const { token, code } = generateAttendanceToken(secret, MEETING_ID, NOW);
+
+    for (const value of [token, code, ` ${code} `]) {
+        assert.equal(verifyAttendanceToken(secret, MEETING_ID, value, NOW), true);
+        assert.equal(verifyAttendanceToken(secret, MEETING_ID, value, NOW - STEP_MS), true);
+        assert.equal(verifyAttendanceToken(secret, MEETING_ID, value, NOW + STEP_MS), true);
+        assert.equal(verifyAttendanceToken(secret, MEETING_ID, value, NOW + 2 * STEP_MS), false);
+    }
+});
+
+test('verifyAttendanceToken refuses tokens signed for another secret or meeting', () => {
+    const secret = generateSecret();
+    const { token, code } = generateAttendanceToken(secret, MEETING_ID, NOW);
+
+    assert.equal(verifyAttendanceToken(generateSecret(), MEETING_ID, token, NOW), false);
+    assert.equal(verifyAttendanceToken(secret, 'meeting-2', token, NOW), false);
+    assert.equal(verifyAttendanceToken(undefined, MEETING_ID, code, NOW), false);
+});
+
+test('verifyAttendanceToken refuses tampered and malformed values', () => {
+    const secret = generateSecret();
+    const { token } = generateAttendanceToken(secret, MEETING_ID, NOW);
+    const [step, signature] = token.split('.');
+    const flipped = signature[0] === 'A' ? 'B' : 'A';
+
+    for (const value of [`${step}.${flipped}${signature.slice(1)}`, `${Number(step) + 1}.${signature}`,
+        `${step}.${signature}x`, signature, '12345', '1234567', '', null, 123456]) {
+        assert.equal(verifyAttendanceToken(secret, MEETING_ID, value, NOW), false, String(value));
+    }
+});
+
+test('ATTENDANCE_TOKEN_SKEW_STEPS=0 only accepts the current step', () => {
+    const strict = loadWithSkew('0');
+    const secret = strict.generateSecret();
+    const { token, code } = strict.generateAttendanceToken(secret, MEETING_ID, NOW);
+
+    assert.equal(strict.verifyAttendanceToken(secret, MEETING_ID, token, NOW), true);
+    assert.equal(strict.verifyAttendanceToken(secret, MEETING_ID, code, NOW), true);
+    assert.equal(strict.verifyAttendanceToken(secret, MEETING_ID, token, NOW + STEP_MS), false);
+    assert.equal(strict.verifyAttendanceToken(secret, MEETING_ID, code, NOW - STEP_MS), false);
+});
+
+test('an invalid ATTENDANCE_TOKEN_SKEW_STEPS falls back to one step', () => {
+    for (const value of ['-1', 'abc']) {
+        const lenient = loadWithSkew(value);
+        const secret = lenient.generateSecret();
+        const { token } = lenient.generateAttendanceToken(secret, MEETING_ID, NOW);
+
+        assert.equal(lenient.verifyAttendanceToken(secret, MEETING_ID, token, NOW + STEP_MS), true, value);
+        assert.equal(lenient.verifyAttendanceToken(secret, MEETING_ID, token, NOW + 2 * STEP_MS), false, value);
+    }
+});
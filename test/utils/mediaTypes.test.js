@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sniffMimeType, extensionForMimeType, resourceTypeForMimeType, parseDataUri } = require('../../src/utils/mediaTypes');
+
+// Magic bytes padded to the 12 bytes sniffMimeType needs
+const file = (...parts) => {
+    const buffer = Buffer.concat(parts.map(p => (Buffer.isBuffer(p) ? p : Buffer.from(p, 'latin1'))));
+    return Buffer.concat([buffer, Buffer.alloc(Math.max(0, 16 - buffer.length))]);
+};
+const ftyp = (brand) => file(Buffer.from([0, 0, 0, 0x18]), 'ftyp', brand);
+
+test('sniffMimeType recognises files by their magic bytes', () => {
+    assert.equal(sniffMimeType(file(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]))), 'image/jpeg');
+    assert.equal(sniffMimeType(file(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))), 'image/png');
+    assert.equal(sniffMimeType(file('GIF89a')), 'image/gif');
+    assert.equal(sniffMimeType(file('RIFF\0\0\0\0WEBP')), 'image/webp');
+    assert.equal(sniffMimeType(file('%PDF-1.7')), 'application/pdf');
+    assert.equal(sniffMimeType(file(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]))), 'video/webm');
+    assert.equal(sniffMimeType(ftyp('heic')), 'image/heic');
+    assert.equal(sniffMimeType(ftyp('mif1')), 'image/heic');
+    assert.equal(sniffMimeType(ftyp('qt  ')), 'video/quicktime');
+    assert.equal(sniffMimeType(ftyp('isom')), 'video/mp4');
+});
+
+test('sniffMimeType ignores unknown or too short data', () => {
+    assert.equal(sniffMimeType(file('<svg xmlns=')), null);
+    assert.equal(sniffMimeType(Buffer.from([0xFF, 0xD8, 0xFF])), null);
+    assert.equal(sniffMimeType(null), null);
+});
+
+test('extensions and resource types follow the MIME type', () => {
+    assert.equal(extensionForMimeType('image/jpeg'), '.jpg');
+    assert.equal(extensionForMimeType('video/quicktime'), '.mov');
+    assert.equal(extensionForMimeType('text/html'), '');
+
+    assert.equal(resourceTypeForMimeType('image/heic'), 'image');
+    assert.equal(resourceTypeForMimeType('video/mp4'), 'video');
+    assert.equal(resourceTypeForMimeType('application/pdf'), 'raw');
+    assert.equal(resourceTypeForMimeType(), 'raw');
+});
+
+test('parseDataUri decodes base64 with or without a data: prefix', () => {
+    const payload = Buffer.from('hello').toString('base64');
+
+    const prefixed = parseDataUri(`data:image/png;base64,${payload}`);
+    assert.equal(prefixed.mimeType, 'image/png');
+    assert.equal(prefixed.buffer.toString(), 'hello');
+
+    const bare = parseDataUri(payload);
+    assert.equal(bare.mimeType, null);
+    assert.equal(bare.buffer.toString(), 'hello');
+});
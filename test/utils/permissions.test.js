@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Club = require('../../src/models/Club');
+const User = require('../../src/models/User');
+const { DEFAULT_CLUB_ROLE_PERMISSIONS } = require('../../src/config/permissions');
+const {
+    getUserClubRole,
+    getClubRolePermissions,
+    diffRolePermissions,
+    hasPermission,
+    findClubMembersWithPermission
+} = require('../../src/utils/permissions');
+
+const CLUB_ID = '64b0000000000000000000c1';
+
+// Stands in for the club document (Redis is not connected, so every lookup reaches it)
+const useClub = (t, rolePermissions) => {
+    t.mock.method(Club, 'findById', () => ({
+        select: () => ({ lean: async () => (rolePermissions === null ? null : { rolePermissions }) })
+    }));
+};
+
+const member = (role, fields = {}) => ({ role: 'user', clubsJoined: [{ clubId: CLUB_ID, role }], ...fields });
+
+test('getUserClubRole reads the role from clubsJoined', () => {
+    assert.equal(getUserClubRole(member('alumni'), CLUB_ID), 'alumni');
+    assert.equal(getUserClubRole(member('alumni'), '64b0000000000000000000c2'), undefined);
+    assert.equal(getUserClubRole(null, CLUB_ID), undefined);
+});
+
+test('diffRolePermissions stores only what differs from the defaults', () => {
+    assert.equal(diffRolePermissions('member', DEFAULT_CLUB_ROLE_PERMISSIONS.member), null);
+
+    const permissions = [...DEFAULT_CLUB_ROLE_PERMISSIONS.member.filter(p => p !== 'chat:access'), 'task:create'];
+    assert.deepEqual(diffRolePermissions('member', permissions), { grant: ['task:create'], revoke: ['chat:access'] });
+});
+
+test('getClubRolePermissions applies a club\'s overrides to the defaults', async (t) => {
+    useClub(t, { member: { grant: ['task:create', 'admin:access'], revoke: ['chat:access'] } });
+
+    const mappings = await getClubRolePermissions(CLUB_ID);
+
+    assert.deepEqual(mappings.admin, DEFAULT_CLUB_ROLE_PERMISSIONS.admin);
+    assert.ok(mappings.member.includes('task:create'));
+    assert.ok(!mappings.member.includes('chat:access'));
+    // Global permissions can't be granted through a club role
+    assert.ok(!mappings.member.includes('admin:access'));
+});
+
+test('getClubRolePermissions returns null for a missing club', async (t) => {
+    useClub(t, null);
+    assert.equal(await getClubRolePermissions(CLUB_ID), null);
+});
+
+test('hasPermission resolves club permissions through the member\'s role', async (t) => {
+    useClub(t, { member: { grant: ['task:create'], revoke: ['chat:access'] } });
+
+    assert.equal(await hasPermission(member('member'), 'task:create', CLUB_ID), true);
+    assert.equal(await hasPermission(member('member'), 'chat:access', CLUB_ID), false);
+    assert.equal(await hasPermission(member('member'), 'meeting:view', CLUB_ID), true);
+    assert.equal(await hasPermission(member('admin'), 'chat:access', CLUB_ID), true);
+});
+
+test('hasPermission refuses non-members and missing or invalid clubs', async (t) => {
+    useClub(t, {});
+
+    assert.equal(await hasPermission(member('admin'), 'meeting:view', '64b0000000000000000000c2'), false);
+    assert.equal(await hasPermission(member('admin'), 'meeting:view', null), false);
+    assert.equal(await hasPermission(member('admin'), 'meeting:view', 'not-an-id'), false);
+    assert.equal(await hasPermission(null, 'meeting:view', CLUB_ID), false);
+    await assert.rejects(hasPermission(member('admin'), 'meeting:fly', CLUB_ID), /Unknown permission/);
+});
+
+test('hasPermission lets global admins do everything and checks global roles', async (t) => {
+    useClub(t, {});
+
+    const globalAdmin = { role: 'admin', clubsJoined: [] };
+    assert.equal(await hasPermission(globalAdmin, 'club:delete'), true);
+    assert.equal(await hasPermission(globalAdmin, 'meeting:delete', CLUB_ID), true);
+    assert.equal(await hasPermission(member('admin'), 'club:delete'), false);
+});
+
+test('findClubMembersWithPermission looks up the roles holding the permission', async (t) => {
+    useClub(t, { member: { grant: ['absence:review'] } });
+    const find = t.mock.method(User, 'find', () => ({ select: async () => [] }));
+
+    await findClubMembersWithPermission(CLUB_ID, 'absence:review');
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+        clubsJoined: { $elemMatch: { clubId: CLUB_ID, role: { $in: ['admin', 'member'] } } }
+    });
+
+    useClub(t, { admin: { revoke: ['game:manage_words'] } });
+    assert.deepEqual(await findClubMembersWithPermission(CLUB_ID, 'game:manage_words'), []);
+    assert.equal(find.mock.callCount(), 1);
+});
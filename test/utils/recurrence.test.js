@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getOccurrences, getOccurrenceDate, validateRecurrence } = require('../../src/utils/recurrence');
+
+const iso = (occurrences) => occurrences.map(o => o.date.toISOString());
+
+test('weekly and biweekly rules keep the weekday and time of the start date', () => {
+    const weekly = { frequency: 'weekly', startDate: '2026-01-06T18:30:00Z' };
+    assert.deepEqual(iso(getOccurrences(weekly, new Date('2026-01-01'), new Date('2026-01-21'))), [
+        '2026-01-06T18:30:00.000Z',
+        '2026-01-13T18:30:00.000Z',
+        '2026-01-20T18:30:00.000Z'
+    ]);
+
+    const biweekly = { ...weekly, frequency: 'biweekly' };
+    assert.deepEqual(iso(getOccurrences(biweekly, new Date('2026-01-01'), new Date('2026-01-21'))), [
+        '2026-01-06T18:30:00.000Z',
+        '2026-01-20T18:30:00.000Z'
+    ]);
+});
+
+test('monthly rules use the nth or last weekday of each month', () => {
+    // 2nd Tuesday
+    const second = { frequency: 'monthly', startDate: '2026-01-13T18:00:00Z' };
+    assert.deepEqual(iso(getOccurrences(second, new Date('2026-01-01'), new Date('2026-03-31'))), [
+        '2026-01-13T18:00:00.000Z',
+        '2026-02-10T18:00:00.000Z',
+        '2026-03-10T18:00:00.000Z'
+    ]);
+
+    const last = { ...second, weekOfMonth: -1 };
+    assert.deepEqual(iso(getOccurrences(last, new Date('2026-01-01'), new Date('2026-04-01'))), [
+        '2026-01-27T18:00:00.000Z',
+        '2026-02-24T18:00:00.000Z',
+        '2026-03-31T18:00:00.000Z'
+    ]);
+});
+
+test('months without a 5th weekday are skipped and do not use up the count', () => {
+    const fifthThursday = { frequency: 'monthly', startDate: '2026-01-29T18:00:00Z', weekOfMonth: 5, count: 3 };
+    assert.equal(getOccurrenceDate(fifthThursday, 1), null);
+
+    const occurrences = getOccurrences(fifthThursday, new Date(0), new Date('2030-01-01'));
+    assert.deepEqual(occurrences.map(o => o.index), [0, 1, 2]);
+    assert.deepEqual(iso(occurrences), [
+        '2026-01-29T18:00:00.000Z',
+        '2026-04-30T18:00:00.000Z',
+        '2026-07-30T18:00:00.000Z'
+    ]);
+});
+
+test('count and endDate end a rule', () => {
+    const counted = { frequency: 'weekly', startDate: '2026-01-06T18:30:00Z', count: 2 };
+    assert.equal(getOccurrences(counted, new Date(0), new Date('2027-01-01')).length, 2);
+
+    const ended = { frequency: 'weekly', startDate: '2026-01-06T18:30:00Z', endDate: '2026-01-14T00:00:00Z' };
+    assert.equal(getOccurrences(ended, new Date(0), new Date('2027-01-01')).length, 2);
+});
+
+test('open-ended rules keep going past the stored count limit', () => {
+    const weekly = { frequency: 'weekly', startDate: '2026-01-06T18:30:00Z' };
+    const later = getOccurrences(weekly, new Date('2040-01-01'), new Date('2040-01-15'));
+
+    assert.deepEqual(iso(later), ['2040-01-03T18:30:00.000Z', '2040-01-10T18:30:00.000Z']);
+    assert.equal(later[0].index, 730);
+});
+
+test('validateRecurrence rejects bad rules', () => {
+    const valid = { frequency: 'weekly', startDate: '2026-01-06T18:30:00Z' };
+    assert.equal(validateRecurrence(valid), null);
+    assert.equal(validateRecurrence({ ...valid, count: 520 }), null);
+
+    assert.match(validateRecurrence(null), /object/);
+    assert.match(validateRecurrence({ ...valid, frequency: 'daily' }), /frequency/);
+    assert.match(validateRecurrence({ ...valid, startDate: 'soon' }), /start date/);
+    assert.match(validateRecurrence({ ...valid, endDate: '2025-01-01' }), /end date/);
+    assert.match(validateRecurrence({ ...valid, count: 0 }), /count/);
+    assert.match(validateRecurrence({ ...valid, count: 521 }), /count/);
+    assert.match(validateRecurrence({ ...valid, weekOfMonth: 6 }), /weekOfMonth/);
+});
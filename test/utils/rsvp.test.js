@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRsvp, setRsvp, getRsvp, summarizeRsvps, compareRsvpsToAttendance } = require('../../src/utils/rsvp');
+
+test('validateRsvp checks the status and comment', () => {
+    assert.equal(validateRsvp({ status: 'going' }), null);
+    assert.match(validateRsvp({ status: 'yes' }), /status/);
+    assert.match(validateRsvp({ status: 'maybe', comment: 42 }), /text/);
+    assert.match(validateRsvp({ status: 'maybe', comment: 'x'.repeat(281) }), /280/);
+});
+
+test('setRsvp replaces a user\'s earlier answer', () => {
+    const doc = { rsvps: [] };
+    setRsvp(doc, 'u1', { status: 'maybe', comment: '  maybe late ' });
+    setRsvp(doc, 'u1', { status: 'going' });
+
+    assert.equal(doc.rsvps.length, 1);
+    assert.equal(getRsvp(doc, 'u1').status, 'going');
+    assert.equal(getRsvp(doc, 'u1').comment, undefined);
+    assert.equal(getRsvp(doc, 'u2'), null);
+});
+
+test('summarizeRsvps counts answers and non-responders', () => {
+    const rsvps = [{ status: 'going' }, { status: 'going' }, { status: 'maybe' }, { status: 'not_going' }];
+
+    assert.deepEqual(summarizeRsvps(rsvps, 6), {
+        going: 2,
+        maybe: 1,
+        notGoing: 1,
+        responded: 4,
+        expectedHeadcount: 3,
+        noResponse: 2
+    });
+    assert.equal(summarizeRsvps(rsvps).noResponse, undefined);
+});
+
+test('compareRsvpsToAttendance matches answers with who came', () => {
+    const meetings = [{
+        _id: 'm1',
+        name: 'Sketch night',
+        startsAt: new Date('2026-01-06T18:30:00Z'),
+        rsvps: [
+            { userId: 'kept', status: 'going' },
+            { userId: 'noShow', status: 'going' },
+            { userId: 'excused', status: 'going' },
+            { userId: 'maybe', status: 'maybe' }
+        ],
+        attendees: [
+            { userId: 'kept', status: 'present' },
+            { userId: 'maybe', status: 'late' },
+            { userId: 'walkIn', status: 'present' },
+            { userId: 'noShow', status: 'absent' }
+        ],
+        absenceRequests: [{ userId: 'excused', status: 'approved' }]
+    }];
+    const { meetings: rows, members } = compareRsvpsToAttendance(meetings, ['kept', 'noShow', 'excused', 'maybe', 'walkIn']);
+
+    assert.equal(rows[0].going, 3);
+    assert.equal(rows[0].actual, 3);
+    assert.equal(members.kept.keptGoing, 1);
+    assert.equal(members.kept.showRate, 100);
+    assert.equal(members.noShow.noShows, 1);
+    assert.equal(members.noShow.showRate, 0);
+    assert.equal(members.excused.noShows, 0);
+    assert.equal(members.maybe.maybeAttended, 1);
+    assert.equal(members.walkIn.noResponse, 1);
+    assert.equal(members.walkIn.unannouncedAttended, 1);
+    assert.equal(members.walkIn.showRate, null);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isValidTimezone,
+    zonedTimeToUtc,
+    toWallClock,
+    fromWallClock,
+    parseTime,
+    formatTime,
+    getLocalDate
+} = require('../../src/utils/timezone');
+
+test('zonedTimeToUtc keeps the wall-clock time across a DST change', () => {
+    const before = zonedTimeToUtc({ year: 2026, month: 3, day: 7, hour: 18, minute: 30 }, 'America/New_York');
+    const after = zonedTimeToUtc({ year: 2026, month: 3, day: 9, hour: 18, minute: 30 }, 'America/New_York');
+
+    assert.equal(before.toISOString(), '2026-03-07T23:30:00.000Z'); // EST, UTC-5
+    assert.equal(after.toISOString(), '2026-03-09T22:30:00.000Z'); // EDT, UTC-4
+    assert.equal(formatTime(before, 'America/New_York'), '18:30');
+    assert.equal(formatTime(after, 'America/New_York'), '18:30');
+});
+
+test('times skipped by a DST jump resolve to the instant after the jump', () => {
+    const skipped = zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York');
+    assert.equal(skipped.toISOString(), '2026-03-08T07:30:00.000Z');
+    assert.equal(formatTime(skipped, 'America/New_York'), '03:30');
+});
+
+test('timezones without DST convert at a fixed offset', () => {
+    const start = zonedTimeToUtc({ year: 2026, month: 1, day: 1, hour: 9, minute: 0 }, 'Asia/Kolkata');
+    assert.equal(start.toISOString(), '2026-01-01T03:30:00.000Z');
+});
+
+test('toWallClock and fromWallClock round-trip', () => {
+    const instant = new Date('2026-07-01T22:30:00Z');
+    const wallClock = toWallClock(instant, 'America/New_York');
+
+    assert.equal(wallClock.toISOString(), '2026-07-01T18:30:00.000Z');
+    assert.equal(fromWallClock(wallClock, 'America/New_York').toISOString(), instant.toISOString());
+});
+
+test('getLocalDate reads plain dates literally and timestamps in the timezone', () => {
+    assert.deepEqual(getLocalDate('2026-03-02', 'Asia/Kolkata'), { year: 2026, month: 3, day: 2 });
+    // Local midnight in India is the previous day in UTC
+    assert.deepEqual(getLocalDate('2026-03-01T18:30:00.000Z', 'Asia/Kolkata'), { year: 2026, month: 3, day: 2 });
+    assert.equal(getLocalDate('not a date', 'Asia/Kolkata'), null);
+});
+
+test('parseTime and isValidTimezone reject bad input', () => {
+    assert.deepEqual(parseTime('18:05'), { hour: 18, minute: 5 });
+    assert.equal(parseTime('24:00'), null);
+    assert.equal(parseTime('6pm'), null);
+
+    assert.equal(isValidTimezone('Europe/Berlin'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+    assert.equal(isValidTimezone(''), false);
+});
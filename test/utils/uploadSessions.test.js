@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UPLOAD_PURPOSES, isAllowedType, contentMatchesType } = require('../../src/utils/uploadSessions');
+
+test('isAllowedType matches exact types and whole families per purpose', () => {
+    assert.equal(isAllowedType('gallery', 'image/png'), true);
+    assert.equal(isAllowedType('gallery', 'video/mp4'), false);
+    assert.equal(isAllowedType('snap', 'video/mp4'), true);
+    assert.equal(isAllowedType('message', 'application/pdf'), true);
+    assert.equal(isAllowedType('message', 'application/zip'), false);
+    assert.equal(isAllowedType('resource', 'audio/mpeg'), false);
+    // Types without a trailing / have to match exactly
+    assert.equal(isAllowedType('message', 'text/plain; charset=utf-8'), false);
+});
+
+test('isAllowedType refuses unknown purposes and missing types', () => {
+    assert.equal(isAllowedType('avatar', 'image/png'), false);
+    assert.equal(isAllowedType('gallery', undefined), false);
+    assert.equal(isAllowedType('gallery', ''), false);
+});
+
+test('contentMatchesType requires images and videos to look like their declared family', () => {
+    assert.equal(contentMatchesType('image/png', 'image/jpeg'), true);
+    assert.equal(contentMatchesType('image/png', 'video/mp4'), false);
+    assert.equal(contentMatchesType('image/png', null), false);
+    assert.equal(contentMatchesType('video/mp4', 'video/quicktime'), true);
+    assert.equal(contentMatchesType('video/mp4', 'image/gif'), false);
+});
+
+test('contentMatchesType leaves types it can\'t sniff alone', () => {
+    assert.equal(contentMatchesType('application/pdf', null), true);
+    assert.equal(contentMatchesType('audio/mpeg', null), true);
+});
+
+test('every purpose has a folder, types and a size limit', () => {
+    for (const [purpose, rule] of Object.entries(UPLOAD_PURPOSES)) {
+        assert.ok(rule.folder, purpose);
+        assert.ok(rule.types.length > 0, purpose);
+        assert.ok(rule.maxBytes > 0, purpose);
+    }
+});
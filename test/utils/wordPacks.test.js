@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeWords, parseWordList, pickWordOptions } = require('../../src/utils/wordPacks');
+
+test('parseWordList reads CSV with quotes, a header row and optional difficulty', () => {
+    const csv = '﻿word,difficulty\r\nDragon,easy\r\n"Rock-n-roll", hard\r\n"Say ""hi""",\r\n\r\nCastle\n';
+    const { entries } = parseWordList(csv, 'csv');
+
+    assert.deepEqual(entries, [
+        { text: 'Dragon', difficulty: 'easy' },
+        { text: 'Rock-n-roll', difficulty: 'hard' },
+        { text: 'Say "hi"', difficulty: '' },
+        { text: 'Castle', difficulty: undefined }
+    ]);
+});
+
+test('parseWordList reads JSON arrays and pack objects', () => {
+    assert.deepEqual(parseWordList('["Dragon","Castle"]', 'json'), { entries: ['Dragon', 'Castle'], pack: {} });
+
+    const { entries, pack } = parseWordList(JSON.stringify({ name: 'Animals', language: 'en', words: [{ text: 'Owl' }] }), 'json');
+    assert.deepEqual(entries, [{ text: 'Owl' }]);
+    assert.deepEqual(pack, { name: 'Animals', description: undefined, language: 'en' });
+
+    assert.throws(() => parseWordList('{"name":"x"}', 'json'), /words/);
+    assert.throws(() => parseWordList('Dragon', 'txt'), /csv or json/);
+});
+
+test('normalizeWords drops duplicates and rejects invalid words', () => {
+    const { entries } = parseWordList('Dragon,easy\ndragon,hard\nSay "hi"\nX\nCastle,extreme\n', 'csv');
+    const { words, rejected } = normalizeWords(entries);
+
+    assert.deepEqual(words, [
+        { text: 'Dragon', difficulty: 'easy' },
+        { text: 'Castle', difficulty: 'medium' }
+    ]);
+    assert.deepEqual(rejected, ['Say hi', 'X']);
+});
+
+test('pickWordOptions avoids recent words while enough are left', () => {
+    const pool = ['Dragon', 'Castle', 'Owl', 'dragon'];
+
+    for (let i = 0; i < 20; i++) {
+        // Duplicates differing only in case are offered once
+        const options = pickWordOptions(pool, ['Owl'], 2);
+        assert.deepEqual(options.map(w => w.toLowerCase()).sort(), ['castle', 'dragon']);
+    }
+
+    // Not enough words otherwise: the least important avoided words come back first
+    const options = pickWordOptions(pool, ['Dragon', 'Castle'], 2);
+    assert.ok(options.includes('Owl') && options.includes('Castle'));
+});